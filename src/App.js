@@ -1,8 +1,54 @@
-import React, { useState, Component, useMemo, useRef } from 'react';
+import React, { useState, Component, useMemo, useRef, useEffect } from 'react';
 import './App.css';
 import SpaceSimulation from './components/SpaceSimulation';
 import ControlPanel from './components/ControlPanel';
-import { parseTLE, SAMPLE_TLES } from './utils/tleParser';
+import { parseTLE, formatTLE, SAMPLE_TLES } from './utils/tleParser';
+import { DEFAULT_PROPAGATOR } from './utils/propagators';
+import { createSimulationClock } from './utils/simulationClock';
+import { DEFAULT_GROUND_TRACK_WINDOW } from './utils/groundTrack';
+import { createGroundStation } from './utils/groundStations';
+import { ommToTLEData } from './utils/omm';
+import { elementsToTLEData, stateToTLEData } from './utils/meanElements';
+import { walkerTLEData, walkerSeedFromTLE } from './utils/walker';
+import { unpackSnapshot } from './utils/coverageSnapshot';
+import { massRenderingActive } from './utils/swarm';
+import { createScenario, parseScenario, loadScenarioSlot, createAutosave, AUTOSAVE_SLOT } from './utils/scenario';
+import { encodeUrlState, decodeUrlState, MAX_URL_STATE_LENGTH } from './utils/urlState';
+import { coveragePool, shareElementSets } from './workers/coveragePool';
+
+// Interval between instantaneous coverage snapshots (ms of wall-clock time)
+const COVERAGE_REFRESH_MS = 250;
+
+// Interval between autosaves of the scenario to local storage (ms)
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+// Interval between checks whether the view encoded in the URL has changed (ms)
+const URL_UPDATE_MS = 2000;
+
+// Bulk imports add many satellites within the same millisecond
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Display options of satellites added in bulk (multi-entry imports, Walker constellations):
+// footprints, global coverage and ground tracks of hundreds of satellites are opted into,
+// not the default
+const BULK_DISPLAY_OPTIONS = { showCoverage: false, showGroundTrack: false };
+
+// Satellite entry as held in state; display options default to everything shown
+function createSatelliteEntry(tleData, lines, options = {}) {
+  return {
+    id: createId(),
+    tleData,
+    color: options.color || `hsl(${Math.random() * 360}, 70%, 50%)`, // Random color
+    showOrbit: options.showOrbit !== false,
+    showTrail: options.showTrail !== false,
+    showCoverage: options.showCoverage !== false,
+    showGroundTrack: options.showGroundTrack !== false,
+    propagator: options.propagator || null, // null = use the global propagator
+    rawName: tleData.name,
+    rawLine1: lines ? lines.line1 : null,
+    rawLine2: lines ? lines.line2 : null
+  };
+}
 
 // Error Boundary Component
 class ErrorBoundary extends Component {
@@ -58,7 +104,8 @@ class ErrorBoundary extends Component {
 }
 
 function App() {
-  const [simulationSpeed, setSimulationSpeed] = useState(1);
+  // Authoritative simulated time shared by the scene, the panel and analysis code
+  const clock = useMemo(() => createSimulationClock(), []);
   const [satelliteParams, setSatelliteParams] = useState({
     altitude: 400, // km above Earth's surface
     inclination: 51.6, // degrees (ISS-like orbit)
@@ -83,190 +130,359 @@ function App() {
   const [showEarth, setShowEarth] = useState(true);
   const [showEarthGrid, setShowEarthGrid] = useState(true);
 
-  const REAL_EARTH_RADIUS_KM = 6378.137;
-  const totalEarthAreaKm2 = 4 * Math.PI * REAL_EARTH_RADIUS_KM * REAL_EARTH_RADIUS_KM;
-
-  // Deterministic lat-lon weighted grid (cached by resolution)
-  const gridCacheRef = useRef({});
-  const getLatLonGrid = (latStepDeg, lonStepDeg) => {
-    const key = `${latStepDeg}:${lonStepDeg}`;
-    if (gridCacheRef.current[key]) return gridCacheRef.current[key];
-
-    const latSteps = Math.round(180 / latStepDeg);
-    const lonSteps = Math.round(360 / lonStepDeg);
-    const points = [];
-    const weights = [];
-
-    // Lat bands from -90 to +90
-    for (let i = 0; i < latSteps; i++) {
-      const lat1 = -90 + i * latStepDeg;
-      const lat2 = lat1 + latStepDeg;
-      // Use band center for direction sampling
-      const latCenter = (lat1 + lat2) / 2;
-      const phi = (latCenter * Math.PI) / 180; // latitude
-      const cosPhi = Math.cos(phi);
-      const sinPhi = Math.sin(phi);
-
-      // Band area fraction for one lon cell: Δλ (sinφ2 − sinφ1) / (4π)
-      const sinPhi1 = Math.sin((lat1 * Math.PI) / 180);
-      const sinPhi2 = Math.sin((lat2 * Math.PI) / 180);
-      const bandAreaFracPerLon = ((lonStepDeg * Math.PI) / 180) * (sinPhi2 - sinPhi1) / (4 * Math.PI);
-
-      for (let j = 0; j < lonSteps; j++) {
-        const lonCenter = -180 + (j + 0.5) * lonStepDeg;
-        const lambda = (lonCenter * Math.PI) / 180;
-        const cosLambda = Math.cos(lambda);
-        const sinLambda = Math.sin(lambda);
-        const x = cosPhi * cosLambda;
-        const y = sinPhi;
-        const z = cosPhi * sinLambda;
-        points.push({ x, y, z });
-        weights.push(bandAreaFracPerLon);
+  // Coverage heatmap overlay and the metric it paints
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmapMetric, setHeatmapMetric] = useState('folds');
+
+  // Global propagator; satellites with their own `propagator` override it
+  const [propagatorId, setPropagatorId] = useState(DEFAULT_PROPAGATOR);
+
+  // Ground track window in orbits before/after the simulation time
+  const [groundTrackWindow, setGroundTrackWindow] = useState(DEFAULT_GROUND_TRACK_WINDOW);
+
+  // Ground stations (name, WGS84 location, elevation mask)
+  const [groundStations, setGroundStations] = useState([]);
+
+  // Conjunction highlighted in the scene (from the screening table)
+  const [selectedConjunction, setSelectedConjunction] = useState(null);
+
+  // Time-integrated coverage statistics of the last computed window
+  const [coverageStats, setCoverageStats] = useState(null);
+
+  // Render mode (see RENDER_MODES) and the satellites drawn with full detail in the swarm
+  const [renderMode, setRenderMode] = useState('auto');
+  const [selectedSatelliteIds, setSelectedSatelliteIds] = useState([]);
+  const massRendering = massRenderingActive(renderMode, tleSatellites.length);
+
+  // Instantaneous coverage is computed by the worker pool at a throttled rate. A new
+  // snapshot is only requested once the previous one is back, so rendering never waits on it.
+  const coverageInputsRef = useRef();
+  coverageInputsRef.current = { tleSatellites, minElevationAngle, propagatorId };
+  useEffect(() => {
+    let busy = false;
+    const timer = setInterval(() => {
+      if (busy) return;
+      const inputs = coverageInputsRef.current;
+      const active = inputs.tleSatellites.filter(s => s.showCoverage);
+      busy = true;
+      coveragePool.run('snapshot', {
+        satellites: shareElementSets(active),
+        time: clock.getTimeMs(),
+        minElevation: inputs.minElevationAngle,
+        propagatorId: inputs.propagatorId
+      })
+        .then(snapshot => {
+          setSatelliteCoverageData(unpackSnapshot(snapshot, active.map(s => s.id)));
+          setGlobalCoveragePercent(snapshot.percent);
+          setGlobalCoverageAreaKm2(snapshot.areaKm2);
+        })
+        .catch(error => console.warn(`Coverage snapshot failed: ${error.message}`))
+        .finally(() => {
+          busy = false;
+        });
+    }, COVERAGE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [clock]);
+
+  // Satellite entry from parsed element data; raw lines are kept when it came from a TLE
+  // and regenerated otherwise. Satellites are saved, exported and shared as TLE lines, so
+  // elements a TLE cannot hold are rejected instead of being kept half-usable.
+  const satelliteFromElements = (tleData, rawLines = null, options = {}) => {
+    let lines = rawLines;
+    if (!lines) {
+      try {
+        lines = formatTLE(tleData);
+      } catch (error) {
+        throw new Error(`${tleData.name} cannot be written as a TLE: ${error.message}`);
       }
     }
-
-    const grid = { points, weights };
-    gridCacheRef.current[key] = grid;
-    return grid;
+    return createSatelliteEntry(tleData, lines, options);
   };
 
-  // Recompute global union coverage using deterministic grid
-  const recomputeGlobalCoverage = () => {
-    const active = tleSatellites.filter(s => s.showCoverage);
-    const activeSatIds = active.map(s => s.id);
-
-    if (activeSatIds.length === 0) {
-      setGlobalCoveragePercent(0);
-      setGlobalCoverageAreaKm2(0);
-      return;
-    }
-
-    let rawSats = [];
-    for (const id of activeSatIds) {
-      const cov = satelliteCoverageData[id];
-      if (!cov || !cov.direction || !isFinite(cov.centralAngle) || cov.centralAngle <= 0) continue;
-      const { x, y, z } = cov.direction;
-      const dirLen = Math.sqrt(x * x + y * y + z * z) || 1;
-      const ux = x / dirLen, uy = y / dirLen, uz = z / dirLen;
-      const cosThreshold = Math.cos(cov.centralAngle);
-      rawSats.push({ ux, uy, uz, cosThreshold, psi: cov.centralAngle });
-    }
-
-    if (rawSats.length === 0) {
-      setGlobalCoveragePercent(0);
-      setGlobalCoverageAreaKm2(0);
-      return;
-    }
+  const addSatellite = (tleData, rawLines = null, { bulk = false } = {}) => {
+    const newSatellite = satelliteFromElements(tleData, rawLines, bulk ? BULK_DISPLAY_OPTIONS : {});
+    setTleSatellites(prev => [...prev, newSatellite]);
+  };
 
-    // Drop dominated caps (caps entirely contained by another cap)
-    const sats = [];
-    for (let i = 0; i < rawSats.length; i++) {
-      let contained = false;
-      const ai = rawSats[i];
-      for (let j = 0; j < rawSats.length; j++) {
-        if (i === j) continue;
-        const aj = rawSats[j];
-        // angular separation between centers
-        const dot = ai.ux * aj.ux + ai.uy * aj.uy + ai.uz * aj.uz;
-        const sep = Math.acos(Math.min(1, Math.max(-1, dot)));
-        if (aj.psi >= ai.psi + sep - 1e-12) {
-          contained = true;
-          break;
-        }
-      }
-      if (!contained) sats.push(ai);
+  // Function to add TLE satellite; returns { ok, errors } so bulk imports can report per entry.
+  // options: { bulk } for an entry of a multi-entry import
+  const addTLESatellite = (name, line1, line2, options = {}) => {
+    try {
+      addSatellite(parseTLE(line1, line2, name), { line1, line2 }, options);
+      return { ok: true, errors: [] };
+    } catch (error) {
+      // Validation failures carry the field-level problems for the import report
+      if (error.errors) return { ok: false, errors: error.errors };
+      console.error('Error adding TLE satellite:', error);
+      return { ok: false, errors: [{ message: error.message }] };
     }
+  };
 
-    if (sats.length === 0) {
-      setGlobalCoveragePercent(0);
-      setGlobalCoverageAreaKm2(0);
-      return;
+  // Function to add a satellite from a CCSDS OMM record; same result shape as addTLESatellite
+  const addOMMSatellite = (record, options = {}) => {
+    try {
+      addSatellite(ommToTLEData(record), null, options);
+      return { ok: true, errors: [] };
+    } catch (error) {
+      console.error('Error adding OMM satellite:', error);
+      return { ok: false, errors: [{ message: error.message }] };
     }
+  };
 
-    // Choose resolution adaptively based on constellation size and smallest cap
-    const minPsiDeg = sats.reduce((m, s) => Math.min(m, s.psi * 180 / Math.PI), Infinity);
-    let latStep = 1.0;
-    let lonStep = 1.0;
-    if (sats.length > 40 || minPsiDeg < 3) {
-      latStep = 0.25; lonStep = 0.25;
-    } else if (sats.length > 20 || minPsiDeg < 6) {
-      latStep = 0.5; lonStep = 0.5;
+  // Function to add a satellite from osculating elements or a TEME state vector at an epoch;
+  // SGP4 mean elements are fitted to the input so it propagates like any TLE satellite
+  const addOrbitSatellite = ({ name, epoch, elements, position, velocity }) => {
+    try {
+      const tleData = elements
+        ? elementsToTLEData(elements, epoch, { name })
+        : stateToTLEData(position, velocity, epoch, { name });
+      addSatellite(tleData);
+      return { ok: true, errors: [], tleData };
+    } catch (error) {
+      console.error('Error adding satellite from orbit entry:', error);
+      return { ok: false, errors: [{ message: error.message }] };
     }
+  };
 
-    const { points, weights } = getLatLonGrid(latStep, lonStep);
-
-    const eps = 1e-12;
-    let coveredFrac = 0;
-    for (let idx = 0; idx < points.length; idx++) {
-      const p = points[idx];
-      const w = weights[idx];
-      const px = p.x, py = p.y, pz = p.z;
-      let covered = false;
-      for (let i = 0; i < sats.length; i++) {
-        const s = sats[i];
-        const dot = px * s.ux + py * s.uy + pz * s.uz;
-        if (dot + eps >= s.cosThreshold) {
-          covered = true;
-          break;
+  // Function to add a Walker constellation; a seed satellite supplies node, phase, epoch and
+  // mean motion and is itself the first slot, so only the remaining slots are added
+  const addWalkerConstellation = (params, seed = null) => {
+    try {
+      const template = seed
+        ? {
+          name: params.name,
+          epochDate: seed.epochDate,
+          meanMotion: seed.meanMotion,
+          meanMotionDerivative: seed.meanMotionDerivative,
+          bstar: seed.bstar
         }
-      }
-      if (covered) coveredFrac += w;
+        : { name: params.name, epochDate: clock.getTime() };
+      const elementSets = walkerTLEData(seed ? { ...params, ...walkerSeedFromTLE(seed) } : params, template);
+      const added = seed ? elementSets.slice(1) : elementSets;
+      // All slots are converted before any is added, so a failure adds none
+      const entries = added.map(tleData => satelliteFromElements(tleData, null, BULK_DISPLAY_OPTIONS));
+      setTleSatellites(prev => [...prev, ...entries]);
+      return { ok: true, errors: [], count: added.length };
+    } catch (error) {
+      console.error('Error adding Walker constellation:', error);
+      return { ok: false, errors: [{ message: error.message }] };
     }
-
-    const percent = coveredFrac * 100;
-    setGlobalCoveragePercent(percent);
-    setGlobalCoverageAreaKm2((percent / 100) * totalEarthAreaKm2);
   };
 
-  // Function to add TLE satellite
-  const addTLESatellite = (name, line1, line2) => {
+  // Function to add a ground station
+  const addGroundStation = (definition) => {
     try {
-      const tleData = parseTLE(line1, line2, name);
-      const newSatellite = {
-        id: Date.now(),
-        tleData,
-        color: `hsl(${Math.random() * 360}, 70%, 50%)`, // Random color
-        showOrbit: true,
-        showTrail: true,
-        showCoverage: true,
-        rawName: name,
-        rawLine1: line1,
-        rawLine2: line2
-      };
-      setTleSatellites(prev => [...prev, newSatellite]);
+      const station = { id: createId(), ...createGroundStation(definition) };
+      setGroundStations(prev => [...prev, station]);
       return true;
     } catch (error) {
-      console.error('Error adding TLE satellite:', error);
-      alert(`Error adding satellite: ${error.message}`);
+      alert(`Error adding ground station: ${error.message}`);
       return false;
     }
   };
 
+  const removeGroundStation = (id) => {
+    setGroundStations(prev => prev.filter(station => station.id !== id));
+  };
+
   // Function to remove TLE satellite
   const removeTLESatellite = (id) => {
     setTleSatellites(prev => prev.filter(sat => sat.id !== id));
-    // Trigger recompute after removal in next tick
-    setTimeout(recomputeGlobalCoverage, 0);
+    setSelectedSatelliteIds(prev => prev.filter(selected => selected !== id));
+    setSelectedConjunction(prev => (prev && (prev.idA === id || prev.idB === id) ? null : prev));
+  };
+
+  // Select a satellite for full detail, or deselect it
+  const toggleSatelliteSelection = (id) => {
+    setSelectedSatelliteIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
   };
 
-  // Function to update satellite coverage data
-  const updateSatelliteCoverage = (satelliteId, coverageData) => {
-    setSatelliteCoverageData(prev => {
-      const next = { ...prev, [satelliteId]: coverageData };
-      return next;
-    });
-    // Recompute union coverage on each update
-    setTimeout(recomputeGlobalCoverage, 0);
+  // Function to choose a propagator for one satellite (null = global)
+  const setSatellitePropagator = (id, propagator) => {
+    setTleSatellites(prev => prev.map(sat => (sat.id === id ? { ...sat, propagator } : sat)));
   };
 
   // Global visibility toggle functions
   const toggleAllSatelliteVisibility = (property, value) => {
     setTleSatellites(prev => prev.map(sat => ({ ...sat, [property]: value })));
-    if (property === 'showCoverage') {
-      setTimeout(recomputeGlobalCoverage, 0);
+  };
+
+  // Snapshot of the current study for saving or export
+  const getScenario = (name = '') => createScenario({
+    name,
+    time: clock.getTime(),
+    speed: clock.getSpeed(),
+    playing: clock.isPlaying(),
+    settings: {
+      minElevationAngle,
+      showEarth,
+      showEarthGrid,
+      showHeatmap,
+      heatmapMetric,
+      propagatorId,
+      groundTrackWindow,
+      renderMode
+    },
+    satellites: tleSatellites,
+    groundStations,
+    selectedSatelliteIds
+  });
+
+  // Replace the current study with a scenario (JSON text or object); entries that fail
+  // validation are skipped and reported in `errors`
+  const loadScenario = (input) => {
+    let scenario;
+    try {
+      scenario = parseScenario(input);
+    } catch (error) {
+      return { ok: false, errors: [{ message: error.message }] };
     }
+    const satellites = scenario.satellites.map(s => createSatelliteEntry(s.tleData, s.lines, s));
+    setTleSatellites(satellites);
+    setSelectedSatelliteIds(satellites.filter((s, i) => scenario.satellites[i].selected).map(s => s.id));
+    setGroundStations(scenario.groundStations.map(station => ({ id: createId(), ...station })));
+    setSelectedConjunction(null);
+    setCoverageStats(null);
+
+    const { settings } = scenario;
+    setMinElevationAngle(settings.minElevationAngle);
+    setShowEarth(settings.showEarth);
+    setShowEarthGrid(settings.showEarthGrid);
+    setShowHeatmap(settings.showHeatmap);
+    setHeatmapMetric(settings.heatmapMetric);
+    setPropagatorId(settings.propagatorId);
+    setGroundTrackWindow(settings.groundTrackWindow);
+    setRenderMode(settings.renderMode);
+
+    clock.setTime(scenario.time);
+    clock.setSpeed(scenario.speed);
+    if (scenario.playing) clock.play();
+    else clock.pause();
+    return { ok: true, errors: scenario.errors, name: scenario.name, count: satellites.length };
   };
 
+  // Camera controls of the scene, and a pose to move the camera to (e.g. from a link)
+  const cameraControlsRef = useRef(null);
+  const [cameraPose, setCameraPose] = useState(null);
+
+  const getCameraPose = () => {
+    const controls = cameraControlsRef.current;
+    return controls ? { position: controls.object.position.toArray(), target: controls.target.toArray() } : null;
+  };
+
+  // Link that opens the current view: scenario and camera pose in the URL fragment
+  const getShareLink = async () => {
+    const fragment = await encodeUrlState(getScenario(), { camera: getCameraPose() });
+    return `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+  };
+
+  // Open the view carried by a URL fragment; resolves false when the fragment has none
+  const [linksOpened, setLinksOpened] = useState(0);
+  const openLink = async (hash) => {
+    const shared = await decodeUrlState(hash);
+    if (!shared) return false;
+    const { ok, errors } = loadScenario(shared.scenario);
+    if (!ok) throw new Error(errors.map(e => e.message).join('; '));
+    errors.forEach(error => console.warn(`Link: ${error.message}`));
+    if (shared.camera) setCameraPose(shared.camera);
+    setLinksOpened(count => count + 1);
+    return true;
+  };
+
+  // Changes whenever the view encoded in the URL would; the clock running on does not count
+  const getViewKey = () => [
+    tleSatellites, groundStations, selectedSatelliteIds, minElevationAngle, showEarth, showEarthGrid,
+    showHeatmap, heatmapMetric, propagatorId, groundTrackWindow, renderMode,
+    clock.getSpeed(), clock.isPlaying(), clock.isPlaying() || clock.getTimeMs(), JSON.stringify(getCameraPose())
+  ];
+
+  // A study opened from a link is not autosaved over the user's own until they change it.
+  // Held once the link's state has rendered, so the held study is the linked one.
+  const scenarioRef = useRef();
+  const [autosaver] = useState(() => createAutosave(() => scenarioRef.current.getScenario(AUTOSAVE_SLOT)));
+  const [autosaveHeld, setAutosaveHeld] = useState(false);
+  useEffect(() => {
+    if (linksOpened === 0) return;
+    autosaver.hold();
+    setAutosaveHeld(true);
+  }, [linksOpened, autosaver]);
+
+  // Start from the link when the URL carries a view, otherwise from the autosave; then keep
+  // both the autosave and the URL current. An autosave that cannot be read (e.g. written
+  // by a newer version) is left alone rather than overwritten.
+  const [lastAutosave, setLastAutosave] = useState(null);
+  const [linkTooLong, setLinkTooLong] = useState(false);
+  scenarioRef.current = { getScenario, loadScenario, getCameraPose, getViewKey, openLink };
+  useEffect(() => {
+    let active = true;
+    const timers = [];
+    const autosave = () => {
+      try {
+        if (autosaver.save()) setLastAutosave(new Date());
+        setAutosaveHeld(autosaver.held);
+      } catch (error) {
+        console.warn(`Autosave failed: ${error.message}`);
+      }
+    };
+    // Re-encoded only when the view changed. Views too long for the address bar take the
+    // fragment out instead of leaving an outdated one; Copy Link still shares them.
+    // Replacing the URL adds no history entries and does not fire hashchange.
+    let lastViewKey = null;
+    const updateUrl = () => {
+      const { getScenario: current, getCameraPose: pose, getViewKey: viewKey } = scenarioRef.current;
+      const key = viewKey();
+      if (lastViewKey && key.every((value, i) => value === lastViewKey[i])) return;
+      lastViewKey = key;
+      encodeUrlState(current(), { camera: pose() })
+        .then(fragment => {
+          if (!active) return;
+          const tooLong = fragment.length > MAX_URL_STATE_LENGTH;
+          const hash = tooLong ? '' : `#${fragment}`;
+          setLinkTooLong(tooLong);
+          if (window.location.hash !== hash) {
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+          }
+        })
+        .catch(error => console.warn(`URL update failed: ${error.message}`));
+    };
+    // A link pasted into the address bar of the open page
+    const handleHashChange = () => {
+      scenarioRef.current.openLink(window.location.hash)
+        .catch(error => alert(`Could not open the link: ${error.message}`));
+    };
+
+    const start = async () => {
+      let opened = false;
+      try {
+        opened = await scenarioRef.current.openLink(window.location.hash);
+      } catch (error) {
+        alert(`Could not open the link: ${error.message}`);
+      }
+      if (!active) return;
+      let autosaveReadable = true;
+      const saved = opened ? null : loadScenarioSlot(AUTOSAVE_SLOT);
+      if (saved) {
+        const { ok, errors } = scenarioRef.current.loadScenario(saved);
+        errors.forEach(error => console.warn(`Autosave: ${error.message}`));
+        autosaveReadable = ok;
+      }
+      if (autosaveReadable) {
+        timers.push(setInterval(autosave, AUTOSAVE_INTERVAL_MS));
+        window.addEventListener('beforeunload', autosave);
+      }
+      timers.push(setInterval(updateUrl, URL_UPDATE_MS));
+      window.addEventListener('hashchange', handleHashChange);
+    };
+    start();
+
+    return () => {
+      active = false;
+      timers.forEach(clearInterval);
+      window.removeEventListener('beforeunload', autosave);
+      window.removeEventListener('hashchange', handleHashChange);
+    };
+  }, [autosaver]);
+
   return (
     <ErrorBoundary>
       <div className="App">
@@ -274,24 +490,42 @@ function App() {
           <div className="canvas-left-spacer" />
           <div className="canvas-scene">
             <SpaceSimulation 
-              simulationSpeed={simulationSpeed}
+              clock={clock}
               satelliteParams={satelliteParams}
               tleSatellites={tleSatellites}
               showManualSatellite={showManualSatellite}
-              updateSatelliteCoverage={updateSatelliteCoverage}
               minElevationAngle={minElevationAngle}
               showEarth={showEarth}
               showEarthGrid={showEarthGrid}
+              propagatorId={propagatorId}
+              groundTrackWindow={groundTrackWindow}
+              groundStations={groundStations}
+              selectedConjunction={selectedConjunction}
+              massRendering={massRendering}
+              selectedSatelliteIds={selectedSatelliteIds}
+              onSelectSatellite={toggleSatelliteSelection}
+              showHeatmap={showHeatmap}
+              heatmapMetric={heatmapMetric}
+              coverageStats={coverageStats}
+              controlsRef={cameraControlsRef}
+              cameraPose={cameraPose}
             />
           </div>
         </div>
         <ControlPanel 
-          simulationSpeed={simulationSpeed}
-          setSimulationSpeed={setSimulationSpeed}
+          clock={clock}
           tleSatellites={tleSatellites}
           addTLESatellite={addTLESatellite}
+          addOMMSatellite={addOMMSatellite}
+          addOrbitSatellite={addOrbitSatellite}
+          addWalkerConstellation={addWalkerConstellation}
           removeTLESatellite={removeTLESatellite}
           toggleAllSatelliteVisibility={toggleAllSatelliteVisibility}
+          renderMode={renderMode}
+          setRenderMode={setRenderMode}
+          massRendering={massRendering}
+          selectedSatelliteIds={selectedSatelliteIds}
+          toggleSatelliteSelection={toggleSatelliteSelection}
           satelliteCoverageData={satelliteCoverageData}
           minElevationAngle={minElevationAngle}
           setMinElevationAngle={setMinElevationAngle}
@@ -301,6 +535,28 @@ function App() {
           setShowEarth={setShowEarth}
           showEarthGrid={showEarthGrid}
           setShowEarthGrid={setShowEarthGrid}
+          showHeatmap={showHeatmap}
+          setShowHeatmap={setShowHeatmap}
+          heatmapMetric={heatmapMetric}
+          setHeatmapMetric={setHeatmapMetric}
+          propagatorId={propagatorId}
+          setPropagatorId={setPropagatorId}
+          setSatellitePropagator={setSatellitePropagator}
+          groundTrackWindow={groundTrackWindow}
+          setGroundTrackWindow={setGroundTrackWindow}
+          groundStations={groundStations}
+          addGroundStation={addGroundStation}
+          removeGroundStation={removeGroundStation}
+          selectedConjunction={selectedConjunction}
+          setSelectedConjunction={setSelectedConjunction}
+          coverageStats={coverageStats}
+          setCoverageStats={setCoverageStats}
+          getScenario={getScenario}
+          loadScenario={loadScenario}
+          lastAutosave={lastAutosave}
+          autosaveHeld={autosaveHeld}
+          getShareLink={getShareLink}
+          linkTooLong={linkTooLong}
         />
       </div>
     </ErrorBoundary>
@@ -0,0 +1,90 @@
+import React, { useRef, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { eciToSceneCoordinates } from '../utils/tleParser';
+import { propagate } from '../utils/propagators';
+
+// Scene length of the velocity arrows drawn at the TCA
+const VELOCITY_ARROW_LENGTH = 0.4;
+
+/**
+ * Highlights a conjunction: halos that follow both objects, and the crossing
+ * geometry at the time of closest approach (positions and directions of motion).
+ * Miss distances are far below the scene resolution, so the TCA point is drawn
+ * as a fixed-size marker rather than to scale.
+ */
+function ConjunctionMarker({ clock, conjunction, satelliteA, satelliteB, propagatorId }) {
+  const haloARef = useRef();
+  const haloBRef = useRef();
+
+  const geometry = useMemo(() => {
+    const toVector = (p) => {
+      const s = eciToSceneCoordinates(p);
+      return new THREE.Vector3(s.x, s.y, s.z);
+    };
+    const a = toVector(conjunction.stateA.position);
+    const b = toVector(conjunction.stateB.position);
+    const arrow = (origin, velocity) => {
+      const direction = toVector(velocity).normalize().multiplyScalar(VELOCITY_ARROW_LENGTH);
+      return new THREE.BufferGeometry().setFromPoints([origin, origin.clone().add(direction)]);
+    };
+    return {
+      center: a.clone().add(b).multiplyScalar(0.5),
+      arrowA: arrow(a, conjunction.stateA.velocity),
+      arrowB: arrow(b, conjunction.stateB.velocity)
+    };
+  }, [conjunction]);
+
+  useEffect(() => () => {
+    geometry.arrowA.dispose();
+    geometry.arrowB.dispose();
+  }, [geometry]);
+
+  // Live halos around the two objects
+  useFrame(() => {
+    const date = clock.getTime();
+    [[haloARef, satelliteA], [haloBRef, satelliteB]].forEach(([ref, satellite]) => {
+      if (!ref.current || !satellite) return;
+      const state = propagate(satellite.tleData, date, satellite.propagator || propagatorId);
+      ref.current.visible = isFinite(state.distance);
+      if (ref.current.visible) {
+        const s = eciToSceneCoordinates(state.position);
+        ref.current.position.set(s.x, s.y, s.z);
+      }
+    });
+  });
+
+  const colorA = satelliteA?.color || '#ff4444';
+  const colorB = satelliteB?.color || '#ff4444';
+
+  return (
+    <group>
+      <mesh ref={haloARef}>
+        <sphereGeometry args={[0.06, 16, 16]} />
+        <meshBasicMaterial color={colorA} wireframe transparent opacity={0.8} />
+      </mesh>
+      <mesh ref={haloBRef}>
+        <sphereGeometry args={[0.06, 16, 16]} />
+        <meshBasicMaterial color={colorB} wireframe transparent opacity={0.8} />
+      </mesh>
+
+      {/* Closest approach point and the two directions of motion */}
+      <mesh position={geometry.center}>
+        <sphereGeometry args={[0.03, 16, 16]} />
+        <meshBasicMaterial color="#ff4444" />
+      </mesh>
+      <mesh position={geometry.center}>
+        <sphereGeometry args={[0.1, 16, 16]} />
+        <meshBasicMaterial color="#ff4444" wireframe transparent opacity={0.4} />
+      </mesh>
+      <line geometry={geometry.arrowA}>
+        <lineBasicMaterial color={colorA} />
+      </line>
+      <line geometry={geometry.arrowB}>
+        <lineBasicMaterial color={colorB} />
+      </line>
+    </group>
+  );
+}
+
+export default ConjunctionMarker;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DEFAULT_SCREENING } from '../utils/conjunctions';
+import { coveragePool, shareElementSets } from '../workers/coveragePool';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const COLUMNS = [
+  { key: 'objects', label: 'Objects', value: c => `${c.nameA} ${c.nameB}` },
+  { key: 'tca', label: 'TCA (UTC)', value: c => c.tca.getTime() },
+  { key: 'missDistance', label: 'Miss km', value: c => c.missDistance },
+  { key: 'relativeSpeed', label: 'Vrel km/s', value: c => c.relativeSpeed },
+  { key: 'radial', label: 'R', value: c => Math.abs(c.radial) },
+  { key: 'inTrack', label: 'I', value: c => Math.abs(c.inTrack) },
+  { key: 'crossTrack', label: 'C', value: c => Math.abs(c.crossTrack) }
+];
+
+const formatTime = (date) => date.toISOString().slice(5, 19).replace('T', ' ');
+const conjunctionKey = (c) => `${c.idA}-${c.idB}-${c.tca.getTime()}`;
+
+function ConjunctionPanel({ clock, tleSatellites = [], propagatorId, selectedConjunction, setSelectedConjunction }) {
+  const [threshold, setThreshold] = useState(DEFAULT_SCREENING.threshold);
+  const [windowHours, setWindowHours] = useState(24);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'missDistance', ascending: true });
+
+  // A screening that finishes after the panel is gone is dropped
+  const mountedRef = useRef(true);
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const handleScreen = async () => {
+    setRunning(true);
+    setError(null);
+    setSelectedConjunction(null);
+    const start = clock.getTime();
+    const end = new Date(start.getTime() + windowHours * 3600 * 1000);
+    const byId = new Map(tleSatellites.map(s => [s.id, s]));
+    const started = performance.now();
+    try {
+      const screening = await coveragePool.run('conjunctions', {
+        satellites: shareElementSets(tleSatellites),
+        start: start.getTime(),
+        end: end.getTime(),
+        threshold,
+        propagatorId
+      });
+      if (!mountedRef.current) return;
+      setResult({
+        ...screening,
+        conjunctions: screening.conjunctions.map(c => ({
+          ...c,
+          nameA: byId.get(c.idA).tleData.name,
+          nameB: byId.get(c.idB).tleData.name,
+          colorA: byId.get(c.idA).color,
+          colorB: byId.get(c.idB).color
+        })),
+        elapsed: performance.now() - started
+      });
+    } catch (e) {
+      if (mountedRef.current) setError(e.message);
+    }
+    if (mountedRef.current) setRunning(false);
+  };
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, ascending: prev.key === key ? !prev.ascending : true }));
+  };
+
+  const handleSelect = (conjunction) => {
+    const selected = selectedConjunction && conjunctionKey(selectedConjunction) === conjunctionKey(conjunction);
+    setSelectedConjunction(selected ? null : conjunction);
+  };
+
+  const conjunctions = result ? result.conjunctions : [];
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const sorted = [...conjunctions].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    const order = va < vb ? -1 : va > vb ? 1 : 0;
+    return sort.ascending ? order : -order;
+  });
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#ff6666' }}>
+        ⚠️ Conjunction Screening
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '4px', fontSize: '10px', color: '#ccc' }}>
+        <div>
+          Threshold (km)
+          <input
+            type="number"
+            min="0.1"
+            max="500"
+            step="0.1"
+            value={threshold}
+            onChange={(e) => setThreshold(Math.min(500, Math.max(0.1, parseFloat(e.target.value) || DEFAULT_SCREENING.threshold)))}
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          Window (hours)
+          <input
+            type="number"
+            min="1"
+            max="72"
+            value={windowHours}
+            onChange={(e) => setWindowHours(Math.min(72, Math.max(1, parseFloat(e.target.value) || 1)))}
+            style={inputStyle}
+          />
+        </div>
+        <button
+          onClick={handleScreen}
+          disabled={tleSatellites.length < 2 || running}
+          style={{
+            alignSelf: 'end',
+            background: '#222',
+            color: '#ff6666',
+            border: '1px solid #ff6666',
+            padding: '5px',
+            borderRadius: '3px',
+            cursor: tleSatellites.length < 2 || running ? 'not-allowed' : 'pointer',
+            fontSize: '10px'
+          }}
+        >
+          {running ? 'Screening…' : 'Screen Pairs'}
+        </button>
+      </div>
+
+      {error && <div style={{ color: '#ff6666', fontSize: '10px', marginTop: '4px' }}>✗ {error}</div>}
+
+      {result && (
+        <div style={{ color: '#888', fontSize: '9px', marginTop: '4px' }}>
+          {result.pairCount} pairs, {result.screenedPairCount} after the perigee/apogee filter,{' '}
+          {conjunctions.length} approaches within {threshold} km ({(result.elapsed / 1000).toFixed(1)} s)
+        </div>
+      )}
+
+      {conjunctions.length > 0 && (
+        <div style={{ marginTop: '8px', maxHeight: '260px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9px', color: '#ccc' }}>
+            <thead>
+              <tr>
+                {COLUMNS.map(c => (
+                  <th
+                    key={c.key}
+                    onClick={() => handleSort(c.key)}
+                    style={{ cursor: 'pointer', color: sort.key === c.key ? '#ff6666' : '#888', textAlign: 'right', whiteSpace: 'nowrap', position: 'sticky', top: 0, background: '#111' }}
+                  >
+                    {c.label}{sort.key === c.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                  </th>
+                ))}
+                <th style={{ position: 'sticky', top: 0, background: '#111' }} />
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(c => {
+                const selected = selectedConjunction && conjunctionKey(selectedConjunction) === conjunctionKey(c);
+                return (
+                  <tr
+                    key={conjunctionKey(c)}
+                    onClick={() => handleSelect(c)}
+                    style={{ textAlign: 'right', cursor: 'pointer', background: selected ? 'rgba(255, 102, 102, 0.2)' : 'transparent' }}
+                    title="Highlight in the scene"
+                  >
+                    <td style={{ textAlign: 'left', maxWidth: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      <span style={{ color: c.colorA }}>{c.nameA}</span>
+                      {' × '}
+                      <span style={{ color: c.colorB }}>{c.nameB}</span>
+                    </td>
+                    <td>{formatTime(c.tca)}</td>
+                    <td style={{ color: c.missDistance < 1 ? '#ff6666' : '#ccc' }}>{c.missDistance.toFixed(3)}</td>
+                    <td>{c.relativeSpeed.toFixed(2)}</td>
+                    <td>{c.radial.toFixed(2)}</td>
+                    <td>{c.inTrack.toFixed(2)}</td>
+                    <td>{c.crossTrack.toFixed(2)}</td>
+                    <td>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSelectedConjunction(c);
+                          clock.setTime(c.tca);
+                        }}
+                        style={{ background: '#222', color: '#ccc', border: '1px solid #555', borderRadius: '2px', cursor: 'pointer', fontSize: '9px', padding: '1px 4px' }}
+                        title="Set the simulation time to the TCA"
+                      >
+                        Go
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {!result && (
+        <div style={{ color: '#666', fontSize: '10px', marginTop: '4px' }}>
+          Every pair of TLE satellites is screened from the simulation time; RIC is the offset of the second object in the first object's radial, in-track and cross-track frame.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConjunctionPanel;
@@ -1,11 +1,52 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { SAMPLE_TLES } from '../utils/tleParser';
+import React, { useState, useEffect } from 'react';
+import { SAMPLE_TLES, formatTLEError } from '../utils/tleParser';
+import { listPropagators } from '../utils/propagators';
+import { RENDER_MODES } from '../utils/swarm';
+import { MAX_FOOTPRINTS } from '../utils/footprints';
+import { isOMM, parseOMM } from '../utils/omm';
+import GroundStationPanel from './GroundStationPanel';
+import PassPredictionPanel from './PassPredictionPanel';
+import EclipseSchedule from './EclipseSchedule';
+import ConjunctionPanel from './ConjunctionPanel';
+import OrbitEntryPanel from './OrbitEntryPanel';
+import WalkerPanel from './WalkerPanel';
+import OptimizerPanel from './OptimizerPanel';
+import CoverageStatsPanel from './CoverageStatsPanel';
+import HeatmapLegend from './HeatmapLegend';
+import ScenarioPanel from './ScenarioPanel';
+
+// Name search results listed at once when satellites are drawn as points
+const MAX_SEARCH_MATCHES = 20;
+
+const formatLatitude = (deg) => `${Math.abs(deg).toFixed(2)}°${deg >= 0 ? 'N' : 'S'}`;
+const formatLongitude = (deg) => `${Math.abs(deg).toFixed(2)}°${deg >= 0 ? 'E' : 'W'}`;
+const formatEclipse = ({ state, illumination }) => {
+  if (state === 'sunlight') return '☀ Sunlight';
+  if (state === 'umbra') return '● Umbra';
+  return `◐ Penumbra (${(illumination * 100).toFixed(0)}% lit)`;
+};
+
+const clockButtonStyle = {
+  background: '#222',
+  color: '#00ff00',
+  border: '1px solid #00ff00',
+  padding: '4px 8px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+// UTC instant <-> value of an <input type="datetime-local"> read as UTC
+const toUtcInputValue = (date) => date.toISOString().slice(0, 19);
+const fromUtcInputValue = (value) => new Date(`${value}${value.length === 16 ? ':00' : ''}Z`);
 
 function ControlPanel({ 
-  simulationSpeed, 
-  setSimulationSpeed,
+  clock,
   tleSatellites = [],
   addTLESatellite,
+  addOMMSatellite,
+  addOrbitSatellite,
+  addWalkerConstellation,
   removeTLESatellite,
   toggleAllSatelliteVisibility,
   satelliteCoverageData = {},
@@ -16,37 +57,78 @@ function ControlPanel({
   showEarth,
   setShowEarth,
   showEarthGrid,
-  setShowEarthGrid
+  setShowEarthGrid,
+  showHeatmap,
+  setShowHeatmap,
+  heatmapMetric,
+  setHeatmapMetric,
+  propagatorId,
+  setPropagatorId,
+  setSatellitePropagator,
+  groundTrackWindow,
+  setGroundTrackWindow,
+  groundStations = [],
+  addGroundStation,
+  removeGroundStation,
+  selectedConjunction,
+  setSelectedConjunction,
+  coverageStats,
+  setCoverageStats,
+  renderMode,
+  setRenderMode,
+  massRendering = false,
+  selectedSatelliteIds = [],
+  toggleSatelliteSelection,
+  getScenario,
+  loadScenario,
+  lastAutosave,
+  autosaveHeld,
+  getShareLink,
+  linkTooLong
 }) {
+  const propagatorOptions = listPropagators();
+
   // TLE input state
   const [tleInput, setTleInput] = useState('');
   const [showTleInput, setShowTleInput] = useState(false);
   const [showVisibleTle, setShowVisibleTle] = useState(false);
-
-  // Simulation time (YYYY-MM-DD hh:mm)
+  const [importReport, setImportReport] = useState(null);
+  const [satelliteSearch, setSatelliteSearch] = useState('');
+
+  // Satellites with a card: all of them, or only the selected ones when drawn as points
+  const listedSatellites = massRendering ? tleSatellites.filter(s => selectedSatelliteIds.includes(s.id)) : tleSatellites;
+  const searchText = satelliteSearch.trim().toUpperCase();
+  const searchMatches = massRendering && searchText
+    ? tleSatellites.filter(s => !selectedSatelliteIds.includes(s.id) && s.tleData.name.toUpperCase().includes(searchText)).slice(0, MAX_SEARCH_MATCHES)
+    : [];
+  const coverageShown = tleSatellites.filter(s => s.showCoverage).length;
+
+  // Simulation clock state (speed / play state change through the clock only)
+  const [clockState, setClockState] = useState({ speed: clock.getSpeed(), playing: clock.isPlaying() });
+  useEffect(() => clock.subscribe(setClockState), [clock]);
+
+  // Simulated time display (UTC)
   const [simTimeStr, setSimTimeStr] = useState('');
-  const simAnchorRealMsRef = useRef(Date.now());
-  const simAnchorDateRef = useRef(new Date());
   useEffect(() => {
     const update = () => {
-      const nowMs = Date.now();
-      const elapsedRealMs = nowMs - simAnchorRealMsRef.current;
-      const simMs = simAnchorDateRef.current.getTime() + elapsedRealMs * simulationSpeed;
-      const d = new Date(simMs);
-      const yyyy = d.getFullYear();
-      const mm2 = String(d.getMonth() + 1).padStart(2, '0');
-      const dd2 = String(d.getDate()).padStart(2, '0');
-      const hh = String(d.getHours()).padStart(2, '0');
-      const mi = String(d.getMinutes()).padStart(2, '0');
-      setSimTimeStr(`${yyyy}-${mm2}-${dd2} ${hh}:${mi}`);
+      setSimTimeStr(`${clock.getTime().toISOString().slice(0, 19).replace('T', ' ')} UTC`);
     };
     update();
-    const id = setInterval(update, 1000);
+    const id = setInterval(update, 250);
     return () => clearInterval(id);
-  }, [simulationSpeed]);
-  
+  }, [clock]);
+
+  const [stepSeconds, setStepSeconds] = useState(60);
+  const [jumpTimeStr, setJumpTimeStr] = useState(() => toUtcInputValue(clock.getTime()));
+
   const handleSpeedChange = (e) => {
-    setSimulationSpeed(parseFloat(e.target.value));
+    const magnitude = parseFloat(e.target.value);
+    clock.setSpeed(clockState.speed < 0 ? -magnitude : magnitude);
+  };
+
+  const handleJumpToTime = () => {
+    const date = fromUtcInputValue(jumpTimeStr);
+    if (!isNaN(date.getTime())) clock.setTime(date);
   };
 
   // Bulk TLE parsing: accept many blocks. Each block is name (optional), then line 1 (starts with '1 '), then line 2 (starts with '2 ').
@@ -85,28 +167,45 @@ function ControlPanel({
 
   const handleAddTleSatellite = () => {
     if (!tleInput.trim()) {
-      alert('Please paste one or more TLEs (name optional, followed by line 1 and line 2).');
+      alert('Please paste one or more TLEs (name optional, followed by line 1 and line 2) or CCSDS OMMs.');
       return;
     }
 
-    const triples = parseBulkTleInput(tleInput);
-    if (triples.length === 0) {
-      alert('Could not find any valid TLE pairs (lines starting with "1 " and "2 ").');
+    let entries;
+    if (isOMM(tleInput)) {
+      try {
+        entries = parseOMM(tleInput).map((record, i) => ({
+          name: record.OBJECT_NAME || record.NORAD_CAT_ID || `OMM #${i + 1}`,
+          add: (options) => addOMMSatellite(record, options)
+        }));
+      } catch (error) {
+        setImportReport({ added: 0, entries: [{ name: 'OMM input', ok: false, messages: [error.message] }] });
+        return;
+      }
+    } else {
+      entries = parseBulkTleInput(tleInput).map(({ name, line1, line2 }) => ({
+        name,
+        add: (options) => addTLESatellite(name, line1, line2, options)
+      }));
+    }
+    if (entries.length === 0) {
+      alert('Could not find any valid TLE pairs (lines starting with "1 " and "2 ") or OMM records.');
       return;
     }
 
-    let success = 0;
-    let failed = 0;
-    triples.forEach(({ name, line1, line2 }) => {
-      const ok = addTLESatellite(name, line1, line2);
-      if (ok) success++; else failed++;
+    // Per-entry outcome, with column-level diagnostics for rejected TLEs
+    const bulk = entries.length > 1;
+    const reportEntries = entries.map(({ name, add }) => {
+      const { ok, errors } = add({ bulk });
+      return { name, ok, messages: errors.map(e => (e.columns ? formatTLEError(e) : e.message)) };
     });
+    const added = reportEntries.filter(e => e.ok).length;
+    setImportReport({ added, entries: reportEntries });
 
-    setTleInput('');
-    setShowTleInput(false);
-
-    if (failed > 0) {
-      alert(`Added ${success} satellite(s). ${failed} failed to add.`);
+    // Keep the text for correction when something was rejected
+    if (added === reportEntries.length) {
+      setTleInput('');
+      setShowTleInput(false);
     }
   };
 
@@ -116,60 +215,6 @@ function ControlPanel({
     setTleInput(tleText);
   };
 
-  // Helper: replace mean anomaly in TLE line 2 (columns 43-51) with new value in degrees
-  const replaceMeanAnomaly = (line2, meanAnomalyDeg) => {
-    const wrapped = ((meanAnomalyDeg % 360) + 360) % 360;
-    const field = wrapped.toFixed(4).toString().padStart(8, ' ');
-    if (line2.length < 52) return line2; // safety
-    return line2.slice(0, 43) + field + line2.slice(51);
-  };
-
-  // Helper: replace inclination in TLE line 2 (columns 8-16)
-  const replaceInclination = (line2, inclinationDeg) => {
-    const clamped = Math.max(0, Math.min(180, inclinationDeg));
-    const field = clamped.toFixed(4).toString().padStart(8, ' ');
-    if (line2.length < 17) return line2;
-    return line2.slice(0, 8) + field + line2.slice(16);
-  };
-
-  // Helper: replace RAAN in TLE line 2 (columns 17-25)
-  const replaceRAAN = (line2, raanDeg) => {
-    const wrapped = ((raanDeg % 360) + 360) % 360;
-    const field = wrapped.toFixed(4).toString().padStart(8, ' ');
-    if (line2.length < 26) return line2;
-    return line2.slice(0, 17) + field + line2.slice(25);
-  };
-
-  // Compute minimal satellites along same plane to wrap 360° using centralAngle (psi)
-  const computeMinimalCount = (centralAngle) => {
-    if (!isFinite(centralAngle) || centralAngle <= 0) return 1;
-    const psiDeg = centralAngle * 180 / Math.PI;
-    // Heuristic: dense spacing along orbit to ensure overlap
-    return Math.max(3, Math.min(120, Math.ceil(360 / (psiDeg * 0.8))));
-  };
-
-  // Compute a robust set of planes spanning 0..90 deg to target full Earth coverage
-  const computePlanes = (baseInclinationDeg, centralAngle) => {
-    const psiDeg = Math.max(1, (centralAngle * 180) / Math.PI);
-    // Step planes no larger than psiDeg*0.8 to ensure overlap between latitude bands
-    const step = Math.max(5, psiDeg * 0.8);
-    const inclinations = [];
-    for (let inc = 0; inc < 90 - 1e-6; inc += step) {
-      inclinations.push(+inc.toFixed(2));
-    }
-    inclinations.push(90); // include polar plane to cover poles
-
-    // Prefer including the original plane if not already close
-    if (isFinite(baseInclinationDeg)) {
-      const close = inclinations.some(v => Math.abs(v - baseInclinationDeg) < 0.5);
-      if (!close) inclinations.push(+baseInclinationDeg.toFixed(2));
-    }
-
-    // Deduplicate and sort
-    const uniq = Array.from(new Set(inclinations.map(v => +v.toFixed(2)))).sort((a,b)=>a-b);
-    return uniq;
-  };
-  
   return (
     <div className="control-panel">
       <h2 style={{ margin: '0 0 10px 0', fontSize: '18px', color: '#00ff00' }}>
@@ -179,15 +224,49 @@ function ControlPanel({
         {simTimeStr}
       </div>
       
-      {/* Simulation Speed Control */}
+      {/* Save / load the whole study */}
+      <ScenarioPanel
+        satelliteCount={tleSatellites.length}
+        getScenario={getScenario}
+        loadScenario={loadScenario}
+        lastAutosave={lastAutosave}
+        autosaveHeld={autosaveHeld}
+        getShareLink={getShareLink}
+        linkTooLong={linkTooLong}
+      />
+
+      {/* Simulation Clock Controls */}
       <div className="control-group">
-        <label>Simulation Speed</label>
+        <label>Simulation Time</label>
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+          <button
+            onClick={() => (clockState.playing ? clock.pause() : clock.play())}
+            style={clockButtonStyle}
+            title={clockState.playing ? 'Pause' : 'Play'}
+          >
+            {clockState.playing ? '⏸ Pause' : '▶ Play'}
+          </button>
+          <button
+            onClick={() => clock.setSpeed(-clockState.speed)}
+            style={{ ...clockButtonStyle, background: clockState.speed < 0 ? '#003300' : '#222' }}
+            title="Run time backwards"
+          >
+            ⏪ Reverse
+          </button>
+          <button
+            onClick={() => clock.setTime(new Date())}
+            style={clockButtonStyle}
+            title="Jump to the current real time"
+          >
+            Now
+          </button>
+        </div>
         <input
           type="range"
           min="0.1"
           max="1000"
           step="0.1"
-          value={simulationSpeed}
+          value={Math.abs(clockState.speed)}
           onChange={handleSpeedChange}
           style={{
             background: 'linear-gradient(to right, #333, #00ff00)',
@@ -198,10 +277,48 @@ function ControlPanel({
           }}
         />
         <div className="speed-display">
-          {simulationSpeed < 1 
-            ? `${(simulationSpeed * 100).toFixed(0)}% Real Time`
-            : `${simulationSpeed.toFixed(1)}x Speed`
+          {clockState.speed < 0 ? '◀ ' : ''}
+          {Math.abs(clockState.speed) < 1 
+            ? `${(Math.abs(clockState.speed) * 100).toFixed(0)}% Real Time`
+            : `${Math.abs(clockState.speed).toFixed(1)}x Speed`
           }
+          {clockState.playing ? '' : ' (paused)'}
+        </div>
+        <div style={{ display: 'flex', gap: '6px', marginTop: '8px', alignItems: 'center', fontSize: '11px' }}>
+          <button onClick={() => clock.step(-stepSeconds)} style={clockButtonStyle} title="Step backwards">
+            ◀ Step
+          </button>
+          <input
+            type="number"
+            min="1"
+            value={stepSeconds}
+            onChange={(e) => setStepSeconds(Math.max(1, parseFloat(e.target.value) || 1))}
+            style={{ width: '70px' }}
+          />
+          <span style={{ color: '#ccc' }}>s</span>
+          <button onClick={() => clock.step(stepSeconds)} style={clockButtonStyle} title="Step forwards">
+            Step ▶
+          </button>
+        </div>
+        <div style={{ display: 'flex', gap: '6px', marginTop: '8px', alignItems: 'center' }}>
+          <input
+            type="datetime-local"
+            step="1"
+            value={jumpTimeStr}
+            onChange={(e) => setJumpTimeStr(e.target.value)}
+            style={{
+              flex: '1 1 auto',
+              padding: '4px',
+              background: '#222',
+              color: 'white',
+              border: '1px solid #555',
+              borderRadius: '3px',
+              fontSize: '11px'
+            }}
+          />
+          <button onClick={handleJumpToTime} style={clockButtonStyle} title="Set the simulation time (UTC)">
+            Set UTC
+          </button>
         </div>
       </div>
       
@@ -231,6 +348,31 @@ function ControlPanel({
         </div>
       </div>
       
+      {/* Propagator Selection */}
+      <div className="control-group">
+        <label>Propagator</label>
+        <select
+          value={propagatorId}
+          onChange={(e) => setPropagatorId(e.target.value)}
+          style={{
+            width: '100%',
+            padding: '5px',
+            background: '#222',
+            color: 'white',
+            border: '1px solid #555',
+            borderRadius: '3px',
+            fontSize: '11px'
+          }}
+        >
+          {propagatorOptions.map(p => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+        </select>
+        <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
+          {propagatorOptions.find(p => p.id === propagatorId)?.description}. Individual satellites can override this below.
+        </div>
+      </div>
+      
       {/* TLE Satellites Section */}
       <div className="control-group">
         
@@ -264,6 +406,15 @@ function ControlPanel({
               />
               Coverage
             </label>
+            <label style={{ cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={tleSatellites.every(sat => sat.showGroundTrack)}
+                onChange={(e) => toggleAllSatelliteVisibility('showGroundTrack', e.target.checked)}
+                style={{ marginRight: '4px' }}
+              />
+              Ground Tracks
+            </label>
             <label style={{ cursor: 'pointer' }}>
               <input
                 type="checkbox"
@@ -282,12 +433,65 @@ function ControlPanel({
               />
               Grid
             </label>
+            <label style={{ cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={showHeatmap}
+                onChange={(e) => setShowHeatmap(e.target.checked)}
+                style={{ marginRight: '4px' }}
+              />
+              Heatmap
+            </label>
+          </div>
+          {showHeatmap && (
+            <HeatmapLegend metric={heatmapMetric} setMetric={setHeatmapMetric} coverageStats={coverageStats} />
+          )}
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px', fontSize: '10px', alignItems: 'center', color: '#ccc' }}>
+            Ground track orbits: past
+            <input
+              type="number"
+              min="0"
+              max="20"
+              value={groundTrackWindow.orbitsBefore}
+              onChange={(e) => setGroundTrackWindow({ ...groundTrackWindow, orbitsBefore: Math.min(20, Math.max(0, parseInt(e.target.value) || 0)) })}
+              style={{ width: '42px', background: '#222', color: 'white', border: '1px solid #555', borderRadius: '2px', fontSize: '10px' }}
+            />
+            future
+            <input
+              type="number"
+              min="0"
+              max="20"
+              value={groundTrackWindow.orbitsAfter}
+              onChange={(e) => setGroundTrackWindow({ ...groundTrackWindow, orbitsAfter: Math.min(20, Math.max(0, parseInt(e.target.value) || 0)) })}
+              style={{ width: '42px', background: '#222', color: 'white', border: '1px solid #555', borderRadius: '2px', fontSize: '10px' }}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px', fontSize: '10px', alignItems: 'center', color: '#ccc' }}>
+            Rendering:
+            <select
+              value={renderMode}
+              onChange={(e) => setRenderMode(e.target.value)}
+              style={{ background: '#222', color: 'white', border: '1px solid #555', borderRadius: '2px', fontSize: '10px' }}
+            >
+              {Object.entries(RENDER_MODES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <span style={{ color: '#888', fontSize: '9px' }}>
+              {RENDER_MODES[renderMode].description}{massRendering ? ' (points active)' : ''}
+            </span>
           </div>
           <div style={{ marginTop: '8px', fontSize: '10px', color: '#00ff00' }}>
             <div style={{ fontWeight: 'bold' }}>Global Earth Coverage:</div>
             <div style={{ color: '#ccc' }}>
               {`${(globalCoveragePercent ?? 0).toFixed(2)}%`} ({((globalCoverageAreaKm2 ?? 0) / 1_000_000).toFixed(2)}M km²)
             </div>
+            {coverageShown > MAX_FOOTPRINTS && (
+              <div style={{ color: '#ffaa00', fontSize: '9px', marginTop: '2px' }}>
+                Footprints drawn for {MAX_FOOTPRINTS} of the {coverageShown} satellites with coverage shown;
+                the figures above include all of them.
+              </div>
+            )}
           </div>
         </div>
 
@@ -341,63 +545,6 @@ function ControlPanel({
           >
             {showVisibleTle ? 'Hide Visible TLE' : 'Show Visible TLE'}
           </button>
-
-          {/* Minimal constellation button when exactly one satellite is visible */}
-          {(() => {
-            const visible = tleSatellites.filter(s => s.showCoverage && s.rawLine1 && s.rawLine2);
-            if (visible.length !== 1) return null;
-            const sat = visible[0];
-            const cov = satelliteCoverageData[sat.id];
-            const psi = cov?.centralAngle;
-            const N = computeMinimalCount(psi);
-            return (
-              <button
-                onClick={() => {
-                  if (!sat.rawLine1 || !sat.rawLine2) return;
-                  const psiLocal = psi || (Math.PI/6);
-                  const planes = computePlanes(sat.tleData.inclination, psiLocal);
-                  const P = planes.length;
-                  // Original orbital elements
-                  const origM = parseFloat(sat.rawLine2.substring(43, 51));
-                  const origRAAN = parseFloat(sat.rawLine2.substring(17, 25));
-
-                  let idx = 1;
-                  for (let p = 0; p < P; p++) {
-                    const incDeg = planes[p];
-                    // Distribute RAANs evenly to interleave planes
-                    const raanDeg = ((isFinite(origRAAN) ? origRAAN : 0) + (360 / P) * p) % 360;
-                    for (let k = 0; k < N; k++) {
-                      // Skip original satellite slot (best-effort) if same plane and phase
-                      if (p === 0 && k === 0 && Math.abs(incDeg - sat.tleData.inclination) < 0.5) continue;
-                      const deltaM = (360 / N) * k;
-                      const newM = ((isFinite(origM) ? origM : 0) + deltaM) % 360;
-                      let line2 = sat.rawLine2;
-                      line2 = replaceInclination(line2, incDeg);
-                      line2 = replaceRAAN(line2, raanDeg);
-                      line2 = replaceMeanAnomaly(line2, newM);
-                      const name = `${sat.tleData.name} [${idx + 1}/${P*N}]`;
-                      addTLESatellite(name, sat.rawLine1, line2);
-                      idx++;
-                    }
-                  }
-                }}
-                title="Add planes (inclination) and phased satellites to target full Earth coverage"
-                style={{
-                  background: '#0088cc',
-                  color: 'white',
-                  border: '1px solid #00ccff',
-                  padding: '6px 10px',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '10px',
-                  fontWeight: 'bold',
-                  flex: '0 0 auto'
-                }}
-              >
-                Show minimal constellation (~100% coverage)
-              </button>
-            );
-          })()}
         </div>
 
         {/* Visible satellites TLE textbox */}
@@ -479,12 +626,12 @@ function ControlPanel({
                 value={tleInput}
                 onChange={(e) => handleTleInputChange(e.target.value)}
                 placeholder={`ISS (ZARYA)
-1 25544U 98067A   24001.00000000  .00020137  00000-0  16538-3 0  9993
-2 25544  51.6461 339.2377 0001078  88.2548 271.9142 15.48919103123456
+1 25544U 98067A   24001.00000000  .00020137  00000-0  16538-3 0  9996
+2 25544  51.6461 339.2377 0001078  88.2548 271.9142 15.48919103123452
 
 MOLNIYA 1-91
-1 25485U 98054A   25220.25238000  -.00000045  00000+0  00000+0 0  9999
-2 25485  64.5387 331.0544 6772907 286.8560 13.3661  2.36441399 206179`}
+1 25485U 98054A   25220.25238000 -.00000045  00000+0  00000+0 0  9999
+2 25485  64.5387 331.0544 6772907 286.8560  13.3661  2.36441399206179`}
                 rows={8}
                 style={{
                   width: '100%',
@@ -501,6 +648,7 @@ MOLNIYA 1-91
               />
               <div style={{ fontSize: '10px', color: '#888', marginTop: '3px' }}>
                 Each satellite: optional name line, then TLE line 1 (starts with "1 ") and TLE line 2 (starts with "2 ").
+                Alpha-5 catalog numbers are accepted. CCSDS OMMs in KVN, XML or catalog JSON can be pasted instead.
               </div>
             </div>
 
@@ -549,10 +697,76 @@ MOLNIYA 1-91
           </div>
         )}
 
+        {/* Import report */}
+        {importReport && (
+          <div style={{
+            marginBottom: '10px',
+            padding: '6px',
+            background: 'rgba(255, 255, 255, 0.05)',
+            border: `1px solid ${importReport.added === importReport.entries.length ? '#00aa00' : '#aa4444'}`,
+            borderRadius: '3px',
+            fontSize: '10px'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+              <span style={{ color: '#ccc', fontWeight: 'bold' }}>
+                Import: {importReport.added} added, {importReport.entries.length - importReport.added} rejected
+              </span>
+              <button
+                onClick={() => setImportReport(null)}
+                style={{ background: 'none', color: '#888', border: 'none', cursor: 'pointer', fontSize: '10px' }}
+                title="Dismiss"
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+              {importReport.entries.map((entry, i) => (
+                <div key={i} style={{ marginBottom: '2px' }}>
+                  <span style={{ color: entry.ok ? '#00ff00' : '#ff6666' }}>{entry.ok ? '✓' : '✗'}</span>{' '}
+                  <span style={{ color: '#ccc' }}>{entry.name}</span>
+                  {entry.messages.map((message, j) => (
+                    <div key={j} style={{ color: '#ff9999', fontFamily: 'monospace', fontSize: '9px', marginLeft: '12px' }}>
+                      {message}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* With mass rendering, satellites are found by name and selected for detail */}
+        {massRendering && tleSatellites.length > 0 && (
+          <div style={{ marginTop: '10px', fontSize: '10px', color: '#ccc' }}>
+            <div style={{ color: '#888', fontSize: '9px', marginBottom: '4px' }}>
+              {tleSatellites.length - listedSatellites.length} satellites drawn as points. Click one in the scene,
+              or find it by name, to show its orbit, footprint, ground track and details.
+            </div>
+            <input
+              type="text"
+              value={satelliteSearch}
+              onChange={(e) => setSatelliteSearch(e.target.value)}
+              placeholder="Find satellite by name"
+              style={{ width: '100%', padding: '4px', background: '#222', color: 'white', border: '1px solid #555', borderRadius: '3px', fontSize: '10px', boxSizing: 'border-box' }}
+            />
+            {searchMatches.map(satellite => (
+              <div key={satellite.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '2px' }}>
+                <span style={{ color: satellite.color }}>{satellite.tleData.name}</span>
+                <button
+                  onClick={() => toggleSatelliteSelection(satellite.id)}
+                  style={{ background: '#222', color: '#ccc', border: '1px solid #555', borderRadius: '2px', cursor: 'pointer', fontSize: '9px', padding: '1px 4px' }}
+                >
+                  Select
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* List of added TLE satellites */}
-        {tleSatellites.length > 0 && (
+        {listedSatellites.length > 0 && (
           <div style={{ marginTop: '10px' }}>
-            {tleSatellites.map(satellite => (
+            {listedSatellites.map(satellite => (
               <div
                 key={satellite.id}
                 style={{
@@ -569,9 +783,27 @@ MOLNIYA 1-91
                   alignItems: 'center',
                   marginBottom: '5px'
                 }}>
-                  <span style={{ color: satellite.color, fontWeight: 'bold' }}>
+                  <span style={{ color: satellite.color, fontWeight: 'bold', flex: 1 }}>
                     {satellite.tleData.name}
                   </span>
+                  {massRendering && (
+                    <button
+                      onClick={() => toggleSatelliteSelection(satellite.id)}
+                      title="Draw this satellite as a point again"
+                      style={{
+                        background: '#222',
+                        color: '#ccc',
+                        border: '1px solid #555',
+                        padding: '1px 4px',
+                        borderRadius: '2px',
+                        cursor: 'pointer',
+                        fontSize: '9px',
+                        marginRight: '4px'
+                      }}
+                    >
+                      Deselect
+                    </button>
+                  )}
                   <button
                     onClick={() => removeTLESatellite(satellite.id)}
                     style={{
@@ -595,6 +827,26 @@ MOLNIYA 1-91
                   Inc: {satellite.tleData.inclination.toFixed(1)}° | 
                   Period: {satellite.tleData.period.toFixed(1)}min
                 </div>
+
+                <div style={{ marginTop: '3px', fontSize: '10px', color: '#ccc' }}>
+                  Propagator:{' '}
+                  <select
+                    value={satellite.propagator || ''}
+                    onChange={(e) => setSatellitePropagator(satellite.id, e.target.value || null)}
+                    style={{
+                      background: '#222',
+                      color: '#ccc',
+                      border: '1px solid #555',
+                      borderRadius: '2px',
+                      fontSize: '10px'
+                    }}
+                  >
+                    <option value="">Global ({propagatorOptions.find(p => p.id === propagatorId)?.label})</option>
+                    {propagatorOptions.map(p => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
+                </div>
                 
                 {/* Coverage Information */}
                 {satelliteCoverageData[satellite.id] && (
@@ -612,15 +864,78 @@ MOLNIYA 1-91
                     </div>
                     <div style={{ color: '#ccc', fontSize: '9px' }}>
                       Area: {(satelliteCoverageData[satellite.id].coverageAreaKm2 / 1000000).toFixed(1)}M km² | 
-                      Current Alt: {satelliteCoverageData[satellite.id].satelliteAltitudeKm?.toFixed(0)}km
+                      Current Alt: {(satelliteCoverageData[satellite.id].geodeticAltitudeKm ?? satelliteCoverageData[satellite.id].satelliteAltitudeKm)?.toFixed(0)}km
                     </div>
+                    {satelliteCoverageData[satellite.id].subSatellitePoint && (
+                      <div style={{ color: '#ccc', fontSize: '9px' }}>
+                        Sub-point: {formatLatitude(satelliteCoverageData[satellite.id].subSatellitePoint.latitude)},{' '}
+                        {formatLongitude(satelliteCoverageData[satellite.id].subSatellitePoint.longitude)}
+                      </div>
+                    )}
+                    {satelliteCoverageData[satellite.id].eclipse && (
+                      <div style={{ color: satelliteCoverageData[satellite.id].eclipse.state === 'sunlight' ? '#ffdd66' : '#8899ff', fontSize: '9px' }}>
+                        {formatEclipse(satelliteCoverageData[satellite.id].eclipse)}
+                      </div>
+                    )}
                   </div>
                 )}
+
+                <EclipseSchedule
+                  clock={clock}
+                  tleData={satellite.tleData}
+                  propagatorId={satellite.propagator || propagatorId}
+                />
               </div>
             ))}
           </div>
         )}
       </div>
+
+      {/* Time-integrated coverage */}
+      <CoverageStatsPanel
+        clock={clock}
+        tleSatellites={tleSatellites}
+        propagatorId={propagatorId}
+        minElevationAngle={minElevationAngle}
+        coverageStats={coverageStats}
+        setCoverageStats={setCoverageStats}
+      />
+
+      {/* Satellites from elements or a state vector */}
+      <OrbitEntryPanel clock={clock} addOrbitSatellite={addOrbitSatellite} />
+
+      {/* Walker Delta / Star constellations */}
+      <WalkerPanel tleSatellites={tleSatellites} addWalkerConstellation={addWalkerConstellation} />
+
+      {/* Constellation sizing against a coverage target */}
+      <OptimizerPanel clock={clock} propagatorId={propagatorId} addWalkerConstellation={addWalkerConstellation} />
+
+      {/* Ground Stations */}
+      <GroundStationPanel
+        clock={clock}
+        groundStations={groundStations}
+        addGroundStation={addGroundStation}
+        removeGroundStation={removeGroundStation}
+        tleSatellites={tleSatellites}
+        propagatorId={propagatorId}
+      />
+
+      {/* Pass Prediction */}
+      <PassPredictionPanel
+        clock={clock}
+        groundStations={groundStations}
+        tleSatellites={tleSatellites}
+        propagatorId={propagatorId}
+      />
+
+      {/* Conjunction Screening */}
+      <ConjunctionPanel
+        clock={clock}
+        tleSatellites={tleSatellites}
+        propagatorId={propagatorId}
+        selectedConjunction={selectedConjunction}
+        setSelectedConjunction={setSelectedConjunction}
+      />
     </div>
   );
 }
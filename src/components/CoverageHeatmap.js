@@ -0,0 +1,101 @@
+import React, { useRef, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { createCoverageGrid } from '../utils/coverageAnalysis';
+import {
+  HEATMAP_METRICS,
+  FOLD_GRID_RESOLUTION,
+  FOLD_SCALE_MAX,
+  statisticsLayer,
+  paintHeatmap
+} from '../utils/heatmap';
+import { coveragePool, shareElementSets } from '../workers/coveragePool';
+
+// Live fold counts are requested at this interval of wall-clock time
+const FOLD_REFRESH_MS = 500;
+
+// Write values into the canvas and flag the texture for upload
+function paintTexture({ context, imageData, texture }, grid, values, scale) {
+  paintHeatmap(imageData.data, grid, values, scale);
+  context.putImageData(imageData, 0, 0);
+  texture.needsUpdate = true;
+}
+
+/**
+ * Semi-transparent colour-mapped coverage layer just above the globe surface.
+ * Mounted inside the Earth group, so the equirectangular texture stays Earth-fixed.
+ * Fold counts are recomputed live; the time-integrated metrics come from the last
+ * coverage statistics run.
+ */
+function CoverageHeatmap({ clock, metric = 'folds', coverageStats, tleSatellites = [], propagatorId, minElevationAngle = 0 }) {
+  const lastPaintRef = useRef(0);
+  const busyRef = useRef(false);
+  const metricRef = useRef(metric);
+  metricRef.current = metric;
+
+  const foldGrid = useMemo(() => createCoverageGrid({ latitudeMin: -90, latitudeMax: 90, resolution: FOLD_GRID_RESOLUTION }), []);
+  const layer = useMemo(() => (metric === 'folds' ? null : statisticsLayer(metric, coverageStats)), [metric, coverageStats]);
+  const grid = metric === 'folds' ? foldGrid : layer && layer.grid;
+
+  // Canvas sized to the grid: one pixel per cell, whole globe
+  const surface = useMemo(() => {
+    const width = grid ? grid.cols : 1;
+    const height = grid ? Math.round(180 / grid.resolution) : 1;
+    const element = document.createElement('canvas');
+    element.width = width;
+    element.height = height;
+    const ctx = element.getContext('2d');
+    const tex = new THREE.CanvasTexture(element);
+    tex.magFilter = THREE.NearestFilter;
+    tex.minFilter = THREE.LinearFilter;
+    return { context: ctx, texture: tex, imageData: ctx.createImageData(width, height) };
+  }, [grid]);
+
+  useEffect(() => () => surface.texture.dispose(), [surface]);
+
+  // Time-integrated metrics change only with a new statistics run
+  useEffect(() => {
+    if (metric !== 'folds' && layer) {
+      paintTexture(surface, layer.grid, layer.values, { min: layer.min, max: layer.max, reverse: HEATMAP_METRICS[metric].reverse });
+    }
+  }, [metric, layer, surface]);
+
+  // Fold counts come from the worker pool; a request is only sent once the previous one is back
+  useFrame(() => {
+    if (metric !== 'folds' || busyRef.current) return;
+    const now = performance.now();
+    if (now - lastPaintRef.current < FOLD_REFRESH_MS) return;
+    lastPaintRef.current = now;
+    busyRef.current = true;
+    coveragePool.run('folds', {
+      satellites: shareElementSets(tleSatellites.filter(s => s.showCoverage)),
+      time: clock.getTimeMs(),
+      resolution: FOLD_GRID_RESOLUTION,
+      minElevation: minElevationAngle,
+      propagatorId
+    })
+      .then(folds => {
+        if (metricRef.current === 'folds') paintTexture(surface, foldGrid, folds, { min: 0, max: FOLD_SCALE_MAX });
+      })
+      .catch(error => console.warn(`Fold count failed: ${error.message}`))
+      .finally(() => {
+        busyRef.current = false;
+      });
+  });
+
+  // Force an immediate repaint when the inputs of the live layer change
+  useEffect(() => {
+    lastPaintRef.current = 0;
+  }, [metric, tleSatellites, minElevationAngle, propagatorId]);
+
+  if (!grid) return null;
+
+  return (
+    <mesh renderOrder={1}>
+      <sphereGeometry args={[2 * 1.004, 128, 64]} />
+      <meshBasicMaterial map={surface.texture} transparent opacity={0.55} depthWrite={false} />
+    </mesh>
+  );
+}
+
+export default CoverageHeatmap;
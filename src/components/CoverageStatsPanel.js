@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { coveragePool } from '../workers/coveragePool';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const formatMinutes = (seconds) => (seconds / 60).toFixed(1);
+const formatLatitude = (deg) => `${Math.abs(deg)}°${deg > 0 ? 'N' : deg < 0 ? 'S' : ''}`;
+
+/**
+ * Time-integrated coverage of the satellites with coverage shown: percent of time
+ * covered, mean / maximum revisit gap and number of accesses per grid cell, over a
+ * window starting at the simulation time, summarized over the band and per latitude band.
+ */
+function CoverageStatsPanel({ clock, tleSatellites = [], propagatorId, minElevationAngle = 0, coverageStats, setCoverageStats }) {
+  const [settings, setSettings] = useState({ windowHours: 24, stepSeconds: 60, resolution: 5, bandSize: 10, latitudeMin: -90, latitudeMax: 90 });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const active = tleSatellites.filter(s => s.showCoverage);
+
+  const setNumber = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (isFinite(value)) setSettings({ ...settings, [key]: value });
+  };
+
+  const handleCompute = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const started = performance.now();
+      const start = clock.getTime();
+      const { grid, result, bands } = await coveragePool.run('statistics', {
+        satellites: active.map(s => ({ tle: s.tleData, propagatorId: s.propagator })),
+        band: settings,
+        bandSize: settings.bandSize,
+        start,
+        end: new Date(start.getTime() + settings.windowHours * 3600 * 1000),
+        stepSeconds: settings.stepSeconds,
+        minElevation: minElevationAngle,
+        propagatorId
+      });
+      setCoverageStats({
+        grid,
+        result,
+        bands,
+        satelliteCount: active.length,
+        minElevation: minElevationAngle,
+        elapsed: performance.now() - started
+      });
+    } catch (e) {
+      setError(e.message);
+    }
+    setRunning(false);
+  };
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#66ffcc' }}>
+        📊 Coverage Statistics
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '4px', fontSize: '10px', color: '#ccc' }}>
+        <div>
+          Window (h)
+          <input type="number" min="1" max="240" value={settings.windowHours} onChange={setNumber('windowHours')} style={inputStyle} />
+        </div>
+        <div>
+          Step (s)
+          <input type="number" min="10" max="600" value={settings.stepSeconds} onChange={setNumber('stepSeconds')} style={inputStyle} />
+        </div>
+        <div>
+          Grid (°)
+          <input type="number" min="1" max="15" value={settings.resolution} onChange={setNumber('resolution')} style={inputStyle} />
+        </div>
+        <div>
+          Latitude from (°)
+          <input type="number" min="-90" max="90" value={settings.latitudeMin} onChange={setNumber('latitudeMin')} style={inputStyle} />
+        </div>
+        <div>
+          Latitude to (°)
+          <input type="number" min="-90" max="90" value={settings.latitudeMax} onChange={setNumber('latitudeMax')} style={inputStyle} />
+        </div>
+        <div>
+          Band (°)
+          <input type="number" min="1" max="90" value={settings.bandSize} onChange={setNumber('bandSize')} style={inputStyle} />
+        </div>
+      </div>
+      <button
+        onClick={handleCompute}
+        disabled={active.length === 0 || running}
+        style={{
+          marginTop: '6px',
+          width: '100%',
+          background: '#222',
+          color: '#66ffcc',
+          border: '1px solid #66ffcc',
+          padding: '5px',
+          borderRadius: '3px',
+          cursor: active.length === 0 || running ? 'not-allowed' : 'pointer',
+          fontSize: '10px'
+        }}
+      >
+        {running ? 'Computing…' : `Compute for ${active.length} satellite${active.length === 1 ? '' : 's'} (min elevation ${minElevationAngle}°)`}
+      </button>
+
+      {error && <div style={{ color: '#ff6666', fontSize: '10px', marginTop: '4px' }}>✗ {error}</div>}
+
+      {coverageStats && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ color: '#888', fontSize: '9px' }}>
+            {coverageStats.satelliteCount} satellites, {coverageStats.result.start.toISOString().slice(0, 16).replace('T', ' ')} UTC
+            {' '}+ {((coverageStats.result.end - coverageStats.result.start) / 3600000).toFixed(0)} h,{' '}
+            {coverageStats.grid.count} cells × {coverageStats.result.steps} steps ({(coverageStats.elapsed / 1000).toFixed(1)} s)
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px', margin: '4px 0', color: '#66ffcc' }}>
+            <div>Time covered: {coverageStats.result.percentCovered.toFixed(2)}%</div>
+            <div>Accesses / cell: {coverageStats.result.meanAccesses.toFixed(1)}</div>
+            <div>Mean revisit gap: {formatMinutes(coverageStats.result.meanRevisitGap)} min</div>
+            <div>Max revisit gap: {formatMinutes(coverageStats.result.maxRevisitGap)} min</div>
+          </div>
+          <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9px' }}>
+              <thead>
+                <tr style={{ color: '#888', textAlign: 'right' }}>
+                  <th style={{ textAlign: 'left', position: 'sticky', top: 0, background: '#111' }}>Latitude</th>
+                  <th style={{ position: 'sticky', top: 0, background: '#111' }}>% time</th>
+                  <th style={{ position: 'sticky', top: 0, background: '#111' }}>Mean gap min</th>
+                  <th style={{ position: 'sticky', top: 0, background: '#111' }}>Max gap min</th>
+                  <th style={{ position: 'sticky', top: 0, background: '#111' }}>Accesses</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...coverageStats.bands].reverse().map(band => (
+                  <tr key={band.latitudeMin} style={{ textAlign: 'right' }}>
+                    <td style={{ textAlign: 'left' }}>{formatLatitude(band.latitudeMin)} – {formatLatitude(band.latitudeMax)}</td>
+                    <td>{band.percentCovered.toFixed(1)}</td>
+                    <td>{formatMinutes(band.meanGap)}</td>
+                    <td>{formatMinutes(band.maxGap)}</td>
+                    <td>{band.meanAccesses.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {!coverageStats && (
+        <div style={{ color: '#666', fontSize: '10px', marginTop: '4px' }}>
+          Accumulates coverage of every grid cell over the window, unlike the instantaneous global figure above.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CoverageStatsPanel;
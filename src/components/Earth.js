@@ -1,11 +1,17 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { useLoader } from '@react-three/fiber';
 import { useTexture } from '@react-three/drei';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
 import * as THREE from 'three';
+import { gmst } from '../utils/frames';
+import { geodeticToScene } from '../utils/groundTrack';
 
-function Earth({ simulationSpeed, showGrid = true, showModel = true }) {
+// The model has Greenwich on +z and 90°E on +x; rotate so Greenwich lies on the
+// scene +x axis, where eciToSceneCoordinates puts the ECEF x axis at GMST = 0
+const MODEL_GREENWICH_OFFSET = Math.PI / 2;
+
+function Earth({ clock, showGrid = true, showModel = true, groundStations = [], children }) {
   const earthRef = useRef();
 
   // Scene Earth radius
@@ -101,11 +107,27 @@ function Earth({ simulationSpeed, showGrid = true, showModel = true }) {
     return { latitudeLines: latLines, longitudeLines: lonLines };
   }, []);
 
-  // Earth rotation animation (apply to group containing globe + grid)
-  useFrame((state, delta) => {
-    const earthRotationSpeed = (2 * Math.PI) / (24 * 60 * 60); // radians per second for 24-hour day
+  // Ground station markers: a dot on the surface and a short mast along the local vertical
+  const stationMarkers = useMemo(() => groundStations.map(station => {
+    const base = geodeticToScene(station.latitude, station.longitude, SCENE_EARTH_RADIUS * 1.002);
+    const tip = geodeticToScene(station.latitude, station.longitude, SCENE_EARTH_RADIUS * 1.03);
+    return {
+      id: station.id,
+      base: [base.x, base.y, base.z],
+      mast: new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(base.x, base.y, base.z),
+        new THREE.Vector3(tip.x, tip.y, tip.z)
+      ])
+    };
+  }), [groundStations]);
+
+  useEffect(() => () => stationMarkers.forEach(m => m.mast.dispose()), [stationMarkers]);
+
+  // Orient the globe (and grid) from sidereal time at the simulation time, so it
+  // snaps correctly after time jumps and when the clock runs backwards
+  useFrame(() => {
     if (earthRef.current) {
-      earthRef.current.rotation.y += earthRotationSpeed * delta * simulationSpeed;
+      earthRef.current.rotation.y = gmst(clock.getTime());
     }
   });
   
@@ -118,9 +140,27 @@ function Earth({ simulationSpeed, showGrid = true, showModel = true }) {
 
       {/* Earth model (1% smaller) */}
       {showModel && earthModel && (
-        <primitive object={earthModel} />
+        <group rotation={[0, MODEL_GREENWICH_OFFSET, 0]}>
+          <primitive object={earthModel} />
+        </group>
       )}
 
+      {/* Ground station markers (Earth-fixed) */}
+      {stationMarkers.map(marker => (
+        <group key={marker.id}>
+          <mesh position={marker.base}>
+            <sphereGeometry args={[0.015, 12, 12]} />
+            <meshBasicMaterial color="#ffcc00" />
+          </mesh>
+          <line geometry={marker.mast}>
+            <lineBasicMaterial color="#ffcc00" />
+          </line>
+        </group>
+      ))}
+
+      {/* Earth-fixed overlays (coverage heatmap) */}
+      {children}
+
       {/* Grid lines, fixed to exact Earth radius */}
       {showGrid && (
         <group>
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { predictEclipses } from '../utils/eclipsePredictor';
+import { formatDuration } from '../utils/timeFormat';
+
+// Look-ahead window and how far the clock may move before recomputing, in orbits
+const LOOKAHEAD_ORBITS = 3;
+const REFRESH_ORBITS = 0.5;
+const MAX_LISTED = 3;
+
+const formatClock = (date) => date.toISOString().slice(11, 19);
+const formatDay = (date) => date.toISOString().slice(5, 10);
+
+/**
+ * Upcoming eclipse entry and exit times of one satellite, relative to the simulation clock
+ */
+function EclipseSchedule({ clock, tleData, propagatorId }) {
+  const [schedule, setSchedule] = useState({ from: null, eclipses: [] });
+  const [now, setNow] = useState(() => clock.getTime());
+
+  useEffect(() => {
+    const periodMs = tleData.period * 60 * 1000;
+    let from = null;
+
+    const update = () => {
+      const time = clock.getTime();
+      setNow(time);
+      // Predictions stay valid while the clock is inside the computed window
+      if (from !== null && time >= from && time - from < REFRESH_ORBITS * periodMs) return;
+      from = time;
+      const end = new Date(time.getTime() + LOOKAHEAD_ORBITS * periodMs);
+      try {
+        setSchedule({ from: time, eclipses: predictEclipses(tleData, time, end, { propagatorId }) });
+      } catch (e) {
+        setSchedule({ from: time, eclipses: [] });
+      }
+    };
+    update();
+    const id = setInterval(update, 1000);
+    return () => clearInterval(id);
+  }, [clock, tleData, propagatorId]);
+
+  const upcoming = schedule.eclipses.filter(e => e.penumbraExit > now).slice(0, MAX_LISTED);
+
+  return (
+    <div style={{ marginTop: '3px', fontSize: '9px', color: '#ccc' }}>
+      <div style={{ color: '#888' }}>Upcoming eclipses (UTC, next {LOOKAHEAD_ORBITS} orbits)</div>
+      {upcoming.length === 0 ? (
+        <div style={{ color: '#666' }}>None — satellite stays in sunlight</div>
+      ) : (
+        upcoming.map(e => (
+          <div key={e.penumbraEntry.getTime()}>
+            {formatDay(e.penumbraEntry)}{' '}
+            {e.startsBeforeWindow ? 'in shadow' : `◐ ${formatClock(e.penumbraEntry)}`}
+            {e.umbraEntry && !e.startsBeforeWindow ? ` ● ${formatClock(e.umbraEntry)}` : ''}
+            {e.umbraExit && !e.endsAfterWindow ? ` → ${formatClock(e.umbraExit)}` : ''}
+            {e.endsAfterWindow ? ' → …' : ` ☀ ${formatClock(e.penumbraExit)}`}
+            {!e.startsBeforeWindow && !e.endsAfterWindow && (
+              <span style={{ color: '#888' }}> ({formatDuration(e.umbraDuration || e.duration)}{e.umbraEntry ? '' : ' partial'})</span>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default EclipseSchedule;
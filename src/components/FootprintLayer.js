@@ -0,0 +1,97 @@
+import React, { useMemo, useEffect } from 'react';
+import * as THREE from 'three';
+import { MAX_FOOTPRINTS, FOOTPRINT_LEVELS } from '../utils/footprints';
+
+const vertexShader = `
+  varying vec3 vDirection;
+
+  void main() {
+    vDirection = (modelMatrix * vec4(position, 1.0)).xyz;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Counts the footprints covering each surface point; the fill brightens with the
+// overlap count and the edge of every footprint is drawn in its satellite's colour
+const fragmentShader = `
+  uniform sampler2D uFootprints;
+  uniform int uCount;
+  varying vec3 vDirection;
+
+  void main() {
+    vec3 direction = normalize(vDirection);
+    float overlaps = 0.0;
+    vec3 rim = vec3(0.0);
+    bool onRim = false;
+    for (int i = 0; i < MAX_FOOTPRINTS; i++) {
+      if (i >= uCount) break;
+      float u = (float(i) + 0.5) / float(MAX_FOOTPRINTS);
+      vec4 cap = texture2D(uFootprints, vec2(u, 0.25));
+      float c = dot(direction, cap.xyz);
+      if (c >= cap.w) {
+        overlaps += 1.0;
+        vec4 style = texture2D(uFootprints, vec2(u, 0.75));
+        if (c < style.w) {
+          rim = style.rgb;
+          onRim = true;
+        }
+      }
+    }
+    if (overlaps == 0.0) discard;
+    float level = min(overlaps, FOOTPRINT_LEVELS) / FOOTPRINT_LEVELS;
+    if (onRim) {
+      gl_FragColor = vec4(rim, 0.85);
+    } else {
+      gl_FragColor = vec4(vec3(0.0, 1.0, 0.4) * (0.35 + 0.65 * level), 0.1 + 0.45 * level);
+    }
+  }
+`;
+
+/**
+ * Visibility footprints shaded directly on a shell just above the globe. Satellites
+ * write their footprints into the store every frame; the store is packed into a data
+ * texture, so hundreds of footprints cost one draw call and no geometry rebuilds.
+ */
+function FootprintLayer({ footprints }) {
+  const texture = useMemo(() => {
+    const data = new Float32Array(MAX_FOOTPRINTS * 2 * 4);
+    const tex = new THREE.DataTexture(data, MAX_FOOTPRINTS, 2, THREE.RGBAFormat, THREE.FloatType);
+    tex.magFilter = THREE.NearestFilter;
+    tex.minFilter = THREE.NearestFilter;
+    return tex;
+  }, []);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      uFootprints: { value: texture },
+      uCount: { value: 0 }
+    },
+    defines: {
+      MAX_FOOTPRINTS,
+      FOOTPRINT_LEVELS: FOOTPRINT_LEVELS.toFixed(1)
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false
+  }), [texture]);
+
+  useEffect(() => () => {
+    texture.dispose();
+    material.dispose();
+  }, [texture, material]);
+
+  // Packed just before drawing, after every satellite has updated the store in its frame callback
+  const handleBeforeRender = () => {
+    material.uniforms.uCount.value = footprints.pack(texture.image.data);
+    texture.needsUpdate = true;
+  };
+
+  return (
+    <mesh material={material} renderOrder={1} onBeforeRender={handleBeforeRender}>
+      <sphereGeometry args={[2 * 1.003, 128, 64]} />
+    </mesh>
+  );
+}
+
+export default FootprintLayer;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SAMPLE_GROUND_STATIONS } from '../utils/groundStations';
+import { coveragePool, shareElementSets } from '../workers/coveragePool';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  background: '#222',
+  color: '#ffcc00',
+  border: '1px solid #ffcc00',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '10px'
+};
+
+const EMPTY_FORM = { name: '', latitude: '', longitude: '', altitude: '0', minElevation: '5' };
+
+function GroundStationPanel({ clock, groundStations = [], addGroundStation, removeGroundStation, tleSatellites = [], propagatorId }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [lookTable, setLookTable] = useState({});
+
+  // Live look angles for every station/satellite pair, computed by the worker pool once per
+  // second. The interval only runs while there are stations; it reads the latest inputs
+  // from a ref, so editing the satellites does not restart it.
+  const inputsRef = useRef();
+  inputsRef.current = { groundStations, tleSatellites, propagatorId };
+  const hasStations = groundStations.length > 0;
+  useEffect(() => {
+    if (!hasStations) {
+      setLookTable({});
+      return;
+    }
+    let busy = false;
+    let active = true;
+    const update = () => {
+      if (busy) return;
+      const inputs = inputsRef.current;
+      const satellites = inputs.tleSatellites;
+      busy = true;
+      coveragePool.run('lookAngles', {
+        stations: inputs.groundStations,
+        satellites: shareElementSets(satellites),
+        time: clock.getTimeMs(),
+        propagatorId: inputs.propagatorId
+      })
+        .then(table => {
+          if (!active) return;
+          setLookTable(Object.fromEntries(Object.entries(table).map(([stationId, looks]) =>
+            [stationId, looks.map(({ index, ...look }) => ({ sat: satellites[index], ...look }))])));
+        })
+        .catch(error => console.warn(`Look angles failed: ${error.message}`))
+        .finally(() => {
+          busy = false;
+        });
+    };
+    update();
+    const id = setInterval(update, 1000);
+    return () => {
+      active = false;
+      clearInterval(id);
+    };
+  }, [clock, hasStations]);
+
+  const handleAdd = () => {
+    if (addGroundStation(form)) {
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    }
+  };
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#ffcc00' }}>
+        📡 Ground Stations ({groundStations.length})
+      </h3>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px', flexWrap: 'wrap' }}>
+        <button onClick={() => setShowForm(!showForm)} style={smallButtonStyle}>
+          {showForm ? '✕ Cancel' : '+ Add Station'}
+        </button>
+        {SAMPLE_GROUND_STATIONS.map(station => (
+          <button
+            key={station.name}
+            onClick={() => addGroundStation(station)}
+            style={{ ...smallButtonStyle, color: '#ccc', borderColor: '#555' }}
+            title={`${station.latitude}°, ${station.longitude}°`}
+          >
+            {station.name}
+          </button>
+        ))}
+      </div>
+
+      {showForm && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px', marginBottom: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ gridColumn: '1 / span 2' }}>
+            Name
+            <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            Latitude (°)
+            <input type="number" step="0.0001" value={form.latitude} onChange={(e) => setForm({ ...form, latitude: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            Longitude (°)
+            <input type="number" step="0.0001" value={form.longitude} onChange={(e) => setForm({ ...form, longitude: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            Altitude (km)
+            <input type="number" step="0.001" value={form.altitude} onChange={(e) => setForm({ ...form, altitude: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            Min elevation (°)
+            <input type="number" step="1" min="0" max="90" value={form.minElevation} onChange={(e) => setForm({ ...form, minElevation: e.target.value })} style={inputStyle} />
+          </div>
+          <button onClick={handleAdd} style={{ ...smallButtonStyle, gridColumn: '1 / span 2' }}>
+            Add
+          </button>
+        </div>
+      )}
+
+      {groundStations.map(station => {
+        const looks = lookTable[station.id] || [];
+        const inView = looks.filter(l => l.visible).sort((a, b) => b.elevation - a.elevation);
+        return (
+          <div
+            key={station.id}
+            style={{
+              marginBottom: '8px',
+              padding: '6px',
+              background: 'rgba(255, 204, 0, 0.08)',
+              border: '1px solid rgba(255, 204, 0, 0.3)',
+              borderRadius: '4px',
+              fontSize: '10px'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span style={{ color: '#ffcc00', fontWeight: 'bold' }}>{station.name}</span>
+              <button
+                onClick={() => removeGroundStation(station.id)}
+                style={{ background: '#ff4444', color: 'white', border: 'none', padding: '2px 6px', borderRadius: '2px', cursor: 'pointer', fontSize: '10px' }}
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ color: '#888', fontSize: '9px', marginBottom: '4px' }}>
+              {station.latitude.toFixed(4)}°, {station.longitude.toFixed(4)}° | {(station.altitude * 1000).toFixed(0)} m | mask {station.minElevation}°
+            </div>
+            {inView.length === 0 ? (
+              <div style={{ color: '#888' }}>No satellites in view</div>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9px', color: '#ccc' }}>
+                <thead>
+                  <tr style={{ color: '#888', textAlign: 'right' }}>
+                    <th style={{ textAlign: 'left' }}>Satellite</th>
+                    <th>Az°</th>
+                    <th>El°</th>
+                    <th>Range km</th>
+                    <th>Rate km/s</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inView.map(l => (
+                    <tr key={l.sat.id} style={{ textAlign: 'right' }}>
+                      <td style={{ textAlign: 'left', color: l.sat.color, maxWidth: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {l.sat.tleData.name}
+                      </td>
+                      <td>{l.azimuth.toFixed(1)}</td>
+                      <td>{l.elevation.toFixed(1)}</td>
+                      <td>{l.range.toFixed(0)}</td>
+                      <td>{l.rangeRate.toFixed(3)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ color: '#666', fontSize: '9px', marginTop: '2px' }}>
+              {inView.length} of {looks.length} satellites above the mask
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default GroundStationPanel;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { HEATMAP_METRICS, FOLD_SCALE_MAX, colorMap, statisticsLayer } from '../utils/heatmap';
+
+// CSS gradient sampled from the heatmap colour scale
+const gradient = (reverse) => {
+  const stops = [];
+  for (let i = 0; i <= 10; i++) {
+    const [r, g, b] = colorMap(reverse ? 1 - i / 10 : i / 10);
+    stops.push(`rgb(${r}, ${g}, ${b}) ${i * 10}%`);
+  }
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+};
+
+/**
+ * Metric selector and colour scale of the coverage heatmap
+ */
+function HeatmapLegend({ metric, setMetric, coverageStats }) {
+  const { unit, reverse } = HEATMAP_METRICS[metric];
+  const layer = metric === 'folds' ? { min: 0, max: FOLD_SCALE_MAX } : statisticsLayer(metric, coverageStats);
+
+  return (
+    <div style={{ marginTop: '6px', fontSize: '10px', color: '#ccc' }}>
+      <select
+        value={metric}
+        onChange={(e) => setMetric(e.target.value)}
+        style={{ background: '#222', color: 'white', border: '1px solid #555', borderRadius: '2px', fontSize: '10px', marginBottom: '4px' }}
+      >
+        {Object.entries(HEATMAP_METRICS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {layer ? (
+        <div>
+          <div style={{ height: '8px', borderRadius: '2px', background: gradient(reverse) }} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '9px', color: '#888' }}>
+            <span>{layer.min.toFixed(0)} {unit}</span>
+            <span>{layer.max.toFixed(0)}{metric === 'folds' ? '+' : ''} {unit}</span>
+          </div>
+        </div>
+      ) : (
+        <div style={{ color: '#888', fontSize: '9px' }}>Compute coverage statistics to paint this metric.</div>
+      )}
+    </div>
+  );
+}
+
+export default HeatmapLegend;
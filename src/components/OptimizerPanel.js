@@ -0,0 +1,232 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  optimizeConstellation,
+  DEFAULT_COVERAGE_TARGET,
+  DEFAULT_EVALUATION,
+  DEFAULT_OPTIMIZER_SEARCH
+} from '../utils/coverageAnalysis';
+import { WALKER_PATTERNS, walkerNotation } from '../utils/walker';
+import { coveragePool } from '../workers/coveragePool';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  background: '#222',
+  color: '#cc99ff',
+  border: '1px solid #cc99ff',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '10px'
+};
+
+// "550, 800 1200" -> [550, 800, 1200]
+const parseList = (text) => text.split(/[\s,;]+/).filter(Boolean).map(Number).filter(isFinite);
+
+const INITIAL_FORM = {
+  percentCovered: String(DEFAULT_COVERAGE_TARGET.percentCovered),
+  maxRevisitGap: '',
+  latitudeMin: String(DEFAULT_COVERAGE_TARGET.latitudeMin),
+  latitudeMax: String(DEFAULT_COVERAGE_TARGET.latitudeMax),
+  minElevation: String(DEFAULT_COVERAGE_TARGET.minElevation),
+  pattern: 'delta',
+  altitudes: DEFAULT_OPTIMIZER_SEARCH.altitudes.join(', '),
+  inclinations: DEFAULT_OPTIMIZER_SEARCH.inclinations.join(', '),
+  minSatellites: String(DEFAULT_OPTIMIZER_SEARCH.minSatellites),
+  maxSatellites: String(DEFAULT_OPTIMIZER_SEARCH.maxSatellites),
+  maxPlanes: String(DEFAULT_OPTIMIZER_SEARCH.maxPlanes),
+  windowHours: String(DEFAULT_EVALUATION.windowHours),
+  stepSeconds: String(DEFAULT_EVALUATION.stepSeconds),
+  resolution: String(DEFAULT_EVALUATION.resolution)
+};
+
+/**
+ * Constellation sizing: searches Walker patterns for the fewest satellites that meet
+ * a time-covered / revisit-gap target over a latitude band, and shows the Pareto
+ * front of satellite count against coverage. Candidates are evaluated by the coverage worker
+ * pool, all of one satellite count at a time, so the scene keeps rendering.
+ */
+function OptimizerPanel({ clock, propagatorId, addWalkerConstellation }) {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop a running search when the panel goes away
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const field = (key, label, props = {}) => (
+    <div>
+      {label}
+      <input value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })} style={inputStyle} {...props} />
+    </div>
+  );
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const target = {
+      percentCovered: parseFloat(form.percentCovered),
+      maxRevisitGap: form.maxRevisitGap.trim() === '' ? null : parseFloat(form.maxRevisitGap),
+      latitudeMin: parseFloat(form.latitudeMin),
+      latitudeMax: parseFloat(form.latitudeMax),
+      minElevation: parseFloat(form.minElevation)
+    };
+    const search = {
+      patterns: [form.pattern],
+      altitudes: parseList(form.altitudes),
+      inclinations: parseList(form.inclinations),
+      minSatellites: parseInt(form.minSatellites, 10),
+      maxSatellites: parseInt(form.maxSatellites, 10),
+      maxPlanes: parseInt(form.maxPlanes, 10)
+    };
+    setResult(null);
+    setProgress({ done: 0, total: 0, evaluated: 0 });
+    const started = performance.now();
+    try {
+      const outcome = await optimizeConstellation(target, search, {
+        start: clock.getTime(),
+        windowHours: parseFloat(form.windowHours),
+        stepSeconds: parseFloat(form.stepSeconds),
+        resolution: parseFloat(form.resolution),
+        propagatorId,
+        signal: controller.signal,
+        onProgress: setProgress,
+        evaluate: (params, goal, { start, ...evaluation }) =>
+          coveragePool.run('walkerCandidate', { params, target: goal, start: start.getTime(), ...evaluation })
+      });
+      setResult({ ...outcome, target, elapsed: performance.now() - started });
+    } catch (error) {
+      setResult({ error: error.message });
+    }
+    setProgress(null);
+    abortRef.current = null;
+  };
+
+  const running = progress !== null;
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#cc99ff' }}>
+        📐 Constellation Sizing
+      </h3>
+
+      <button onClick={() => setShowForm(!showForm)} style={smallButtonStyle}>
+        {showForm ? '✕ Hide' : '+ Find Smallest Walker Constellation'}
+      </button>
+
+      {showForm && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ color: '#cc99ff', marginBottom: '2px' }}>Target</div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '4px' }}>
+            {field('percentCovered', 'Time covered (%)', { type: 'number', min: 0, max: 100 })}
+            {field('maxRevisitGap', 'Max gap (min)', { type: 'number', min: 0, placeholder: 'none' })}
+            {field('minElevation', 'Min elevation (°)', { type: 'number', min: 0, max: 90 })}
+            {field('latitudeMin', 'Latitude from (°)', { type: 'number', min: -90, max: 90 })}
+            {field('latitudeMax', 'Latitude to (°)', { type: 'number', min: -90, max: 90 })}
+            <div>
+              Pattern
+              <select value={form.pattern} onChange={(e) => setForm({ ...form, pattern: e.target.value })} style={inputStyle}>
+                {Object.entries(WALKER_PATTERNS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div style={{ color: '#cc99ff', margin: '6px 0 2px 0' }}>Search space</div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '4px' }}>
+            {field('altitudes', 'Altitudes (km)')}
+            {field('inclinations', 'Inclinations (°)')}
+            {field('maxPlanes', 'Max planes', { type: 'number', min: 1 })}
+            {field('minSatellites', 'Min T', { type: 'number', min: 1 })}
+            {field('maxSatellites', 'Max T', { type: 'number', min: 1 })}
+            {field('resolution', 'Grid (°)', { type: 'number', min: 1, max: 15 })}
+            {field('windowHours', 'Window (h)', { type: 'number', min: 1, max: 72 })}
+            {field('stepSeconds', 'Step (s)', { type: 'number', min: 10, max: 600 })}
+            <button
+              onClick={() => (running ? abortRef.current.abort() : handleRun())}
+              style={{ ...smallButtonStyle, alignSelf: 'end', color: running ? '#ff6666' : '#cc99ff', borderColor: running ? '#ff6666' : '#cc99ff' }}
+            >
+              {running ? 'Cancel' : 'Optimize'}
+            </button>
+          </div>
+
+          {running && (
+            <div style={{ marginTop: '6px' }}>
+              <div style={{ height: '4px', background: '#333', borderRadius: '2px' }}>
+                <div style={{ width: `${progress.total ? (100 * progress.done) / progress.total : 0}%`, height: '100%', background: '#cc99ff', borderRadius: '2px' }} />
+              </div>
+              <div style={{ color: '#888', fontSize: '9px', marginTop: '2px' }}>
+                {progress.done} / {progress.total} candidates, {progress.evaluated} propagated
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {result && result.error && (
+        <div style={{ color: '#ff6666', fontSize: '10px', marginTop: '6px' }}>✗ {result.error}</div>
+      )}
+
+      {result && !result.error && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ color: '#888', fontSize: '9px' }}>
+            {result.cancelled ? 'Cancelled: ' : ''}{result.evaluated} candidates propagated, {result.skipped} skipped
+            (cap-area bound or a smaller count already met the target), {(result.elapsed / 1000).toFixed(1)} s
+          </div>
+          <div style={{ margin: '4px 0', color: result.best ? '#cc99ff' : '#ff6666' }}>
+            {result.best
+              ? `Smallest: ${walkerNotation(result.best)} at ${result.best.altitude} km, ` +
+                `${result.best.percentCovered.toFixed(1)}% covered, max gap ${result.best.maxRevisitGap.toFixed(0)} min`
+              : 'No configuration in the search space meets the target'}
+          </div>
+          {result.front.length > 0 && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9px' }}>
+              <thead>
+                <tr style={{ color: '#888', textAlign: 'right' }}>
+                  <th style={{ textAlign: 'left' }}>Pareto front</th>
+                  <th>Alt km</th>
+                  <th>Covered %</th>
+                  <th>Max gap min</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {result.front.map(r => (
+                  <tr key={`${walkerNotation(r)}-${r.altitude}`} style={{ textAlign: 'right', color: r.meetsTarget ? '#cc99ff' : '#ccc' }}>
+                    <td style={{ textAlign: 'left' }}>{walkerNotation(r)}</td>
+                    <td>{r.altitude}</td>
+                    <td>{r.percentCovered.toFixed(1)}</td>
+                    <td>{r.maxRevisitGap.toFixed(0)}</td>
+                    <td>
+                      <button
+                        onClick={() => addWalkerConstellation({ ...r, name: `WALKER ${r.totalSatellites}/${r.planes}/${r.phasing}` })}
+                        style={{ background: '#222', color: '#ccc', border: '1px solid #555', borderRadius: '2px', cursor: 'pointer', fontSize: '9px', padding: '1px 4px' }}
+                        title="Add this constellation to the scene"
+                      >
+                        Add
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OptimizerPanel;
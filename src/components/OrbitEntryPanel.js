@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  background: '#222',
+  color: '#66ccff',
+  border: '1px solid #66ccff',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '10px'
+};
+
+const toggleStyle = (active) => ({
+  ...smallButtonStyle,
+  color: active ? '#66ccff' : '#888',
+  borderColor: active ? '#66ccff' : '#555',
+  background: active ? 'rgba(102, 204, 255, 0.15)' : '#222'
+});
+
+// UTC instant <-> value of an <input type="datetime-local"> read as UTC
+const toUtcInputValue = (date) => date.toISOString().slice(0, 19);
+const fromUtcInputValue = (value) => new Date(`${value}${value.length === 16 ? ':00' : ''}Z`);
+
+const ELEMENT_FIELDS = [
+  { key: 'eccentricity', label: 'e', step: '0.0001' },
+  { key: 'inclination', label: 'i (°)', step: '0.01' },
+  { key: 'raan', label: 'RAAN Ω (°)', step: '0.01' },
+  { key: 'argumentOfPerigee', label: 'ω (°)', step: '0.01' }
+];
+const STATE_FIELDS = [
+  { key: 'x', label: 'x (km)' },
+  { key: 'y', label: 'y (km)' },
+  { key: 'z', label: 'z (km)' },
+  { key: 'vx', label: 'vx (km/s)' },
+  { key: 'vy', label: 'vy (km/s)' },
+  { key: 'vz', label: 'vz (km/s)' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  size: '550',
+  eccentricity: '0',
+  inclination: '53',
+  raan: '0',
+  argumentOfPerigee: '0',
+  anomaly: '0',
+  x: '6928.137',
+  y: '0',
+  z: '0',
+  vx: '0',
+  vy: '4.5648',
+  vz: '6.0577'
+};
+
+/**
+ * Orbit entry: creates a satellite from osculating classical elements or a TEME
+ * state vector at an epoch. App fits SGP4 mean elements to the input, so the
+ * result behaves exactly like an imported TLE satellite.
+ */
+function OrbitEntryPanel({ clock, addOrbitSatellite }) {
+  const [showForm, setShowForm] = useState(false);
+  const [mode, setMode] = useState('elements');
+  const [sizeMode, setSizeMode] = useState('altitude');
+  const [anomalyMode, setAnomalyMode] = useState('true');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [epochStr, setEpochStr] = useState(() => toUtcInputValue(clock.getTime()));
+  const [status, setStatus] = useState(null);
+
+  const field = (key) => parseFloat(form[key]);
+
+  const handleOpen = () => {
+    if (!showForm) setEpochStr(toUtcInputValue(clock.getTime()));
+    setShowForm(!showForm);
+    setStatus(null);
+  };
+
+  const handleAdd = () => {
+    const epoch = fromUtcInputValue(epochStr);
+    const keys = mode === 'elements'
+      ? ['size', 'anomaly', ...ELEMENT_FIELDS.map(f => f.key)]
+      : STATE_FIELDS.map(f => f.key);
+    const invalid = keys.filter(key => !isFinite(field(key)));
+    if (isNaN(epoch.getTime()) || invalid.length > 0) {
+      setStatus({ ok: false, message: 'Every field needs a number and the epoch a valid UTC time' });
+      return;
+    }
+
+    const definition = { name: form.name.trim() || (mode === 'elements' ? 'Elements' : 'State Vector'), epoch };
+    if (mode === 'elements') {
+      definition.elements = {
+        [sizeMode === 'altitude' ? 'altitude' : 'semiMajorAxis']: field('size'),
+        [anomalyMode === 'true' ? 'trueAnomaly' : 'meanAnomaly']: field('anomaly'),
+        ...Object.fromEntries(ELEMENT_FIELDS.map(f => [f.key, field(f.key)]))
+      };
+    } else {
+      definition.position = { x: field('x'), y: field('y'), z: field('z') };
+      definition.velocity = { x: field('vx'), y: field('vy'), z: field('vz') };
+    }
+
+    const { ok, errors, tleData } = addOrbitSatellite(definition);
+    setStatus(ok
+      ? {
+        ok,
+        message: `Added ${tleData.name}: ${tleData.period.toFixed(1)} min, ` +
+          `${tleData.perigeeAltitude.toFixed(0)} × ${tleData.apogeeAltitude.toFixed(0)} km (mean)`
+      }
+      : { ok, message: errors.map(e => e.message).join('; ') });
+  };
+
+  const input = (key, label, step = 'any') => (
+    <div key={key}>
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+        style={inputStyle}
+      />
+    </div>
+  );
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#66ccff' }}>
+        🛰️ Orbit Entry
+      </h3>
+
+      <button onClick={handleOpen} style={smallButtonStyle}>
+        {showForm ? '✕ Cancel' : '+ Satellite from Elements / State'}
+      </button>
+
+      {showForm && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+            <button onClick={() => setMode('elements')} style={toggleStyle(mode === 'elements')}>
+              Classical elements
+            </button>
+            <button onClick={() => setMode('state')} style={toggleStyle(mode === 'state')}>
+              ECI state vector
+            </button>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' }}>
+            <div>
+              Name
+              <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} style={inputStyle} />
+            </div>
+            <div>
+              Epoch (UTC)
+              <input
+                type="datetime-local"
+                step="1"
+                value={epochStr}
+                onChange={(e) => setEpochStr(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+
+            {mode === 'elements' ? (
+              <>
+                <div>
+                  <select value={sizeMode} onChange={(e) => setSizeMode(e.target.value)} style={{ ...inputStyle, width: 'auto', padding: '1px' }}>
+                    <option value="altitude">Altitude (km)</option>
+                    <option value="semiMajorAxis">a (km)</option>
+                  </select>
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.size}
+                    onChange={(e) => setForm({ ...form, size: e.target.value })}
+                    style={inputStyle}
+                  />
+                </div>
+                {ELEMENT_FIELDS.map(f => input(f.key, f.label, f.step))}
+                <div>
+                  <select value={anomalyMode} onChange={(e) => setAnomalyMode(e.target.value)} style={{ ...inputStyle, width: 'auto', padding: '1px' }}>
+                    <option value="true">True anomaly ν (°)</option>
+                    <option value="mean">Mean anomaly M (°)</option>
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={form.anomaly}
+                    onChange={(e) => setForm({ ...form, anomaly: e.target.value })}
+                    style={inputStyle}
+                  />
+                </div>
+              </>
+            ) : (
+              STATE_FIELDS.map(f => input(f.key, f.label))
+            )}
+
+            <button onClick={handleAdd} style={{ ...smallButtonStyle, gridColumn: '1 / span 2' }}>
+              Add Satellite
+            </button>
+          </div>
+
+          <div style={{ color: '#666', fontSize: '9px', marginTop: '4px' }}>
+            {mode === 'elements'
+              ? 'Osculating elements in the TEME frame; altitude is above the equatorial radius (a = 6378.137 km + altitude).'
+              : 'Position and velocity in the TEME frame used by SGP4.'}
+            {' '}SGP4 mean elements are fitted so the satellite passes through this state at the epoch.
+          </div>
+        </div>
+      )}
+
+      {status && (
+        <div style={{ color: status.ok ? '#66ccff' : '#ff6666', fontSize: '10px', marginTop: '6px' }}>
+          {status.ok ? '✓ ' : '✗ '}{status.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrbitEntryPanel;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createGroundStation } from '../utils/groundStations';
+import { coveragePool, shareElementSets } from '../workers/coveragePool';
+import { formatDuration } from '../utils/timeFormat';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const CUSTOM_LOCATION = 'custom';
+
+const COLUMNS = [
+  { key: 'satellite', label: 'Satellite', value: p => p.satelliteName },
+  { key: 'aos', label: 'AOS (UTC)', value: p => p.aos.getTime() },
+  { key: 'tca', label: 'TCA', value: p => p.tca.getTime() },
+  { key: 'los', label: 'LOS', value: p => p.los.getTime() },
+  { key: 'maxElevation', label: 'Max El°', value: p => p.maxElevation },
+  { key: 'aosAzimuth', label: 'Rise Az°', value: p => p.aosAzimuth },
+  { key: 'losAzimuth', label: 'Set Az°', value: p => p.losAzimuth },
+  { key: 'duration', label: 'Dur', value: p => p.duration }
+];
+
+const formatTime = (date) => date.toISOString().slice(5, 19).replace('T', ' ');
+const formatClock = (date) => date.toISOString().slice(11, 19);
+
+function PassPredictionPanel({ clock, groundStations = [], tleSatellites = [], propagatorId }) {
+  const [locationId, setLocationId] = useState(CUSTOM_LOCATION);
+  const [custom, setCustom] = useState({ latitude: '0', longitude: '0', altitude: '0', minElevation: '10' });
+  const [satelliteId, setSatelliteId] = useState('all');
+  const [windowHours, setWindowHours] = useState(24);
+  const [passes, setPasses] = useState([]);
+  const [sort, setSort] = useState({ key: 'aos', ascending: true });
+  const [error, setError] = useState('');
+  const [running, setRunning] = useState(false);
+
+  // A prediction that finishes after the panel is gone is dropped
+  const mountedRef = useRef(true);
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const handlePredict = async () => {
+    setRunning(true);
+    try {
+      const station = groundStations.find(s => String(s.id) === String(locationId));
+      const site = station || createGroundStation(custom);
+      const start = clock.getTime();
+      const end = new Date(start.getTime() + windowHours * 3600 * 1000);
+      const targets = satelliteId === 'all'
+        ? tleSatellites
+        : tleSatellites.filter(s => String(s.id) === String(satelliteId));
+      const byId = new Map(targets.map(s => [s.id, s]));
+
+      const predicted = await coveragePool.run('passes', {
+        satellites: shareElementSets(targets),
+        site,
+        start: start.getTime(),
+        end: end.getTime(),
+        propagatorId
+      });
+      if (!mountedRef.current) return;
+      const results = [];
+      predicted.forEach(({ id, passes: satellitePasses }) => {
+        const sat = byId.get(id);
+        satellitePasses.forEach(pass => results.push({ ...pass, satelliteId: id, satelliteName: sat.tleData.name, color: sat.color }));
+      });
+      setPasses(results);
+      setError('');
+    } catch (e) {
+      if (!mountedRef.current) return;
+      setError(e.message);
+      setPasses([]);
+    }
+    setRunning(false);
+  };
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, ascending: prev.key === key ? !prev.ascending : true }));
+  };
+
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const sorted = [...passes].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    const order = va < vb ? -1 : va > vb ? 1 : 0;
+    return sort.ascending ? order : -order;
+  });
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#66ccff' }}>
+        🗓️ Pass Prediction
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px', fontSize: '10px', color: '#ccc' }}>
+        <div>
+          Location
+          <select value={locationId} onChange={(e) => setLocationId(e.target.value)} style={inputStyle}>
+            <option value={CUSTOM_LOCATION}>Custom location</option>
+            {groundStations.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          Satellite
+          <select value={satelliteId} onChange={(e) => setSatelliteId(e.target.value)} style={inputStyle}>
+            <option value="all">All satellites</option>
+            {tleSatellites.map(s => (
+              <option key={s.id} value={s.id}>{s.tleData.name}</option>
+            ))}
+          </select>
+        </div>
+        {locationId === CUSTOM_LOCATION && (
+          <>
+            <div>
+              Latitude (°)
+              <input type="number" step="0.0001" value={custom.latitude} onChange={(e) => setCustom({ ...custom, latitude: e.target.value })} style={inputStyle} />
+            </div>
+            <div>
+              Longitude (°)
+              <input type="number" step="0.0001" value={custom.longitude} onChange={(e) => setCustom({ ...custom, longitude: e.target.value })} style={inputStyle} />
+            </div>
+            <div>
+              Altitude (km)
+              <input type="number" step="0.001" value={custom.altitude} onChange={(e) => setCustom({ ...custom, altitude: e.target.value })} style={inputStyle} />
+            </div>
+            <div>
+              Min elevation (°)
+              <input type="number" step="1" min="0" max="90" value={custom.minElevation} onChange={(e) => setCustom({ ...custom, minElevation: e.target.value })} style={inputStyle} />
+            </div>
+          </>
+        )}
+        <div>
+          Window (hours from sim time)
+          <input
+            type="number"
+            min="1"
+            max="240"
+            value={windowHours}
+            onChange={(e) => setWindowHours(Math.min(240, Math.max(1, parseFloat(e.target.value) || 1)))}
+            style={inputStyle}
+          />
+        </div>
+        <button
+          onClick={handlePredict}
+          disabled={tleSatellites.length === 0 || running}
+          style={{
+            alignSelf: 'end',
+            background: '#222',
+            color: '#66ccff',
+            border: '1px solid #66ccff',
+            padding: '5px',
+            borderRadius: '3px',
+            cursor: tleSatellites.length === 0 || running ? 'not-allowed' : 'pointer',
+            fontSize: '10px'
+          }}
+        >
+          {running ? 'Predicting…' : 'Predict Passes'}
+        </button>
+      </div>
+
+      {error && <div style={{ color: '#ff6666', fontSize: '10px', marginTop: '4px' }}>{error}</div>}
+
+      {passes.length > 0 && (
+        <div style={{ marginTop: '8px', maxHeight: '260px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9px', color: '#ccc' }}>
+            <thead>
+              <tr>
+                {COLUMNS.map(c => (
+                  <th
+                    key={c.key}
+                    onClick={() => handleSort(c.key)}
+                    style={{ cursor: 'pointer', color: sort.key === c.key ? '#66ccff' : '#888', textAlign: 'right', whiteSpace: 'nowrap', position: 'sticky', top: 0, background: '#111' }}
+                  >
+                    {c.label}{sort.key === c.key ? (sort.ascending ? ' ▲' : ' ▼') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(p => (
+                <tr key={`${p.satelliteId}-${p.aos.getTime()}`} style={{ textAlign: 'right' }}>
+                  <td style={{ textAlign: 'left', color: p.color, maxWidth: '70px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {p.satelliteName}
+                  </td>
+                  <td title={p.startsBeforeWindow ? 'Pass already in progress at window start' : ''}>
+                    {p.startsBeforeWindow ? '≤ ' : ''}{formatTime(p.aos)}
+                  </td>
+                  <td>{formatClock(p.tca)}</td>
+                  <td title={p.endsAfterWindow ? 'Pass continues after window end' : ''}>
+                    {p.endsAfterWindow ? '≥ ' : ''}{formatClock(p.los)}
+                  </td>
+                  <td>{p.maxElevation.toFixed(1)}</td>
+                  <td>{p.aosAzimuth.toFixed(0)}</td>
+                  <td>{p.losAzimuth.toFixed(0)}</td>
+                  <td>{formatDuration(p.duration)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {passes.length === 0 && !error && (
+        <div style={{ color: '#666', fontSize: '10px', marginTop: '4px' }}>
+          Passes are computed by root-finding on elevation for the chosen window.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PassPredictionPanel;
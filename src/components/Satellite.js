@@ -2,7 +2,7 @@ import React, { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
-function Satellite({ simulationSpeed, satelliteParams }) {
+function Satellite({ clock, satelliteParams }) {
   const satelliteRef = useRef();
   const orbitLineRef = useRef();
   
@@ -62,7 +62,7 @@ function Satellite({ simulationSpeed, satelliteParams }) {
   // Animation loop
   useFrame((state, delta) => {
     if (satelliteRef.current) {
-      const time = state.clock.elapsedTime * simulationSpeed;
+      const time = clock.getTimeMs() / 1000;
       const angle = -(time / orbitalPeriod) * Math.PI * 2; // Negative for correct counterclockwise rotation
       const inclination = (satelliteParams.inclination * Math.PI) / 180;
       
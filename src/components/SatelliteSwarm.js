@@ -0,0 +1,256 @@
+import React, { useRef, useMemo, useEffect, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { eciToSceneCoordinates } from '../utils/tleParser';
+import { SWARM_STRIDE, SWARM_RESEED_SECONDS, swarmPosition } from '../utils/swarm';
+import { coverageCentralAngle } from '../utils/coverageAnalysis';
+import { MAX_FOOTPRINTS } from '../utils/footprints';
+import { coveragePool, shareElementSets } from '../workers/coveragePool';
+
+const EARTH_RADIUS = 2; // scene units
+const POINT_SIZE = 4; // px
+const ORBIT_SEGMENTS = 64;
+// Orbit ellipses are refreshed less often than positions: node drift is slow
+const ORBIT_RESEED_SECONDS = 12 * SWARM_RESEED_SECONDS;
+// Clicks further than this from every satellite select nothing
+const PICK_RADIUS_PX = 8;
+
+// Same model as swarmPosition(): Kepler's equation and J2 secular drift, TEME to scene axes
+const vertexShader = `
+  attribute vec3 orbit;
+  attribute vec3 angles;
+  attribute vec3 rates;
+  attribute vec3 color;
+  uniform float uTime;
+  uniform float uScale;
+  uniform float uSize;
+  varying vec3 vColor;
+
+  void main() {
+    vColor = color;
+    float a = orbit.x;
+    float e = orbit.y;
+    if (a <= 0.0) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+    float M = mod(angles.z + rates.x * uTime, 6.28318530718);
+    float E = e < 0.8 ? M : 3.14159265359;
+    for (int k = 0; k < 8; k++) {
+      E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+    float xp = a * (cos(E) - e);
+    float yp = a * sqrt(1.0 - e * e) * sin(E);
+    float raan = angles.x + rates.y * uTime;
+    float argp = angles.y + rates.z * uTime;
+    float cO = cos(raan);
+    float sO = sin(raan);
+    float cw = cos(argp);
+    float sw = sin(argp);
+    float ci = cos(orbit.z);
+    float si = sin(orbit.z);
+    vec3 r = vec3(
+      (cO * cw - sO * sw * ci) * xp + (-cO * sw - sO * cw * ci) * yp,
+      (sO * cw + cO * sw * ci) * xp + (-sO * sw + cO * cw * ci) * yp,
+      sw * si * xp + cw * si * yp
+    );
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(r.x * uScale, r.z * uScale, -r.y * uScale, 1.0);
+    gl_PointSize = uSize;
+  }
+`;
+
+const fragmentShader = `
+  varying vec3 vColor;
+
+  void main() {
+    if (length(gl_PointCoord - vec2(0.5)) > 0.5) discard;
+    gl_FragColor = vec4(vColor, 1.0);
+  }
+`;
+
+// Per-satellite colours, 3 floats each
+function colorArray(satellites) {
+  const colors = new Float32Array(satellites.length * 3);
+  const color = new THREE.Color();
+  satellites.forEach((s, i) => color.set(s.color).toArray(colors, i * 3));
+  return colors;
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((s, i) => s === b[i]);
+
+/**
+ * Thousands of satellites drawn as one point cloud and one batch of orbit lines.
+ * Positions are advanced in the vertex shader from elements seeded by the worker pool,
+ * so a frame costs no propagation on the main thread. Clicking a point selects that
+ * satellite, which is then drawn with full detail instead. Footprints of satellites with
+ * coverage shown are written from the same elements, up to the footprint layer's limit.
+ */
+function SatelliteSwarm({ clock, satellites = [], propagatorId, onSelect, footprints, minElevationAngle = 0 }) {
+  const { camera, gl } = useThree();
+  const [seed, setSeed] = useState(null);
+  const [orbits, setOrbits] = useState(null);
+  const busyRef = useRef(false);
+  const footprintIdsRef = useRef(new Set());
+  const inputsRef = useRef();
+  inputsRef.current = { satellites, propagatorId, onSelect, minElevationAngle };
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uScale: { value: EARTH_RADIUS / 6378.137 },
+      uSize: { value: POINT_SIZE * gl.getPixelRatio() }
+    },
+    vertexShader,
+    fragmentShader
+  }), [gl]);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  // One point per satellite; the elements buffer is shared by the three attributes
+  const points = useMemo(() => {
+    if (!seed) return null;
+    const geometry = new THREE.BufferGeometry();
+    const count = seed.satellites.length;
+    const elements = new THREE.InterleavedBuffer(seed.elements, SWARM_STRIDE);
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('orbit', new THREE.InterleavedBufferAttribute(elements, 3, 0));
+    geometry.setAttribute('angles', new THREE.InterleavedBufferAttribute(elements, 3, 3));
+    geometry.setAttribute('rates', new THREE.InterleavedBufferAttribute(elements, 3, 6));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colorArray(seed.satellites), 3));
+    return geometry;
+  }, [seed]);
+
+  useEffect(() => () => points && points.dispose(), [points]);
+
+  const orbitGeometry = useMemo(() => {
+    if (!orbits) return null;
+    const colors = colorArray(orbits.satellites);
+    const vertexColors = new Float32Array(orbits.owners.length * 3);
+    orbits.owners.forEach((owner, v) => vertexColors.set(colors.subarray(owner * 3, owner * 3 + 3), v * 3));
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(orbits.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+    return geometry;
+  }, [orbits]);
+
+  useEffect(() => () => orbitGeometry && orbitGeometry.dispose(), [orbitGeometry]);
+
+  const footprintColors = useMemo(
+    () => (seed ? seed.satellites.map(s => new THREE.Color(s.color).toArray()) : []),
+    [seed]
+  );
+
+  // Take the footprints off the globe when the swarm goes away
+  useEffect(() => () => {
+    if (footprints) footprintIdsRef.current.forEach(id => footprints.delete(id));
+    footprintIdsRef.current = new Set();
+  }, [footprints]);
+
+  // Re-seed from the full propagator when the satellites change or the time has moved on
+  useFrame(() => {
+    const simMs = clock.getTimeMs();
+    if (seed) material.uniforms.uTime.value = (simMs - seed.time) / 1000;
+
+    if (footprints) {
+      const written = new Set();
+      if (seed) {
+        const dt = (simMs - seed.time) / 1000;
+        for (let i = 0; i < seed.satellites.length && written.size < MAX_FOOTPRINTS; i++) {
+          const satellite = seed.satellites[i];
+          const r = satellite.showCoverage ? swarmPosition(seed.elements, i, dt) : null;
+          if (!r) continue;
+          const distance = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+          footprints.set(satellite.id, eciToSceneCoordinates(r, EARTH_RADIUS),
+            coverageCentralAngle(distance, inputsRef.current.minElevationAngle), footprintColors[i]);
+          written.add(satellite.id);
+        }
+      }
+      footprintIdsRef.current.forEach(id => {
+        if (!written.has(id)) footprints.delete(id);
+      });
+      footprintIdsRef.current = written;
+    }
+
+    if (busyRef.current) return;
+
+    const { satellites: current, propagatorId: currentPropagator } = inputsRef.current;
+    const changed = !seed || !sameList(seed.satellites, current) || seed.propagatorId !== currentPropagator;
+    if (!changed && Math.abs(simMs - seed.time) < SWARM_RESEED_SECONDS * 1000) return;
+    const withOrbits = changed || !orbits || Math.abs(simMs - orbits.time) >= ORBIT_RESEED_SECONDS * 1000;
+
+    busyRef.current = true;
+    coveragePool.run('swarm', {
+      satellites: shareElementSets(current),
+      time: simMs,
+      propagatorId: currentPropagator,
+      orbitIndices: withOrbits ? current.flatMap((s, i) => (s.showOrbit ? [i] : [])) : null,
+      segments: ORBIT_SEGMENTS
+    })
+      .then(result => {
+        setSeed({ time: result.time, elements: result.elements, satellites: current, propagatorId: currentPropagator });
+        if (result.orbits) setOrbits({ ...result.orbits, time: result.time, satellites: current });
+      })
+      .catch(error => console.warn(`Swarm update failed: ${error.message}`))
+      .finally(() => {
+        busyRef.current = false;
+      });
+  });
+
+  // Click picking on the CPU with the same orbit model; a drag (camera move) is not a click
+  useEffect(() => {
+    const element = gl.domElement;
+    let down = null;
+    const handleDown = (event) => {
+      down = { x: event.clientX, y: event.clientY };
+    };
+    const handleUp = (event) => {
+      if (!down || !seed || Math.hypot(event.clientX - down.x, event.clientY - down.y) > 4) return;
+      const rect = element.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      const dt = (clock.getTimeMs() - seed.time) / 1000;
+      const point = new THREE.Vector3();
+      const toSatellite = new THREE.Vector3();
+      let best = null;
+      let bestDistance = PICK_RADIUS_PX;
+      seed.satellites.forEach((satellite, i) => {
+        const r = swarmPosition(seed.elements, i, dt);
+        if (!r) return;
+        const s = eciToSceneCoordinates(r, EARTH_RADIUS);
+        point.set(s.x, s.y, s.z);
+        // Hidden behind the Earth: the line of sight passes through the globe first
+        toSatellite.subVectors(point, camera.position);
+        const t = Math.min(1, Math.max(0, -camera.position.dot(toSatellite) / toSatellite.lengthSq()));
+        if (t < 1 && toSatellite.multiplyScalar(t).add(camera.position).length() < EARTH_RADIUS) return;
+        point.project(camera);
+        if (point.z > 1) return;
+        const distance = Math.hypot((point.x + 1) / 2 * rect.width - x, (1 - point.y) / 2 * rect.height - y);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = satellite;
+        }
+      });
+      if (best && inputsRef.current.onSelect) inputsRef.current.onSelect(best.id);
+    };
+    element.addEventListener('pointerdown', handleDown);
+    element.addEventListener('pointerup', handleUp);
+    return () => {
+      element.removeEventListener('pointerdown', handleDown);
+      element.removeEventListener('pointerup', handleUp);
+    };
+  }, [gl, camera, clock, seed]);
+
+  return (
+    <group>
+      {points && <points geometry={points} material={material} frustumCulled={false} />}
+      {orbitGeometry && (
+        <lineSegments geometry={orbitGeometry} frustumCulled={false}>
+          <lineBasicMaterial vertexColors transparent opacity={0.25} depthWrite={false} />
+        </lineSegments>
+      )}
+    </group>
+  );
+}
+
+export default SatelliteSwarm;
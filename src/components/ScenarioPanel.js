@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { listScenarioSlots, saveScenarioSlot, loadScenarioSlot, deleteScenarioSlot, scenarioFileName, AUTOSAVE_SLOT } from '../utils/scenario';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  background: '#222',
+  color: '#00ccff',
+  border: '1px solid #00ccff',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '10px'
+};
+
+const formatSavedAt = (iso) => (iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : '');
+
+/**
+ * Save and restore whole studies: named slots in local storage (plus the autosave
+ * slot kept by the application), export/import as scenario `.json` files, and links
+ * that open the current view.
+ */
+function ScenarioPanel({ satelliteCount = 0, getScenario, loadScenario, lastAutosave, autosaveHeld = false, getShareLink, linkTooLong = false }) {
+  const [slotName, setSlotName] = useState('');
+  const [slots, setSlots] = useState(() => listScenarioSlots());
+  const [status, setStatus] = useState(null);
+  const [shareLink, setShareLink] = useState(null);
+  const fileInputRef = useRef();
+
+  // The autosave slot changes behind the panel's back
+  useEffect(() => setSlots(listScenarioSlots()), [lastAutosave]);
+
+  const confirmReplace = () => satelliteCount === 0 ||
+    window.confirm(`Replace the current ${satelliteCount} satellite${satelliteCount === 1 ? '' : 's'} with the scenario?`);
+
+  const report = ({ ok, errors, count, name }, source) => {
+    if (!ok) {
+      setStatus({ ok, message: errors.map(e => e.message).join('; ') });
+      return;
+    }
+    const skipped = errors.length > 0 ? ` (${errors.length} skipped: ${errors.map(e => e.message).join('; ')})` : '';
+    setStatus({ ok, message: `Loaded ${name || source}: ${count} satellites${skipped}` });
+  };
+
+  const handleSave = () => {
+    const name = slotName.trim();
+    try {
+      const scenario = getScenario(name);
+      saveScenarioSlot(name, scenario);
+      const left = satelliteCount - scenario.satellites.length;
+      setStatus({
+        ok: true,
+        message: `Saved "${name}"${left > 0 ? ` (${left} satellites without TLE lines left out)` : ''}`
+      });
+    } catch (error) {
+      setStatus({ ok: false, message: error.message });
+    }
+    setSlots(listScenarioSlots());
+  };
+
+  const handleLoad = (name) => {
+    const saved = loadScenarioSlot(name);
+    if (!saved || !confirmReplace()) return;
+    setSlotName(name === AUTOSAVE_SLOT ? '' : name);
+    report(loadScenario(saved), name);
+  };
+
+  const handleDelete = (name) => {
+    try {
+      deleteScenarioSlot(name);
+      setStatus(null);
+    } catch (error) {
+      setStatus({ ok: false, message: error.message });
+    }
+    setSlots(listScenarioSlots());
+  };
+
+  const handleExport = () => {
+    const scenario = getScenario(slotName.trim());
+    const url = URL.createObjectURL(new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = scenarioFileName(scenario);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Copied to the clipboard where allowed, otherwise shown for copying by hand
+  const handleShare = async () => {
+    try {
+      const link = await getShareLink();
+      try {
+        await navigator.clipboard.writeText(link);
+        setShareLink(null);
+        setStatus({ ok: true, message: `Link copied (${link.length} characters)` });
+      } catch (error) {
+        setShareLink(link);
+        setStatus(null);
+      }
+    } catch (error) {
+      setStatus({ ok: false, message: `Could not create a link: ${error.message}` });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !confirmReplace()) return;
+    try {
+      report(loadScenario(await file.text()), file.name);
+    } catch (error) {
+      setStatus({ ok: false, message: `Could not read ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#00ccff' }}>
+        💾 Scenario
+      </h3>
+
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+        <input
+          value={slotName}
+          placeholder="Scenario name"
+          onChange={(e) => setSlotName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && slotName.trim() && handleSave()}
+          style={inputStyle}
+        />
+        <button
+          onClick={handleSave}
+          disabled={!slotName.trim()}
+          style={{ ...smallButtonStyle, cursor: slotName.trim() ? 'pointer' : 'not-allowed' }}
+          title="Save to a named slot in this browser"
+        >
+          Save
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <button onClick={handleExport} style={{ ...smallButtonStyle, flex: 1 }} title="Download the scenario as a .json file">
+          ⬇ Export .json
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={{ ...smallButtonStyle, flex: 1 }} title="Load a scenario .json file">
+          ⬆ Import .json
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+
+      <button
+        onClick={handleShare}
+        style={{ ...smallButtonStyle, width: '100%', marginTop: '4px' }}
+        title="Link that opens this view: satellites, time, camera, selection and display settings"
+      >
+        🔗 Copy Link to View
+      </button>
+      {linkTooLong && (
+        <div style={{ color: '#888', fontSize: '9px', marginTop: '4px' }}>
+          This view is too large for the address bar; use Copy Link to share it
+        </div>
+      )}
+      {shareLink && (
+        <input
+          readOnly
+          value={shareLink}
+          onFocus={(e) => e.target.select()}
+          style={{ ...inputStyle, marginTop: '4px', fontFamily: 'monospace' }}
+        />
+      )}
+
+      {slots.length > 0 && (
+        <div style={{ marginTop: '8px', fontSize: '10px' }}>
+          {slots.map(slot => (
+            <div
+              key={slot.name}
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '3px 0', borderBottom: '1px solid #333' }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ color: slot.name === AUTOSAVE_SLOT ? '#aaa' : 'white', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                  {slot.name === AUTOSAVE_SLOT ? '⟳ ' : ''}{slot.name}
+                </div>
+                <div style={{ color: '#888', fontSize: '9px' }}>
+                  {slot.satelliteCount} satellites · {formatSavedAt(slot.savedAt)}
+                </div>
+              </div>
+              <button onClick={() => handleLoad(slot.name)} style={smallButtonStyle}>Load</button>
+              {slot.name !== AUTOSAVE_SLOT && (
+                <button
+                  onClick={() => handleDelete(slot.name)}
+                  style={{ ...smallButtonStyle, color: '#ff6666', borderColor: '#ff6666' }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ color: '#888', fontSize: '9px', marginTop: '6px' }}>
+        {autosaveHeld
+          ? `Opened from a link: the ${AUTOSAVE_SLOT} slot is kept until you change something`
+          : lastAutosave
+            ? `Autosaved ${lastAutosave.toLocaleTimeString()}; restored automatically on reload`
+            : 'Autosaves to this browser every few seconds'}
+      </div>
+
+      {status && (
+        <div style={{ color: status.ok ? '#00ccff' : '#ff6666', fontSize: '10px', marginTop: '6px' }}>
+          {status.ok ? '✓ ' : '✗ '}{status.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioPanel;
@@ -1,10 +1,16 @@
-import React, { useRef, useMemo, Suspense } from 'react';
+import React, { useRef, useMemo, useEffect, Suspense } from 'react';
 import { Canvas, useFrame } from '@react-three/fiber';
 import { OrbitControls, Stars } from '@react-three/drei';
 import * as THREE from 'three';
 import Earth from './Earth';
 import Satellite from './Satellite';
 import TLESatellite from './TLESatellite';
+import SunLight from './SunLight';
+import ConjunctionMarker from './ConjunctionMarker';
+import CoverageHeatmap from './CoverageHeatmap';
+import SatelliteSwarm from './SatelliteSwarm';
+import FootprintLayer from './FootprintLayer';
+import { createFootprintStore } from '../utils/footprints';
 
 // Loading component - Three.js compatible
 function LoadingScreen() {
@@ -32,7 +38,25 @@ function LoadingScreen() {
   );
 }
 
-function SpaceSimulation({ simulationSpeed, satelliteParams, tleSatellites = [], showManualSatellite = true, updateSatelliteCoverage, minElevationAngle = 0, showEarth = true, showEarthGrid = true }) {
+// Moves the camera when a pose is requested (e.g. by a shared link)
+function CameraPose({ controlsRef, pose }) {
+  useEffect(() => {
+    const controls = controlsRef && controlsRef.current;
+    if (!pose || !controls) return;
+    controls.object.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    controls.update();
+  }, [controlsRef, pose]);
+
+  return null;
+}
+
+function SpaceSimulation({ clock, satelliteParams, tleSatellites = [], showManualSatellite = true, minElevationAngle = 0, showEarth = true, showEarthGrid = true, propagatorId, groundTrackWindow, groundStations = [], selectedConjunction, showHeatmap = false, heatmapMetric, coverageStats, massRendering = false, selectedSatelliteIds = [], onSelectSatellite, controlsRef, cameraPose }) {
+  // With mass rendering only selected satellites get their own objects; the rest form the swarm
+  const detailedSatellites = massRendering ? tleSatellites.filter(s => selectedSatelliteIds.includes(s.id)) : tleSatellites;
+  // Satellites write their footprints here every frame; the footprint layer draws them all at once
+  const footprints = useMemo(() => createFootprintStore(), []);
+
   return (
     <Canvas
       camera={{ 
@@ -51,23 +75,8 @@ function SpaceSimulation({ simulationSpeed, satelliteParams, tleSatellites = [],
         {/* Ambient light for general illumination */}
         <ambientLight intensity={0.1} />
         
-        {/* Directional light representing the Sun */}
-        <directionalLight 
-          position={[10, 5, 5]} 
-          intensity={2}
-          castShadow
-          shadow-mapSize-width={1024}
-          shadow-mapSize-height={1024}
-          shadow-camera-near={0.1}
-          shadow-camera-far={50}
-          shadow-camera-left={-20}
-          shadow-camera-right={20}
-          shadow-camera-top={20}
-          shadow-camera-bottom={-20}
-        />
-        
-        {/* Point light for additional lighting */}
-        <pointLight position={[10, 10, 10]} intensity={0.5} />
+        {/* Directional light placed along the Sun direction at the simulation time */}
+        <SunLight clock={clock} />
         
         {/* Stars background */}
         <Stars 
@@ -79,38 +88,80 @@ function SpaceSimulation({ simulationSpeed, satelliteParams, tleSatellites = [],
         />
         
         {/* Earth (always mounted). Visibility controlled via props */}
-        <Earth simulationSpeed={simulationSpeed} showGrid={showEarthGrid} showModel={showEarth} />
+        <Earth clock={clock} showGrid={showEarthGrid} showModel={showEarth} groundStations={groundStations}>
+          {showHeatmap && (
+            <CoverageHeatmap
+              clock={clock}
+              metric={heatmapMetric}
+              coverageStats={coverageStats}
+              tleSatellites={tleSatellites}
+              propagatorId={propagatorId}
+              minElevationAngle={minElevationAngle}
+            />
+          )}
+        </Earth>
         
         {/* Manual Satellite */}
         {showManualSatellite && (
           <Satellite 
-            simulationSpeed={simulationSpeed}
+            clock={clock}
             satelliteParams={satelliteParams}
           />
         )}
         
         {/* TLE Satellites */}
-        {tleSatellites.map(satellite => (
+        {detailedSatellites.map(satellite => (
           <TLESatellite
             key={satellite.id}
-            simulationSpeed={simulationSpeed}
+            clock={clock}
             tleData={satellite.tleData}
+            propagatorId={satellite.propagator || propagatorId}
             color={satellite.color}
             showOrbit={satellite.showOrbit}
             showCoverage={satellite.showCoverage}
-            onCoverageUpdate={(coverageData) => updateSatelliteCoverage?.(satellite.id, coverageData)}
+            showGroundTrack={satellite.showGroundTrack}
+            groundTrackWindow={groundTrackWindow}
             minElevationAngle={minElevationAngle}
+            footprints={footprints}
           />
         ))}
+
+        {/* Coverage footprints of the satellites above and of the swarm below, shaded on the globe */}
+        <FootprintLayer footprints={footprints} />
+
+        {/* Every other satellite as points and batched orbit lines */}
+        {massRendering && (
+          <SatelliteSwarm
+            clock={clock}
+            satellites={tleSatellites.filter(s => !selectedSatelliteIds.includes(s.id))}
+            propagatorId={propagatorId}
+            onSelect={onSelectSatellite}
+            footprints={footprints}
+            minElevationAngle={minElevationAngle}
+          />
+        )}
+
+        {/* Selected conjunction: both objects and the geometry at closest approach */}
+        {selectedConjunction && (
+          <ConjunctionMarker
+            clock={clock}
+            conjunction={selectedConjunction}
+            satelliteA={tleSatellites.find(s => s.id === selectedConjunction.idA)}
+            satelliteB={tleSatellites.find(s => s.id === selectedConjunction.idB)}
+            propagatorId={propagatorId}
+          />
+        )}
         
         {/* Camera controls */}
         <OrbitControls 
+          ref={controlsRef}
           enablePan={true}
           enableZoom={true}
           enableRotate={true}
           minDistance={3}
           maxDistance={50}
         />
+        <CameraPose controlsRef={controlsRef} pose={cameraPose} />
       </Suspense>
     </Canvas>
   );
@@ -0,0 +1,44 @@
+import React, { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { eciToSceneCoordinates } from '../utils/tleParser';
+import { sunPosition } from '../utils/sunEphemeris';
+
+// Distance of the light from the origin in scene units; only the direction matters
+const LIGHT_DISTANCE = 30;
+
+/**
+ * Directional light placed along the true Sun direction at the simulation time
+ */
+function SunLight({ clock, intensity = 2 }) {
+  const lightRef = useRef();
+
+  useFrame(() => {
+    if (!lightRef.current) return;
+    const sun = eciToSceneCoordinates(sunPosition(clock.getTime()));
+    const norm = Math.sqrt(sun.x * sun.x + sun.y * sun.y + sun.z * sun.z);
+    lightRef.current.position.set(
+      (sun.x / norm) * LIGHT_DISTANCE,
+      (sun.y / norm) * LIGHT_DISTANCE,
+      (sun.z / norm) * LIGHT_DISTANCE
+    );
+  });
+
+  return (
+    <directionalLight
+      ref={lightRef}
+      position={[LIGHT_DISTANCE, 0, 0]}
+      intensity={intensity}
+      castShadow
+      shadow-mapSize-width={1024}
+      shadow-mapSize-height={1024}
+      shadow-camera-near={0.1}
+      shadow-camera-far={2 * LIGHT_DISTANCE}
+      shadow-camera-left={-20}
+      shadow-camera-right={20}
+      shadow-camera-top={20}
+      shadow-camera-bottom={-20}
+    />
+  );
+}
+
+export default SunLight;
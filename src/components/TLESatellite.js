@@ -1,112 +1,142 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef, useMemo, useState, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-import { calculateSatellitePosition, eciToSceneCoordinates } from '../utils/tleParser';
+import { eciToSceneCoordinates } from '../utils/tleParser';
+import { propagate, DEFAULT_PROPAGATOR } from '../utils/propagators';
+import { gmst } from '../utils/frames';
+import { computeGroundTrack, geodeticToScene, DEFAULT_GROUND_TRACK_WINDOW } from '../utils/groundTrack';
+import { coverageCentralAngle } from '../utils/coverageAnalysis';
+
+// Recompute the ground track once the simulation time has moved by this fraction of an orbit
+const GROUND_TRACK_REFRESH_ORBIT_FRACTION = 1 / 36;
+const GROUND_TRACK_MIN_REFRESH_MS = 200;
+
+// Recompute the drawn orbit once the simulation time has moved by this many orbits
+const ORBIT_REFRESH_ORBITS = 1;
+
+// Ground tracks and orbits recomputed per frame across all satellites. Satellites added
+// together all want one in the same frame; the others wait their turn in the following frames.
+const REFRESHES_PER_FRAME = 1;
+const refreshBudget = { frame: -1, left: 0 };
+
+function takeRefreshTurn(frame) {
+  if (refreshBudget.frame !== frame) {
+    refreshBudget.frame = frame;
+    refreshBudget.left = REFRESHES_PER_FRAME;
+  }
+  if (refreshBudget.left === 0) return false;
+  refreshBudget.left--;
+  return true;
+}
+
+// One period of the orbit from the given time, in scene coordinates
+function computeOrbitCurve(tleData, date, propagatorId, earthRadius) {
+  const points = [];
+  const segments = 256;
+  const timeStep = tleData.period / segments; // minutes
+
+  for (let i = 0; i <= segments; i++) {
+    const time = new Date(date.getTime() + i * timeStep * 60 * 1000);
+    const satPos = propagate(tleData, time, propagatorId);
+    if (!isFinite(satPos.distance)) continue;
+    const scenePos = eciToSceneCoordinates(satPos.position, earthRadius);
+    points.push(new THREE.Vector3(scenePos.x, scenePos.y, scenePos.z));
+  }
+
+  if (points.length < 2) return null;
+  return new THREE.CatmullRomCurve3(points, true);
+}
 
-function TLESatellite({ simulationSpeed, tleData, color = "#00ff00", showOrbit = true, showCoverage = true, onCoverageUpdate, minElevationAngle = 0 }) {
+function TLESatellite({ clock, tleData, propagatorId = DEFAULT_PROPAGATOR, color = "#00ff00", showOrbit = true, showCoverage = true, showGroundTrack = true, groundTrackWindow = DEFAULT_GROUND_TRACK_WINDOW, minElevationAngle = 0, footprints }) {
   const satelliteRef = useRef();
+  const groundTrackRef = useRef();
+  const groundTrackStampRef = useRef({ simMs: NaN, realMs: 0 });
+  const [groundTrack, setGroundTrack] = useState(null);
   const orbitLineRef = useRef();
-  const coverageConeRef = useRef();
-  const coverageRingRef = useRef();
+  const footprintKeyRef = useRef({});
   
   // Constants
   const EARTH_RADIUS = 2; // Earth radius in our 3D scene (represents 6371 km)
-  
-  // Calculate coverage cone parameters for line-of-sight to Earth's horizon or constrained by min elevation
-  const calculateCoverageGeometry = (satellitePosition) => {
-    // Use the same Earth radius as TLE parser for consistency
-    const REAL_EARTH_RADIUS = 6378.137; // km (same as tleParser.js)
-    const satDistance = Math.sqrt(
-      satellitePosition.x * satellitePosition.x + 
-      satellitePosition.y * satellitePosition.y + 
-      satellitePosition.z * satellitePosition.z
-    );
-    
-    // Convert to real distance (satellite distance from Earth center)
-    const realSatDistance = (satDistance / EARTH_RADIUS) * REAL_EARTH_RADIUS;
-
-    // Validation: ensure satellite is above Earth's surface
-    if (realSatDistance <= REAL_EARTH_RADIUS) {
-      return { height: 0, radius: 0, angle: 0, coverageRadius: 0, coveragePercentage: 0, coverageAreaKm2: 0, centralAngle: 0, satelliteAltitudeKm: 0, u: 1 };
-    }
-
-    // Geometry for minimum elevation angle constraint
-    const degToRad = Math.PI / 180;
-    const e = Math.max(0, Math.min(90, minElevationAngle)) * degToRad; // clamp 0..90 deg
-    const u = REAL_EARTH_RADIUS / realSatDistance; // R/d
 
-    // Correct central angle ψ using exact geometry:
-    // cos ψ = u * cos^2 e + sin e * sqrt(1 - u^2 cos^2 e)
-    const cosE = Math.cos(e);
-    const sinE = Math.sin(e);
-    const term = 1 - Math.min(1, Math.max(0, u * u * cosE * cosE));
-    const cosPsiRaw = u * cosE * cosE + sinE * Math.sqrt(Math.max(0, term));
-    const cosPsi = Math.min(1, Math.max(-1, cosPsiRaw));
-    const psi = Math.acos(cosPsi);
+  const footprintColor = useMemo(() => new THREE.Color(color).toArray(), [color]);
 
-    // Plane containing the coverage circle is at distance p from Earth's center along the axis
-    const p = REAL_EARTH_RADIUS * cosPsi;
-
-    // Distance from satellite to that plane along axis toward Earth's center
-    const coneHeightReal = Math.max(0, realSatDistance - p);
-
-    // Circle radius on that plane (equals circle on Earth's surface at central angle psi)
-    const coneBaseRadiusReal = REAL_EARTH_RADIUS * Math.sin(psi);
-
-    // Scale to scene coordinates
-    const coneHeight = (coneHeightReal / REAL_EARTH_RADIUS) * EARTH_RADIUS;
-    const coneBaseRadius = (coneBaseRadiusReal / REAL_EARTH_RADIUS) * EARTH_RADIUS;
+  // Take the footprint off the globe when coverage is hidden or the satellite goes away
+  useEffect(() => {
+    const key = footprintKeyRef.current;
+    return () => footprints && footprints.delete(key);
+  }, [footprints, showCoverage]);
+  
+  // Orbit path for visualization, recomputed once the simulation time has moved on
+  // (node drift, decay) or jumped
+  const [orbitCurve, setOrbitCurve] = useState(null);
+  const orbitStampRef = useRef(NaN);
+  useEffect(() => {
+    orbitStampRef.current = NaN;
+  }, [tleData, propagatorId]);
+
+  // Ground track segments as line geometries in the Earth-fixed frame
+  const groundTrackGeometries = useMemo(() => {
+    if (!groundTrack) return [];
+    const radius = EARTH_RADIUS * 1.004; // just above the globe and grid
+    const toGeometry = (segment) => new THREE.BufferGeometry().setFromPoints(
+      segment.map(p => {
+        const { x, y, z } = geodeticToScene(p.latitude, p.longitude, radius);
+        return new THREE.Vector3(x, y, z);
+      })
+    );
+    return [
+      ...groundTrack.past.map(segment => ({ geometry: toGeometry(segment), past: true })),
+      ...groundTrack.future.map(segment => ({ geometry: toGeometry(segment), past: false }))
+    ];
+  }, [groundTrack]);
 
-    // Coverage metrics based on spherical cap with central angle psi
-    const sphericalCapArea = 2 * Math.PI * REAL_EARTH_RADIUS * REAL_EARTH_RADIUS * (1 - cosPsi);
-    const totalEarthArea = 4 * Math.PI * REAL_EARTH_RADIUS * REAL_EARTH_RADIUS;
-    const coveragePercentage = (sphericalCapArea / totalEarthArea) * 100;
+  useEffect(() => () => groundTrackGeometries.forEach(g => g.geometry.dispose()), [groundTrackGeometries]);
 
-    const altitudeReal = realSatDistance - REAL_EARTH_RADIUS;
+  // Force a recompute when the inputs of the track change
+  useEffect(() => {
+    groundTrackStampRef.current = { simMs: NaN, realMs: 0 };
+  }, [tleData, propagatorId, groundTrackWindow, showGroundTrack]);
 
-    return {
-      height: coneHeight,
-      radius: coneBaseRadius,
-      angle: psi,
-      coverageRadius: (coneBaseRadiusReal / REAL_EARTH_RADIUS) * EARTH_RADIUS,
-      coveragePercentage,
-      coverageAreaKm2: sphericalCapArea,
-      centralAngle: psi,
-      satelliteAltitudeKm: altitudeReal,
-      u
-    };
-  };
+  // Animation loop
+  useFrame((state, delta) => {
+    if (showOrbit && tleData) {
+      const simMs = clock.getTimeMs();
+      const refreshMs = tleData.period * 60 * 1000 * ORBIT_REFRESH_ORBITS;
+      if (!(Math.abs(simMs - orbitStampRef.current) < refreshMs) && takeRefreshTurn(state.clock.elapsedTime)) {
+        orbitStampRef.current = simMs;
+        setOrbitCurve(computeOrbitCurve(tleData, new Date(simMs), propagatorId, EARTH_RADIUS));
+      }
+    }
 
-  // Calculate orbit path for visualization
-  const orbitCurve = useMemo(() => {
-    if (!tleData) return null;
-    
-    const points = [];
-    const segments = 256;
-    const currentTime = new Date();
-    
-    // Generate orbit points over one complete period
-    const periodMinutes = tleData.period;
-    const timeStep = periodMinutes / segments;
-    
-    for (let i = 0; i <= segments; i++) {
-      const time = new Date(currentTime.getTime() + i * timeStep * 60 * 1000);
-      const satPos = calculateSatellitePosition(tleData, time);
-      const scenePos = eciToSceneCoordinates(satPos.position, EARTH_RADIUS);
-      points.push(new THREE.Vector3(scenePos.x, scenePos.y, scenePos.z));
+    // Ground track lives in the Earth-fixed frame
+    if (showGroundTrack && tleData) {
+      const simMs = clock.getTimeMs();
+      if (groundTrackRef.current) {
+        groundTrackRef.current.rotation.y = gmst(new Date(simMs));
+      }
+      const stamp = groundTrackStampRef.current;
+      const realMs = performance.now();
+      const refreshMs = tleData.period * 60 * 1000 * GROUND_TRACK_REFRESH_ORBIT_FRACTION;
+      if (!(Math.abs(simMs - stamp.simMs) < refreshMs) && realMs - stamp.realMs >= GROUND_TRACK_MIN_REFRESH_MS &&
+        takeRefreshTurn(state.clock.elapsedTime)) {
+        groundTrackStampRef.current = { simMs, realMs };
+        setGroundTrack(computeGroundTrack(tleData, new Date(simMs), { ...groundTrackWindow, propagatorId }));
+      }
     }
-    
-    return new THREE.CatmullRomCurve3(points, true);
-  }, [tleData]);
 
-  // Animation loop
-  useFrame((state, delta) => {
     if (satelliteRef.current && tleData) {
-      // Calculate current satellite position based on simulation time
-      const baseTime = new Date();
-      const simulationTime = new Date(baseTime.getTime() + state.clock.elapsedTime * simulationSpeed * 1000);
+      // Calculate current satellite position at the shared simulation time
+      const simulationTime = clock.getTime();
       
-      const satPos = calculateSatellitePosition(tleData, simulationTime);
+      const satPos = propagate(tleData, simulationTime, propagatorId);
+
+      // SGP4 could not produce a state (e.g. eccentricity out of range) - hide the satellite
+      satelliteRef.current.visible = isFinite(satPos.distance);
+      if (!satelliteRef.current.visible) {
+        if (footprints) footprints.delete(footprintKeyRef.current);
+        return;
+      }
+
       const scenePos = eciToSceneCoordinates(satPos.position, EARTH_RADIUS);
       
       satelliteRef.current.position.set(scenePos.x, scenePos.y, scenePos.z);
@@ -120,91 +150,9 @@ function TLESatellite({ simulationSpeed, tleData, color = "#00ff00", showOrbit =
         );
       }
 
-      // Update coverage cone & ring
-      if (showCoverage && coverageConeRef.current) {
-        const coverage = calculateCoverageGeometry(scenePos);
-        
-        // Update coverage data for UI display
-        if (onCoverageUpdate && coverage.coveragePercentage !== undefined) {
-          // Direction from Earth center to satellite (unit vector in scene coords)
-          const satellitePosition = new THREE.Vector3(scenePos.x, scenePos.y, scenePos.z);
-          const directionUnit = satellitePosition.length() > 0 ? satellitePosition.clone().normalize() : new THREE.Vector3(0,1,0);
-          onCoverageUpdate({ ...coverage, direction: { x: directionUnit.x, y: directionUnit.y, z: directionUnit.z } });
-        }
-        
-        // Only show visuals if there's meaningful coverage (satellite is above Earth)
-        if (coverage.height > 0.01) {
-          // Calculate direction from satellite to Earth center
-          const earthCenter = new THREE.Vector3(0, 0, 0);
-          const satellitePosition = new THREE.Vector3(scenePos.x, scenePos.y, scenePos.z);
-          const directionToEarth = earthCenter.clone().sub(satellitePosition).normalize();
-          
-          // Use the corrected cone geometry - radius is already calculated properly
-          const safeHeight = Math.max(coverage.height, 0.01);
-          const safeRadius = Math.max(coverage.radius, 0.01);
-          
-          const coneGeometry = new THREE.ConeGeometry(safeRadius, safeHeight, 16);
-          
-          // Position the cone so tip is at satellite and extends toward Earth
-          const coneCenter = satellitePosition.clone().add(
-            directionToEarth.clone().multiplyScalar(safeHeight / 2)
-          );
-          coverageConeRef.current.position.copy(coneCenter);
-          
-          // Rotate cone so tip (+Y) points back toward satellite
-          const defaultUp = new THREE.Vector3(0, 1, 0);
-          const quaternion = new THREE.Quaternion();
-          const tipDirection = satellitePosition.clone().sub(coneCenter).normalize();
-          quaternion.setFromUnitVectors(defaultUp, tipDirection);
-          coverageConeRef.current.setRotationFromQuaternion(quaternion);
-          
-          // Update cone geometry
-          if (coverageConeRef.current.geometry) {
-            coverageConeRef.current.geometry.dispose();
-          }
-          coverageConeRef.current.geometry = coneGeometry;
-          coverageConeRef.current.visible = true;
-
-          // Update intersection ring on Earth's surface
-          if (coverageRingRef.current) {
-            const axis = new THREE.Vector3(scenePos.x, scenePos.y, scenePos.z).normalize();
-            const psi = coverage.centralAngle || 0;
-            const ringRadius = EARTH_RADIUS * Math.sin(psi);
-            const planeOffset = EARTH_RADIUS * Math.cos(psi);
-
-            if (ringRadius > 0.0005) {
-              // Build orthonormal basis (axis, b1, b2)
-              let up = new THREE.Vector3(0, 1, 0);
-              if (Math.abs(axis.dot(up)) > 0.99) up = new THREE.Vector3(1, 0, 0);
-              const b1 = new THREE.Vector3().crossVectors(axis, up).normalize();
-              const b2 = new THREE.Vector3().crossVectors(axis, b1).normalize();
-
-              const center = axis.clone().multiplyScalar(planeOffset);
-              const segments = 128;
-              const points = [];
-              for (let i = 0; i <= segments; i++) {
-                const t = (i / segments) * Math.PI * 2;
-                const pt = center.clone()
-                  .add(b1.clone().multiplyScalar(ringRadius * Math.cos(t)))
-                  .add(b2.clone().multiplyScalar(ringRadius * Math.sin(t)));
-                points.push(pt);
-              }
-
-              const ringGeometry = new THREE.BufferGeometry().setFromPoints(points);
-              if (coverageRingRef.current.geometry) {
-                coverageRingRef.current.geometry.dispose();
-              }
-              coverageRingRef.current.geometry = ringGeometry;
-              coverageRingRef.current.visible = true;
-            } else {
-              coverageRingRef.current.visible = false;
-            }
-          }
-        } else {
-          // Hide if no coverage
-          coverageConeRef.current.visible = false;
-          if (coverageRingRef.current) coverageRingRef.current.visible = false;
-        }
+      // Footprint drawn by the footprint layer
+      if (showCoverage && footprints) {
+        footprints.set(footprintKeyRef.current, scenePos, coverageCentralAngle(satPos.distance, minElevationAngle), footprintColor);
       }
     }
   });
@@ -246,27 +194,17 @@ function TLESatellite({ simulationSpeed, tleData, color = "#00ff00", showOrbit =
         </line>
       )}
       
-      {/* Coverage cone */}
-      {showCoverage && (
-        <mesh ref={coverageConeRef}>
-          <meshBasicMaterial 
-            color={color}
-            transparent 
-            opacity={0.15}
-            side={THREE.DoubleSide}
-            depthWrite={false}
-          />
-        </mesh>
+      {/* Ground track (past dimmed, future bright) */}
+      {showGroundTrack && (
+        <group ref={groundTrackRef}>
+          {groundTrackGeometries.map((g, idx) => (
+            <line key={idx} geometry={g.geometry}>
+              <lineBasicMaterial color={color} transparent opacity={g.past ? 0.35 : 0.9} />
+            </line>
+          ))}
+        </group>
       )}
 
-      {/* Coverage boundary ring on Earth */}
-      {showCoverage && (
-        <line ref={coverageRingRef}>
-          <bufferGeometry />
-          <lineBasicMaterial color={color} transparent opacity={0.8} linewidth={1} />
-        </line>
-      )}
-      
       {/* Satellite body */}
       <group ref={satelliteRef} scale={0.3}>
         {/* Main body */}
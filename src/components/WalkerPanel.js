@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { WALKER_PATTERNS, DEFAULT_WALKER, validateWalker, walkerNotation, walkerSeedFromTLE } from '../utils/walker';
+
+const inputStyle = {
+  width: '100%',
+  padding: '4px',
+  background: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '10px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  background: '#222',
+  color: '#00ccff',
+  border: '1px solid #00ccff',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '10px'
+};
+
+// Kept as typed in the form and parsed when building the pattern
+const NUMBER_FIELDS = ['totalSatellites', 'planes', 'phasing', 'altitude', 'inclination'];
+
+/**
+ * Walker Delta / Star constellation builder with a live preview of the layout.
+ * A seed satellite fixes altitude, inclination, node, phase and epoch and keeps
+ * its place as the first slot of the first plane.
+ */
+function WalkerPanel({ tleSatellites = [], addWalkerConstellation }) {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(() => ({
+    ...DEFAULT_WALKER,
+    ...Object.fromEntries(NUMBER_FIELDS.map(key => [key, String(DEFAULT_WALKER[key])])),
+    name: 'WALKER'
+  }));
+  const [seedId, setSeedId] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const seed = tleSatellites.find(s => s.id === seedId) || null;
+  const seedElements = seed ? walkerSeedFromTLE(seed.tleData) : null;
+  const parsed = { ...form, ...Object.fromEntries(NUMBER_FIELDS.map(key => [key, parseFloat(form[key])])) };
+  const params = seedElements
+    ? { ...parsed, altitude: seedElements.altitude, inclination: seedElements.inclination }
+    : parsed;
+  const errors = validateWalker(params);
+
+  const setNumber = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const handleAdd = () => {
+    const { ok, errors: addErrors, count } = addWalkerConstellation(params, seed ? seed.tleData : null);
+    setStatus(ok
+      ? { ok, message: `Added ${count} satellites (${walkerNotation(params)})` }
+      : { ok, message: addErrors.map(e => e.message).join('; ') });
+  };
+
+  const preview = () => {
+    if (errors.length > 0) return errors.join('; ');
+    const perPlane = params.totalSatellites / params.planes;
+    const nodeSpacing = WALKER_PATTERNS[params.pattern].raanSpread / params.planes;
+    const planePhase = (params.phasing * 360) / params.totalSatellites;
+    return `${WALKER_PATTERNS[params.pattern].label} ${walkerNotation(params)} at ${params.altitude.toFixed(0)} km: ` +
+      `${params.planes} plane${params.planes > 1 ? 's' : ''} × ${perPlane}, ΔΩ ${+nodeSpacing.toFixed(2)}°, ` +
+      `inter-plane phase ${+planePhase.toFixed(2)}°` +
+      (seed ? ` (adds ${params.totalSatellites - 1}; ${seed.tleData.name} is P1-S1)` : '');
+  };
+
+  return (
+    <div className="control-group">
+      <h3 style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#00ccff' }}>
+        ✳️ Walker Constellation
+      </h3>
+
+      <button onClick={() => { setShowForm(!showForm); setStatus(null); }} style={smallButtonStyle}>
+        {showForm ? '✕ Cancel' : '+ Build Walker Pattern'}
+      </button>
+
+      {showForm && (
+        <div style={{ marginTop: '8px', fontSize: '10px', color: '#ccc' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '4px' }}>
+            <div>
+              Pattern
+              <select value={form.pattern} onChange={(e) => setForm({ ...form, pattern: e.target.value })} style={inputStyle}>
+                {Object.entries(WALKER_PATTERNS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ gridColumn: '2 / span 2' }}>
+              Seed satellite
+              <select value={seedId} onChange={(e) => setSeedId(e.target.value)} style={inputStyle}>
+                <option value="">None (node 0°, phase 0°, epoch now)</option>
+                {tleSatellites.map(s => (
+                  <option key={s.id} value={s.id}>{s.tleData.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              T (total)
+              <input type="number" min="1" step="1" value={form.totalSatellites} onChange={setNumber('totalSatellites')} style={inputStyle} />
+            </div>
+            <div>
+              P (planes)
+              <input type="number" min="1" step="1" value={form.planes} onChange={setNumber('planes')} style={inputStyle} />
+            </div>
+            <div>
+              F (phasing)
+              <input type="number" min="0" step="1" value={form.phasing} onChange={setNumber('phasing')} style={inputStyle} />
+            </div>
+            <div>
+              Altitude (km)
+              <input
+                type="number"
+                step="any"
+                value={seedElements ? +params.altitude.toFixed(1) : form.altitude}
+                disabled={!!seedElements}
+                onChange={setNumber('altitude')}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              Inclination (°)
+              <input
+                type="number"
+                step="0.01"
+                value={seedElements ? +params.inclination.toFixed(4) : form.inclination}
+                disabled={!!seedElements}
+                onChange={setNumber('inclination')}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              Name
+              <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} style={inputStyle} />
+            </div>
+          </div>
+
+          <div style={{ color: errors.length > 0 ? '#ff6666' : '#888', fontSize: '9px', margin: '6px 0' }}>
+            {preview()}
+          </div>
+
+          <button
+            onClick={handleAdd}
+            disabled={errors.length > 0}
+            style={{ ...smallButtonStyle, width: '100%', cursor: errors.length > 0 ? 'not-allowed' : 'pointer' }}
+          >
+            Add {errors.length > 0 ? '' : `${seed ? params.totalSatellites - 1 : params.totalSatellites} `}Satellites
+          </button>
+        </div>
+      )}
+
+      {status && (
+        <div style={{ color: status.ok ? '#00ccff' : '#ff6666', fontSize: '10px', marginTop: '6px' }}>
+          {status.ok ? '✓ ' : '✗ '}{status.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WalkerPanel;
@@ -0,0 +1,194 @@
+/**
+ * Conjunction Screening
+ * Finds close approaches between every pair of satellites in a time window.
+ * Pairs whose perigee/apogee shells cannot overlap are discarded first; the rest
+ * are compared on a common ephemeris grid, where a sign change of the range rate
+ * brackets each local minimum of the separation. Brackets that cannot reach the
+ * screening threshold are skipped, and the remaining times of closest approach
+ * (TCA) are refined by root-finding on the range rate.
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { findRoot } from './rootFinding';
+
+// Upper bound on the relative acceleration of two Earth orbiters (km/s²), used to
+// bound how far the separation can dip between two grid samples
+const MAX_RELATIVE_ACCELERATION = 2 * 0.0098;
+
+export const DEFAULT_SCREENING = {
+  threshold: 10, // km, report approaches closer than this
+  stepSeconds: 60, // ephemeris grid spacing
+  shellPadding: 20 // km, margin on the perigee/apogee filter for model and drag differences
+};
+
+/**
+ * Relative position of B with respect to A in A's radial / in-track / cross-track frame
+ * @param {object} stateA - { position, velocity } of the reference object (km, km/s)
+ * @param {object} stateB - { position, velocity } of the other object
+ * @returns {object} { radial, inTrack, crossTrack } in km
+ */
+export function relativeRIC(stateA, stateB) {
+  const r = [stateA.position.x, stateA.position.y, stateA.position.z];
+  const v = [stateA.velocity.x, stateA.velocity.y, stateA.velocity.z];
+  const d = [stateB.position.x - r[0], stateB.position.y - r[1], stateB.position.z - r[2]];
+
+  const rNorm = Math.hypot(r[0], r[1], r[2]);
+  const R = [r[0] / rNorm, r[1] / rNorm, r[2] / rNorm];
+  const h = [r[1] * v[2] - r[2] * v[1], r[2] * v[0] - r[0] * v[2], r[0] * v[1] - r[1] * v[0]];
+  const hNorm = Math.hypot(h[0], h[1], h[2]);
+  const C = [h[0] / hNorm, h[1] / hNorm, h[2] / hNorm];
+  const I = [C[1] * R[2] - C[2] * R[1], C[2] * R[0] - C[0] * R[2], C[0] * R[1] - C[1] * R[0]];
+
+  return {
+    radial: d[0] * R[0] + d[1] * R[1] + d[2] * R[2],
+    inTrack: d[0] * I[0] + d[1] * I[1] + d[2] * I[2],
+    crossTrack: d[0] * C[0] + d[1] * C[1] + d[2] * C[2]
+  };
+}
+
+/**
+ * Whether two orbits' perigee-apogee altitude shells can bring them within a distance
+ * @param {object} tleA - Parsed TLE data
+ * @param {object} tleB - Parsed TLE data
+ * @param {number} distance - Distance in km (threshold plus padding)
+ * @returns {boolean} False when the shells are separated by more than the distance
+ */
+export function shellsOverlap(tleA, tleB, distance) {
+  const gap = Math.max(tleA.perigeeAltitude, tleB.perigeeAltitude) - Math.min(tleA.apogeeAltitude, tleB.apogeeAltitude);
+  return gap <= distance;
+}
+
+/**
+ * Sample a satellite's state on a regular time grid
+ * @returns {Float64Array} [x, y, z, vx, vy, vz] per sample, NaN where propagation failed
+ */
+function sampleEphemeris(tle, propagatorId, startMs, stepMs, count) {
+  const samples = new Float64Array(count * 6);
+  for (let i = 0; i < count; i++) {
+    const { position, velocity, distance } = propagate(tle, new Date(startMs + i * stepMs), propagatorId);
+    const ok = isFinite(distance);
+    samples[i * 6] = ok ? position.x : NaN;
+    samples[i * 6 + 1] = ok ? position.y : NaN;
+    samples[i * 6 + 2] = ok ? position.z : NaN;
+    samples[i * 6 + 3] = ok ? velocity.x : NaN;
+    samples[i * 6 + 4] = ok ? velocity.y : NaN;
+    samples[i * 6 + 5] = ok ? velocity.z : NaN;
+  }
+  return samples;
+}
+
+/**
+ * Screen all pairs of satellites for close approaches
+ * @param {Array<object>} satellites - [{ id, tle, propagatorId }]
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {object} options - { threshold (km), stepSeconds, shellPadding (km), propagatorId }
+ * @returns {object} { conjunctions, pairCount, screenedPairCount } where each conjunction is
+ *   { idA, idB, tca, missDistance (km), relativeSpeed (km/s), radial, inTrack, crossTrack,
+ *   stateA, stateB }, sorted by TCA; RIC components are of B relative to A
+ */
+export function screenConjunctions(satellites, start, end, options = {}) {
+  const { threshold, stepSeconds, shellPadding } = { ...DEFAULT_SCREENING, ...options };
+  const defaultPropagator = options.propagatorId || DEFAULT_PROPAGATOR;
+  const stepMs = stepSeconds * 1000;
+  const startMs = start.getTime();
+  const count = Math.floor((end.getTime() - startMs) / stepMs) + 1;
+  const n = satellites.length;
+
+  const pairs = [];
+  for (let a = 0; a < n; a++) {
+    for (let b = a + 1; b < n; b++) {
+      if (shellsOverlap(satellites[a].tle, satellites[b].tle, threshold + shellPadding)) pairs.push([a, b]);
+    }
+  }
+
+  // Only satellites that belong to a surviving pair need an ephemeris
+  const ephemerides = new Array(n).fill(null);
+  const propagatorOf = (sat) => sat.propagatorId || defaultPropagator;
+  pairs.forEach(([a, b]) => {
+    [a, b].forEach(k => {
+      if (!ephemerides[k]) ephemerides[k] = sampleEphemeris(satellites[k].tle, propagatorOf(satellites[k]), startMs, stepMs, count);
+    });
+  });
+
+  const stateAt = (sat, ms) => {
+    const state = propagate(sat.tle, new Date(ms), propagatorOf(sat));
+    return isFinite(state.distance) ? state : null;
+  };
+  // Half the time derivative of the squared separation: negative while closing
+  const rangeRate = (satA, satB) => (ms) => {
+    const sa = stateAt(satA, ms);
+    const sb = stateAt(satB, ms);
+    if (!sa || !sb) return NaN;
+    return (sb.position.x - sa.position.x) * (sb.velocity.x - sa.velocity.x) +
+      (sb.position.y - sa.position.y) * (sb.velocity.y - sa.velocity.y) +
+      (sb.position.z - sa.position.z) * (sb.velocity.z - sa.velocity.z);
+  };
+
+  const halfStep = stepSeconds / 2;
+  const curvature = (MAX_RELATIVE_ACCELERATION * stepSeconds * stepSeconds) / 8;
+  const conjunctions = [];
+
+  pairs.forEach(([a, b]) => {
+    const ea = ephemerides[a];
+    const eb = ephemerides[b];
+    let prevDot = NaN;
+    let prevDistance = NaN;
+    let prevSpeed = NaN;
+
+    for (let i = 0; i < count; i++) {
+      const k = i * 6;
+      const dx = eb[k] - ea[k];
+      const dy = eb[k + 1] - ea[k + 1];
+      const dz = eb[k + 2] - ea[k + 2];
+      const dvx = eb[k + 3] - ea[k + 3];
+      const dvy = eb[k + 4] - ea[k + 4];
+      const dvz = eb[k + 5] - ea[k + 5];
+      const dot = dx * dvx + dy * dvy + dz * dvz;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      const speed = Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz);
+
+      if (prevDot < 0 && dot >= 0) {
+        // Lower bound on the separation inside the bracket
+        const bound = Math.min(prevDistance, distance) - Math.max(prevSpeed, speed) * halfStep - curvature;
+        if (bound <= threshold) {
+          const f = rangeRate(satellites[a], satellites[b]);
+          const t0 = startMs + (i - 1) * stepMs;
+          const tcaMs = findRoot(f, t0, t0 + stepMs, prevDot, dot, 1);
+          const stateA = stateAt(satellites[a], tcaMs);
+          const stateB = stateAt(satellites[b], tcaMs);
+          if (stateA && stateB) {
+            const missDistance = Math.hypot(
+              stateB.position.x - stateA.position.x,
+              stateB.position.y - stateA.position.y,
+              stateB.position.z - stateA.position.z
+            );
+            if (missDistance <= threshold) {
+              conjunctions.push({
+                idA: satellites[a].id,
+                idB: satellites[b].id,
+                tca: new Date(tcaMs),
+                missDistance,
+                relativeSpeed: Math.hypot(
+                  stateB.velocity.x - stateA.velocity.x,
+                  stateB.velocity.y - stateA.velocity.y,
+                  stateB.velocity.z - stateA.velocity.z
+                ),
+                ...relativeRIC(stateA, stateB),
+                stateA: { position: stateA.position, velocity: stateA.velocity },
+                stateB: { position: stateB.position, velocity: stateB.velocity }
+              });
+            }
+          }
+        }
+      }
+
+      prevDot = dot;
+      prevDistance = distance;
+      prevSpeed = speed;
+    }
+  });
+
+  conjunctions.sort((x, y) => x.tca - y.tca);
+  return { conjunctions, pairCount: (n * (n - 1)) / 2, screenedPairCount: pairs.length };
+}
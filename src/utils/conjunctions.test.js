@@ -0,0 +1,109 @@
+/**
+ * Tests for conjunction screening
+ */
+
+import { screenConjunctions, relativeRIC, shellsOverlap } from './conjunctions.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES } from './tleParser.js';
+
+const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+const start = new Date(iss.epochDate.getTime() + 3600 * 1000);
+
+const distanceAt = (tleA, tleB, ms) => {
+  const a = calculateSatellitePosition(tleA, new Date(ms)).position;
+  const b = calculateSatellitePosition(tleB, new Date(ms)).position;
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+};
+
+describe('relative RIC frame', () => {
+  const stateA = { position: { x: 7000, y: 0, z: 0 }, velocity: { x: 0, y: 7.5, z: 0 } };
+
+  test('splits the offset into radial, in-track and cross-track', () => {
+    const ric = relativeRIC(stateA, { position: { x: 7001, y: 2, z: -3 }, velocity: stateA.velocity });
+    expect(ric.radial).toBeCloseTo(1, 10);
+    expect(ric.inTrack).toBeCloseTo(2, 10);
+    expect(ric.crossTrack).toBeCloseTo(-3, 10);
+  });
+});
+
+describe('perigee/apogee filter', () => {
+  test('keeps overlapping shells and drops separated ones', () => {
+    const low = { perigeeAltitude: 400, apogeeAltitude: 420 };
+    const near = { perigeeAltitude: 425, apogeeAltitude: 430 };
+    const geo = { perigeeAltitude: 35780, apogeeAltitude: 35790 };
+    expect(shellsOverlap(low, near, 10)).toBe(true);
+    expect(shellsOverlap(low, near, 1)).toBe(false);
+    expect(shellsOverlap(low, geo, 30)).toBe(false);
+    expect(shellsOverlap(near, low, 10)).toBe(true);
+  });
+});
+
+describe('conjunction screening', () => {
+  test('finds the node crossings of two slightly tilted co-located orbits', () => {
+    // Same orbit but 0.1° more inclination: the planes cross at the nodes every half orbit
+    const tilted = { ...iss, inclination: iss.inclination + 0.1 };
+    const end = new Date(start.getTime() + 3 * 3600 * 1000);
+    const { conjunctions, pairCount, screenedPairCount } = screenConjunctions(
+      [{ id: 'a', tle: iss }, { id: 'b', tle: tilted }],
+      start,
+      end,
+      { threshold: 5 }
+    );
+    expect(pairCount).toBe(1);
+    expect(screenedPairCount).toBe(1);
+
+    const halfOrbits = (end - start) / (iss.period * 30000);
+    expect(conjunctions.length).toBeGreaterThanOrEqual(Math.floor(halfOrbits) - 1);
+    conjunctions.forEach(c => {
+      expect(c.idA).toBe('a');
+      expect(c.idB).toBe('b');
+      expect(c.missDistance).toBeLessThan(5);
+      // Motion is almost purely cross-track, at v·Δi
+      expect(c.relativeSpeed).toBeGreaterThan(0.005);
+      expect(c.relativeSpeed).toBeLessThan(0.03);
+      expect(Math.hypot(c.radial, c.inTrack, c.crossTrack)).toBeCloseTo(c.missDistance, 6);
+      // TCA is a true minimum of the separation
+      const ms = c.tca.getTime();
+      expect(distanceAt(iss, tilted, ms - 2000)).toBeGreaterThanOrEqual(c.missDistance);
+      expect(distanceAt(iss, tilted, ms + 2000)).toBeGreaterThanOrEqual(c.missDistance);
+    });
+  });
+
+  test('matches a dense scan for fast crossings', () => {
+    const threshold = 300;
+    const end = new Date(start.getTime() + 2 * 3600 * 1000);
+    const polar = (phase) => ({ ...iss, inclination: 97.5, meanAnomaly: (iss.meanAnomaly + phase) % 360 });
+    const satellites = [{ id: 0, tle: iss }];
+    for (let k = 1; k <= 12; k++) satellites.push({ id: k, tle: polar(k * 30) });
+    const { conjunctions } = screenConjunctions(satellites, start, end, { threshold });
+
+    // Reference: local minima of the separation from ISS on a 1 s grid
+    const reference = [];
+    satellites.slice(1).forEach(sat => {
+      let prev2 = Infinity;
+      let prev = distanceAt(iss, sat.tle, start.getTime());
+      for (let ms = start.getTime() + 1000; ms <= end.getTime(); ms += 1000) {
+        const d = distanceAt(iss, sat.tle, ms);
+        if (prev < prev2 && prev <= d && prev < threshold - 1) reference.push({ id: sat.id, ms: ms - 1000, d: prev });
+        prev2 = prev;
+        prev = d;
+      }
+    });
+
+    const fromIss = conjunctions.filter(c => c.idA === 0);
+    expect(reference.length).toBeGreaterThan(0);
+    expect(fromIss.length).toBe(reference.length);
+    reference.forEach(ref => {
+      const match = fromIss.find(c => c.idB === ref.id && Math.abs(c.tca - ref.ms) < 2000);
+      expect(match).toBeDefined();
+      expect(match.missDistance).toBeLessThanOrEqual(ref.d + 1e-6);
+      expect(match.relativeSpeed).toBeGreaterThan(5);
+    });
+  });
+
+  test('skips pairs in separated shells without propagating them', () => {
+    const high = { ...iss, perigeeAltitude: iss.perigeeAltitude + 500, apogeeAltitude: iss.apogeeAltitude + 500 };
+    const result = screenConjunctions([{ id: 1, tle: iss }, { id: 2, tle: high }], start, new Date(start.getTime() + 3600 * 1000));
+    expect(result.screenedPairCount).toBe(0);
+    expect(result.conjunctions).toEqual([]);
+  });
+});
@@ -0,0 +1,470 @@
+/**
+ * Coverage Analysis
+ * Time-stepped coverage of a latitude band by a set of satellites: a grid of
+ * equal-angle cells on a spherical Earth is tested against every satellite's
+ * visibility cap (minimum elevation) at each step, accumulating per-cell time
+ * covered, revisit gaps and accesses, which can be aggregated by latitude band.
+ * On top of that, a constellation sizing optimizer searches Walker patterns for
+ * the smallest one meeting a target.
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { temeToEcef } from './frames';
+import { walkerTLEData, validateWalker } from './walker';
+
+const EARTH_RADIUS = 6378.137; // km
+const DEG_TO_RAD = Math.PI / 180;
+
+export const DEFAULT_COVERAGE_TARGET = {
+  percentCovered: 95, // area-weighted percentage of time with at least one satellite in view
+  maxRevisitGap: null, // minutes, longest allowed gap anywhere in the band (null = no limit)
+  latitudeMin: -60,
+  latitudeMax: 60,
+  minElevation: 10 // degrees
+};
+
+export const DEFAULT_EVALUATION = {
+  windowHours: 12,
+  stepSeconds: 60,
+  resolution: 5 // grid cell size in degrees
+};
+
+export const DEFAULT_OPTIMIZER_SEARCH = {
+  patterns: ['delta'],
+  altitudes: [550, 800, 1200], // km
+  inclinations: [53, 65], // degrees
+  minSatellites: 4,
+  maxSatellites: 60,
+  minPlanes: 1,
+  maxPlanes: 12
+};
+
+/**
+ * Earth central angle of the visibility cap of a satellite
+ * @param {number} distance - Satellite distance from the Earth centre (km)
+ * @param {number} minElevation - Minimum elevation angle (degrees)
+ * @returns {number} Central angle ψ in radians (0 when the satellite is below the surface)
+ */
+export function coverageCentralAngle(distance, minElevation = 0) {
+  if (!(distance > EARTH_RADIUS)) return 0;
+  const e = Math.max(0, Math.min(90, minElevation)) * DEG_TO_RAD;
+  // ψ = acos(R cos e / r) − e
+  return Math.acos((EARTH_RADIUS / distance) * Math.cos(e)) - e;
+}
+
+/**
+ * Equal-angle grid over a latitude band with area weights
+ * @param {object} band - { latitudeMin, latitudeMax, resolution } in degrees
+ * @returns {object} { resolution, latitudeMin, latitudeMax, rows, cols, count, latitudes, longitudes
+ *   (cell centres), vectors (Earth-fixed unit vectors, 3 per cell), weights (sum to 1) }
+ */
+export function createCoverageGrid({ latitudeMin = -90, latitudeMax = 90, resolution = DEFAULT_EVALUATION.resolution }) {
+  if (!(latitudeMax > latitudeMin) || latitudeMin < -90 || latitudeMax > 90) {
+    throw new Error(`Invalid latitude band ${latitudeMin}° to ${latitudeMax}°`);
+  }
+  if (!(resolution > 0)) throw new Error('Grid resolution must be positive');
+
+  const rows = Math.ceil((latitudeMax - latitudeMin) / resolution - 1e-9);
+  const cols = Math.round(360 / resolution);
+  const count = rows * cols;
+  const latitudes = new Float64Array(count);
+  const longitudes = new Float64Array(count);
+  const vectors = new Float64Array(count * 3);
+  const weights = new Float64Array(count);
+  let total = 0;
+
+  for (let i = 0; i < rows; i++) {
+    // The last row is clipped to the band edge
+    const lat1 = latitudeMin + i * resolution;
+    const lat2 = Math.min(latitudeMax, lat1 + resolution);
+    const latitude = (lat1 + lat2) / 2;
+    const weight = Math.sin(lat2 * DEG_TO_RAD) - Math.sin(lat1 * DEG_TO_RAD);
+    const cosLat = Math.cos(latitude * DEG_TO_RAD);
+    const sinLat = Math.sin(latitude * DEG_TO_RAD);
+    for (let j = 0; j < cols; j++) {
+      const c = i * cols + j;
+      const longitude = -180 + (j + 0.5) * (360 / cols);
+      latitudes[c] = latitude;
+      longitudes[c] = longitude;
+      vectors[c * 3] = cosLat * Math.cos(longitude * DEG_TO_RAD);
+      vectors[c * 3 + 1] = cosLat * Math.sin(longitude * DEG_TO_RAD);
+      vectors[c * 3 + 2] = sinLat;
+      weights[c] = weight;
+      total += weight;
+    }
+  }
+  for (let c = 0; c < count; c++) weights[c] /= total;
+
+  return { resolution, latitudeMin, latitudeMax, rows, cols, count, latitudes, longitudes, vectors, weights };
+}
+
+/**
+ * Visibility caps of satellites at one instant, packed as an Earth-fixed unit vector
+ * and cos ψ per satellite; satellites that cannot be propagated are left out
+ * @param {Array<object>} satellites - [{ tle, propagatorId }]
+ * @param {Date} date - UTC date
+ * @param {number} minElevation - Minimum elevation angle (degrees)
+ * @param {string} defaultPropagator - Propagator for satellites without their own
+ * @param {Float64Array} caps - Output, 4 values per satellite
+ * @returns {number} Number of caps written
+ */
+function satelliteCaps(satellites, date, minElevation, defaultPropagator, caps) {
+  let active = 0;
+  for (let s = 0; s < satellites.length; s++) {
+    const { tle, propagatorId } = satellites[s];
+    const state = propagate(tle, date, propagatorId || defaultPropagator);
+    if (!isFinite(state.distance)) continue;
+    const psi = coverageCentralAngle(state.distance, minElevation);
+    if (psi <= 0) continue;
+    const r = temeToEcef(state.position, date);
+    caps[active * 4] = r.x / state.distance;
+    caps[active * 4 + 1] = r.y / state.distance;
+    caps[active * 4 + 2] = r.z / state.distance;
+    caps[active * 4 + 3] = Math.cos(psi);
+    active++;
+  }
+  return active;
+}
+
+/**
+ * Number of satellites in view of every grid cell at one instant
+ * @param {Array<object>} satellites - [{ tle, propagatorId }]
+ * @param {object} grid - From createCoverageGrid()
+ * @param {Date} date - UTC date
+ * @param {object} options - { minElevation (deg), propagatorId }
+ * @returns {Uint16Array} Fold count per cell
+ */
+export function foldCounts(satellites, grid, date, options = {}) {
+  const caps = new Float64Array(satellites.length * 4);
+  const active = satelliteCaps(satellites, date, options.minElevation || 0, options.propagatorId || DEFAULT_PROPAGATOR, caps);
+  const { count, vectors } = grid;
+  const folds = new Uint16Array(count);
+  for (let c = 0; c < count; c++) {
+    const x = vectors[c * 3];
+    const y = vectors[c * 3 + 1];
+    const z = vectors[c * 3 + 2];
+    for (let k = 0; k < active; k++) {
+      if (x * caps[k * 4] + y * caps[k * 4 + 1] + z * caps[k * 4 + 2] >= caps[k * 4 + 3]) folds[c]++;
+    }
+  }
+  return folds;
+}
+
+/**
+ * Propagate satellites over a time window and accumulate coverage of every grid cell
+ * @param {Array<object>} satellites - [{ tle, propagatorId }]
+ * @param {object} grid - From createCoverageGrid()
+ * @param {object} options - { start (Date), end (Date), stepSeconds, minElevation (deg), propagatorId }
+ * @returns {object} Per cell (typed arrays in grid order): coveredFraction (0..1), maxGap and
+ *   meanGap (s), accessCount; over the band: percentCovered (area-weighted % of time covered),
+ *   maxRevisitGap (s, worst cell), meanRevisitGap (s, area-weighted over cells with gaps),
+ *   meanAccesses (area-weighted accesses per cell), plus steps, stepSeconds, start and end.
+ *   Gaps cut short by the window start or end count toward maxGap only; meanGap averages the
+ *   gaps between two accesses and is 0 for cells without one.
+ */
+export function evaluateCoverage(satellites, grid, options) {
+  const { start, end, minElevation = 0 } = options;
+  const stepSeconds = options.stepSeconds || DEFAULT_EVALUATION.stepSeconds;
+  const defaultPropagator = options.propagatorId || DEFAULT_PROPAGATOR;
+  const stepMs = stepSeconds * 1000;
+  const startMs = start.getTime();
+  const steps = Math.floor((end.getTime() - startMs) / stepMs) + 1;
+  const { count, vectors } = grid;
+
+  const coveredSteps = new Uint32Array(count);
+  const currentGap = new Uint32Array(count);
+  const longestGap = new Uint32Array(count);
+  // Gaps that close inside the window, i.e. between two accesses
+  const gapCount = new Uint32Array(count);
+  const gapSteps = new Uint32Array(count);
+  const accessCount = new Uint32Array(count);
+  const wasCovered = new Uint8Array(count);
+  const caps = new Float64Array(satellites.length * 4);
+
+  for (let step = 0; step < steps; step++) {
+    const active = satelliteCaps(satellites, new Date(startMs + step * stepMs), minElevation, defaultPropagator, caps);
+
+    for (let c = 0; c < count; c++) {
+      const x = vectors[c * 3];
+      const y = vectors[c * 3 + 1];
+      const z = vectors[c * 3 + 2];
+      let covered = false;
+      for (let k = 0; k < active; k++) {
+        if (x * caps[k * 4] + y * caps[k * 4 + 1] + z * caps[k * 4 + 2] >= caps[k * 4 + 3]) {
+          covered = true;
+          break;
+        }
+      }
+      if (covered) {
+        if (step === 0 || !wasCovered[c]) accessCount[c]++;
+        if (currentGap[c] > 0 && coveredSteps[c] > 0) {
+          gapCount[c]++;
+          gapSteps[c] += currentGap[c];
+        }
+        coveredSteps[c]++;
+        if (currentGap[c] > longestGap[c]) longestGap[c] = currentGap[c];
+        currentGap[c] = 0;
+      } else {
+        currentGap[c]++;
+      }
+      wasCovered[c] = covered ? 1 : 0;
+    }
+  }
+
+  const coveredFraction = new Float64Array(count);
+  const maxGap = new Float64Array(count);
+  const meanGap = new Float64Array(count);
+  let percentCovered = 0;
+  let maxRevisitGap = 0;
+  let meanAccesses = 0;
+  let gapWeighted = 0;
+  let gapWeight = 0;
+  for (let c = 0; c < count; c++) {
+    coveredFraction[c] = coveredSteps[c] / steps;
+    meanAccesses += accessCount[c] * grid.weights[c];
+    maxGap[c] = Math.max(longestGap[c], currentGap[c]) * stepSeconds;
+    meanGap[c] = gapCount[c] > 0 ? (gapSteps[c] / gapCount[c]) * stepSeconds : 0;
+    percentCovered += coveredFraction[c] * grid.weights[c] * 100;
+    if (maxGap[c] > maxRevisitGap) maxRevisitGap = maxGap[c];
+    if (gapCount[c] > 0) {
+      gapWeighted += meanGap[c] * grid.weights[c];
+      gapWeight += grid.weights[c];
+    }
+  }
+
+  return {
+    start,
+    end,
+    steps,
+    stepSeconds,
+    coveredFraction,
+    maxGap,
+    meanGap,
+    accessCount,
+    percentCovered,
+    maxRevisitGap,
+    meanRevisitGap: gapWeight > 0 ? gapWeighted / gapWeight : 0,
+    meanAccesses
+  };
+}
+
+/**
+ * Aggregate per-cell statistics into latitude bands
+ * @param {object} grid - From createCoverageGrid()
+ * @param {object} result - From evaluateCoverage()
+ * @param {number} bandSize - Band height in degrees (rounded to whole grid rows)
+ * @returns {Array<object>} [{ latitudeMin, latitudeMax, percentCovered, meanGap (s, over cells
+ *   with gaps between accesses), maxGap (s), meanAccesses (per cell) }] from south to north
+ */
+export function coverageByLatitude(grid, result, bandSize = grid.resolution) {
+  const rowsPerBand = Math.max(1, Math.round(bandSize / grid.resolution));
+  const bands = [];
+  for (let first = 0; first < grid.rows; first += rowsPerBand) {
+    const last = Math.min(grid.rows, first + rowsPerBand);
+    let weight = 0;
+    let covered = 0;
+    let gapWeighted = 0;
+    let gapWeight = 0;
+    let maxGap = 0;
+    let accesses = 0;
+    for (let c = first * grid.cols; c < last * grid.cols; c++) {
+      const w = grid.weights[c];
+      weight += w;
+      covered += result.coveredFraction[c] * w;
+      accesses += result.accessCount[c] * w;
+      if (result.meanGap[c] > 0) {
+        gapWeighted += result.meanGap[c] * w;
+        gapWeight += w;
+      }
+      if (result.maxGap[c] > maxGap) maxGap = result.maxGap[c];
+    }
+    bands.push({
+      latitudeMin: grid.latitudeMin + first * grid.resolution,
+      latitudeMax: Math.min(grid.latitudeMax, grid.latitudeMin + last * grid.resolution),
+      percentCovered: (covered / weight) * 100,
+      meanGap: gapWeight > 0 ? gapWeighted / gapWeight : 0,
+      maxGap,
+      meanAccesses: accesses / weight
+    });
+  }
+  return bands;
+}
+
+/**
+ * Whether an evaluation meets a coverage target
+ * @param {object} result - { percentCovered, maxRevisitGap (s) }
+ * @param {object} target - { percentCovered, maxRevisitGap (minutes or null) }
+ * @returns {boolean} True when both the time-covered and revisit-gap goals hold
+ */
+export function meetsCoverageTarget(result, target) {
+  if (result.percentCovered < target.percentCovered) return false;
+  return target.maxRevisitGap === null || target.maxRevisitGap === undefined ||
+    result.maxRevisitGap <= target.maxRevisitGap * 60;
+}
+
+/**
+ * Pareto front of satellite count (minimized) against percentage of time covered (maximized)
+ * @param {Array<object>} results - [{ totalSatellites, percentCovered, ... }]
+ * @returns {Array<object>} Non-dominated results by increasing satellite count
+ */
+export function paretoFront(results) {
+  const sorted = [...results].sort((a, b) =>
+    a.totalSatellites - b.totalSatellites || b.percentCovered - a.percentCovered);
+  const front = [];
+  let best = -Infinity;
+  sorted.forEach(result => {
+    if (result.percentCovered > best) {
+      front.push(result);
+      best = result.percentCovered;
+    }
+  });
+  return front;
+}
+
+/**
+ * Every Walker configuration in a search space, by increasing satellite count
+ * @param {object} search - See DEFAULT_OPTIMIZER_SEARCH
+ * @returns {Array<object>} [{ pattern, totalSatellites, planes, phasing, altitude, inclination }]
+ */
+export function walkerCandidates(search) {
+  const { patterns, altitudes, inclinations, minSatellites, maxSatellites, minPlanes, maxPlanes } = { ...DEFAULT_OPTIMIZER_SEARCH, ...search };
+  const candidates = [];
+  for (let total = Math.max(1, minSatellites); total <= maxSatellites; total++) {
+    for (let planes = Math.max(1, minPlanes); planes <= Math.min(maxPlanes, total); planes++) {
+      if (total % planes !== 0) continue;
+      for (let phasing = 0; phasing < planes; phasing++) {
+        patterns.forEach(pattern => altitudes.forEach(altitude => inclinations.forEach(inclination => {
+          const params = { pattern, totalSatellites: total, planes, phasing, altitude, inclination };
+          if (validateWalker(params).length === 0) candidates.push(params);
+        })));
+      }
+    }
+  }
+  return candidates;
+}
+
+// Give the browser a chance to render and handle input between chunks of work
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Evaluate one Walker configuration against a coverage target
+ * @param {object} params - Walker parameters, from walkerCandidates()
+ * @param {object} target - See DEFAULT_COVERAGE_TARGET
+ * @param {object} options - { start (Date), windowHours, stepSeconds, resolution, propagatorId }
+ * @returns {object} The Walker parameters plus percentCovered, maxRevisitGap (minutes) and meetsTarget
+ */
+export function evaluateWalkerCandidate(params, target, options = {}) {
+  const goal = { ...DEFAULT_COVERAGE_TARGET, ...target };
+  const { windowHours, stepSeconds, resolution } = { ...DEFAULT_EVALUATION, ...options };
+  const start = options.start || new Date();
+  const grid = createCoverageGrid({ latitudeMin: goal.latitudeMin, latitudeMax: goal.latitudeMax, resolution });
+  const satellites = walkerTLEData(params, { name: 'CANDIDATE', epochDate: start }).map(tle => ({ tle }));
+  const evaluation = evaluateCoverage(satellites, grid, {
+    start,
+    end: new Date(start.getTime() + windowHours * 3600 * 1000),
+    stepSeconds,
+    minElevation: goal.minElevation,
+    propagatorId: options.propagatorId
+  });
+  return {
+    ...params,
+    percentCovered: evaluation.percentCovered,
+    maxRevisitGap: evaluation.maxRevisitGap / 60,
+    meetsTarget: meetsCoverageTarget(evaluation, goal)
+  };
+}
+
+/**
+ * Search Walker constellations for the smallest one meeting a coverage target.
+ * Candidates are evaluated by increasing satellite count; per pattern, altitude and
+ * inclination the search stops at the first count that meets the target, and counts
+ * whose combined cap area cannot reach the target fraction of the band are skipped.
+ * All candidates with the same count are handed to `evaluate` at once and awaited together,
+ * so a worker-pool evaluate runs them concurrently; the default evaluates on the calling
+ * thread in chunks between which the event loop is released.
+ * @param {object} target - See DEFAULT_COVERAGE_TARGET
+ * @param {object} search - See DEFAULT_OPTIMIZER_SEARCH
+ * @param {object} options - { start (Date), windowHours, stepSeconds, resolution, propagatorId,
+ *   onProgress({ done, total, evaluated }), signal (AbortSignal), chunkMs,
+ *   evaluate(params, target, options) => result or promise (default evaluateWalkerCandidate) }
+ * @returns {Promise<object>} { best, front, results, evaluated, skipped, cancelled }; each result is
+ *   the Walker parameters plus percentCovered, maxRevisitGap (minutes) and meetsTarget
+ */
+export async function optimizeConstellation(target, search, options = {}) {
+  const goal = { ...DEFAULT_COVERAGE_TARGET, ...target };
+  const { onProgress, signal, chunkMs = 30, evaluate = evaluateWalkerCandidate } = options;
+  const { windowHours, stepSeconds, resolution } = { ...DEFAULT_EVALUATION, ...options };
+  const evaluation = { start: options.start || new Date(), windowHours, stepSeconds, resolution, propagatorId: options.propagatorId };
+  const bandFraction = (Math.sin(goal.latitudeMax * DEG_TO_RAD) - Math.sin(goal.latitudeMin * DEG_TO_RAD)) / 2;
+
+  const candidates = walkerCandidates(search);
+  const feasibleCount = new Map();
+  const results = [];
+  const keyOf = (params) => `${params.pattern}:${params.altitude}:${params.inclination}`;
+  let skipped = 0;
+  let cancelled = false;
+  let chunkStart = Date.now();
+
+  // Candidates with the same satellite count cannot prune each other, so each count is
+  // evaluated as one batch before its results prune the larger counts
+  for (let first = 0; first < candidates.length && !cancelled;) {
+    if (signal && signal.aborted) {
+      cancelled = true;
+      break;
+    }
+    let last = first;
+    while (last < candidates.length && candidates[last].totalSatellites === candidates[first].totalSatellites) last++;
+
+    const batch = [];
+    for (let i = first; i < last; i++) {
+      const params = candidates[i];
+      const key = keyOf(params);
+      const capFraction = (1 - Math.cos(coverageCentralAngle(EARTH_RADIUS + params.altitude, goal.minElevation))) / 2;
+      if (feasibleCount.has(key) && params.totalSatellites > feasibleCount.get(key)) {
+        skipped++;
+      } else if (params.totalSatellites * capFraction < (goal.percentCovered / 100) * bandFraction) {
+        skipped++;
+      } else {
+        batch.push(params);
+      }
+    }
+
+    const pending = [];
+    for (const params of batch) {
+      if (signal && signal.aborted) {
+        cancelled = true;
+        break;
+      }
+      pending.push(evaluate(params, goal, evaluation));
+      // An inline evaluate has already run here, so release the event loop between chunks
+      if (Date.now() - chunkStart >= chunkMs) {
+        await yieldToEventLoop();
+        chunkStart = Date.now();
+      }
+    }
+    const batchResults = await Promise.all(pending);
+    batchResults.forEach((result, k) => {
+      const key = keyOf(batch[k]);
+      results.push(result);
+      if (result.meetsTarget && !feasibleCount.has(key)) feasibleCount.set(key, batch[k].totalSatellites);
+    });
+
+    if (!cancelled && onProgress) onProgress({ done: last, total: candidates.length, evaluated: results.length });
+    await yieldToEventLoop();
+    chunkStart = Date.now();
+    first = last;
+  }
+
+  const feasible = results.filter(r => r.meetsTarget).sort((a, b) =>
+    a.totalSatellites - b.totalSatellites || b.percentCovered - a.percentCovered || a.maxRevisitGap - b.maxRevisitGap);
+
+  return {
+    best: feasible[0] || null,
+    front: paretoFront(results),
+    results,
+    evaluated: results.length,
+    skipped,
+    cancelled
+  };
+}
+
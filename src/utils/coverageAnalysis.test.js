@@ -0,0 +1,227 @@
+/**
+ * Tests for coverage evaluation and the constellation sizing optimizer
+ */
+
+import {
+  coverageCentralAngle,
+  createCoverageGrid,
+  evaluateCoverage,
+  foldCounts,
+  coverageByLatitude,
+  meetsCoverageTarget,
+  paretoFront,
+  walkerCandidates,
+  optimizeConstellation,
+  evaluateWalkerCandidate
+} from './coverageAnalysis.js';
+import { walkerTLEData } from './walker.js';
+
+const START = new Date('2026-10-19T00:00:00Z');
+const hoursLater = (hours) => new Date(START.getTime() + hours * 3600 * 1000);
+
+describe('coverage geometry', () => {
+  test('central angle of the horizon and of an elevation mask', () => {
+    const r = 6378.137 + 550;
+    expect(coverageCentralAngle(r, 0)).toBeCloseTo(Math.acos(6378.137 / r), 12);
+    // Same cap as the scene's coverage cone: cos ψ = u cos²e + sin e √(1 − u² cos²e)
+    const u = 6378.137 / r;
+    const e = 10 * Math.PI / 180;
+    const cosPsi = u * Math.cos(e) ** 2 + Math.sin(e) * Math.sqrt(1 - (u * Math.cos(e)) ** 2);
+    expect(coverageCentralAngle(r, 10)).toBeCloseTo(Math.acos(cosPsi), 12);
+    expect(coverageCentralAngle(6000, 0)).toBe(0);
+  });
+
+  test('grid weights are area fractions of the band', () => {
+    const grid = createCoverageGrid({ latitudeMin: -60, latitudeMax: 60, resolution: 5 });
+    expect(grid.rows).toBe(24);
+    expect(grid.cols).toBe(72);
+    expect(grid.weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+    // Equatorial cells are larger than high-latitude cells
+    expect(grid.weights[12 * 72]).toBeGreaterThan(grid.weights[0]);
+    expect(() => createCoverageGrid({ latitudeMin: 10, latitudeMax: 10 })).toThrow(/latitude band/);
+  });
+});
+
+describe('time-stepped coverage', () => {
+  const grid = createCoverageGrid({ latitudeMin: -30, latitudeMax: 30, resolution: 10 });
+
+  test('a geostationary satellite permanently covers the cells below it and nothing else', () => {
+    const [geo] = walkerTLEData(
+      { pattern: 'delta', totalSatellites: 1, planes: 1, phasing: 0, altitude: 35786, inclination: 0 },
+      { epochDate: START }
+    );
+    const result = evaluateCoverage([{ tle: geo, propagatorId: 'kepler' }], grid, { start: START, end: hoursLater(6), stepSeconds: 600 });
+    const always = Array.from(result.coveredFraction).filter(f => f === 1).length;
+    const never = Array.from(result.coveredFraction).filter(f => f === 0).length;
+    expect(always + never).toBe(grid.count);
+    expect(always).toBeGreaterThan(0);
+    expect(result.maxRevisitGap).toBeCloseTo(6 * 3600 + 600, 6);
+    grid.latitudes.forEach((_, c) => {
+      expect(result.accessCount[c]).toBe(result.coveredFraction[c] === 1 ? 1 : 0);
+      // The only gaps span the whole window, so no cell has a gap between accesses
+      expect(result.meanGap[c]).toBe(0);
+      expect(result.maxGap[c]).toBe(result.coveredFraction[c] === 1 ? 0 : 6 * 3600 + 600);
+    });
+    expect(result.meanRevisitGap).toBe(0);
+  });
+
+  test('fold counts match the instantaneous coverage of a window step', () => {
+    const sats = walkerTLEData(
+      { pattern: 'delta', totalSatellites: 6, planes: 3, phasing: 1, altitude: 1500, inclination: 50 },
+      { epochDate: START }
+    ).map(tle => ({ tle }));
+    const folds = foldCounts(sats, grid, START, { minElevation: 10 });
+    expect(folds).toHaveLength(grid.count);
+    const single = evaluateCoverage(sats, grid, { start: START, end: START, stepSeconds: 60, minElevation: 10 });
+    folds.forEach((n, c) => {
+      expect(n).toBeLessThanOrEqual(sats.length);
+      expect(single.coveredFraction[c]).toBe(n > 0 ? 1 : 0);
+    });
+    expect(Math.max(...folds)).toBeGreaterThan(0);
+  });
+
+  test('gaps and accesses account for every step, and bands average back to the total', () => {
+    const fullGrid = createCoverageGrid({ latitudeMin: -90, latitudeMax: 90, resolution: 10 });
+    const sats = walkerTLEData(
+      { pattern: 'delta', totalSatellites: 2, planes: 2, phasing: 0, altitude: 800, inclination: 70 },
+      { epochDate: START }
+    ).map(tle => ({ tle }));
+    const result = evaluateCoverage(sats, fullGrid, { start: START, end: hoursLater(6), stepSeconds: 120, minElevation: 30 });
+    fullGrid.latitudes.forEach((_, c) => {
+      const coveredSteps = Math.round(result.coveredFraction[c] * result.steps);
+      const uncoveredSteps = result.steps - coveredSteps;
+      // Gaps between accesses number one fewer than the accesses and fit in the uncovered time
+      expect(result.meanGap[c] > 0).toBe(result.accessCount[c] > 1);
+      if (result.accessCount[c] > 1) {
+        expect(result.meanGap[c] * (result.accessCount[c] - 1)).toBeLessThanOrEqual(uncoveredSteps * 120 + 1e-6);
+      }
+      expect(result.maxGap[c]).toBeGreaterThanOrEqual(result.meanGap[c]);
+    });
+    // With a 30° mask the cap spans about 10°, so cells beyond 80° latitude are never seen
+    expect(result.accessCount[0]).toBe(0);
+    expect(result.meanAccesses).toBeGreaterThan(0);
+
+    const bands = coverageByLatitude(fullGrid, result, 30);
+    expect(bands).toHaveLength(6);
+    expect(bands[0]).toMatchObject({ latitudeMin: -90, latitudeMax: -60 });
+    const weighted = bands.reduce((sum, b) =>
+      sum + b.percentCovered * (Math.sin(b.latitudeMax * Math.PI / 180) - Math.sin(b.latitudeMin * Math.PI / 180)) / 2, 0);
+    expect(weighted).toBeCloseTo(result.percentCovered, 9);
+    expect(Math.max(...bands.map(b => b.maxGap))).toBe(result.maxRevisitGap);
+  });
+
+  test('gaps cut by the window edges count toward the maximum gap but not the mean', () => {
+    const sats = walkerTLEData(
+      { pattern: 'delta', totalSatellites: 2, planes: 2, phasing: 0, altitude: 800, inclination: 70 },
+      { epochDate: START }
+    ).map(tle => ({ tle }));
+    const stepSeconds = 120;
+    const result = evaluateCoverage(sats, grid, { start: START, end: hoursLater(6), stepSeconds, minElevation: 10 });
+    // Rebuild each cell's coverage from the instantaneous fold counts
+    const timeline = Array.from({ length: result.steps }, (_, step) =>
+      foldCounts(sats, grid, new Date(START.getTime() + step * stepSeconds * 1000), { minElevation: 10 }));
+
+    let checked = 0;
+    grid.latitudes.forEach((_, c) => {
+      const covered = timeline.map(folds => folds[c] > 0);
+      if (covered[0] || covered[covered.length - 1] || result.accessCount[c] < 2) return;
+      // Runs of uncovered steps; the first and last touch the window edges
+      const runs = covered.join('').split(/true/).filter(run => run).map(run => run.split('false').length - 1);
+      const between = runs.slice(1, -1);
+      expect(between).toHaveLength(result.accessCount[c] - 1);
+      expect(result.meanGap[c]).toBeCloseTo((between.reduce((a, b) => a + b, 0) / between.length) * stepSeconds, 6);
+      expect(result.maxGap[c]).toBe(Math.max(...runs) * stepSeconds);
+      checked++;
+    });
+    expect(checked).toBeGreaterThan(0);
+  });
+
+  test('more satellites cover more of the band', () => {
+    const options = { start: START, end: hoursLater(3), stepSeconds: 120, minElevation: 10 };
+    const evaluate = (total) => evaluateCoverage(
+      walkerTLEData({ pattern: 'delta', totalSatellites: total, planes: total / 2, phasing: 1, altitude: 1200, inclination: 55 }, { epochDate: START })
+        .map(tle => ({ tle })),
+      grid,
+      options
+    );
+    const small = evaluate(4);
+    const large = evaluate(24);
+    expect(large.percentCovered).toBeGreaterThan(small.percentCovered);
+    expect(large.maxRevisitGap).toBeLessThan(small.maxRevisitGap);
+  });
+
+  test('target checks and the Pareto front', () => {
+    expect(meetsCoverageTarget({ percentCovered: 96, maxRevisitGap: 600 }, { percentCovered: 95, maxRevisitGap: null })).toBe(true);
+    expect(meetsCoverageTarget({ percentCovered: 96, maxRevisitGap: 600 }, { percentCovered: 95, maxRevisitGap: 5 })).toBe(false);
+    const front = paretoFront([
+      { totalSatellites: 12, percentCovered: 60 },
+      { totalSatellites: 12, percentCovered: 70 },
+      { totalSatellites: 16, percentCovered: 65 },
+      { totalSatellites: 18, percentCovered: 90 }
+    ]);
+    expect(front.map(r => r.percentCovered)).toEqual([70, 90]);
+  });
+});
+
+describe('constellation sizing optimizer', () => {
+  test('candidates cover every divisor plane count and phasing', () => {
+    const candidates = walkerCandidates({ altitudes: [800], inclinations: [60], minSatellites: 6, maxSatellites: 6, maxPlanes: 6 });
+    // P in {1, 2, 3, 6} with F = 0..P-1
+    expect(candidates).toHaveLength(1 + 2 + 3 + 6);
+  });
+
+  test('finds the smallest configuration meeting the target and reports progress', async () => {
+    const progress = [];
+    const outcome = await optimizeConstellation(
+      { percentCovered: 60, maxRevisitGap: null, latitudeMin: -30, latitudeMax: 30, minElevation: 10 },
+      { altitudes: [1200], inclinations: [30], minSatellites: 4, maxSatellites: 16, maxPlanes: 4 },
+      { start: START, windowHours: 2, stepSeconds: 300, resolution: 10, propagatorId: 'j2', onProgress: p => progress.push(p) }
+    );
+    expect(outcome.cancelled).toBe(false);
+    expect(outcome.best).not.toBeNull();
+    expect(outcome.best.percentCovered).toBeGreaterThanOrEqual(60);
+    // Nothing smaller that was evaluated meets the target
+    outcome.results
+      .filter(r => r.totalSatellites < outcome.best.totalSatellites)
+      .forEach(r => expect(r.meetsTarget).toBe(false));
+    expect(outcome.front[outcome.front.length - 1].percentCovered).toBeGreaterThanOrEqual(outcome.best.percentCovered);
+    expect(progress[progress.length - 1].done).toBe(progress[progress.length - 1].total);
+  });
+
+  test('candidates can be evaluated elsewhere', async () => {
+    const target = { percentCovered: 60, latitudeMin: -30, latitudeMax: 30 };
+    const search = { altitudes: [1200], inclinations: [30], minSatellites: 4, maxSatellites: 8, maxPlanes: 2 };
+    const options = { start: START, windowHours: 1, stepSeconds: 600, resolution: 15 };
+    const calls = [];
+    const inFlight = [];
+    let mostInFlight = 0;
+    // Stands in for the worker pool, replying on a later turn of the event loop
+    const evaluate = (params, goal, evaluation) => {
+      calls.push(evaluation);
+      // Counts are batched: nothing from another count is still running
+      expect(inFlight.every(total => total === params.totalSatellites)).toBe(true);
+      inFlight.push(params.totalSatellites);
+      mostInFlight = Math.max(mostInFlight, inFlight.length);
+      const result = evaluateWalkerCandidate(params, goal, evaluation);
+      return new Promise(resolve => setTimeout(() => {
+        inFlight.pop();
+        resolve(result);
+      }, 0));
+    };
+    const local = await optimizeConstellation(target, search, options);
+    const remote = await optimizeConstellation(target, search, { ...options, evaluate });
+    expect(remote.results).toEqual(local.results);
+    expect(calls).toHaveLength(local.evaluated);
+    expect(mostInFlight).toBeGreaterThan(1);
+    expect(calls[0]).toMatchObject({ windowHours: 1, stepSeconds: 600, resolution: 15 });
+    expect(calls[0].start.getTime()).toBe(START.getTime());
+  });
+
+    test('can be cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const outcome = await optimizeConstellation({}, { altitudes: [800], inclinations: [60], maxSatellites: 20 }, { start: START, signal: controller.signal });
+    expect(outcome.cancelled).toBe(true);
+    expect(outcome.evaluated).toBe(0);
+  });
+});
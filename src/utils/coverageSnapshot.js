@@ -0,0 +1,176 @@
+/**
+ * Coverage Snapshot
+ * Instantaneous coverage at one simulation time: the footprint figures of every
+ * satellite and the area of the union of their visibility caps. Results are packed
+ * into typed arrays so a worker can hand them back without copying.
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { temeToEcef, ecefToGeodetic } from './frames';
+import { sunPosition, illuminationFraction } from './sunEphemeris';
+import { coverageCentralAngle, createCoverageGrid } from './coverageAnalysis';
+
+const EARTH_RADIUS = 6378.137; // km
+const EARTH_AREA = 4 * Math.PI * EARTH_RADIUS * EARTH_RADIUS; // km²
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Values stored per satellite, in this order
+export const SNAPSHOT_FIELDS = [
+  'centralAngle', // rad
+  'coveragePercentage', // % of the Earth surface inside the cap
+  'coverageAreaKm2',
+  'satelliteAltitudeKm', // above the spherical Earth
+  'latitude', // sub-satellite point (deg)
+  'longitude',
+  'geodeticAltitudeKm',
+  'illumination' // 0 in umbra .. 1 in sunlight
+];
+
+const STRIDE = SNAPSHOT_FIELDS.length;
+
+// Global grids for the union, built once per resolution
+const unionGrids = new Map();
+
+function unionGrid(resolution) {
+  if (!unionGrids.has(resolution)) {
+    unionGrids.set(resolution, createCoverageGrid({ latitudeMin: -90, latitudeMax: 90, resolution }));
+  }
+  return unionGrids.get(resolution);
+}
+
+// Union grid resolutions (deg), finest first; 0.5° is about 260k cells
+const UNION_RESOLUTIONS = [0.5, 1, 2, 4, 8];
+
+// Cell-against-cap tests allowed per union; more caps get a coarser grid
+const UNION_TEST_BUDGET = 4e6;
+
+// Above this many caps, dropping contained caps (a test per pair) costs more than it saves
+const MAX_CONTAINMENT_CAPS = 256;
+
+/**
+ * Fraction of the Earth surface inside at least one visibility cap.
+ * Caps contained in another cap are dropped first for small sets. The grid is finer for
+ * small caps and coarser for many caps, so the work stays bounded by UNION_TEST_BUDGET.
+ * @param {Float64Array} caps - Unit vector and central angle ψ (rad), 4 values per cap
+ * @param {number} count - Number of caps in use
+ * @returns {number} Covered fraction 0..1
+ */
+export function unionCoverageFraction(caps, count) {
+  let kept = Array.from({ length: count }, (_, i) => i);
+  if (count <= MAX_CONTAINMENT_CAPS) {
+    // Largest caps first, so a cap only needs checking against the caps already kept
+    const order = kept.sort((a, b) => caps[b * 4 + 3] - caps[a * 4 + 3]);
+    kept = [];
+    order.forEach(i => {
+      const contained = kept.some(j => {
+        const dot = caps[i * 4] * caps[j * 4] + caps[i * 4 + 1] * caps[j * 4 + 1] + caps[i * 4 + 2] * caps[j * 4 + 2];
+        return caps[j * 4 + 3] >= caps[i * 4 + 3] + Math.acos(Math.min(1, Math.max(-1, dot))) - 1e-12;
+      });
+      if (!contained) kept.push(i);
+    });
+  }
+  if (kept.length === 0) return 0;
+
+  const minPsiDeg = kept.reduce((m, i) => Math.min(m, caps[i * 4 + 3] * RAD_TO_DEG), Infinity);
+  const wanted = minPsiDeg < 6 ? 0.5 : 1;
+  const resolution = UNION_RESOLUTIONS.find(r => r >= wanted && (64800 / (r * r)) * kept.length <= UNION_TEST_BUDGET) ||
+    UNION_RESOLUTIONS[UNION_RESOLUTIONS.length - 1];
+
+  const packed = new Float64Array(kept.length * 4);
+  kept.forEach((i, k) => {
+    packed[k * 4] = caps[i * 4];
+    packed[k * 4 + 1] = caps[i * 4 + 1];
+    packed[k * 4 + 2] = caps[i * 4 + 2];
+    packed[k * 4 + 3] = Math.cos(caps[i * 4 + 3]) - 1e-12;
+  });
+
+  const { count: cells, vectors, weights } = unionGrid(resolution);
+  let covered = 0;
+  for (let c = 0; c < cells; c++) {
+    const x = vectors[c * 3];
+    const y = vectors[c * 3 + 1];
+    const z = vectors[c * 3 + 2];
+    for (let k = 0; k < kept.length; k++) {
+      if (x * packed[k * 4] + y * packed[k * 4 + 1] + z * packed[k * 4 + 2] >= packed[k * 4 + 3]) {
+        covered += weights[c];
+        break;
+      }
+    }
+  }
+  return covered;
+}
+
+/**
+ * Propagate satellites to one instant and compute their footprints and union coverage
+ * @param {Array<object>} satellites - [{ tle, propagatorId }]
+ * @param {Date} date - UTC date
+ * @param {object} options - { minElevation (deg), propagatorId }
+ * @returns {object} { time (ms), values (Float64Array, SNAPSHOT_FIELDS per satellite in input
+ *   order, NaN when it cannot be propagated), percent, areaKm2 }
+ */
+export function coverageSnapshot(satellites, date, options = {}) {
+  const minElevation = options.minElevation || 0;
+  const defaultPropagator = options.propagatorId || DEFAULT_PROPAGATOR;
+  const values = new Float64Array(satellites.length * STRIDE).fill(NaN);
+  const caps = new Float64Array(satellites.length * 4);
+  const sun = sunPosition(date);
+  let active = 0;
+
+  satellites.forEach(({ tle, propagatorId }, s) => {
+    const state = propagate(tle, date, propagatorId || defaultPropagator);
+    if (!isFinite(state.distance)) return;
+    const psi = coverageCentralAngle(state.distance, minElevation);
+    const capArea = 2 * Math.PI * EARTH_RADIUS * EARTH_RADIUS * (1 - Math.cos(psi));
+    const ecef = temeToEcef(state.position, date);
+    const geodetic = ecefToGeodetic(ecef);
+    const { x, y, z } = state.position;
+
+    values.set([
+      psi,
+      (capArea / EARTH_AREA) * 100,
+      capArea,
+      state.distance - EARTH_RADIUS,
+      geodetic.latitude,
+      geodetic.longitude,
+      geodetic.altitude,
+      illuminationFraction([x, y, z], [sun.x, sun.y, sun.z])
+    ], s * STRIDE);
+
+    if (psi > 0) {
+      caps[active * 4] = ecef.x / state.distance;
+      caps[active * 4 + 1] = ecef.y / state.distance;
+      caps[active * 4 + 2] = ecef.z / state.distance;
+      caps[active * 4 + 3] = psi;
+      active++;
+    }
+  });
+
+  const percent = unionCoverageFraction(caps, active) * 100;
+  return { time: date.getTime(), values, percent, areaKm2: (percent / 100) * EARTH_AREA };
+}
+
+/**
+ * Per-satellite coverage data of a snapshot, in the shape the satellite list displays
+ * @param {object} snapshot - From coverageSnapshot()
+ * @param {Array<string|number>} ids - Satellite ids in the order they were propagated
+ * @returns {object} { [id]: { centralAngle, coveragePercentage, coverageAreaKm2, satelliteAltitudeKm,
+ *   geodeticAltitudeKm, subSatellitePoint, eclipse } }, without satellites that failed
+ */
+export function unpackSnapshot(snapshot, ids) {
+  const data = {};
+  ids.forEach((id, s) => {
+    const v = snapshot.values.subarray(s * STRIDE, (s + 1) * STRIDE);
+    if (!isFinite(v[0])) return;
+    const illumination = v[7];
+    data[id] = {
+      centralAngle: v[0],
+      coveragePercentage: v[1],
+      coverageAreaKm2: v[2],
+      satelliteAltitudeKm: v[3],
+      subSatellitePoint: { latitude: v[4], longitude: v[5] },
+      geodeticAltitudeKm: v[6],
+      eclipse: { state: illumination >= 1 ? 'sunlight' : illumination <= 0 ? 'umbra' : 'penumbra', illumination }
+    };
+  });
+  return data;
+}
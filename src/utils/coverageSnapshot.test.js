@@ -0,0 +1,92 @@
+/**
+ * Tests for instantaneous coverage snapshots and the union of visibility caps
+ */
+
+import { unionCoverageFraction, coverageSnapshot, unpackSnapshot, SNAPSHOT_FIELDS } from './coverageSnapshot.js';
+import { coverageCentralAngle } from './coverageAnalysis.js';
+import { walkerTLEData } from './walker.js';
+import { propagate } from './propagators.js';
+
+const DATE = new Date('2026-10-19T06:00:00Z');
+const deg = (d) => d * Math.PI / 180;
+
+// Cap of central angle psi around the direction (lat, lon)
+const cap = (lat, lon, psi) => [
+  Math.cos(deg(lat)) * Math.cos(deg(lon)),
+  Math.cos(deg(lat)) * Math.sin(deg(lon)),
+  Math.sin(deg(lat)),
+  psi
+];
+
+describe('union of caps', () => {
+  test('a single cap covers its spherical cap area', () => {
+    const psi = deg(20);
+    const fraction = unionCoverageFraction(new Float64Array(cap(10, 40, psi)), 1);
+    expect(fraction).toBeCloseTo((1 - Math.cos(psi)) / 2, 3);
+  });
+
+  test('duplicate and contained caps do not change the union', () => {
+    const psi = deg(20);
+    const single = unionCoverageFraction(new Float64Array(cap(10, 40, psi)), 1);
+    const caps = new Float64Array([...cap(10, 40, psi), ...cap(10, 40, psi), ...cap(12, 41, deg(5))]);
+    expect(unionCoverageFraction(caps, 3)).toBeCloseTo(single, 9);
+  });
+
+  test('disjoint caps add up, and nothing is covered without caps', () => {
+    const psi = deg(15);
+    const caps = new Float64Array([...cap(0, 0, psi), ...cap(0, 180, psi)]);
+    expect(unionCoverageFraction(caps, 2)).toBeCloseTo(1 - Math.cos(psi), 3);
+    expect(unionCoverageFraction(caps, 0)).toBe(0);
+  });
+
+  test('many caps are unioned on a coarser grid', () => {
+    const psi = deg(20);
+    // Past the containment pass: duplicates are all tested, on a grid of a few thousand cells
+    const copies = new Float64Array(Array.from({ length: 300 }, () => cap(10, 40, psi)).flat());
+    expect(unionCoverageFraction(copies, 300)).toBeCloseTo((1 - Math.cos(psi)) / 2, 2);
+
+    // Caps spread evenly over the sphere leave nothing uncovered
+    const count = 2000;
+    const spread = new Float64Array(Array.from({ length: count }, (_, i) => {
+      const z = 1 - (2 * i + 1) / count;
+      const lon = i * 137.508;
+      return cap(Math.asin(z) * 180 / Math.PI, lon, psi);
+    }).flat());
+    expect(unionCoverageFraction(spread, count)).toBeCloseTo(1, 6);
+  });
+});
+
+describe('coverage snapshot', () => {
+  const sats = walkerTLEData(
+    { pattern: 'delta', totalSatellites: 3, planes: 3, phasing: 0, altitude: 700, inclination: 98 },
+    { epochDate: DATE }
+  );
+
+  test('packs per-satellite footprints and the union in typed arrays', () => {
+    const snapshot = coverageSnapshot(sats.map(tle => ({ tle })), DATE, { minElevation: 10 });
+    expect(snapshot.values).toBeInstanceOf(Float64Array);
+    expect(snapshot.values).toHaveLength(sats.length * SNAPSHOT_FIELDS.length);
+    expect(snapshot.time).toBe(DATE.getTime());
+
+    const data = unpackSnapshot(snapshot, ['a', 'b', 'c']);
+    const state = propagate(sats[0], DATE);
+    expect(data.a.centralAngle).toBeCloseTo(coverageCentralAngle(state.distance, 10), 12);
+    expect(data.a.satelliteAltitudeKm).toBeCloseTo(state.distance - 6378.137, 9);
+    expect(['sunlight', 'penumbra', 'umbra']).toContain(data.a.eclipse.state);
+    expect(Math.abs(data.b.subSatellitePoint.latitude)).toBeLessThanOrEqual(90);
+
+    // Three small, well-separated caps: the union is close to the sum of their areas
+    const sum = Object.values(data).reduce((total, d) => total + d.coveragePercentage, 0);
+    expect(snapshot.percent).toBeLessThanOrEqual(sum + 0.1);
+    expect(snapshot.percent).toBeGreaterThan(sum * 0.9);
+    expect(snapshot.areaKm2).toBeCloseTo(snapshot.percent / 100 * 4 * Math.PI * 6378.137 ** 2, 3);
+  });
+
+  test('satellites that cannot be propagated are left out', () => {
+    const broken = { ...sats[0], eccentricity: 1.5 };
+    const snapshot = coverageSnapshot([{ tle: broken }, { tle: sats[1] }], DATE);
+    const data = unpackSnapshot(snapshot, ['broken', 'ok']);
+    expect(data.broken).toBeUndefined();
+    expect(data.ok).toBeDefined();
+  });
+});
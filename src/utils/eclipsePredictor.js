@@ -0,0 +1,87 @@
+/**
+ * Eclipse Prediction
+ * Finds the Earth-shadow passages of a satellite: penumbra entry, umbra entry,
+ * umbra exit and penumbra exit. The conical shadow boundaries are sampled
+ * coarsely to bracket the events, which are then refined by root-finding.
+ */
+
+import { dateToJulian } from './tleParser';
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { sunPositionAtJulianDate, shadowGeometry } from './sunEphemeris';
+import { findRoot } from './rootFinding';
+
+/**
+ * Predict eclipses of a satellite in a time window
+ * @param {object} tle - Parsed TLE data
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {object} options - { propagatorId, stepSeconds }
+ * @returns {Array<object>} Eclipses as { penumbraEntry, umbraEntry, umbraExit, penumbraExit,
+ *   duration (s, penumbra entry to exit), umbraDuration (s), startsBeforeWindow, endsAfterWindow };
+ *   umbra times are null for penumbral-only eclipses
+ */
+export function predictEclipses(tle, start, end, options = {}) {
+  const propagatorId = options.propagatorId || DEFAULT_PROPAGATOR;
+  const stepMs = (options.stepSeconds || Math.min(60, (tle.period * 60) / 100)) * 1000;
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+
+  // Boundary functions: negative inside the penumbra cone / umbra cone
+  const boundaries = (ms) => {
+    const date = new Date(ms);
+    const { position, distance } = propagate(tle, date, propagatorId);
+    if (!isFinite(distance)) return { penumbra: 1, umbra: 1 };
+    const { a, b, c } = shadowGeometry([position.x, position.y, position.z], sunPositionAtJulianDate(dateToJulian(date)));
+    return { penumbra: c - (a + b), umbra: c - (b - a) };
+  };
+  const penumbraAt = (ms) => boundaries(ms).penumbra;
+  const umbraAt = (ms) => boundaries(ms).umbra;
+
+  const eclipses = [];
+  let current = null;
+  let prevMs = startMs;
+  let prev = boundaries(prevMs);
+  if (prev.penumbra < 0) {
+    current = { penumbraEntry: start, umbraEntry: prev.umbra < 0 ? start : null, umbraExit: null, startsBeforeWindow: true };
+  }
+
+  const close = (exitDate, endsAfterWindow) => {
+    const umbraDuration = current.umbraEntry && current.umbraExit ? (current.umbraExit - current.umbraEntry) / 1000 : 0;
+    eclipses.push({
+      ...current,
+      penumbraExit: exitDate,
+      duration: (exitDate - current.penumbraEntry) / 1000,
+      umbraDuration,
+      endsAfterWindow
+    });
+    current = null;
+  };
+
+  while (prevMs < endMs) {
+    const ms = Math.min(endMs, prevMs + stepMs);
+    const next = boundaries(ms);
+
+    if (prev.penumbra >= 0 && next.penumbra < 0) {
+      const entry = new Date(findRoot(penumbraAt, prevMs, ms, prev.penumbra, next.penumbra));
+      current = { penumbraEntry: entry, umbraEntry: null, umbraExit: null, startsBeforeWindow: false };
+    }
+    if (current && prev.umbra >= 0 && next.umbra < 0) {
+      current.umbraEntry = new Date(findRoot(umbraAt, prevMs, ms, prev.umbra, next.umbra));
+    }
+    if (current && prev.umbra < 0 && next.umbra >= 0) {
+      current.umbraExit = new Date(findRoot(umbraAt, prevMs, ms, prev.umbra, next.umbra));
+    }
+    if (current && prev.penumbra < 0 && next.penumbra >= 0) {
+      close(new Date(findRoot(penumbraAt, prevMs, ms, prev.penumbra, next.penumbra)), false);
+    }
+
+    prevMs = ms;
+    prev = next;
+  }
+
+  if (current) {
+    if (current.umbraEntry && !current.umbraExit && prev.umbra < 0) current.umbraExit = end;
+    close(end, true);
+  }
+  return eclipses;
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests for eclipse prediction
+ */
+
+import { predictEclipses } from './eclipsePredictor.js';
+import { eclipseState } from './sunEphemeris.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES } from './tleParser.js';
+
+const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+
+const stateAt = (ms) => {
+  const date = new Date(ms);
+  return eclipseState(calculateSatellitePosition(iss, date).position, date).state;
+};
+
+describe('eclipse prediction', () => {
+  const start = new Date(iss.epochDate.getTime() + 6 * 3600 * 1000);
+  const end = new Date(start.getTime() + 6 * 3600 * 1000);
+  const eclipses = predictEclipses(iss, start, end);
+
+  test('finds one eclipse per orbit with ordered events', () => {
+    const orbits = (end - start) / (iss.period * 60000);
+    expect(eclipses.length).toBeGreaterThanOrEqual(Math.floor(orbits) - 1);
+    expect(eclipses.length).toBeLessThanOrEqual(Math.ceil(orbits) + 1);
+    eclipses.forEach(e => {
+      expect(e.penumbraEntry <= e.penumbraExit).toBe(true);
+      if (e.umbraEntry && e.umbraExit) {
+        expect(e.penumbraEntry <= e.umbraEntry).toBe(true);
+        expect(e.umbraEntry < e.umbraExit).toBe(true);
+        expect(e.umbraExit <= e.penumbraExit).toBe(true);
+      }
+    });
+  });
+
+  test('event times match the shadow state within a second', () => {
+    eclipses.filter(e => !e.startsBeforeWindow && !e.endsAfterWindow).forEach(e => {
+      expect(stateAt(e.penumbraEntry.getTime() - 1000)).toBe('sunlight');
+      expect(stateAt(e.penumbraEntry.getTime() + 1000)).not.toBe('sunlight');
+      expect(stateAt(e.penumbraExit.getTime() + 1000)).toBe('sunlight');
+      if (e.umbraEntry) {
+        expect(stateAt(e.umbraEntry.getTime() - 1000)).not.toBe('umbra');
+        expect(stateAt(e.umbraEntry.getTime() + 1000)).toBe('umbra');
+        expect(stateAt(e.umbraExit.getTime() + 1000)).not.toBe('umbra');
+      }
+    });
+  });
+
+  test('LEO eclipses last about half an hour with a penumbra of seconds', () => {
+    const complete = eclipses.filter(e => !e.startsBeforeWindow && !e.endsAfterWindow && e.umbraEntry);
+    expect(complete.length).toBeGreaterThan(0);
+    complete.forEach(e => {
+      expect(e.umbraDuration).toBeGreaterThan(20 * 60);
+      expect(e.umbraDuration).toBeLessThan(40 * 60);
+      expect((e.umbraEntry - e.penumbraEntry) / 1000).toBeLessThan(30);
+      expect(e.duration).toBeCloseTo((e.penumbraExit - e.penumbraEntry) / 1000, 6);
+    });
+  });
+
+  test('flags eclipses cut by the window', () => {
+    const inShadow = eclipses.find(e => !e.endsAfterWindow && !e.startsBeforeWindow);
+    const midShadow = new Date((inShadow.umbraEntry || inShadow.penumbraEntry).getTime() + 60000);
+    const clipped = predictEclipses(iss, midShadow, new Date(midShadow.getTime() + 60000));
+    expect(clipped.length).toBe(1);
+    expect(clipped[0].startsBeforeWindow).toBe(true);
+    expect(clipped[0].endsAfterWindow).toBe(true);
+  });
+});
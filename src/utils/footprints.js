@@ -0,0 +1,81 @@
+/**
+ * Footprint Store
+ * Current visibility footprints of the satellites, packed for the footprint shader:
+ * a 2-row RGBA float texture with one column per footprint. Row 0 holds the unit
+ * direction of the footprint centre and cos ψ; row 1 the satellite colour and the
+ * cosine where the rim drawn along the footprint edge begins.
+ */
+
+// Footprints the shader can draw at once (texture width)
+export const MAX_FOOTPRINTS = 1024;
+
+// Overlap count drawn at full intensity
+export const FOOTPRINT_LEVELS = 6;
+
+// Angular width of the coloured rim along the footprint edge (rad)
+export const FOOTPRINT_RIM_WIDTH = 0.006;
+
+/**
+ * Create a store that satellites write their footprints into every frame
+ * @returns {object} { set(key, direction, centralAngle, color), delete(key), size, pack(data) }
+ */
+export function createFootprintStore() {
+  const entries = new Map();
+
+  return {
+    /**
+     * Add or move a footprint
+     * @param {*} key - Owner of the footprint
+     * @param {object} direction - Footprint centre {x, y, z} in scene coordinates (any length)
+     * @param {number} centralAngle - Central angle ψ (rad); footprints of 0 are not drawn
+     * @param {number[]} color - Rim colour [r, g, b] in 0..1
+     */
+    set(key, direction, centralAngle, color) {
+      const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+      if (!(centralAngle > 0) || !(length > 0)) {
+        entries.delete(key);
+        return;
+      }
+      const entry = entries.get(key) || {};
+      entry.x = direction.x / length;
+      entry.y = direction.y / length;
+      entry.z = direction.z / length;
+      entry.cosPsi = Math.cos(centralAngle);
+      entry.cosRim = Math.cos(Math.max(0, centralAngle - FOOTPRINT_RIM_WIDTH));
+      entry.color = color;
+      entries.set(key, entry);
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    /**
+     * Write the footprints into texture data
+     * @param {Float32Array} data - MAX_FOOTPRINTS × 2 RGBA texels
+     * @returns {number} Number of footprints written (at most MAX_FOOTPRINTS)
+     */
+    pack(data) {
+      let count = 0;
+      for (const entry of entries.values()) {
+        if (count === MAX_FOOTPRINTS) break;
+        const top = count * 4;
+        const bottom = (MAX_FOOTPRINTS + count) * 4;
+        data[top] = entry.x;
+        data[top + 1] = entry.y;
+        data[top + 2] = entry.z;
+        data[top + 3] = entry.cosPsi;
+        data[bottom] = entry.color[0];
+        data[bottom + 1] = entry.color[1];
+        data[bottom + 2] = entry.color[2];
+        data[bottom + 3] = entry.cosRim;
+        count++;
+      }
+      return count;
+    }
+  };
+}
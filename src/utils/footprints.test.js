@@ -0,0 +1,50 @@
+/**
+ * Tests for the footprint store packed for the footprint shader
+ */
+
+import { createFootprintStore, MAX_FOOTPRINTS, FOOTPRINT_RIM_WIDTH } from './footprints.js';
+
+const texel = (data, column, row) => Array.from(data.slice((row * MAX_FOOTPRINTS + column) * 4, (row * MAX_FOOTPRINTS + column) * 4 + 4));
+
+describe('footprint store', () => {
+  test('packs unit centres, cap and rim cosines and colours into two texture rows', () => {
+    const store = createFootprintStore();
+    const data = new Float32Array(MAX_FOOTPRINTS * 2 * 4);
+    store.set('a', { x: 0, y: 3, z: 0 }, 0.3, [1, 0.5, 0]);
+    store.set('b', { x: 1, y: 0, z: 0 }, 0.1, [0, 0, 1]);
+    expect(store.pack(data)).toBe(2);
+
+    const [x, y, z, cosPsi] = texel(data, 0, 0);
+    expect([x, y, z]).toEqual([0, 1, 0]);
+    expect(cosPsi).toBeCloseTo(Math.cos(0.3), 6);
+    const [r, g, b, cosRim] = texel(data, 0, 1);
+    expect([r, g, b]).toEqual([1, 0.5, 0]);
+    expect(cosRim).toBeCloseTo(Math.cos(0.3 - FOOTPRINT_RIM_WIDTH), 6);
+    expect(cosRim).toBeGreaterThan(cosPsi);
+    expect(texel(data, 1, 0)[0]).toBe(1);
+  });
+
+  test('moving, hiding and removing footprints', () => {
+    const store = createFootprintStore();
+    const data = new Float32Array(MAX_FOOTPRINTS * 2 * 4);
+    const key = {};
+    store.set(key, { x: 1, y: 0, z: 0 }, 0.2, [1, 1, 1]);
+    store.set(key, { x: 0, y: 0, z: -2 }, 0.2, [1, 1, 1]);
+    expect(store.size).toBe(1);
+    store.pack(data);
+    expect(texel(data, 0, 0).slice(0, 3)).toEqual([0, 0, -1]);
+
+    // A satellite below the elevation mask everywhere has no footprint
+    store.set(key, { x: 1, y: 0, z: 0 }, 0, [1, 1, 1]);
+    expect(store.size).toBe(0);
+    store.set(key, { x: 1, y: 0, z: 0 }, 0.2, [1, 1, 1]);
+    store.delete(key);
+    expect(store.pack(data)).toBe(0);
+  });
+
+  test('never packs more footprints than the texture holds', () => {
+    const store = createFootprintStore();
+    for (let i = 0; i < MAX_FOOTPRINTS + 10; i++) store.set(i, { x: 1, y: 0, z: 0 }, 0.1, [1, 1, 1]);
+    expect(store.pack(new Float32Array(MAX_FOOTPRINTS * 2 * 4))).toBe(MAX_FOOTPRINTS);
+  });
+});
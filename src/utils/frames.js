@@ -0,0 +1,359 @@
+/**
+ * Coordinate Frame Library
+ * Conversions between TEME (SGP4 output), GCRF/J2000 inertial, Earth-fixed
+ * PEF/ITRF (ECEF) and WGS84 geodetic coordinates, following Vallado
+ * "Fundamentals of Astrodynamics" §3.7: IAU-76 precession, IAU-80 nutation
+ * (largest terms), GMST/GAST sidereal time and optional polar motion.
+ * Vectors are {x, y, z} in km (or km/s); angles in the public API are degrees.
+ */
+
+import { dateToJulian } from './tleParser';
+import { gstime } from './sgp4';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const ARCSEC_TO_RAD = DEG_TO_RAD / 3600;
+const TWO_PI = 2 * Math.PI;
+const EARTH_ROTATION_RATE = 7.292115146706979e-5; // rad/s
+
+export const WGS84 = {
+  radius: 6378.137, // km
+  flattening: 1 / 298.257223563
+};
+WGS84.eccentricitySquared = WGS84.flattening * (2 - WGS84.flattening);
+
+// TAI-UTC leap seconds since 1999 as [unix ms, seconds]
+const LEAP_SECONDS = [
+  [Date.UTC(1999, 0, 1), 32],
+  [Date.UTC(2006, 0, 1), 33],
+  [Date.UTC(2009, 0, 1), 34],
+  [Date.UTC(2012, 6, 1), 35],
+  [Date.UTC(2015, 6, 1), 36],
+  [Date.UTC(2017, 0, 1), 37]
+];
+
+/**
+ * Julian centuries of Terrestrial Time since J2000
+ * @param {Date} date - UTC date
+ * @returns {number} T_TT
+ */
+function centuriesTT(date) {
+  let taiMinusUtc = LEAP_SECONDS[0][1];
+  for (const [ms, seconds] of LEAP_SECONDS) {
+    if (date.getTime() >= ms) taiMinusUtc = seconds;
+  }
+  const jdTT = dateToJulian(date) + (taiMinusUtc + 32.184) / 86400;
+  return (jdTT - 2451545.0) / 36525;
+}
+
+// --- Rotation matrices (passive "coordinate" rotations as in Vallado) ---
+
+function rot1(a) {
+  const c = Math.cos(a);
+  const s = Math.sin(a);
+  return [[1, 0, 0], [0, c, s], [0, -s, c]];
+}
+
+function rot2(a) {
+  const c = Math.cos(a);
+  const s = Math.sin(a);
+  return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+}
+
+function rot3(a) {
+  const c = Math.cos(a);
+  const s = Math.sin(a);
+  return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+function multiply(a, b) {
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      out[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+    }
+  }
+  return out;
+}
+
+function transpose(m) {
+  return [
+    [m[0][0], m[1][0], m[2][0]],
+    [m[0][1], m[1][1], m[2][1]],
+    [m[0][2], m[1][2], m[2][2]]
+  ];
+}
+
+function apply(m, v) {
+  return {
+    x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+    y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+    z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+  };
+}
+
+// --- Precession and nutation ---
+
+/**
+ * IAU-76 precession matrix (MOD -> GCRF)
+ */
+function precessionMatrix(T) {
+  const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC_TO_RAD;
+  const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC_TO_RAD;
+  const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC_TO_RAD;
+  return multiply(multiply(rot3(zeta), rot2(-theta)), rot3(z));
+}
+
+// IAU-80 nutation terms above 0.005": multipliers of (l, l', F, D, Ω) and
+// Δψ = A + B·T, Δε = C + D·T in units of 0.0001"
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [0, 0, 2, -2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 2, 0, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [1, 0, 0, 0, 0, 712, 0.1, -7, 0],
+  [0, 1, 2, -2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 2, 0, 1, -386, -0.4, 200, 0],
+  [1, 0, 2, 0, 2, -301, 0, 129, -0.1],
+  [0, -1, 2, -2, 2, 217, -0.5, -95, 0.3],
+  [1, 0, 0, -2, 0, -158, 0, -1, 0],
+  [0, 0, 2, -2, 1, 129, 0.1, -70, 0],
+  [-1, 0, 2, 0, 2, 123, 0, -53, 0],
+  [1, 0, 0, 0, 1, 63, 0.1, -33, 0],
+  [0, 0, 0, 2, 0, 63, 0, -2, 0],
+  [-1, 0, 2, 2, 2, -59, 0, 26, 0],
+  [-1, 0, 0, 0, 1, -58, -0.1, 32, 0],
+  [1, 0, 2, 0, 1, -51, 0, 27, 0]
+];
+
+/**
+ * IAU-80 nutation angles
+ * @param {number} T - Julian centuries TT since J2000
+ * @returns {object} { deltaPsi, deltaEpsilon, meanObliquity, trueObliquity, moonNode } (radians)
+ */
+function nutationAngles(T) {
+  const REV = 1296000; // arcsec per revolution
+  const T2 = T * T;
+  const l = ((485866.733 + (1325 * REV + 715922.633) * T + 31.310 * T2) % REV) * ARCSEC_TO_RAD;
+  const lp = ((1287099.804 + (99 * REV + 1292581.224) * T - 0.577 * T2) % REV) * ARCSEC_TO_RAD;
+  const F = ((335778.877 + (1342 * REV + 295263.137) * T - 13.257 * T2) % REV) * ARCSEC_TO_RAD;
+  const D = ((1072261.307 + (1236 * REV + 1105601.328) * T - 6.891 * T2) % REV) * ARCSEC_TO_RAD;
+  const moonNode = ((450160.280 - (5 * REV + 482890.539) * T + 7.455 * T2) % REV) * ARCSEC_TO_RAD;
+
+  let deltaPsi = 0;
+  let deltaEpsilon = 0;
+  for (const [al, alp, aF, aD, aOm, A, B, C, Dc] of NUTATION_TERMS) {
+    const arg = al * l + alp * lp + aF * F + aD * D + aOm * moonNode;
+    deltaPsi += (A + B * T) * Math.sin(arg);
+    deltaEpsilon += (C + Dc * T) * Math.cos(arg);
+  }
+  deltaPsi *= 1e-4 * ARCSEC_TO_RAD;
+  deltaEpsilon *= 1e-4 * ARCSEC_TO_RAD;
+
+  const meanObliquity = (84381.448 - 46.8150 * T - 0.00059 * T2 + 0.001813 * T2 * T) * ARCSEC_TO_RAD;
+  return {
+    deltaPsi,
+    deltaEpsilon,
+    meanObliquity,
+    trueObliquity: meanObliquity + deltaEpsilon,
+    moonNode
+  };
+}
+
+/**
+ * IAU-80 nutation matrix (TOD -> MOD)
+ */
+function nutationMatrix(nut) {
+  return multiply(multiply(rot1(-nut.meanObliquity), rot3(nut.deltaPsi)), rot1(nut.trueObliquity));
+}
+
+// --- Sidereal time ---
+
+/**
+ * Greenwich Mean Sidereal Time (IAU-82)
+ * @param {Date} date - UTC date
+ * @param {number} dut1 - UT1-UTC in seconds
+ * @returns {number} GMST in radians (0..2π)
+ */
+export function gmst(date, dut1 = 0) {
+  return gstime(dateToJulian(date) + dut1 / 86400);
+}
+
+/**
+ * Greenwich Apparent Sidereal Time (GMST + equation of the equinoxes)
+ * @param {Date} date - UTC date
+ * @param {number} dut1 - UT1-UTC in seconds
+ * @returns {number} GAST in radians (0..2π)
+ */
+export function gast(date, dut1 = 0) {
+  const nut = nutationAngles(centuriesTT(date));
+  // Kinematic terms apply after 1997
+  const equationOfEquinoxes = nut.deltaPsi * Math.cos(nut.meanObliquity) +
+    (0.00264 * Math.sin(nut.moonNode) + 0.000063 * Math.sin(2 * nut.moonNode)) * ARCSEC_TO_RAD;
+  const angle = (gmst(date, dut1) + equationOfEquinoxes) % TWO_PI;
+  return angle < 0 ? angle + TWO_PI : angle;
+}
+
+// --- Inertial frames ---
+
+/**
+ * TEME -> GCRF rotation matrix at a date
+ */
+function temeToGcrfMatrix(date) {
+  const T = centuriesTT(date);
+  const nut = nutationAngles(T);
+  // TEME uses the equation of the equinoxes without kinematic terms
+  const equationOfEquinoxes = nut.deltaPsi * Math.cos(nut.meanObliquity);
+  return multiply(multiply(precessionMatrix(T), nutationMatrix(nut)), rot3(-equationOfEquinoxes));
+}
+
+/**
+ * Convert a TEME vector to GCRF (J2000)
+ * @param {object} vector - TEME vector {x, y, z}
+ * @param {Date} date - UTC date
+ * @returns {object} GCRF vector
+ */
+export function temeToGcrf(vector, date) {
+  return apply(temeToGcrfMatrix(date), vector);
+}
+
+/**
+ * Convert a GCRF (J2000) vector to TEME
+ * @param {object} vector - GCRF vector {x, y, z}
+ * @param {Date} date - UTC date
+ * @returns {object} TEME vector
+ */
+export function gcrfToTeme(vector, date) {
+  return apply(transpose(temeToGcrfMatrix(date)), vector);
+}
+
+// --- Earth-fixed frames ---
+
+/**
+ * TEME -> ECEF rotation: GMST about z, then optional polar motion
+ * @param {object} options - { dut1 (s), polarMotion: { xp, yp } (arcsec) }
+ */
+function temeToEcefMatrix(date, { dut1 = 0, polarMotion } = {}) {
+  const pef = rot3(gmst(date, dut1));
+  if (!polarMotion) return pef;
+  const xp = polarMotion.xp * ARCSEC_TO_RAD;
+  const yp = polarMotion.yp * ARCSEC_TO_RAD;
+  return multiply(multiply(rot2(-xp), rot1(-yp)), pef);
+}
+
+/**
+ * Convert a TEME position to Earth-fixed coordinates (PEF, or ITRF with polar motion)
+ * @param {object} position - TEME position {x, y, z} (km)
+ * @param {Date} date - UTC date
+ * @param {object} options - { dut1 (s), polarMotion: { xp, yp } (arcsec) }
+ * @returns {object} ECEF position (km)
+ */
+export function temeToEcef(position, date, options = {}) {
+  return apply(temeToEcefMatrix(date, options), position);
+}
+
+/**
+ * Convert an Earth-fixed position to TEME
+ * @param {object} position - ECEF position {x, y, z} (km)
+ * @param {Date} date - UTC date
+ * @param {object} options - { dut1 (s), polarMotion: { xp, yp } (arcsec) }
+ * @returns {object} TEME position (km)
+ */
+export function ecefToTeme(position, date, options = {}) {
+  return apply(transpose(temeToEcefMatrix(date, options)), position);
+}
+
+/**
+ * Convert a TEME state to Earth-fixed, removing the Earth rotation from the velocity
+ * @param {object} state - { position, velocity } in TEME (km, km/s)
+ * @param {Date} date - UTC date
+ * @param {object} options - { dut1 (s), polarMotion: { xp, yp } (arcsec) }
+ * @returns {object} { position, velocity } in ECEF
+ */
+export function temeStateToEcef({ position, velocity }, date, options = {}) {
+  const pef = rot3(gmst(date, options.dut1));
+  const r = apply(pef, position);
+  const v = apply(pef, velocity);
+  const vRel = {
+    x: v.x + EARTH_ROTATION_RATE * r.y,
+    y: v.y - EARTH_ROTATION_RATE * r.x,
+    z: v.z
+  };
+  if (!options.polarMotion) return { position: r, velocity: vRel };
+  const pm = multiply(
+    rot2(-options.polarMotion.xp * ARCSEC_TO_RAD),
+    rot1(-options.polarMotion.yp * ARCSEC_TO_RAD)
+  );
+  return { position: apply(pm, r), velocity: apply(pm, vRel) };
+}
+
+// --- WGS84 geodetic ---
+
+/**
+ * Convert ECEF coordinates to WGS84 geodetic latitude, longitude and altitude
+ * @param {object} position - ECEF position {x, y, z} (km)
+ * @returns {object} { latitude, longitude (-180..180), altitude (km) }
+ */
+export function ecefToGeodetic({ x, y, z }) {
+  const { radius: a, eccentricitySquared: e2 } = WGS84;
+  const p = Math.sqrt(x * x + y * y);
+  const longitude = Math.atan2(y, x);
+
+  // Iterate on latitude (converges to < 1e-12 rad in a few steps)
+  let latitude = Math.atan2(z, p * (1 - e2));
+  let N = a;
+  for (let i = 0; i < 10; i++) {
+    const sinLat = Math.sin(latitude);
+    N = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const next = Math.atan2(z + N * e2 * sinLat, p);
+    if (Math.abs(next - latitude) < 1e-12) {
+      latitude = next;
+      break;
+    }
+    latitude = next;
+  }
+
+  const sinLat = Math.sin(latitude);
+  const cosLat = Math.cos(latitude);
+  N = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+  // Near the poles p/cos(lat) is ill-conditioned; use the z form instead
+  const altitude = Math.abs(cosLat) > 1e-3
+    ? p / cosLat - N
+    : Math.abs(z) / Math.abs(sinLat) - N * (1 - e2);
+
+  return {
+    latitude: latitude * RAD_TO_DEG,
+    longitude: longitude * RAD_TO_DEG,
+    altitude
+  };
+}
+
+/**
+ * Convert WGS84 geodetic coordinates to ECEF
+ * @param {object} geodetic - { latitude, longitude (degrees), altitude (km) }
+ * @returns {object} ECEF position {x, y, z} (km)
+ */
+export function geodeticToEcef({ latitude, longitude, altitude = 0 }) {
+  const { radius: a, eccentricitySquared: e2 } = WGS84;
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const N = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+  return {
+    x: (N + altitude) * Math.cos(lat) * Math.cos(lon),
+    y: (N + altitude) * Math.cos(lat) * Math.sin(lon),
+    z: (N * (1 - e2) + altitude) * sinLat
+  };
+}
+
+/**
+ * Sub-satellite point and geodetic altitude of a TEME position
+ * @param {object} position - TEME position {x, y, z} (km)
+ * @param {Date} date - UTC date
+ * @param {object} options - { dut1 (s), polarMotion: { xp, yp } (arcsec) }
+ * @returns {object} { latitude, longitude, altitude }
+ */
+export function subSatellitePoint(position, date, options = {}) {
+  return ecefToGeodetic(temeToEcef(position, date, options));
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for the coordinate frame library
+ * Reference values from Vallado "Fundamentals of Astrodynamics", Example 3-15
+ */
+
+import {
+  gmst,
+  gast,
+  temeToGcrf,
+  gcrfToTeme,
+  temeToEcef,
+  ecefToTeme,
+  temeStateToEcef,
+  ecefToGeodetic,
+  geodeticToEcef,
+  subSatellitePoint,
+  WGS84
+} from './frames.js';
+
+const date = new Date(Date.UTC(2004, 3, 6, 7, 51, 28, 386));
+const eop = { dut1: -0.4399619, polarMotion: { xp: -0.140682, yp: 0.333309 } };
+const rTEME = { x: 5094.18016210, y: 6127.64465950, z: 6380.34453270 };
+const vTEME = { x: -4.746131487, y: 0.785818041, z: 5.531931288 };
+const separation = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+describe('sidereal time', () => {
+  test('GMST and GAST are in range and differ by the equation of the equinoxes', () => {
+    const theta = gmst(date, eop.dut1);
+    const apparent = gast(date, eop.dut1);
+    expect(theta).toBeGreaterThanOrEqual(0);
+    expect(theta).toBeLessThan(2 * Math.PI);
+    // |Δψ cos ε| stays below ~20 arcsec
+    expect(Math.abs(apparent - theta)).toBeLessThan(1e-4);
+  });
+});
+
+describe('frame conversions', () => {
+  test('TEME to PEF without polar motion', () => {
+    const pef = temeToEcef(rTEME, date, { dut1: eop.dut1 });
+    expect(separation(pef, { x: -1033.4750313, y: 7901.3055856, z: 6380.3445328 })).toBeLessThan(1e-5);
+  });
+
+  test('TEME to ITRF with polar motion', () => {
+    const itrf = temeToEcef(rTEME, date, eop);
+    expect(separation(itrf, { x: -1033.4793830, y: 7901.2952754, z: 6380.3565958 })).toBeLessThan(1e-5);
+    expect(separation(ecefToTeme(itrf, date, eop), rTEME)).toBeLessThan(1e-8);
+  });
+
+  test('TEME velocity to ITRF removes Earth rotation', () => {
+    const { velocity } = temeStateToEcef({ position: rTEME, velocity: vTEME }, date, eop);
+    expect(separation(velocity, { x: -3.225636520, y: -2.872451450, z: 5.531924446 })).toBeLessThan(1e-7);
+  });
+
+  test('TEME to GCRF within the truncated-nutation tolerance', () => {
+    const gcrf = temeToGcrf(rTEME, date);
+    // Reference includes EOP nutation corrections omitted here (~1 m)
+    expect(separation(gcrf, { x: 5102.508958, y: 6123.011401, z: 6378.136928 })).toBeLessThan(0.005);
+    expect(separation(gcrfToTeme(gcrf, date), rTEME)).toBeLessThan(1e-8);
+  });
+});
+
+describe('WGS84 geodetic', () => {
+  test('round-trips through ECEF', () => {
+    const point = { latitude: -33.87, longitude: 151.21, altitude: 0.058 };
+    const back = ecefToGeodetic(geodeticToEcef(point));
+    expect(back.latitude).toBeCloseTo(point.latitude, 10);
+    expect(back.longitude).toBeCloseTo(point.longitude, 10);
+    expect(back.altitude).toBeCloseTo(point.altitude, 8);
+  });
+
+  test('handles the equator and the pole', () => {
+    expect(ecefToGeodetic({ x: WGS84.radius, y: 0, z: 0 })).toEqual({ latitude: 0, longitude: 0, altitude: 0 });
+    const polarRadius = WGS84.radius * (1 - WGS84.flattening);
+    const pole = ecefToGeodetic({ x: 0, y: 0, z: polarRadius + 400 });
+    expect(pole.latitude).toBeCloseTo(90, 10);
+    expect(pole.altitude).toBeCloseTo(400, 6);
+  });
+
+  test('sub-satellite point matches the ECEF conversion', () => {
+    const point = subSatellitePoint(rTEME, date, eop);
+    const expected = ecefToGeodetic({ x: -1033.4793830, y: 7901.2952754, z: 6380.3565958 });
+    expect(point.latitude).toBeCloseTo(expected.latitude, 6);
+    expect(point.longitude).toBeCloseTo(expected.longitude, 6);
+    expect(point.altitude).toBeCloseTo(expected.altitude, 4);
+  });
+});
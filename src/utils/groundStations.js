@@ -0,0 +1,109 @@
+/**
+ * Ground Stations
+ * Station definitions and topocentric look angles (azimuth, elevation, slant
+ * range and range rate) of satellites from a WGS84 site.
+ */
+
+import { geodeticToEcef, temeStateToEcef } from './frames';
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Sample ground stations (latitude/longitude in degrees, altitude in km, mask in degrees)
+ */
+export const SAMPLE_GROUND_STATIONS = [
+  { name: 'Svalbard (SvalSat)', latitude: 78.2298, longitude: 15.4078, altitude: 0.5, minElevation: 5 },
+  { name: 'Wallops Island', latitude: 37.9402, longitude: -75.4664, altitude: 0.01, minElevation: 5 },
+  { name: 'Canberra (DSS-43)', latitude: -35.4014, longitude: 148.9817, altitude: 0.69, minElevation: 10 }
+];
+
+/**
+ * Validate and normalize a ground station definition
+ * @param {object} station - { name, latitude, longitude, altitude (km), minElevation (deg) }
+ * @returns {object} Normalized station
+ */
+export function createGroundStation({ name, latitude, longitude, altitude = 0, minElevation = 0 }) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  const alt = parseFloat(altitude) || 0;
+  const mask = parseFloat(minElevation) || 0;
+  if (!isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error('Latitude must be between -90 and 90 degrees');
+  }
+  if (!isFinite(lon) || lon < -180 || lon > 180) {
+    throw new Error('Longitude must be between -180 and 180 degrees');
+  }
+  if (mask < 0 || mask > 90) {
+    throw new Error('Minimum elevation must be between 0 and 90 degrees');
+  }
+  return {
+    name: (name || '').trim() || `Station ${lat.toFixed(2)}, ${lon.toFixed(2)}`,
+    latitude: lat,
+    longitude: lon,
+    altitude: alt,
+    minElevation: mask
+  };
+}
+
+/**
+ * Look angles from a ground station to a satellite
+ * @param {object} station - Ground station
+ * @param {object} state - Satellite { position, velocity } in TEME (km, km/s)
+ * @param {Date} date - UTC date of the state
+ * @returns {object} { azimuth (deg, 0..360 from north), elevation (deg), range (km), rangeRate (km/s), visible }
+ */
+export function lookAngles(station, state, date) {
+  const site = geodeticToEcef(station);
+  const { position, velocity } = temeStateToEcef(state, date);
+  const rx = position.x - site.x;
+  const ry = position.y - site.y;
+  const rz = position.z - site.z;
+  const range = Math.sqrt(rx * rx + ry * ry + rz * rz);
+
+  // Rotate the line of sight into east/north/up at the site
+  const lat = station.latitude * DEG_TO_RAD;
+  const lon = station.longitude * DEG_TO_RAD;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+  const east = -sinLon * rx + cosLon * ry;
+  const north = -sinLat * cosLon * rx - sinLat * sinLon * ry + cosLat * rz;
+  const up = cosLat * cosLon * rx + cosLat * sinLon * ry + sinLat * rz;
+
+  let azimuth = Math.atan2(east, north) * RAD_TO_DEG;
+  if (azimuth < 0) azimuth += 360;
+  const elevation = Math.asin(up / range) * RAD_TO_DEG;
+  const rangeRate = (rx * velocity.x + ry * velocity.y + rz * velocity.z) / range;
+
+  return {
+    azimuth,
+    elevation,
+    range,
+    rangeRate,
+    visible: elevation >= (station.minElevation || 0)
+  };
+}
+
+/**
+ * Look angles from every station to every satellite at one time
+ * @param {Array<object>} stations - Ground stations with ids
+ * @param {Array<object>} satellites - [{ tle, propagatorId (optional) }]
+ * @param {Date} date - UTC date
+ * @param {object} options - { propagatorId } for satellites without their own
+ * @returns {object} { [stationId]: [{ index (into satellites), azimuth, elevation, range, rangeRate,
+ *   visible }] }; satellites that cannot be propagated are left out
+ */
+export function stationLookAngles(stations, satellites, date, { propagatorId = DEFAULT_PROPAGATOR } = {}) {
+  if (stations.length === 0) return {};
+  const states = satellites
+    .map(({ tle, propagatorId: own }, index) => ({ index, state: propagate(tle, date, own || propagatorId) }))
+    .filter(({ state }) => isFinite(state.distance));
+  const table = {};
+  stations.forEach(station => {
+    table[station.id] = states.map(({ index, state }) => ({ index, ...lookAngles(station, state, date) }));
+  });
+  return table;
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests for ground station look angles
+ */
+
+import { createGroundStation, lookAngles, stationLookAngles } from './groundStations.js';
+import { geodeticToEcef, ecefToTeme } from './frames.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES } from './tleParser.js';
+
+const date = new Date(Date.UTC(2024, 2, 20, 12, 0, 0));
+const station = createGroundStation({ name: 'Test', latitude: 45, longitude: 10, altitude: 0.2, minElevation: 10 });
+
+// Satellite at rest in the Earth-fixed frame at the given geodetic point
+function fixedSatellite(point) {
+  const position = ecefToTeme(geodeticToEcef(point), date);
+  const omega = 7.292115146706979e-5;
+  return { position, velocity: { x: -omega * position.y, y: omega * position.x, z: 0 } };
+}
+
+describe('ground stations', () => {
+  test('validates station definitions', () => {
+    expect(() => createGroundStation({ latitude: 95, longitude: 0 })).toThrow();
+    expect(() => createGroundStation({ latitude: 0, longitude: 200 })).toThrow();
+    expect(createGroundStation({ latitude: '12.5', longitude: '-3' }).name).toMatch(/Station/);
+  });
+
+  test('satellite at the zenith', () => {
+    const look = lookAngles(station, fixedSatellite({ latitude: 45, longitude: 10, altitude: 500.2 }), date);
+    expect(look.elevation).toBeCloseTo(90, 4);
+    expect(look.range).toBeCloseTo(500, 6);
+    expect(look.rangeRate).toBeCloseTo(0, 9);
+    expect(look.visible).toBe(true);
+  });
+
+  test('azimuth points north and east', () => {
+    const north = lookAngles(station, fixedSatellite({ latitude: 50, longitude: 10, altitude: 500 }), date);
+    const east = lookAngles(station, fixedSatellite({ latitude: 45, longitude: 16, altitude: 500 }), date);
+    expect(north.azimuth < 1 || north.azimuth > 359).toBe(true);
+    expect(east.azimuth).toBeGreaterThan(80);
+    expect(east.azimuth).toBeLessThan(100);
+  });
+
+  test('applies the elevation mask', () => {
+    const far = lookAngles(station, fixedSatellite({ latitude: 60, longitude: 10, altitude: 500 }), date);
+    expect(far.elevation).toBeGreaterThan(0);
+    expect(far.elevation).toBeLessThan(10);
+    expect(far.visible).toBe(false);
+  });
+
+  test('range rate matches the derivative of the slant range', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+    const t = new Date(iss.epochDate.getTime() + 1800 * 1000);
+    const rangeAt = (ms) => lookAngles(station, calculateSatellitePosition(iss, new Date(ms)), new Date(ms)).range;
+    const numerical = (rangeAt(t.getTime() + 500) - rangeAt(t.getTime() - 500)) / 1.0;
+    expect(lookAngles(station, calculateSatellitePosition(iss, t), t).rangeRate).toBeCloseTo(numerical, 3);
+  });
+
+  test('look angles from every station to every satellite', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+    const t = new Date(iss.epochDate.getTime() + 1800 * 1000);
+    const stations = [{ ...station, id: 'a' }, { ...station, id: 'b', latitude: -30 }];
+    const table = stationLookAngles(stations, [{ tle: iss }, { tle: iss, propagatorId: 'kepler' }], t);
+    expect(Object.keys(table)).toEqual(['a', 'b']);
+    expect(table.a.map(l => l.index)).toEqual([0, 1]);
+    expect(table.a[0].range).toBeCloseTo(lookAngles(station, calculateSatellitePosition(iss, t), t).range, 6);
+    expect(stationLookAngles([], [{ tle: iss }], t)).toEqual({});
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Ground Tracks
+ * Sub-satellite tracks over a window of past and future orbits, split into
+ * segments at the antimeridian, plus the mapping of geodetic points into the
+ * Earth-fixed scene frame (the frame of the globe group rotated by GMST).
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { subSatellitePoint } from './frames';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export const DEFAULT_GROUND_TRACK_WINDOW = {
+  orbitsBefore: 3,
+  orbitsAfter: 3
+};
+
+/**
+ * Split a sequence of geodetic points wherever it crosses the antimeridian.
+ * A point interpolated on ±180° closes each segment and opens the next one.
+ * @param {Array<object>} points - [{ latitude, longitude, time }] in time order
+ * @returns {Array<Array<object>>} Segments with longitudes in -180..180
+ */
+export function splitAtAntimeridian(points) {
+  const segments = [];
+  let current = [];
+  points.forEach((point, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      const dLon = point.longitude - prev.longitude;
+      if (Math.abs(dLon) > 180) {
+        // Unwrap to find where the short arc meets ±180°
+        const edge = dLon < 0 ? 180 : -180;
+        const unwrapped = point.longitude + (dLon < 0 ? 360 : -360);
+        const f = (edge - prev.longitude) / (unwrapped - prev.longitude);
+        const crossing = {
+          latitude: prev.latitude + f * (point.latitude - prev.latitude),
+          time: new Date(prev.time.getTime() + f * (point.time.getTime() - prev.time.getTime()))
+        };
+        current.push({ ...crossing, longitude: edge });
+        segments.push(current);
+        current = [{ ...crossing, longitude: -edge }];
+      }
+    }
+    current.push(point);
+  });
+  if (current.length > 1) segments.push(current);
+  return segments;
+}
+
+/**
+ * Compute a ground track around a date
+ * @param {object} tle - Parsed TLE data
+ * @param {Date} centerDate - Current simulation time
+ * @param {object} options - { orbitsBefore, orbitsAfter, pointsPerOrbit, propagatorId }
+ * @returns {object} { past, future } arrays of antimeridian-split segments
+ */
+export function computeGroundTrack(tle, centerDate, options = {}) {
+  const {
+    orbitsBefore = DEFAULT_GROUND_TRACK_WINDOW.orbitsBefore,
+    orbitsAfter = DEFAULT_GROUND_TRACK_WINDOW.orbitsAfter,
+    pointsPerOrbit = 180,
+    propagatorId = DEFAULT_PROPAGATOR
+  } = options;
+  const periodMs = tle.period * 60 * 1000;
+  const stepMs = periodMs / pointsPerOrbit;
+  const centerMs = centerDate.getTime();
+
+  const sample = (fromMs, toMs) => {
+    const points = [];
+    const count = Math.max(1, Math.round((toMs - fromMs) / stepMs));
+    for (let i = 0; i <= count; i++) {
+      const time = new Date(fromMs + ((toMs - fromMs) * i) / count);
+      const state = propagate(tle, time, propagatorId);
+      if (!isFinite(state.distance)) continue;
+      const { latitude, longitude } = subSatellitePoint(state.position, time);
+      points.push({ latitude, longitude, time });
+    }
+    return splitAtAntimeridian(points);
+  };
+
+  return {
+    past: orbitsBefore > 0 ? sample(centerMs - orbitsBefore * periodMs, centerMs) : [],
+    future: orbitsAfter > 0 ? sample(centerMs, centerMs + orbitsAfter * periodMs) : []
+  };
+}
+
+/**
+ * Map a geodetic point to Earth-fixed scene coordinates on a sphere
+ * (ECEF x -> scene x, ECEF z -> scene y, ECEF y -> scene -z, as eciToSceneCoordinates)
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @param {number} radius - Sphere radius in scene units
+ * @returns {object} { x, y, z }
+ */
+export function geodeticToScene(latitude, longitude, radius) {
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  return {
+    x: radius * Math.cos(lat) * Math.cos(lon),
+    y: radius * Math.sin(lat),
+    z: -radius * Math.cos(lat) * Math.sin(lon)
+  };
+}
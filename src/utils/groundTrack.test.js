@@ -0,0 +1,53 @@
+/**
+ * Tests for ground track computation
+ */
+
+import { computeGroundTrack, splitAtAntimeridian, geodeticToScene } from './groundTrack.js';
+import { geodeticToEcef, WGS84 } from './frames.js';
+import { parseTLE, eciToSceneCoordinates, SAMPLE_TLES } from './tleParser.js';
+
+const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+const at = (minutes) => new Date(Date.UTC(2024, 0, 1, 0, minutes));
+
+describe('ground tracks', () => {
+  test('splits at the antimeridian with an interpolated crossing point', () => {
+    const segments = splitAtAntimeridian([
+      { latitude: 10, longitude: 170, time: at(0) },
+      { latitude: 12, longitude: -170, time: at(2) },
+      { latitude: 14, longitude: -160, time: at(3) }
+    ]);
+    expect(segments).toHaveLength(2);
+    expect(segments[0][1]).toEqual({ latitude: 11, longitude: 180, time: at(1) });
+    expect(segments[1][0]).toEqual({ latitude: 11, longitude: -180, time: at(1) });
+  });
+
+  test('covers the requested window without jumps across the map', () => {
+    const date = new Date(iss.epochDate.getTime() + 3600 * 1000);
+    const { past, future } = computeGroundTrack(iss, date, { orbitsBefore: 2, orbitsAfter: 3 });
+    const durationMinutes = (segments) =>
+      (segments[segments.length - 1].slice(-1)[0].time - segments[0][0].time) / 60000;
+    expect(durationMinutes(past)).toBeCloseTo(2 * iss.period, 3);
+    expect(durationMinutes(future)).toBeCloseTo(3 * iss.period, 3);
+
+    [...past, ...future].forEach(segment => {
+      for (let i = 1; i < segment.length; i++) {
+        expect(Math.abs(segment[i].longitude - segment[i - 1].longitude)).toBeLessThan(30);
+        expect(Math.abs(segment[i].latitude)).toBeLessThan(iss.inclination + 0.5);
+      }
+    });
+    // Past ends where the future starts (current sub-satellite point)
+    const pastEnd = past[past.length - 1].slice(-1)[0];
+    expect(pastEnd.time).toEqual(date);
+    expect(future[0][0]).toEqual(pastEnd);
+  });
+
+  test('geodeticToScene uses the same axis mapping as eciToSceneCoordinates', () => {
+    const ecef = geodeticToEcef({ latitude: 35, longitude: -120, altitude: 0 });
+    const expected = eciToSceneCoordinates(ecef, 2);
+    const norm = Math.hypot(ecef.x, ecef.y, ecef.z) / WGS84.radius;
+    const direction = geodeticToScene(Math.atan2(ecef.z, Math.hypot(ecef.x, ecef.y)) * 180 / Math.PI, -120, 2 * norm);
+    expect(direction.x).toBeCloseTo(expected.x, 10);
+    expect(direction.y).toBeCloseTo(expected.y, 10);
+    expect(direction.z).toBeCloseTo(expected.z, 10);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Coverage Heatmap
+ * Colour mapping of per-cell coverage metrics into an equirectangular RGBA image
+ * (north up, longitude -180° at the left edge), the layout three.js sphere UVs
+ * expect for a texture on the Earth-fixed globe.
+ */
+
+// Grid used for the live fold count (degrees)
+export const FOLD_GRID_RESOLUTION = 2;
+
+// Fold counts at or above this share the top colour
+export const FOLD_SCALE_MAX = 6;
+
+/**
+ * Metrics that can be painted; `reverse` puts low values at the bright end so that
+ * good coverage always reads the same way
+ */
+export const HEATMAP_METRICS = {
+  folds: { label: 'Fold count (now)', unit: 'satellites', reverse: false },
+  percentTime: { label: '% time covered', unit: '%', reverse: false },
+  maxGap: { label: 'Max revisit gap', unit: 'min', reverse: true }
+};
+
+// Perceptually ordered colour stops (viridis)
+const COLOR_STOPS = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37]
+];
+
+/**
+ * Colour of a normalized value
+ * @param {number} t - Position on the scale, clamped to 0..1
+ * @returns {number[]} [r, g, b] in 0..255
+ */
+export function colorMap(t) {
+  const x = Math.max(0, Math.min(1, isFinite(t) ? t : 0)) * (COLOR_STOPS.length - 1);
+  const i = Math.min(COLOR_STOPS.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = COLOR_STOPS[i];
+  const b = COLOR_STOPS[i + 1];
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * f),
+    Math.round(a[1] + (b[1] - a[1]) * f),
+    Math.round(a[2] + (b[2] - a[2]) * f)
+  ];
+}
+
+/**
+ * Per-cell values and scale of a metric taken from time-integrated statistics
+ * @param {string} metric - 'percentTime' or 'maxGap'
+ * @param {object} coverageStats - { grid, result } from the coverage statistics panel
+ * @returns {object|null} { grid, values, min, max }, null when no statistics are available
+ */
+export function statisticsLayer(metric, coverageStats) {
+  if (!coverageStats) return null;
+  const { grid, result } = coverageStats;
+  if (metric === 'percentTime') {
+    return { grid, values: result.coveredFraction.map(f => f * 100), min: 0, max: 100 };
+  }
+  if (metric === 'maxGap') {
+    const values = result.maxGap.map(g => g / 60);
+    let max = 0;
+    values.forEach(v => { if (v > max) max = v; });
+    return { grid, values, min: 0, max: max > 0 ? max : 1 };
+  }
+  return null;
+}
+
+/**
+ * Paint grid values into an equirectangular RGBA buffer covering the whole globe.
+ * The image is grid.cols wide and 180 / resolution rows high. Each image row takes
+ * the grid row holding its centre latitude, so bands that are not aligned with the
+ * image rows stay in place; rows centred outside the band stay transparent.
+ * @param {Uint8ClampedArray} pixels - RGBA buffer of width × height × 4
+ * @param {object} grid - From createCoverageGrid()
+ * @param {ArrayLike<number>} values - One value per cell
+ * @param {object} scale - { min, max, reverse }
+ */
+export function paintHeatmap(pixels, grid, values, { min, max, reverse = false }) {
+  const width = grid.cols;
+  const height = Math.round(180 / grid.resolution);
+  const span = max - min || 1;
+  pixels.fill(0);
+  for (let y = 0; y < height; y++) {
+    // Image rows run north to south, grid rows south to north
+    const latitude = 90 - (y + 0.5) * grid.resolution;
+    if (latitude < grid.latitudeMin || latitude > grid.latitudeMax) continue;
+    const i = Math.min(grid.rows - 1, Math.floor((latitude - grid.latitudeMin) / grid.resolution));
+    for (let j = 0; j < width; j++) {
+      const t = (values[i * grid.cols + j] - min) / span;
+      const [r, g, b] = colorMap(reverse ? 1 - t : t);
+      const p = (y * width + j) * 4;
+      pixels[p] = r;
+      pixels[p + 1] = g;
+      pixels[p + 2] = b;
+      pixels[p + 3] = 255;
+    }
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for the coverage heatmap colour mapping and texture layout
+ */
+
+import { colorMap, statisticsLayer, paintHeatmap } from './heatmap.js';
+import { createCoverageGrid } from './coverageAnalysis.js';
+
+const pixelAt = (pixels, width, x, y) => Array.from(pixels.slice((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+describe('colour scale', () => {
+  test('ends of the scale and clamping', () => {
+    expect(colorMap(0)).toEqual([68, 1, 84]);
+    expect(colorMap(1)).toEqual([253, 231, 37]);
+    expect(colorMap(-3)).toEqual(colorMap(0));
+    expect(colorMap(7)).toEqual(colorMap(1));
+    expect(colorMap(NaN)).toEqual(colorMap(0));
+  });
+});
+
+describe('heatmap painting', () => {
+  const grid = createCoverageGrid({ latitudeMin: -30, latitudeMax: 60, resolution: 30 });
+  const width = grid.cols;
+  const height = 180 / grid.resolution;
+
+  test('north is the top row, -180° the left column, and rows outside the band are clear', () => {
+    const values = new Float64Array(grid.count);
+    // Southernmost, westernmost cell low; northernmost, easternmost cell high
+    values.fill(0.5);
+    values[0] = 0;
+    values[grid.count - 1] = 1;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    paintHeatmap(pixels, grid, values, { min: 0, max: 1 });
+
+    // Band -30..60 occupies image rows 1..3 of 0..5
+    expect(pixelAt(pixels, width, 0, 0)[3]).toBe(0);
+    expect(pixelAt(pixels, width, 0, 4)[3]).toBe(0);
+    expect(pixelAt(pixels, width, 0, 5)[3]).toBe(0);
+    expect(pixelAt(pixels, width, 0, 3)).toEqual([...colorMap(0), 255]);
+    expect(pixelAt(pixels, width, width - 1, 1)).toEqual([...colorMap(1), 255]);
+    expect(pixelAt(pixels, width, 3, 2)).toEqual([...colorMap(0.5), 255]);
+  });
+
+  test('bands off the image rows stay in place and clipped rows are not stretched', () => {
+    // Rows run -57..-52, ..., 53..58 and a clipped 58..60
+    const offGrid = createCoverageGrid({ latitudeMin: -57, latitudeMax: 60, resolution: 5 });
+    const values = new Float64Array(offGrid.count).map((_, c) => Math.floor(c / offGrid.cols) / (offGrid.rows - 1));
+    const pixels = new Uint8ClampedArray(offGrid.cols * 36 * 4);
+    paintHeatmap(pixels, offGrid, values, { min: 0, max: 1 });
+
+    // Image row 6 spans 55..60, so it shows the 53..58 row; 60..65 is outside the band
+    expect(pixelAt(pixels, offGrid.cols, 0, 5)[3]).toBe(0);
+    expect(pixelAt(pixels, offGrid.cols, 0, 6)).toEqual([...colorMap(values[(offGrid.rows - 2) * offGrid.cols]), 255]);
+    // Image row 28 spans -55..-50 and shows the southernmost row; -60..-55 is outside the band
+    expect(pixelAt(pixels, offGrid.cols, 0, 28)).toEqual([...colorMap(0), 255]);
+    expect(pixelAt(pixels, offGrid.cols, 0, 29)[3]).toBe(0);
+  });
+
+  test('reversed scales put low values at the bright end', () => {
+    const values = new Float64Array(grid.count);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    paintHeatmap(pixels, grid, values, { min: 0, max: 10, reverse: true });
+    expect(pixelAt(pixels, width, 0, 3)).toEqual([...colorMap(1), 255]);
+  });
+});
+
+describe('statistics layers', () => {
+  const grid = createCoverageGrid({ latitudeMin: -30, latitudeMax: 30, resolution: 30 });
+  const result = {
+    coveredFraction: new Float64Array(grid.count).fill(0.25),
+    maxGap: new Float64Array(grid.count).map((_, c) => c * 60)
+  };
+
+  test('percent of time and max gap in minutes', () => {
+    const percent = statisticsLayer('percentTime', { grid, result });
+    expect(percent.grid).toBe(grid);
+    expect(percent.values[0]).toBe(25);
+    expect([percent.min, percent.max]).toEqual([0, 100]);
+
+    const gap = statisticsLayer('maxGap', { grid, result });
+    expect(gap.values[grid.count - 1]).toBe(grid.count - 1);
+    expect(gap.max).toBe(grid.count - 1);
+  });
+
+  test('nothing to paint without statistics', () => {
+    expect(statisticsLayer('percentTime', null)).toBeNull();
+    expect(statisticsLayer('folds', { grid, result })).toBeNull();
+  });
+});
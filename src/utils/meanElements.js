@@ -0,0 +1,130 @@
+/**
+ * SGP4 Mean Elements from Osculating Orbits
+ * Mission design starts from osculating Keplerian elements or a state vector,
+ * while every satellite in the app is propagated from SGP4 mean elements. The
+ * mean elements are found by fixed-point iteration: propagate the current guess
+ * to its epoch, compare the osculating elements of the result with the target
+ * and move the guess by the difference. The iteration runs in equinoctial
+ * elements so circular and equatorial orbits converge like any other.
+ */
+
+import { createTLEData } from './tleParser';
+import { sgp4init, sgp4, SGP4_ERRORS, WGS72 } from './sgp4';
+import { keplerianToState, stateToKeplerian, wrapDegrees } from './orbitalElements';
+
+const EARTH_RADIUS = 6378.137; // km
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const SECONDS_PER_DAY = 86400;
+
+const MAX_ITERATIONS = 50;
+const POSITION_TOLERANCE = 1e-4; // km
+const VELOCITY_TOLERANCE = 1e-7; // km/s
+
+/**
+ * Keplerian elements (km, degrees) to equinoctial [a, h, k, p, q, λ] (km, -, -, -, -, rad)
+ */
+function toEquinoctial({ semiMajorAxis, eccentricity, inclination, raan, argumentOfPerigee, meanAnomaly }) {
+  const raanRad = raan * DEG_TO_RAD;
+  const longitudeOfPerigee = raanRad + argumentOfPerigee * DEG_TO_RAD;
+  const t = Math.tan((inclination * DEG_TO_RAD) / 2);
+  return [
+    semiMajorAxis,
+    eccentricity * Math.sin(longitudeOfPerigee),
+    eccentricity * Math.cos(longitudeOfPerigee),
+    t * Math.sin(raanRad),
+    t * Math.cos(raanRad),
+    longitudeOfPerigee + meanAnomaly * DEG_TO_RAD
+  ];
+}
+
+/**
+ * Equinoctial [a, h, k, p, q, λ] back to Keplerian elements (km, degrees)
+ */
+function fromEquinoctial([a, h, k, p, q, lambda]) {
+  const raan = Math.atan2(p, q);
+  const longitudeOfPerigee = Math.atan2(h, k);
+  return {
+    semiMajorAxis: a,
+    eccentricity: Math.sqrt(h * h + k * k),
+    inclination: 2 * Math.atan(Math.sqrt(p * p + q * q)) * RAD_TO_DEG,
+    raan: wrapDegrees(raan * RAD_TO_DEG),
+    argumentOfPerigee: wrapDegrees((longitudeOfPerigee - raan) * RAD_TO_DEG),
+    meanAnomaly: wrapDegrees((lambda - longitudeOfPerigee) * RAD_TO_DEG)
+  };
+}
+
+/**
+ * State of an element guess at its own epoch
+ */
+function stateAtEpoch(tleData) {
+  const { position, velocity, error } = sgp4(sgp4init(tleData), 0);
+  if (error !== 0) throw new Error(`SGP4 cannot propagate this orbit: ${SGP4_ERRORS[error] || `error ${error}`}`);
+  return { position, velocity };
+}
+
+/**
+ * Fit SGP4 mean elements to a TEME state vector
+ * @param {object} position - Position {x, y, z} in km (TEME)
+ * @param {object} velocity - Velocity {x, y, z} in km/s (TEME)
+ * @param {Date} epoch - Epoch of the state
+ * @param {object} options - createTLEData() fields to carry over: { name, catalogNumber, bstar, ... }
+ * @returns {object} Parsed TLE data whose SGP4 state at epoch reproduces the input
+ * @throws {Error} For unbound or sub-surface orbits, or when the iteration does not converge
+ */
+export function stateToTLEData(position, velocity, epoch, options = {}) {
+  const { mu } = WGS72;
+  const target = stateToKeplerian(position, velocity, mu);
+  if (!(target.eccentricity < 1)) {
+    throw new Error(`Orbit is not closed (eccentricity ${target.eccentricity.toFixed(4)})`);
+  }
+  if (target.semiMajorAxis * (1 - target.eccentricity) < EARTH_RADIUS) {
+    throw new Error('Orbit perigee is below the Earth surface');
+  }
+
+  const goal = toEquinoctial(target);
+  let mean = goal.slice();
+  const build = (elements) => {
+    const { semiMajorAxis, ...angles } = fromEquinoctial(elements);
+    const meanMotion = Math.sqrt(mu / (semiMajorAxis * semiMajorAxis * semiMajorAxis)) * SECONDS_PER_DAY / (2 * Math.PI);
+    return createTLEData({ catalogNumber: 0, ...options, epochDate: epoch, meanMotion, ...angles });
+  };
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const tleData = build(mean);
+    const state = stateAtEpoch(tleData);
+    const dr = Math.hypot(state.position.x - position.x, state.position.y - position.y, state.position.z - position.z);
+    const dv = Math.hypot(state.velocity.x - velocity.x, state.velocity.y - velocity.y, state.velocity.z - velocity.z);
+    if (dr < POSITION_TOLERANCE && dv < VELOCITY_TOLERANCE) return tleData;
+
+    const current = toEquinoctial(stateToKeplerian(state.position, state.velocity, mu));
+    mean = mean.map((value, i) => {
+      let delta = goal[i] - current[i];
+      if (i === 5) delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+      return value + delta;
+    });
+    if (!(mean[0] > 0) || Math.hypot(mean[1], mean[2]) >= 1) {
+      throw new Error('Mean element fit diverged');
+    }
+  }
+  throw new Error(`Mean element fit did not converge in ${MAX_ITERATIONS} iterations`);
+}
+
+/**
+ * Fit SGP4 mean elements to osculating Keplerian elements
+ * @param {object} elements - { semiMajorAxis or altitude (km above the equatorial radius),
+ *   eccentricity, inclination, raan, argumentOfPerigee, and trueAnomaly or meanAnomaly } (km, degrees)
+ * @param {Date} epoch - Epoch of the elements
+ * @param {object} options - See stateToTLEData()
+ * @returns {object} Parsed TLE data
+ */
+export function elementsToTLEData(elements, epoch, options = {}) {
+  const semiMajorAxis = elements.semiMajorAxis !== undefined
+    ? elements.semiMajorAxis
+    : EARTH_RADIUS + elements.altitude;
+  if (!(semiMajorAxis > 0) || !(elements.eccentricity >= 0 && elements.eccentricity < 1)) {
+    throw new Error('Semi-major axis must be positive and eccentricity between 0 and 1');
+  }
+  const { position, velocity } = keplerianToState({ ...elements, semiMajorAxis }, WGS72.mu);
+  return stateToTLEData(position, velocity, epoch, options);
+}
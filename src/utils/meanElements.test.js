@@ -0,0 +1,61 @@
+/**
+ * Tests for fitting SGP4 mean elements to osculating orbits
+ */
+
+import { elementsToTLEData, stateToTLEData } from './meanElements.js';
+import { keplerianToState, stateToKeplerian } from './orbitalElements.js';
+import { calculateSatellitePosition, formatTLE, parseTLE } from './tleParser.js';
+import { WGS72 } from './sgp4.js';
+
+const EPOCH = new Date('2026-10-19T12:00:00Z');
+
+const separation = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+describe('SGP4 mean element fit', () => {
+  test.each([
+    ['LEO circular', { altitude: 550, eccentricity: 0, inclination: 53, raan: 10, argumentOfPerigee: 0, trueAnomaly: 20 }],
+    ['equatorial', { altitude: 400, eccentricity: 0.001, inclination: 0, raan: 0, argumentOfPerigee: 0, meanAnomaly: 0 }],
+    ['sun-synchronous', { altitude: 800, eccentricity: 0.01, inclination: 98.6, raan: 300, argumentOfPerigee: 90, trueAnomaly: 359 }],
+    ['Molniya (deep space)', { semiMajorAxis: 26560, eccentricity: 0.74, inclination: 63.4, raan: 120, argumentOfPerigee: 270, meanAnomaly: 10 }],
+    ['geostationary (deep space)', { semiMajorAxis: 42164, eccentricity: 0.0002, inclination: 0.05, raan: 80, argumentOfPerigee: 0, meanAnomaly: 100 }]
+  ])('%s: SGP4 reproduces the osculating state at epoch', (label, elements) => {
+    const semiMajorAxis = elements.semiMajorAxis || 6378.137 + elements.altitude;
+    const target = keplerianToState({ ...elements, semiMajorAxis }, WGS72.mu);
+    const tle = elementsToTLEData(elements, EPOCH, { name: label });
+    const state = calculateSatellitePosition(tle, EPOCH);
+    expect(separation(state.position, target.position)).toBeLessThan(1e-3);
+    expect(separation(state.velocity, target.velocity)).toBeLessThan(1e-6);
+    expect(tle.name).toBe(label);
+    expect(tle.epochDate).toEqual(EPOCH);
+  });
+
+  test('mean elements differ from the osculating ones by the short-period terms only', () => {
+    const tle = elementsToTLEData({ altitude: 550, eccentricity: 0, inclination: 53, raan: 10, argumentOfPerigee: 0, trueAnomaly: 20 }, EPOCH);
+    expect(tle.inclination).toBeCloseTo(53, 1);
+    expect(tle.raan).toBeCloseTo(10, 1);
+    expect(tle.semiMajorAxis).toBeGreaterThan(6378.137 + 530);
+    expect(tle.semiMajorAxis).toBeLessThan(6378.137 + 570);
+  });
+
+  test('a state vector fit survives a round trip through formatted TLE lines', () => {
+    const position = { x: 6928.137, y: 0, z: 0 };
+    const velocity = { x: 0, y: 4.5648, z: 6.0577 };
+    const tle = stateToTLEData(position, velocity, EPOCH, { name: 'SV', catalogNumber: 90001 });
+    const { line1, line2 } = formatTLE(tle);
+    const reparsed = parseTLE(line1, line2, 'SV');
+    expect(reparsed.catalogNumber).toBe(90001);
+    // TLE precision (1e-8 rev/day, 1e-4 deg) keeps the epoch state within a few tens of metres
+    const state = calculateSatellitePosition(reparsed, EPOCH);
+    expect(separation(state.position, position)).toBeLessThan(0.05);
+    const osculating = stateToKeplerian(state.position, state.velocity, WGS72.mu);
+    expect(osculating.inclination).toBeCloseTo(53, 2);
+  });
+
+  test('rejects open and sub-surface orbits', () => {
+    expect(() => stateToTLEData({ x: 7000, y: 0, z: 0 }, { x: 0, y: 11, z: 0 }, EPOCH)).toThrow(/not closed/);
+    expect(() => elementsToTLEData({ semiMajorAxis: 7000, eccentricity: 0.2, inclination: 10, raan: 0, argumentOfPerigee: 0, trueAnomaly: 0 }, EPOCH))
+      .toThrow(/below the Earth surface/);
+    expect(() => elementsToTLEData({ altitude: 500, eccentricity: 1.2, inclination: 10, raan: 0, argumentOfPerigee: 0, trueAnomaly: 0 }, EPOCH))
+      .toThrow(/eccentricity/);
+  });
+});
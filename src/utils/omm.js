@@ -0,0 +1,181 @@
+/**
+ * CCSDS Orbit Mean-elements Message (OMM) Reader
+ * Reads OMMs carrying SGP4 mean elements in the three encodings catalog feeds
+ * publish: KVN (keyword = value text), XML (NDM/OMM) and the flat JSON layout
+ * used by CelesTrak and Space-Track exports. Records are returned with their
+ * CCSDS keywords and converted to the same parsed element set as parseTLE().
+ */
+
+import { createTLEData } from './tleParser';
+
+const REQUIRED_KEYS = [
+  'EPOCH',
+  'MEAN_MOTION',
+  'ECCENTRICITY',
+  'INCLINATION',
+  'RA_OF_ASC_NODE',
+  'ARG_OF_PERICENTER',
+  'MEAN_ANOMALY'
+];
+
+// Mean element theories whose elements SGP4 can propagate directly
+const SGP4_THEORIES = ['SGP4', 'SGP/SGP4', 'SGP4-XP'];
+
+// Largest catalog number a TLE can carry (Alpha-5). Satellites are saved, exported and
+// shared as TLE lines, so records beyond it are rejected rather than kept half-usable.
+const MAX_CATALOG_NUMBER = 339999;
+
+/**
+ * Whether a block of text looks like one or more OMMs rather than TLEs
+ * @param {string} text - Raw input
+ * @returns {boolean} True for KVN, XML or JSON OMM content
+ */
+export function isOMM(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return /"MEAN_MOTION"/i.test(trimmed);
+  if (trimmed.startsWith('<')) return /<omm[\s>]/i.test(trimmed) || /<MEAN_MOTION>/i.test(trimmed);
+  return /^\s*CCSDS_OMM_VERS\s*=/m.test(trimmed) || /^\s*MEAN_MOTION\s*=/m.test(trimmed);
+}
+
+/**
+ * Parse KVN: "KEYWORD = value [units]" lines; each CCSDS_OMM_VERS starts a new message
+ */
+function parseKVN(text) {
+  const records = [];
+  let current = null;
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('COMMENT')) return;
+    const match = /^([A-Z0-9_]+)\s*=\s*(.*?)\s*(\[[^\]]*\])?$/i.exec(line);
+    if (!match) return;
+    const key = match[1].toUpperCase();
+    if (key === 'CCSDS_OMM_VERS' || !current) {
+      current = {};
+      records.push(current);
+    }
+    current[key] = match[2];
+  });
+  return records;
+}
+
+/**
+ * Parse XML: every leaf element inside each <omm> (or the whole document) becomes a field
+ */
+function parseXML(text) {
+  const blocks = text.match(/<omm[\s>][\s\S]*?<\/omm>/gi) || [text];
+  return blocks.map(block => {
+    const record = {};
+    const leaf = /<([A-Za-z0-9_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+    let match;
+    while ((match = leaf.exec(block)) !== null) {
+      record[match[1].toUpperCase()] = match[2].trim();
+    }
+    return record;
+  });
+}
+
+/**
+ * Parse JSON: a single object or an array of flat objects keyed by CCSDS keywords
+ */
+function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid OMM JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : [data];
+  return list.map(item => {
+    const record = {};
+    Object.entries(item || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) record[key.toUpperCase()] = String(value).trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Split OMM text into records of CCSDS keyword/value strings
+ * @param {string} text - KVN, XML or JSON content holding one or more OMMs
+ * @returns {Array<object>} One { KEYWORD: value } object per message
+ */
+export function parseOMM(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return parseJSON(trimmed);
+  if (trimmed.startsWith('<')) return parseXML(trimmed);
+  return parseKVN(trimmed);
+}
+
+/**
+ * Parse a CCSDS epoch, "YYYY-MM-DDThh:mm:ss[.ffffff][Z]" or "YYYY-DDDThh:mm:ss[.fff]", as UTC
+ * @param {string} text - Epoch string
+ * @returns {Date} Epoch (millisecond resolution)
+ */
+export function parseOMMEpoch(text) {
+  const match = /^(\d{4})-(?:(\d{2})-(\d{2})|(\d{3}))T(\d{2}):(\d{2}):(\d{2})(\.\d+)?Z?$/.exec(text.trim());
+  if (!match) throw new Error(`Invalid OMM epoch "${text}"`);
+  const [, year, month, day, dayOfYear, hours, minutes, seconds, fraction] = match;
+  const dayStart = dayOfYear
+    ? Date.UTC(+year, 0, 1) + (parseInt(dayOfYear, 10) - 1) * 86400000
+    : Date.UTC(+year, +month - 1, +day);
+  const ms = ((+hours * 60 + +minutes) * 60 + +seconds + (fraction ? parseFloat(fraction) : 0)) * 1000;
+  return new Date(dayStart + ms);
+}
+
+/**
+ * Convert a COSPAR OBJECT_ID ("1998-067A") to the TLE international designator ("98067A")
+ */
+function internationalDesignator(objectId) {
+  const match = /^\d{2}(\d{2})-(\d{3}[A-Z]{0,3})$/.exec((objectId || '').trim());
+  return match ? match[1] + match[2] : '';
+}
+
+/**
+ * Convert one OMM record to parsed TLE data
+ * @param {object} record - { KEYWORD: value } from parseOMM()
+ * @returns {object} Parsed TLE data (see createTLEData)
+ */
+export function ommToTLEData(record) {
+  const missing = REQUIRED_KEYS.filter(key => record[key] === undefined || record[key] === '');
+  if (missing.length > 0) {
+    const label = record.OBJECT_NAME || record.NORAD_CAT_ID;
+    throw new Error(`OMM${label ? ` ${label}` : ''} is missing ${missing.join(', ')}`);
+  }
+  const theory = (record.MEAN_ELEMENT_THEORY || 'SGP4').toUpperCase();
+  if (!SGP4_THEORIES.includes(theory)) {
+    throw new Error(`OMM mean element theory ${theory} is not supported (SGP4 elements required)`);
+  }
+
+  const catalogNumber = record.NORAD_CAT_ID === undefined || record.NORAD_CAT_ID === '' ? 0 : Number(record.NORAD_CAT_ID);
+  if (!Number.isInteger(catalogNumber) || catalogNumber < 0 || catalogNumber > MAX_CATALOG_NUMBER) {
+    const label = record.OBJECT_NAME ? ` ${record.OBJECT_NAME}` : '';
+    throw new Error(`OMM${label}: NORAD_CAT_ID ${record.NORAD_CAT_ID} is outside the TLE catalog range 0-${MAX_CATALOG_NUMBER}`);
+  }
+
+  const number = (key, fallback = 0) => {
+    if (record[key] === undefined || record[key] === '') return fallback;
+    const value = parseFloat(record[key]);
+    if (!isFinite(value)) throw new Error(`OMM field ${key} is not a number: "${record[key]}"`);
+    return value;
+  };
+
+  return createTLEData({
+    name: record.OBJECT_NAME || 'Unknown',
+    catalogNumber,
+    epochDate: parseOMMEpoch(record.EPOCH),
+    inclination: number('INCLINATION'),
+    raan: number('RA_OF_ASC_NODE'),
+    eccentricity: number('ECCENTRICITY'),
+    argumentOfPerigee: number('ARG_OF_PERICENTER'),
+    meanAnomaly: number('MEAN_ANOMALY'),
+    meanMotion: number('MEAN_MOTION'),
+    meanMotionDerivative: number('MEAN_MOTION_DOT'),
+    bstar: number('BSTAR'),
+    classification: record.CLASSIFICATION_TYPE || 'U',
+    internationalDesignator: internationalDesignator(record.OBJECT_ID),
+    meanMotionSecondDerivative: number('MEAN_MOTION_DDOT'),
+    ephemerisType: number('EPHEMERIS_TYPE'),
+    elementSetNumber: number('ELEMENT_SET_NO', 999),
+    revolutionNumber: number('REV_AT_EPOCH')
+  });
+}
@@ -0,0 +1,180 @@
+/**
+ * Tests for the CCSDS OMM reader
+ */
+
+import { isOMM, parseOMM, parseOMMEpoch, ommToTLEData } from './omm.js';
+import { parseTLE, formatTLE, calculateSatellitePosition } from './tleParser.js';
+
+// ISS elements from the same element set in TLE and OMM form
+const LINE1 = '1 25544U 98067A   24001.50000000  .00020137  00000-0  16538-3 0  9991';
+const LINE2 = '2 25544  51.6461 339.2377 0001078  88.2548 271.9142 15.48919103123452';
+
+const KVN = `CCSDS_OMM_VERS = 2.0
+COMMENT  Generated for testing
+CREATION_DATE = 2024-01-01T13:00:00
+ORIGINATOR = TEST
+OBJECT_NAME = ISS (ZARYA)
+OBJECT_ID = 1998-067A
+CENTER_NAME = EARTH
+REF_FRAME = TEME
+TIME_SYSTEM = UTC
+MEAN_ELEMENT_THEORY = SGP4
+EPOCH = 2024-01-01T12:00:00.000000
+MEAN_MOTION = 15.48919103 [rev/day]
+ECCENTRICITY = .0001078
+INCLINATION = 51.6461 [deg]
+RA_OF_ASC_NODE = 339.2377 [deg]
+ARG_OF_PERICENTER = 88.2548 [deg]
+MEAN_ANOMALY = 271.9142 [deg]
+EPHEMERIS_TYPE = 0
+CLASSIFICATION_TYPE = U
+NORAD_CAT_ID = 25544
+ELEMENT_SET_NO = 999
+REV_AT_EPOCH = 12345
+BSTAR = .00016538 [1/ER]
+MEAN_MOTION_DOT = .00020137 [rev/day**2]
+MEAN_MOTION_DDOT = 0 [rev/day**3]
+`;
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<ndm xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <omm id="CCSDS_OMM_VERS" version="2.0">
+    <header><CREATION_DATE/><ORIGINATOR/></header>
+    <body><segment>
+      <metadata>
+        <OBJECT_NAME>ISS (ZARYA)</OBJECT_NAME>
+        <OBJECT_ID>1998-067A</OBJECT_ID>
+        <CENTER_NAME>EARTH</CENTER_NAME>
+        <REF_FRAME>TEME</REF_FRAME>
+        <TIME_SYSTEM>UTC</TIME_SYSTEM>
+        <MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY>
+      </metadata>
+      <data>
+        <meanElements>
+          <EPOCH>2024-01-01T12:00:00.000000</EPOCH>
+          <MEAN_MOTION>15.48919103</MEAN_MOTION>
+          <ECCENTRICITY>.0001078</ECCENTRICITY>
+          <INCLINATION>51.6461</INCLINATION>
+          <RA_OF_ASC_NODE>339.2377</RA_OF_ASC_NODE>
+          <ARG_OF_PERICENTER>88.2548</ARG_OF_PERICENTER>
+          <MEAN_ANOMALY>271.9142</MEAN_ANOMALY>
+        </meanElements>
+        <tleParameters>
+          <NORAD_CAT_ID>25544</NORAD_CAT_ID>
+          <BSTAR>.00016538</BSTAR>
+          <MEAN_MOTION_DOT>.00020137</MEAN_MOTION_DOT>
+        </tleParameters>
+      </data>
+    </segment></body>
+  </omm>
+  <omm id="CCSDS_OMM_VERS" version="2.0">
+    <body><segment>
+      <metadata><OBJECT_NAME>SECOND</OBJECT_NAME></metadata>
+      <data><meanElements>
+        <EPOCH>2024-001T00:00:00</EPOCH>
+        <MEAN_MOTION>14.2</MEAN_MOTION>
+        <ECCENTRICITY>0.001</ECCENTRICITY>
+        <INCLINATION>98.7</INCLINATION>
+        <RA_OF_ASC_NODE>10</RA_OF_ASC_NODE>
+        <ARG_OF_PERICENTER>20</ARG_OF_PERICENTER>
+        <MEAN_ANOMALY>30</MEAN_ANOMALY>
+      </meanElements></data>
+    </segment></body>
+  </omm>
+</ndm>`;
+
+const JSON_TEXT = JSON.stringify([{
+  OBJECT_NAME: 'ISS (ZARYA)',
+  OBJECT_ID: '1998-067A',
+  EPOCH: '2024-01-01T12:00:00.000000',
+  MEAN_MOTION: 15.48919103,
+  ECCENTRICITY: 0.0001078,
+  INCLINATION: 51.6461,
+  RA_OF_ASC_NODE: 339.2377,
+  ARG_OF_PERICENTER: 88.2548,
+  MEAN_ANOMALY: 271.9142,
+  EPHEMERIS_TYPE: 0,
+  CLASSIFICATION_TYPE: 'U',
+  NORAD_CAT_ID: 25544,
+  ELEMENT_SET_NO: 999,
+  REV_AT_EPOCH: 12345,
+  BSTAR: 0.00016538,
+  MEAN_MOTION_DOT: 0.00020137,
+  MEAN_MOTION_DDOT: 0
+}]);
+
+describe('OMM reader', () => {
+  const reference = parseTLE(LINE1, LINE2, 'ISS (ZARYA)');
+
+  const expectSameOrbit = (tle) => {
+    expect(tle.name).toBe('ISS (ZARYA)');
+    expect(tle.catalogNumber).toBe(25544);
+    expect(tle.epochJulianDate).toBeCloseTo(reference.epochJulianDate, 8);
+    expect(tle.bstar).toBeCloseTo(reference.bstar, 12);
+    const date = new Date(reference.epochDate.getTime() + 6 * 3600 * 1000);
+    const a = calculateSatellitePosition(tle, date).position;
+    const b = calculateSatellitePosition(reference, date).position;
+    expect(Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)).toBeLessThan(0.001);
+  };
+
+  test('detects OMM content and leaves TLEs alone', () => {
+    expect(isOMM(KVN)).toBe(true);
+    expect(isOMM(XML)).toBe(true);
+    expect(isOMM(JSON_TEXT)).toBe(true);
+    expect(isOMM(`ISS\n${LINE1}\n${LINE2}`)).toBe(false);
+  });
+
+  test('reads KVN with units and comments', () => {
+    const records = parseOMM(KVN);
+    expect(records).toHaveLength(1);
+    expect(records[0].MEAN_MOTION).toBe('15.48919103');
+    expectSameOrbit(ommToTLEData(records[0]));
+  });
+
+  test('reads several KVN messages', () => {
+    expect(parseOMM(`${KVN}\n${KVN}`)).toHaveLength(2);
+  });
+
+  test('reads XML with several messages', () => {
+    const records = parseOMM(XML);
+    expect(records).toHaveLength(2);
+    expectSameOrbit(ommToTLEData(records[0]));
+    const second = ommToTLEData(records[1]);
+    expect(second.name).toBe('SECOND');
+    expect(second.epochDate.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('reads catalog JSON', () => {
+    const records = parseOMM(JSON_TEXT);
+    expect(records).toHaveLength(1);
+    expectSameOrbit(ommToTLEData(records[0]));
+    // A single object is accepted as well as an array
+    expect(parseOMM(JSON.stringify(JSON.parse(JSON_TEXT)[0]))).toHaveLength(1);
+  });
+
+  test('converts to the equivalent TLE lines', () => {
+    const [record] = parseOMM(JSON_TEXT);
+    expect(formatTLE(ommToTLEData(record))).toEqual({ line1: LINE1, line2: LINE2 });
+  });
+
+  test('parses calendar and day-of-year epochs as UTC', () => {
+    expect(parseOMMEpoch('2024-03-01T06:30:15.250').toISOString()).toBe('2024-03-01T06:30:15.250Z');
+    expect(parseOMMEpoch('2024-061T06:30:15.250Z').toISOString()).toBe('2024-03-01T06:30:15.250Z');
+    expect(() => parseOMMEpoch('yesterday')).toThrow(/epoch/);
+  });
+
+  test('reports missing fields and non-SGP4 theories', () => {
+    const [record] = parseOMM(JSON_TEXT);
+    const { MEAN_MOTION, ...incomplete } = record;
+    expect(() => ommToTLEData(incomplete)).toThrow(/missing MEAN_MOTION/);
+    expect(() => ommToTLEData({ ...record, MEAN_ELEMENT_THEORY: 'DSST' })).toThrow(/DSST/);
+    expect(() => ommToTLEData({ ...record, INCLINATION: 'abc' })).toThrow(/INCLINATION/);
+  });
+
+  test('rejects catalog numbers a TLE cannot carry', () => {
+    const [record] = parseOMM(JSON_TEXT);
+    expect(formatTLE(ommToTLEData({ ...record, NORAD_CAT_ID: 339999 })).line1.slice(2, 7)).toBe('Z9999');
+    expect(() => ommToTLEData({ ...record, NORAD_CAT_ID: 340000 })).toThrow(/ISS \(ZARYA\): NORAD_CAT_ID 340000 is outside/);
+    expect(() => ommToTLEData({ ...record, NORAD_CAT_ID: '12.5' })).toThrow(/NORAD_CAT_ID/);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * High-fidelity Numerical Orbit Integrator
+ * Cowell integration of the equations of motion with a fixed-step RK4 or an
+ * adaptive Runge-Kutta-Fehlberg 7(8) scheme. The force model covers zonal
+ * harmonics J2-J6, atmospheric drag (exponential or Harris-Priester density)
+ * and cannonball solar radiation pressure with a conical Earth shadow.
+ * States are inertial (TEME/ECI), km and km/s; times are JavaScript Dates.
+ */
+
+import { calculateSatellitePosition } from './tleParser';
+import { keplerianToState } from './orbitalElements';
+import { sunPositionAtJulianDate, illuminationFraction, AU } from './sunEphemeris';
+
+const MU = 398600.4418; // km³/s²
+const EARTH_RADIUS = 6378.137; // km
+const EARTH_FLATTENING = 1 / 298.257223563;
+const EARTH_ROTATION_RATE = 7.292115e-5; // rad/s
+const SOLAR_PRESSURE = 4.56e-6; // N/m² at 1 AU
+const DEG_TO_RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5;
+
+// Unnormalized zonal coefficients J2..J6 (EGM-96)
+const ZONAL_HARMONICS = [0, 0, 1.08262668e-3, -2.53265649e-6, -1.61962159e-6, -2.27296083e-7, 5.40681239e-7];
+
+// B* reference density (kg/m²/ER), see Vallado "Fundamentals of Astrodynamics" §9.7
+const BSTAR_REFERENCE_DENSITY = 0.15696615;
+
+export const DEFAULT_FORCE_MODEL = {
+  zonalDegree: 6, // highest zonal harmonic (0 = two-body, 2..6)
+  atmosphere: 'harris-priester', // 'none' | 'exponential' | 'harris-priester'
+  ballisticCoefficient: 0.01, // Cd·A/m in m²/kg
+  srpCoefficient: 0.01, // Cr·A/m in m²/kg (0 disables solar radiation pressure)
+  harrisPriesterExponent: 4 // 2 for low-inclination, 6 for polar orbits
+};
+
+/**
+ * Convert a TLE B* drag term to a ballistic coefficient Cd·A/m
+ * @param {number} bstar - B* in 1/earth radii
+ * @returns {number} Ballistic coefficient in m²/kg
+ */
+export function ballisticCoefficientFromBstar(bstar) {
+  return (2 * bstar) / BSTAR_REFERENCE_DENSITY;
+}
+
+// --- Atmosphere models ---
+
+// Exponential model: [base altitude km, nominal density kg/m³, scale height km] (Vallado Table 8-4)
+const EXPONENTIAL_ATMOSPHERE = [
+  [0, 1.225, 7.249], [25, 3.899e-2, 6.349], [30, 1.774e-2, 6.682], [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382], [60, 3.206e-4, 7.714], [70, 8.770e-5, 6.549], [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382], [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636], [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523], [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105], [250, 7.248e-11, 45.546], [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515], [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667], [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05], [1000, 3.019e-15, 268.00]
+];
+
+/**
+ * Exponential atmosphere density
+ * @param {number} altitude - Altitude above the reference ellipsoid (km)
+ * @returns {number} Density in kg/m³
+ */
+export function exponentialDensity(altitude) {
+  if (altitude < 0) return EXPONENTIAL_ATMOSPHERE[0][1];
+  let i = EXPONENTIAL_ATMOSPHERE.length - 1;
+  while (i > 0 && altitude < EXPONENTIAL_ATMOSPHERE[i][0]) i--;
+  const [h0, rho0, H] = EXPONENTIAL_ATMOSPHERE[i];
+  return rho0 * Math.exp(-(altitude - h0) / H);
+}
+
+// Harris-Priester: [altitude km, minimum density, maximum density] in g/km³ (mean solar activity)
+const HARRIS_PRIESTER = [
+  [100, 4.974e5, 4.974e5], [120, 2.490e4, 2.490e4], [130, 8.377e3, 8.710e3], [140, 3.899e3, 4.059e3],
+  [150, 2.122e3, 2.215e3], [160, 1.263e3, 1.344e3], [170, 8.008e2, 8.758e2], [180, 5.283e2, 6.010e2],
+  [190, 3.617e2, 4.297e2], [200, 2.557e2, 3.162e2], [210, 1.839e2, 2.396e2], [220, 1.341e2, 1.853e2],
+  [230, 9.949e1, 1.455e2], [240, 7.488e1, 1.157e2], [250, 5.709e1, 9.308e1], [260, 4.403e1, 7.555e1],
+  [270, 3.430e1, 6.182e1], [280, 2.697e1, 5.095e1], [290, 2.139e1, 4.226e1], [300, 1.708e1, 3.526e1],
+  [320, 1.099e1, 2.511e1], [340, 7.214e0, 1.819e1], [360, 4.824e0, 1.337e1], [380, 3.274e0, 9.955e0],
+  [400, 2.249e0, 7.492e0], [420, 1.558e0, 5.684e0], [440, 1.091e0, 4.355e0], [460, 7.701e-1, 3.362e0],
+  [480, 5.474e-1, 2.612e0], [500, 3.916e-1, 2.042e0], [520, 2.819e-1, 1.605e0], [540, 2.042e-1, 1.267e0],
+  [560, 1.488e-1, 1.005e0], [580, 1.092e-1, 7.997e-1], [600, 8.070e-2, 6.390e-1], [620, 6.012e-2, 5.123e-1],
+  [640, 4.519e-2, 4.121e-1], [660, 3.430e-2, 3.325e-1], [680, 2.632e-2, 2.691e-1], [700, 2.043e-2, 2.185e-1],
+  [720, 1.607e-2, 1.779e-1], [740, 1.281e-2, 1.452e-1], [760, 1.036e-2, 1.190e-1], [780, 8.496e-3, 9.776e-2],
+  [800, 7.069e-3, 8.059e-2], [840, 4.680e-3, 5.741e-2], [880, 3.200e-3, 4.210e-2], [920, 2.210e-3, 3.130e-2],
+  [960, 1.560e-3, 2.360e-2], [1000, 1.150e-3, 1.810e-2]
+];
+const HARRIS_PRIESTER_LAG = 30 * DEG_TO_RAD; // diurnal bulge apex lags the Sun by ~2 hours
+
+/**
+ * Harris-Priester atmosphere density with diurnal bulge
+ * @param {number[]} r - Inertial position [x, y, z] (km)
+ * @param {number} altitude - Altitude (km)
+ * @param {number[]} sun - Inertial Sun position [x, y, z] (km)
+ * @param {number} exponent - Bulge exponent (2..6)
+ * @returns {number} Density in kg/m³ (0 outside 100..1000 km)
+ */
+export function harrisPriesterDensity(r, altitude, sun, exponent = DEFAULT_FORCE_MODEL.harrisPriesterExponent) {
+  const top = HARRIS_PRIESTER.length - 1;
+  if (altitude < HARRIS_PRIESTER[0][0] || altitude >= HARRIS_PRIESTER[top][0]) return 0;
+
+  // Apex of the diurnal bulge
+  const sunDistance = Math.sqrt(sun[0] * sun[0] + sun[1] * sun[1] + sun[2] * sun[2]);
+  const ra = Math.atan2(sun[1], sun[0]) + HARRIS_PRIESTER_LAG;
+  const dec = Math.asin(sun[2] / sunDistance);
+  const apex = [Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec)];
+  const rNorm = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+  const cosPsi = (apex[0] * r[0] + apex[1] * r[1] + apex[2] * r[2]) / rNorm;
+  const bulge = Math.pow(Math.max(0, 0.5 + 0.5 * cosPsi), exponent / 2);
+
+  // Exponential interpolation between table heights
+  let i = 0;
+  while (i < top - 1 && altitude >= HARRIS_PRIESTER[i + 1][0]) i++;
+  const [h0, min0, max0] = HARRIS_PRIESTER[i];
+  const [h1, min1, max1] = HARRIS_PRIESTER[i + 1];
+  const hMin = (h0 - h1) / Math.log(min1 / min0);
+  const hMax = (h0 - h1) / Math.log(max1 / max0);
+  const dMin = min0 * Math.exp((h0 - altitude) / hMin);
+  const dMax = max0 * Math.exp((h0 - altitude) / hMax);
+
+  return (dMin + (dMax - dMin) * bulge) * 1e-12; // g/km³ -> kg/m³
+}
+
+// --- Force model ---
+
+/**
+ * Zonal harmonic gravity acceleration (central body term included)
+ * @param {number[]} r - Position [x, y, z] (km)
+ * @param {number} degree - Highest zonal degree (0 or 2..6)
+ * @returns {number[]} Acceleration [ax, ay, az] (km/s²)
+ */
+export function zonalGravityAcceleration(r, degree = 6) {
+  const [x, y, z] = r;
+  const r2 = x * x + y * y + z * z;
+  const rNorm = Math.sqrt(r2);
+  const s = z / rNorm; // sine of geocentric latitude
+  const ux = x / rNorm;
+  const uy = y / rNorm;
+  const uz = s;
+
+  // Central term
+  let radial = -MU / r2;
+  let polar = 0;
+
+  // Legendre polynomials P_n(s) and derivatives via recursion
+  let pPrev = 1;
+  let p = s;
+  let dp = 1;
+  for (let n = 2; n <= degree; n++) {
+    const pn = ((2 * n - 1) * s * p - (n - 1) * pPrev) / n;
+    const dpn = s * dp + n * p;
+    pPrev = p;
+    p = pn;
+    dp = dpn;
+
+    // ∇ of -μ Jn Rⁿ Pn(s) / r^(n+1): radial and +z components
+    const k = (MU * ZONAL_HARMONICS[n] * Math.pow(EARTH_RADIUS / rNorm, n)) / r2;
+    radial += k * ((n + 1) * p + s * dp);
+    polar -= k * dp;
+  }
+
+  return [radial * ux, radial * uy, radial * uz + polar];
+}
+
+/**
+ * Total perturbing + central acceleration for the given force model
+ * @param {number} jd - Julian date of the state
+ * @param {number[]} s - State [x, y, z, vx, vy, vz]
+ * @param {object} forceModel - See DEFAULT_FORCE_MODEL
+ * @returns {number[]} Acceleration [ax, ay, az] (km/s²)
+ */
+export function totalAcceleration(jd, s, forceModel = DEFAULT_FORCE_MODEL) {
+  const r = [s[0], s[1], s[2]];
+  const acc = zonalGravityAcceleration(r, forceModel.zonalDegree);
+  const rNorm = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+  // Height above the oblate Earth (first order in flattening)
+  const sinLat = r[2] / rNorm;
+  const altitude = rNorm - EARTH_RADIUS * (1 - EARTH_FLATTENING * sinLat * sinLat);
+
+  const needsSun = forceModel.atmosphere === 'harris-priester' || forceModel.srpCoefficient > 0;
+  const sun = needsSun ? sunPositionAtJulianDate(jd) : null;
+
+  // Atmospheric drag relative to the co-rotating atmosphere
+  if (forceModel.atmosphere !== 'none' && forceModel.ballisticCoefficient > 0) {
+    const rho = forceModel.atmosphere === 'exponential'
+      ? exponentialDensity(altitude)
+      : harrisPriesterDensity(r, altitude, sun, forceModel.harrisPriesterExponent);
+    if (rho > 0) {
+      const vrx = s[3] + EARTH_ROTATION_RATE * s[1];
+      const vry = s[4] - EARTH_ROTATION_RATE * s[0];
+      const vrz = s[5];
+      const vRel = Math.sqrt(vrx * vrx + vry * vry + vrz * vrz);
+      // 1e3 converts ρ·(km/s)²·m²/kg to km/s²
+      const k = -0.5 * forceModel.ballisticCoefficient * rho * vRel * 1e3;
+      acc[0] += k * vrx;
+      acc[1] += k * vry;
+      acc[2] += k * vrz;
+    }
+  }
+
+  // Cannonball solar radiation pressure, scaled by the visible fraction of the solar disk
+  if (forceModel.srpCoefficient > 0) {
+    const illumination = illuminationFraction(r, sun);
+    if (illumination > 0) {
+      const d = [r[0] - sun[0], r[1] - sun[1], r[2] - sun[2]];
+      const dNorm = Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+      // Pressure scales with 1/distance²; 1e-3 converts m/s² to km/s²
+      const k = illumination * SOLAR_PRESSURE * forceModel.srpCoefficient * (AU / dNorm) * (AU / dNorm) * 1e-3 / dNorm;
+      acc[0] += k * d[0];
+      acc[1] += k * d[1];
+      acc[2] += k * d[2];
+    }
+  }
+
+  return acc;
+}
+
+// --- Integrators ---
+
+/**
+ * One classical Runge-Kutta 4 step
+ * @param {Function} f - Derivative f(t, y) -> dy/dt
+ * @param {number} t - Time (s)
+ * @param {number[]} y - State
+ * @param {number} h - Step (s)
+ * @returns {number[]} State at t + h
+ */
+export function rk4Step(f, t, y, h) {
+  const n = y.length;
+  const tmp = new Array(n);
+  const k1 = f(t, y);
+  for (let i = 0; i < n; i++) tmp[i] = y[i] + 0.5 * h * k1[i];
+  const k2 = f(t + 0.5 * h, tmp);
+  for (let i = 0; i < n; i++) tmp[i] = y[i] + 0.5 * h * k2[i];
+  const k3 = f(t + 0.5 * h, tmp);
+  for (let i = 0; i < n; i++) tmp[i] = y[i] + h * k3[i];
+  const k4 = f(t + h, tmp);
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = y[i] + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+  return out;
+}
+
+// Fehlberg 7(8) tableau
+const RKF78_C = [0, 2 / 27, 1 / 9, 1 / 6, 5 / 12, 1 / 2, 5 / 6, 1 / 6, 2 / 3, 1 / 3, 1, 0, 1];
+const RKF78_A = [
+  [],
+  [2 / 27],
+  [1 / 36, 1 / 12],
+  [1 / 24, 0, 1 / 8],
+  [5 / 12, 0, -25 / 16, 25 / 16],
+  [1 / 20, 0, 0, 1 / 4, 1 / 5],
+  [-25 / 108, 0, 0, 125 / 108, -65 / 27, 125 / 54],
+  [31 / 300, 0, 0, 0, 61 / 225, -2 / 9, 13 / 900],
+  [2, 0, 0, -53 / 6, 704 / 45, -107 / 9, 67 / 90, 3],
+  [-91 / 108, 0, 0, 23 / 108, -976 / 135, 311 / 54, -19 / 60, 17 / 6, -1 / 12],
+  [2383 / 4100, 0, 0, -341 / 164, 4496 / 1025, -301 / 82, 2133 / 4100, 45 / 82, 45 / 164, 18 / 41],
+  [3 / 205, 0, 0, 0, 0, -6 / 41, -3 / 205, -3 / 41, 3 / 41, 6 / 41, 0],
+  [-1777 / 4100, 0, 0, -341 / 164, 4496 / 1025, -289 / 82, 2193 / 4100, 51 / 82, 33 / 164, 12 / 41, 0, 1]
+];
+const RKF78_B8 = [0, 0, 0, 0, 0, 34 / 105, 9 / 35, 9 / 35, 9 / 280, 9 / 280, 0, 41 / 840, 41 / 840];
+
+/**
+ * One Runge-Kutta-Fehlberg 7(8) step with embedded error estimate
+ * @returns {object} { y: 8th-order state at t + h, error: per-component error estimate }
+ */
+export function rkf78Step(f, t, y, h) {
+  const n = y.length;
+  const k = [];
+  const tmp = new Array(n);
+  for (let stage = 0; stage < 13; stage++) {
+    const row = RKF78_A[stage];
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < row.length; j++) {
+        if (row[j] !== 0) sum += row[j] * k[j][i];
+      }
+      tmp[i] = y[i] + h * sum;
+    }
+    k.push(f(t + RKF78_C[stage] * h, tmp.slice()));
+  }
+
+  const out = new Array(n);
+  const error = new Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let stage = 5; stage < 13; stage++) sum += RKF78_B8[stage] * k[stage][i];
+    out[i] = y[i] + h * sum;
+    // Difference between the 7th and 8th order solutions
+    error[i] = ((41 / 840) * h) * (k[0][i] + k[10][i] - k[11][i] - k[12][i]);
+  }
+  return { y: out, error };
+}
+
+/**
+ * Integrate an ODE from t0 to t1
+ * @param {Function} f - Derivative f(t, y)
+ * @param {number} t0 - Start time (s)
+ * @param {number[]} y0 - Initial state
+ * @param {number} t1 - End time (s), may be before t0
+ * @param {object} options - { method: 'rk78' | 'rk4', step, tolerance, minStep, maxStep, stop(t, y) }
+ * @returns {object} { t, y, steps, stopped }
+ */
+export function integrate(f, t0, y0, t1, options = {}) {
+  const {
+    method = 'rk78',
+    step = 30,
+    tolerance = 1e-10,
+    minStep = 1e-3,
+    maxStep = 3600,
+    stop
+  } = options;
+  const direction = t1 >= t0 ? 1 : -1;
+  let t = t0;
+  let y = y0.slice();
+  let h = Math.min(step, Math.abs(t1 - t0)) * direction;
+  let steps = 0;
+
+  while ((t1 - t) * direction > 1e-9) {
+    if (Math.abs(h) > Math.abs(t1 - t)) h = t1 - t;
+
+    if (method === 'rk4') {
+      y = rk4Step(f, t, y, h);
+      t += h;
+    } else {
+      const { y: candidate, error } = rkf78Step(f, t, y, h);
+      let errNorm = 0;
+      for (let i = 0; i < y.length; i++) {
+        const scale = tolerance * (1 + Math.abs(y[i]));
+        errNorm = Math.max(errNorm, Math.abs(error[i]) / scale);
+      }
+      if (errNorm > 1 && Math.abs(h) > minStep) {
+        // Reject and shrink
+        h = direction * Math.max(minStep, Math.abs(h) * Math.max(0.1, 0.9 * Math.pow(errNorm, -1 / 8)));
+        continue;
+      }
+      y = candidate;
+      t += h;
+      const growth = errNorm > 0 ? Math.min(4, 0.9 * Math.pow(errNorm, -1 / 8)) : 4;
+      h = direction * Math.min(maxStep, Math.abs(h) * growth);
+    }
+
+    steps++;
+    if (stop && stop(t, y)) {
+      return { t, y, steps, stopped: true };
+    }
+    if (method === 'rk4') {
+      h = direction * step;
+    }
+  }
+
+  return { t, y, steps, stopped: false };
+}
+
+// --- State propagation ---
+
+const DECAY_ALTITUDE = 100; // km; integration stops below this altitude
+
+/**
+ * Initial state from converted TLE elements (SGP4 osculating state at the TLE epoch)
+ * @param {object} tle - Parsed TLE data
+ * @returns {object} { position, velocity, epoch }
+ */
+export function stateFromTLE(tle) {
+  const { position, velocity } = calculateSatellitePosition(tle, tle.epochDate);
+  return { position, velocity, epoch: tle.epochDate };
+}
+
+/**
+ * Initial state from osculating Keplerian elements
+ * @param {object} elements - See keplerianToState()
+ * @param {Date} epoch - Epoch of the elements
+ * @returns {object} { position, velocity, epoch }
+ */
+export function stateFromElements(elements, epoch) {
+  const { position, velocity } = keplerianToState(elements, MU);
+  return { position, velocity, epoch };
+}
+
+/**
+ * Propagate a state vector to a target date
+ * @param {object} state - { position, velocity, epoch }
+ * @param {Date} targetDate - Target date
+ * @param {object} options - { forceModel, method, step, tolerance }
+ * @returns {object} { position, velocity, epoch, altitude, decayed, steps }
+ */
+export function propagateState(state, targetDate, options = {}) {
+  const forceModel = { ...DEFAULT_FORCE_MODEL, ...(options.forceModel || {}) };
+  const epochMs = state.epoch.getTime();
+  const jd0 = epochMs / MS_PER_DAY + JD_UNIX_EPOCH;
+  const f = (t, y) => {
+    const acc = totalAcceleration(jd0 + t / 86400, y, forceModel);
+    return [y[3], y[4], y[5], acc[0], acc[1], acc[2]];
+  };
+  const y0 = [
+    state.position.x, state.position.y, state.position.z,
+    state.velocity.x, state.velocity.y, state.velocity.z
+  ];
+  const stop = (t, y) => Math.sqrt(y[0] * y[0] + y[1] * y[1] + y[2] * y[2]) - EARTH_RADIUS < DECAY_ALTITUDE;
+
+  const { t, y, steps, stopped } = integrate(f, 0, y0, (targetDate.getTime() - epochMs) / 1000, {
+    method: options.method,
+    step: options.step,
+    tolerance: options.tolerance,
+    stop
+  });
+
+  const distance = Math.sqrt(y[0] * y[0] + y[1] * y[1] + y[2] * y[2]);
+  return {
+    position: { x: y[0], y: y[1], z: y[2] },
+    velocity: { x: y[3], y: y[4], z: y[5] },
+    epoch: new Date(epochMs + t * 1000),
+    altitude: distance - EARTH_RADIUS,
+    decayed: stopped,
+    steps
+  };
+}
+
+/**
+ * Sample a trajectory, e.g. to study altitude decay over weeks
+ * @param {object} state - Initial { position, velocity, epoch }
+ * @param {Date} endDate - End of the trajectory
+ * @param {number} outputStepSeconds - Interval between returned samples
+ * @param {object} options - Passed to propagateState()
+ * @returns {Array<object>} Samples as returned by propagateState(); stops at decay
+ */
+export function propagateTrajectory(state, endDate, outputStepSeconds, options = {}) {
+  const samples = [];
+  let current = { ...state };
+  const endMs = endDate.getTime();
+  while (current.epoch.getTime() < endMs) {
+    const nextMs = Math.min(endMs, current.epoch.getTime() + outputStepSeconds * 1000);
+    const next = propagateState(current, new Date(nextMs), options);
+    samples.push(next);
+    if (next.decayed) break;
+    current = next;
+  }
+  return samples;
+}
@@ -0,0 +1,139 @@
+/**
+ * Tests for the numerical orbit integrator
+ */
+
+import {
+  zonalGravityAcceleration,
+  totalAcceleration,
+  integrate,
+  propagateState,
+  stateFromElements,
+  stateFromTLE,
+  ballisticCoefficientFromBstar,
+  exponentialDensity,
+  harrisPriesterDensity
+} from './orbitIntegrator.js';
+import { keplerianToState, stateToKeplerian, MU_EARTH } from './orbitalElements.js';
+import { parseTLE, SAMPLE_TLES } from './tleParser.js';
+
+const TWO_BODY = { zonalDegree: 0, atmosphere: 'none', srpCoefficient: 0 };
+const epoch = new Date(Date.UTC(2024, 5, 1));
+const secondsLater = (seconds) => new Date(epoch.getTime() + seconds * 1000);
+const separation = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const leo = {
+  semiMajorAxis: 6778.137,
+  eccentricity: 0.001,
+  inclination: 51.6,
+  raan: 30,
+  argumentOfPerigee: 40,
+  meanAnomaly: 0
+};
+
+describe('force model', () => {
+  test('J2 term matches the closed-form expression', () => {
+    const R = 6378.137;
+    const J2 = 1.08262668e-3;
+    const [x, y, z] = [5000, 3000, 4000];
+    const r2 = x * x + y * y + z * z;
+    const r = Math.sqrt(r2);
+    const k = (1.5 * J2 * MU_EARTH * R * R) / (r2 * r2 * r);
+    const zr2 = (z * z) / r2;
+    const expected = [
+      (-MU_EARTH * x) / (r2 * r) - k * x * (1 - 5 * zr2),
+      (-MU_EARTH * y) / (r2 * r) - k * y * (1 - 5 * zr2),
+      (-MU_EARTH * z) / (r2 * r) - k * z * (3 - 5 * zr2)
+    ];
+    zonalGravityAcceleration([x, y, z], 2).forEach((a, i) => expect(a).toBeCloseTo(expected[i], 15));
+  });
+
+  test('atmosphere densities decrease with altitude', () => {
+    expect(exponentialDensity(200)).toBeGreaterThan(exponentialDensity(400));
+    const sun = [1.5e8, 0, 0];
+    expect(harrisPriesterDensity([6778, 0, 0], 400, sun)).toBeGreaterThan(harrisPriesterDensity([6978, 0, 0], 600, sun));
+    expect(harrisPriesterDensity([7478, 0, 0], 1100, sun)).toBe(0);
+  });
+
+  test('Harris-Priester density is higher on the day side', () => {
+    const sun = [1.5e8, 0, 0];
+    expect(harrisPriesterDensity([4792, 4792, 0], 400, sun)).toBeGreaterThan(harrisPriesterDensity([-6778, 0, 0], 400, sun));
+  });
+
+  test('solar radiation pressure vanishes in the Earth shadow', () => {
+    // Near the June solstice the Sun lies close to (0, cos ε, sin ε)
+    const jd = 2460482.37;
+    const srpOnly = { zonalDegree: 0, atmosphere: 'none', srpCoefficient: 0.02 };
+    const shadowed = [0, -7000 * 0.917, -7000 * 0.398, 0, 0, 0];
+    const sunlit = [0, 7000 * 0.917, 7000 * 0.398, 0, 0, 0];
+    const gravity = (s) => zonalGravityAcceleration(s.slice(0, 3), 0);
+    const extra = (s) => totalAcceleration(jd, s, srpOnly).map((a, i) => a - gravity(s)[i]);
+    expect(Math.hypot(...extra(shadowed))).toBe(0);
+    // Early June the Earth is ~1.5% beyond 1 AU
+    const expected = 4.56e-6 * 0.02 * 1e-3;
+    expect(Math.hypot(...extra(sunlit)) / expected).toBeGreaterThan(0.95);
+    expect(Math.hypot(...extra(sunlit)) / expected).toBeLessThan(1);
+  });
+
+  test('converts B* to a ballistic coefficient', () => {
+    expect(ballisticCoefficientFromBstar(1.6538e-4)).toBeCloseTo(2.107e-3, 5);
+  });
+});
+
+describe('integrators', () => {
+  test('adaptive RK7(8) reproduces two-body motion', () => {
+    const seconds = 86400;
+    const state = stateFromElements(leo, epoch);
+    const result = propagateState(state, secondsLater(seconds), { forceModel: TWO_BODY });
+    const n = Math.sqrt(MU_EARTH / Math.pow(leo.semiMajorAxis, 3));
+    const expected = keplerianToState({ ...leo, meanAnomaly: (n * seconds * 180) / Math.PI });
+    expect(separation(result.position, expected.position)).toBeLessThan(1e-3);
+  });
+
+  test('fixed-step RK4 agrees with RK7(8)', () => {
+    const state = stateFromElements(leo, epoch);
+    const rk78 = propagateState(state, secondsLater(6 * 3600));
+    const rk4 = propagateState(state, secondsLater(6 * 3600), { method: 'rk4', step: 20 });
+    expect(separation(rk78.position, rk4.position)).toBeLessThan(0.01);
+  });
+
+  test('integrates backwards to the initial state', () => {
+    const state = stateFromElements(leo, epoch);
+    const forward = propagateState(state, secondsLater(12 * 3600));
+    const back = propagateState(forward, epoch);
+    expect(separation(back.position, state.position)).toBeLessThan(1e-3);
+  });
+
+  test('integrate() honours the stop condition', () => {
+    const f = (t, y) => [1];
+    const result = integrate(f, 0, [0], 100, { method: 'rk4', step: 1, stop: (t, y) => y[0] >= 10 });
+    expect(result.stopped).toBe(true);
+    expect(result.t).toBeCloseTo(10, 9);
+  });
+});
+
+describe('orbit decay', () => {
+  test('drag lowers the semi-major axis', () => {
+    const state = stateFromElements({ ...leo, semiMajorAxis: 6378.137 + 300 }, epoch);
+    const forceModel = { atmosphere: 'exponential', ballisticCoefficient: 0.02, srpCoefficient: 0 };
+    const withDrag = propagateState(state, secondsLater(86400), { forceModel });
+    const withoutDrag = propagateState(state, secondsLater(86400), { forceModel: { ...forceModel, atmosphere: 'none' } });
+    const aDrag = stateToKeplerian(withDrag.position, withDrag.velocity).semiMajorAxis;
+    const aFree = stateToKeplerian(withoutDrag.position, withoutDrag.velocity).semiMajorAxis;
+    expect(aFree - aDrag).toBeGreaterThan(0.5);
+  });
+
+  test('stops and flags decay at re-entry altitude', () => {
+    const state = stateFromElements({ ...leo, semiMajorAxis: 6378.137 + 180 }, epoch);
+    const result = propagateState(state, secondsLater(30 * 86400), {
+      forceModel: { atmosphere: 'exponential', ballisticCoefficient: 0.05 }
+    });
+    expect(result.decayed).toBe(true);
+    expect(result.epoch.getTime()).toBeLessThan(secondsLater(30 * 86400).getTime());
+  });
+
+  test('starts from converted TLE elements', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+    const state = stateFromTLE(iss);
+    expect(state.epoch).toEqual(iss.epochDate);
+    expect(Math.hypot(state.position.x, state.position.y, state.position.z) - 6378.137).toBeGreaterThan(350);
+  });
+});
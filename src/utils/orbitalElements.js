@@ -0,0 +1,199 @@
+/**
+ * Classical Orbital Elements
+ * Conversions between Keplerian elements and inertial state vectors.
+ * Angles are in degrees to match the parsed TLE data; distances in km, velocities in km/s.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const TWO_PI = 2 * Math.PI;
+
+export const MU_EARTH = 398600.4418; // km³/s²
+
+/**
+ * Wrap an angle in degrees to 0..360
+ * @param {number} deg - Angle in degrees
+ * @returns {number} Wrapped angle
+ */
+export function wrapDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Solve Kepler's equation M = E - e sin E (Newton-Raphson)
+ * @param {number} M - Mean anomaly (radians)
+ * @param {number} e - Eccentricity (elliptical, 0 <= e < 1)
+ * @returns {number} Eccentric anomaly (radians)
+ */
+export function solveKepler(M, e) {
+  const Mw = ((M % TWO_PI) + TWO_PI) % TWO_PI;
+  let E = e < 0.8 ? Mw : Math.PI;
+  for (let i = 0; i < 50; i++) {
+    const dE = (E - e * Math.sin(E) - Mw) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-14) break;
+  }
+  return E;
+}
+
+/**
+ * Convert mean anomaly to true anomaly
+ * @param {number} meanAnomaly - Mean anomaly (degrees)
+ * @param {number} e - Eccentricity
+ * @returns {number} True anomaly (degrees, 0..360)
+ */
+export function meanToTrueAnomaly(meanAnomaly, e) {
+  const E = solveKepler(meanAnomaly * DEG_TO_RAD, e);
+  const nu = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+  return wrapDegrees(nu * RAD_TO_DEG);
+}
+
+/**
+ * Convert true anomaly to mean anomaly
+ * @param {number} trueAnomaly - True anomaly (degrees)
+ * @param {number} e - Eccentricity
+ * @returns {number} Mean anomaly (degrees, 0..360)
+ */
+export function trueToMeanAnomaly(trueAnomaly, e) {
+  const nu = trueAnomaly * DEG_TO_RAD;
+  const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+  return wrapDegrees((E - e * Math.sin(E)) * RAD_TO_DEG);
+}
+
+/**
+ * Convert Keplerian elements to an inertial state vector
+ * @param {object} elements - { semiMajorAxis, eccentricity, inclination, raan, argumentOfPerigee,
+ *   and trueAnomaly or meanAnomaly } (km, degrees)
+ * @param {number} mu - Gravitational parameter (km³/s²)
+ * @returns {object} { position, velocity } in km and km/s
+ */
+export function keplerianToState(elements, mu = MU_EARTH) {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const nuDeg = elements.trueAnomaly !== undefined
+    ? elements.trueAnomaly
+    : meanToTrueAnomaly(elements.meanAnomaly, e);
+
+  const inc = elements.inclination * DEG_TO_RAD;
+  const raan = elements.raan * DEG_TO_RAD;
+  const argp = elements.argumentOfPerigee * DEG_TO_RAD;
+  const nu = nuDeg * DEG_TO_RAD;
+
+  // Position and velocity in the perifocal frame
+  const p = a * (1 - e * e);
+  const r = p / (1 + e * Math.cos(nu));
+  const xOrb = r * Math.cos(nu);
+  const yOrb = r * Math.sin(nu);
+  const vScale = Math.sqrt(mu / p);
+  const vxOrb = -vScale * Math.sin(nu);
+  const vyOrb = vScale * (e + Math.cos(nu));
+
+  // Perifocal to inertial rotation
+  const cosRaan = Math.cos(raan);
+  const sinRaan = Math.sin(raan);
+  const cosArgp = Math.cos(argp);
+  const sinArgp = Math.sin(argp);
+  const cosInc = Math.cos(inc);
+  const sinInc = Math.sin(inc);
+
+  const r11 = cosRaan * cosArgp - sinRaan * sinArgp * cosInc;
+  const r12 = -cosRaan * sinArgp - sinRaan * cosArgp * cosInc;
+  const r21 = sinRaan * cosArgp + cosRaan * sinArgp * cosInc;
+  const r22 = -sinRaan * sinArgp + cosRaan * cosArgp * cosInc;
+  const r31 = sinArgp * sinInc;
+  const r32 = cosArgp * sinInc;
+
+  return {
+    position: {
+      x: r11 * xOrb + r12 * yOrb,
+      y: r21 * xOrb + r22 * yOrb,
+      z: r31 * xOrb + r32 * yOrb
+    },
+    velocity: {
+      x: r11 * vxOrb + r12 * vyOrb,
+      y: r21 * vxOrb + r22 * vyOrb,
+      z: r31 * vxOrb + r32 * vyOrb
+    }
+  };
+}
+
+/**
+ * Convert an inertial state vector to osculating Keplerian elements
+ * @param {object} position - Position {x, y, z} in km
+ * @param {object} velocity - Velocity {x, y, z} in km/s
+ * @param {number} mu - Gravitational parameter (km³/s²)
+ * @returns {object} Elements (km, degrees) including mean anomaly and period (minutes)
+ */
+export function stateToKeplerian(position, velocity, mu = MU_EARTH) {
+  const { x, y, z } = position;
+  const { x: vx, y: vy, z: vz } = velocity;
+  const r = Math.sqrt(x * x + y * y + z * z);
+  const v2 = vx * vx + vy * vy + vz * vz;
+  const rv = x * vx + y * vy + z * vz;
+
+  // Angular momentum, node and eccentricity vectors
+  const hx = y * vz - z * vy;
+  const hy = z * vx - x * vz;
+  const hz = x * vy - y * vx;
+  const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+  const nx = -hy;
+  const ny = hx;
+  const n = Math.sqrt(nx * nx + ny * ny);
+  const ex = ((v2 - mu / r) * x - rv * vx) / mu;
+  const ey = ((v2 - mu / r) * y - rv * vy) / mu;
+  const ez = ((v2 - mu / r) * z - rv * vz) / mu;
+  const e = Math.sqrt(ex * ex + ey * ey + ez * ez);
+
+  const energy = v2 / 2 - mu / r;
+  const a = -mu / (2 * energy);
+  const inc = Math.acos(Math.max(-1, Math.min(1, hz / h)));
+
+  const SMALL = 1e-10;
+  const equatorial = n < SMALL;
+  const circular = e < SMALL;
+
+  // Right ascension of the ascending node (zero for equatorial orbits)
+  let raan = 0;
+  if (!equatorial) {
+    raan = Math.acos(Math.max(-1, Math.min(1, nx / n)));
+    if (ny < 0) raan = TWO_PI - raan;
+  }
+
+  // Argument of perigee, measured from the node (or the x axis when equatorial)
+  let argp = 0;
+  if (!circular) {
+    if (!equatorial) {
+      argp = Math.acos(Math.max(-1, Math.min(1, (nx * ex + ny * ey) / (n * e))));
+      if (ez < 0) argp = TWO_PI - argp;
+    } else {
+      argp = Math.atan2(ey, ex);
+      if (hz < 0) argp = -argp;
+    }
+  }
+
+  // True anomaly, measured from perigee (or the node / x axis when circular)
+  let nu;
+  if (!circular) {
+    nu = Math.acos(Math.max(-1, Math.min(1, (ex * x + ey * y + ez * z) / (e * r))));
+    if (rv < 0) nu = TWO_PI - nu;
+  } else if (!equatorial) {
+    nu = Math.acos(Math.max(-1, Math.min(1, (nx * x + ny * y) / (n * r))));
+    if (z < 0) nu = TWO_PI - nu;
+  } else {
+    nu = Math.atan2(y, x);
+    if (hz < 0) nu = -nu;
+  }
+
+  const trueAnomaly = wrapDegrees(nu * RAD_TO_DEG);
+  const meanMotionRad = Math.sqrt(mu / (a * a * a)); // rad/s
+
+  return {
+    semiMajorAxis: a,
+    eccentricity: e,
+    inclination: inc * RAD_TO_DEG,
+    raan: wrapDegrees(raan * RAD_TO_DEG),
+    argumentOfPerigee: wrapDegrees(argp * RAD_TO_DEG),
+    trueAnomaly,
+    meanAnomaly: e < 1 ? trueToMeanAnomaly(trueAnomaly, e) : NaN,
+    period: e < 1 ? (TWO_PI / meanMotionRad) / 60 : Infinity
+  };
+}
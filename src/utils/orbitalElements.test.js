@@ -0,0 +1,39 @@
+/**
+ * Tests for Keplerian element conversions
+ */
+
+import { keplerianToState, stateToKeplerian, meanToTrueAnomaly, trueToMeanAnomaly } from './orbitalElements.js';
+
+describe('orbital element conversions', () => {
+  test('state vector round trip preserves the elements', () => {
+    const elements = {
+      semiMajorAxis: 26560,
+      eccentricity: 0.3,
+      inclination: 63.4,
+      raan: 120,
+      argumentOfPerigee: 270,
+      trueAnomaly: 45
+    };
+    const { position, velocity } = keplerianToState(elements);
+    const recovered = stateToKeplerian(position, velocity);
+    expect(recovered.semiMajorAxis).toBeCloseTo(elements.semiMajorAxis, 6);
+    expect(recovered.eccentricity).toBeCloseTo(elements.eccentricity, 10);
+    expect(recovered.inclination).toBeCloseTo(elements.inclination, 8);
+    expect(recovered.raan).toBeCloseTo(elements.raan, 8);
+    expect(recovered.argumentOfPerigee).toBeCloseTo(elements.argumentOfPerigee, 8);
+    expect(recovered.trueAnomaly).toBeCloseTo(elements.trueAnomaly, 8);
+  });
+
+  test('circular orbit speed equals sqrt(mu / r)', () => {
+    const { velocity } = keplerianToState({
+      semiMajorAxis: 7000, eccentricity: 0, inclination: 98, raan: 10, argumentOfPerigee: 0, meanAnomaly: 30
+    });
+    expect(Math.hypot(velocity.x, velocity.y, velocity.z)).toBeCloseTo(Math.sqrt(398600.4418 / 7000), 10);
+  });
+
+  test('mean and true anomaly conversions are inverses', () => {
+    [0, 10, 179, 250].forEach(M => {
+      expect(trueToMeanAnomaly(meanToTrueAnomaly(M, 0.7), 0.7)).toBeCloseTo(M, 8);
+    });
+  });
+});
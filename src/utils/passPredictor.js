@@ -0,0 +1,106 @@
+/**
+ * Pass Prediction
+ * Finds passes of a satellite over a ground location: acquisition of signal
+ * (AOS), time of culmination (TCA, maximum elevation) and loss of signal (LOS).
+ * Elevation is sampled coarsely only to bracket events; the event times are then
+ * refined by root-finding on elevation minus the mask and by a golden-section
+ * search for the culmination.
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { lookAngles } from './groundStations';
+import { findRoot, findMaximum } from './rootFinding';
+
+/**
+ * Predict passes of a satellite over a ground location
+ * @param {object} tle - Parsed TLE data
+ * @param {object} site - { latitude, longitude, altitude (km), minElevation (deg) }
+ * @param {Date} start - Start of the search window
+ * @param {Date} end - End of the search window
+ * @param {object} options - { propagatorId, stepSeconds }
+ * @returns {Array<object>} Passes as { aos, tca, los, maxElevation, aosAzimuth, losAzimuth,
+ *   tcaAzimuth, duration (s), startsBeforeWindow, endsAfterWindow }
+ */
+export function predictPasses(tle, site, start, end, options = {}) {
+  const propagatorId = options.propagatorId || DEFAULT_PROPAGATOR;
+  // Bracketing step: a small fraction of the orbit, capped at one minute
+  const stepMs = (options.stepSeconds || Math.min(60, (tle.period * 60) / 100)) * 1000;
+  const mask = site.minElevation || 0;
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+
+  const look = (ms) => {
+    const date = new Date(ms);
+    const state = propagate(tle, date, propagatorId);
+    if (!isFinite(state.distance)) return null;
+    return lookAngles(site, state, date);
+  };
+  const height = (ms) => {
+    const l = look(ms);
+    return l ? l.elevation - mask : -90;
+  };
+
+  const passes = [];
+  let aosMs = null;
+  let startsBeforeWindow = false;
+
+  // Coarse samples; keep three to spot maxima that peak between samples
+  let prevMs = startMs;
+  let prevH = height(prevMs);
+  let prevPrevH = -Infinity;
+  if (prevH >= 0) {
+    aosMs = startMs;
+    startsBeforeWindow = true;
+  }
+
+  const closePass = (losMs, endsAfterWindow) => {
+    const tcaMs = findMaximum(height, aosMs, losMs);
+    const aos = look(aosMs);
+    const tca = look(tcaMs);
+    const los = look(losMs);
+    if (aos && tca && los) {
+      const aosDate = new Date(aosMs);
+      const losDate = new Date(losMs);
+      passes.push({
+        aos: aosDate,
+        tca: new Date(tcaMs),
+        los: losDate,
+        maxElevation: tca.elevation,
+        aosAzimuth: aos.azimuth,
+        tcaAzimuth: tca.azimuth,
+        losAzimuth: los.azimuth,
+        duration: (losDate - aosDate) / 1000,
+        startsBeforeWindow,
+        endsAfterWindow
+      });
+    }
+    aosMs = null;
+    startsBeforeWindow = false;
+  };
+
+  while (prevMs < endMs) {
+    const ms = Math.min(endMs, prevMs + stepMs);
+    const h = height(ms);
+
+    if (prevH < 0 && h >= 0) {
+      aosMs = findRoot(height, prevMs, ms, prevH, h);
+    } else if (prevH >= 0 && h < 0 && aosMs !== null) {
+      closePass(findRoot(height, prevMs, ms, prevH, h), false);
+    } else if (prevH < 0 && h < 0 && prevH > prevPrevH && prevH > h && prevMs - stepMs >= startMs) {
+      // Local maximum below the mask at the samples: a short pass may hide in between
+      const peakMs = findMaximum(height, prevMs - stepMs, ms);
+      const peakH = height(peakMs);
+      if (peakH >= 0) {
+        aosMs = findRoot(height, prevMs - stepMs, peakMs, height(prevMs - stepMs), peakH);
+        closePass(findRoot(height, peakMs, ms, peakH, h), false);
+      }
+    }
+
+    prevPrevH = prevH;
+    prevMs = ms;
+    prevH = h;
+  }
+
+  if (aosMs !== null) closePass(endMs, true);
+  return passes;
+}
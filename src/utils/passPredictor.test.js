@@ -0,0 +1,72 @@
+/**
+ * Tests for pass prediction
+ */
+
+import { predictPasses } from './passPredictor.js';
+import { lookAngles } from './groundStations.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES } from './tleParser.js';
+
+const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+const site = { latitude: 45, longitude: 10, altitude: 0.2, minElevation: 10 };
+
+const elevationAt = (ms) => {
+  const date = new Date(ms);
+  return lookAngles(site, calculateSatellitePosition(iss, date), date).elevation;
+};
+
+// Reference: visibility transitions from a dense scan
+function scanPasses(startMs, endMs, stepMs) {
+  const passes = [];
+  let wasVisible = elevationAt(startMs) >= site.minElevation;
+  for (let ms = startMs + stepMs; ms <= endMs; ms += stepMs) {
+    const visible = elevationAt(ms) >= site.minElevation;
+    if (visible && !wasVisible) passes.push({ aos: ms });
+    if (!visible && wasVisible && passes.length) passes[passes.length - 1].los = ms;
+    wasVisible = visible;
+  }
+  return passes;
+}
+
+describe('pass prediction', () => {
+  const start = new Date(iss.epochDate.getTime() + 12 * 3600 * 1000);
+  const end = new Date(start.getTime() + 12 * 3600 * 1000);
+  const passes = predictPasses(iss, site, start, end);
+
+  test('finds the same passes as a dense scan', () => {
+    const reference = scanPasses(start.getTime(), end.getTime(), 5000);
+    expect(passes.length).toBe(reference.length);
+    expect(passes.length).toBeGreaterThan(0);
+    passes.forEach((pass, i) => {
+      expect(Math.abs(pass.aos - reference[i].aos)).toBeLessThan(5000);
+      expect(Math.abs(pass.los - reference[i].los)).toBeLessThan(5000);
+    });
+  });
+
+  test('events sit on the mask and the culmination is the maximum', () => {
+    passes.forEach(pass => {
+      expect(elevationAt(pass.aos.getTime())).toBeCloseTo(site.minElevation, 1);
+      expect(elevationAt(pass.los.getTime())).toBeCloseTo(site.minElevation, 1);
+      expect(pass.tca > pass.aos && pass.tca < pass.los).toBe(true);
+      expect(pass.maxElevation).toBeGreaterThanOrEqual(elevationAt(pass.tca.getTime() - 20000));
+      expect(pass.maxElevation).toBeGreaterThanOrEqual(elevationAt(pass.tca.getTime() + 20000));
+      expect(pass.duration).toBeCloseTo((pass.los - pass.aos) / 1000, 6);
+    });
+  });
+
+  test('flags a pass already in progress at the window start', () => {
+    const pass = passes[0];
+    const midPass = new Date((pass.aos.getTime() + pass.los.getTime()) / 2);
+    const [first] = predictPasses(iss, site, midPass, end);
+    expect(first.startsBeforeWindow).toBe(true);
+    expect(first.aos).toEqual(midPass);
+    expect(Math.abs(first.los - pass.los)).toBeLessThan(1000);
+  });
+
+  test('finds short passes that peak between bracketing samples', () => {
+    const best = passes.reduce((a, b) => (a.maxElevation > b.maxElevation ? a : b));
+    // Mask just below the peak leaves a pass of a few seconds
+    const highMask = { ...site, minElevation: best.maxElevation - 0.05 };
+    const found = predictPasses(iss, highMask, start, end, { stepSeconds: 60 });
+    expect(found.some(p => Math.abs(p.tca - best.tca) < 2000)).toBe(true);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Propagator Registry
+ * Single entry point for computing satellite states from parsed TLE data.
+ * Consumers call propagate(tle, date, propagatorId) rather than a specific model,
+ * so model fidelity can be traded against speed per satellite or globally.
+ * Every propagator returns the same shape as calculateSatellitePosition().
+ */
+
+import { calculateSatellitePosition, dateToJulian } from './tleParser';
+import { keplerianToState } from './orbitalElements';
+import { propagateState, ballisticCoefficientFromBstar, DEFAULT_FORCE_MODEL } from './orbitIntegrator';
+
+const EARTH_RADIUS = 6378.137; // km
+const J2 = 1.08262668e-3;
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+const SECONDS_PER_DAY = 86400;
+
+export const DEFAULT_PROPAGATOR = 'sgp4';
+
+const registry = new Map();
+
+/**
+ * Register a propagator
+ * @param {string} id - Unique identifier
+ * @param {object} definition - { label, description, propagate(tle, date) }
+ */
+export function registerPropagator(id, { label, description = '', propagate }) {
+  if (typeof propagate !== 'function') {
+    throw new Error(`Propagator "${id}" must provide a propagate function`);
+  }
+  registry.set(id, { id, label: label || id, description, propagate });
+}
+
+/**
+ * Look up a propagator, falling back to the default model for unknown ids
+ * @param {string} id - Propagator identifier
+ * @returns {object} Propagator definition
+ */
+export function getPropagator(id) {
+  return registry.get(id) || registry.get(DEFAULT_PROPAGATOR);
+}
+
+/**
+ * List registered propagators for UI selection
+ * @returns {Array<object>} [{ id, label, description }]
+ */
+export function listPropagators() {
+  return Array.from(registry.values()).map(({ id, label, description }) => ({ id, label, description }));
+}
+
+/**
+ * Propagate a satellite with the selected model
+ * @param {object} tle - Parsed TLE data
+ * @param {Date} date - Date for position calculation
+ * @param {string} propagatorId - Registered propagator id
+ * @returns {object} { position, velocity, altitude, distance, error }
+ */
+export function propagate(tle, date = new Date(), propagatorId = DEFAULT_PROPAGATOR) {
+  return getPropagator(propagatorId).propagate(tle, date);
+}
+
+function toResult(position, velocity, error = 0) {
+  const distance = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+  return {
+    position,
+    velocity,
+    altitude: distance - EARTH_RADIUS,
+    distance,
+    error
+  };
+}
+
+/**
+ * Mean elements at a date with optional J2 secular drift of RAAN, perigee and mean anomaly
+ */
+function secularElementsAt(tle, date, withJ2) {
+  const dt = (dateToJulian(date) - tle.epochJulianDate) * SECONDS_PER_DAY;
+  const a = tle.semiMajorAxis;
+  const e = tle.eccentricity;
+  const n = (2 * Math.PI) / (tle.period * 60); // rad/s
+
+  let raanRate = 0;
+  let argpRate = 0;
+  let meanAnomalyRate = n;
+  if (withJ2) {
+    const p = a * (1 - e * e);
+    const cosI = Math.cos(tle.inclination * DEG_TO_RAD);
+    const k = 1.5 * n * J2 * (EARTH_RADIUS / p) * (EARTH_RADIUS / p);
+    raanRate = -k * cosI;
+    argpRate = 0.5 * k * (5 * cosI * cosI - 1);
+    meanAnomalyRate = n + 0.5 * k * Math.sqrt(1 - e * e) * (3 * cosI * cosI - 1);
+  }
+
+  return {
+    semiMajorAxis: a,
+    eccentricity: e,
+    inclination: tle.inclination,
+    raan: tle.raan + raanRate * dt * RAD_TO_DEG,
+    argumentOfPerigee: tle.argumentOfPerigee + argpRate * dt * RAD_TO_DEG,
+    meanAnomaly: tle.meanAnomaly + meanAnomalyRate * dt * RAD_TO_DEG
+  };
+}
+
+// --- Numerical integration (see orbitIntegrator.js) ---
+
+const CHECKPOINT_INTERVAL_SECONDS = 6 * 3600;
+const SEED_WINDOW_DAYS = 7;
+
+// Integrated states are checkpointed per TLE so consecutive frames only integrate the gap
+const numericalCache = new WeakMap();
+
+function forceModelFor(tle) {
+  return {
+    ...DEFAULT_FORCE_MODEL,
+    ballisticCoefficient: tle.bstar > 0 ? ballisticCoefficientFromBstar(tle.bstar) : 0
+  };
+}
+
+function propagateNumerical(tle, date) {
+  let cache = numericalCache.get(tle);
+  if (!cache) {
+    // Seed with the SGP4 osculating state at the TLE epoch, or at the first requested
+    // date for stale TLEs so integration does not start weeks in the past
+    const nearEpoch = Math.abs(dateToJulian(date) - tle.epochJulianDate) <= SEED_WINDOW_DAYS;
+    const seedDate = nearEpoch ? tle.epochDate : new Date(date.getTime());
+    const seed = calculateSatellitePosition(tle, seedDate);
+    if (seed.error && seed.error !== 6) return seed;
+    const state = { position: seed.position, velocity: seed.velocity, epoch: seedDate };
+    cache = { seedDate, checkpoints: new Map([[0, state]]), last: state, forceModel: forceModelFor(tle) };
+    numericalCache.set(tle, cache);
+  }
+
+  const { seedDate, checkpoints, forceModel } = cache;
+  const dt = (date.getTime() - seedDate.getTime()) / 1000;
+  const target = Math.trunc(dt / CHECKPOINT_INTERVAL_SECONDS);
+  const step = target >= 0 ? 1 : -1;
+
+  // Walk outward from the closest stored checkpoint to the one just before dt
+  let k = target;
+  while (!checkpoints.has(k)) k -= step;
+  let state = checkpoints.get(k);
+  while (k !== target && !state.decayed) {
+    k += step;
+    state = propagateState(state, new Date(seedDate.getTime() + k * CHECKPOINT_INTERVAL_SECONDS * 1000), { forceModel });
+    checkpoints.set(k, state);
+  }
+
+  // Continue from the previous query when it is closer than the checkpoint (frame-to-frame case)
+  const last = cache.last;
+  if (!state.decayed && !last.decayed &&
+      Math.abs(date - last.epoch) < Math.abs(date - state.epoch)) {
+    state = last;
+  }
+  const result = state.decayed ? state : propagateState(state, date, { forceModel });
+  cache.last = result;
+  return toResult(result.position, result.velocity, result.decayed ? 6 : 0);
+}
+
+// --- Built-in propagators ---
+
+registerPropagator('kepler', {
+  label: 'Two-body (Kepler)',
+  description: 'Unperturbed Keplerian motion from the TLE mean elements',
+  propagate: (tle, date) => {
+    const { position, velocity } = keplerianToState(secularElementsAt(tle, date, false));
+    return toResult(position, velocity);
+  }
+});
+
+registerPropagator('j2', {
+  label: 'Two-body + J2 secular',
+  description: 'Keplerian motion with J2 secular drift of RAAN, perigee and mean anomaly',
+  propagate: (tle, date) => {
+    const { position, velocity } = keplerianToState(secularElementsAt(tle, date, true));
+    return toResult(position, velocity);
+  }
+});
+
+registerPropagator('sgp4', {
+  label: 'SGP4/SDP4',
+  description: 'Standard general perturbations model the TLE was fitted with',
+  propagate: calculateSatellitePosition
+});
+
+registerPropagator('numerical', {
+  label: 'Numerical (RK7(8), J2-J6, drag, SRP)',
+  description: 'Adaptive RK7(8) integration with zonal harmonics, Harris-Priester drag and solar radiation pressure',
+  propagate: propagateNumerical
+});
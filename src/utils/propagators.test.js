@@ -0,0 +1,55 @@
+/**
+ * Tests for the propagator registry
+ */
+
+import { propagate, listPropagators, getPropagator, registerPropagator, DEFAULT_PROPAGATOR } from './propagators.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES } from './tleParser.js';
+
+const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2, SAMPLE_TLES.ISS.name);
+const hoursAfterEpoch = (hours) => new Date(iss.epochDate.getTime() + hours * 3600 * 1000);
+const separation = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+describe('propagator registry', () => {
+  test('lists the built-in models', () => {
+    const ids = listPropagators().map(p => p.id);
+    expect(ids).toEqual(expect.arrayContaining(['kepler', 'j2', 'sgp4', 'numerical']));
+  });
+
+  test('falls back to the default model for unknown ids', () => {
+    expect(getPropagator('does-not-exist').id).toBe(DEFAULT_PROPAGATOR);
+  });
+
+  test('sgp4 entry matches calculateSatellitePosition', () => {
+    const date = hoursAfterEpoch(3);
+    expect(propagate(iss, date, 'sgp4')).toEqual(calculateSatellitePosition(iss, date));
+  });
+
+  test('all models stay close to SGP4 shortly after epoch', () => {
+    const date = hoursAfterEpoch(0.5);
+    const reference = propagate(iss, date, 'sgp4').position;
+    ['kepler', 'j2', 'numerical'].forEach(id => {
+      const result = propagate(iss, date, id);
+      expect(result.error).toBe(0);
+      expect(separation(result.position, reference)).toBeLessThan(50);
+    });
+  });
+
+  test('J2 secular drift tracks SGP4 better than pure two-body over a day', () => {
+    const date = hoursAfterEpoch(24);
+    const reference = propagate(iss, date, 'sgp4').position;
+    const keplerError = separation(propagate(iss, date, 'kepler').position, reference);
+    const j2Error = separation(propagate(iss, date, 'j2').position, reference);
+    expect(j2Error).toBeLessThan(keplerError);
+  });
+
+  test('numerical propagation is consistent going forwards and backwards', () => {
+    const later = propagate(iss, hoursAfterEpoch(30), 'numerical').position;
+    propagate(iss, hoursAfterEpoch(-10), 'numerical');
+    const again = propagate(iss, hoursAfterEpoch(30), 'numerical').position;
+    expect(separation(later, again)).toBeLessThan(1e-6);
+  });
+
+  test('rejects propagators without a propagate function', () => {
+    expect(() => registerPropagator('broken', { label: 'Broken' })).toThrow();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Root Finding and Extremum Search
+ * Scalar solvers shared by the event finders (passes, eclipses, conjunctions).
+ * The independent variable is usually a time in Unix milliseconds, hence the
+ * default tolerance of 100 ms.
+ */
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+const DEFAULT_TOLERANCE = 100;
+
+/**
+ * Root of f on [a, b] with f(a), f(b) of opposite signs (Illinois false position)
+ * @param {Function} f - Function of one variable
+ * @param {number} a - Bracket start
+ * @param {number} b - Bracket end
+ * @param {number} fa - f(a)
+ * @param {number} fb - f(b)
+ * @param {number} tolerance - Bracket width at which to stop
+ * @returns {number} Root location
+ */
+export function findRoot(f, a, b, fa, fb, tolerance = DEFAULT_TOLERANCE) {
+  let side = 0;
+  for (let i = 0; i < 100 && Math.abs(b - a) > tolerance; i++) {
+    const c = (a * fb - b * fa) / (fb - fa);
+    const fc = f(c);
+    if (fc * fb > 0) {
+      b = c;
+      fb = fc;
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else if (fa * fc > 0) {
+      a = c;
+      fa = fc;
+      if (side === 1) fb /= 2;
+      side = 1;
+    } else {
+      return c;
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Maximum of a unimodal f on [a, b] (golden-section search)
+ * @param {Function} f - Function of one variable
+ * @param {number} a - Interval start
+ * @param {number} b - Interval end
+ * @param {number} tolerance - Interval width at which to stop
+ * @returns {number} Location of the maximum
+ */
+export function findMaximum(f, a, b, tolerance = DEFAULT_TOLERANCE) {
+  let x1 = b - GOLDEN * (b - a);
+  let x2 = a + GOLDEN * (b - a);
+  let f1 = f(x1);
+  let f2 = f(x2);
+  while (b - a > tolerance) {
+    if (f1 < f2) {
+      a = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = a + GOLDEN * (b - a);
+      f2 = f(x2);
+    } else {
+      b = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = b - GOLDEN * (b - a);
+      f1 = f(x1);
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Minimum of a unimodal f on [a, b] (golden-section search)
+ * @returns {number} Location of the minimum
+ */
+export function findMinimum(f, a, b, tolerance = DEFAULT_TOLERANCE) {
+  return findMaximum(x => -f(x), a, b, tolerance);
+}
@@ -0,0 +1,302 @@
+/**
+ * Scenarios
+ * A versioned, JSON-serializable snapshot of a study: satellites (as TLE lines with
+ * their colours and display toggles), ground stations, display settings and the
+ * simulation clock. Scenarios are exported to and imported from `.json` files and
+ * kept in named slots in localStorage, including one autosave slot.
+ */
+
+import { parseTLE, formatTLEError } from './tleParser';
+import { listPropagators, DEFAULT_PROPAGATOR } from './propagators';
+import { DEFAULT_GROUND_TRACK_WINDOW } from './groundTrack';
+import { createGroundStation } from './groundStations';
+import { HEATMAP_METRICS } from './heatmap';
+import { RENDER_MODES } from './swarm';
+
+export const SCENARIO_FORMAT = 'spacecore-scenario';
+export const SCENARIO_VERSION = 1;
+
+// Slot the application saves to periodically and restores on start
+export const AUTOSAVE_SLOT = 'Autosave';
+
+const STORAGE_KEY = 'spacecore.scenarios';
+
+export const DEFAULT_SCENARIO_SETTINGS = {
+  minElevationAngle: 0,
+  showEarth: true,
+  showEarthGrid: true,
+  showHeatmap: false,
+  heatmapMetric: 'folds',
+  propagatorId: DEFAULT_PROPAGATOR,
+  groundTrackWindow: DEFAULT_GROUND_TRACK_WINDOW,
+  renderMode: 'auto'
+};
+
+// Upgrades a scenario of version n to version n + 1; keyed by n
+const MIGRATIONS = {};
+
+const SATELLITE_TOGGLES = ['showOrbit', 'showTrail', 'showCoverage', 'showGroundTrack'];
+
+/**
+ * Build a scenario from application state
+ * @param {object} state - { name, time (Date), speed, playing, settings, satellites, groundStations,
+ *   selectedSatelliteIds }; satellites as held by the application
+ * @returns {object} Scenario; satellites without TLE lines cannot be stored and are left out
+ */
+export function createScenario({
+  name = '',
+  time,
+  speed = 1,
+  playing = true,
+  settings = {},
+  satellites = [],
+  groundStations = [],
+  selectedSatelliteIds = []
+}) {
+  const selected = new Set(selectedSatelliteIds);
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    clock: { time: time.toISOString(), speed, playing },
+    settings: { ...DEFAULT_SCENARIO_SETTINGS, ...settings },
+    satellites: satellites
+      .filter(s => s.rawLine1 && s.rawLine2)
+      .map(s => ({
+        name: s.rawName || s.tleData.name,
+        line1: s.rawLine1,
+        line2: s.rawLine2,
+        color: s.color,
+        ...Object.fromEntries(SATELLITE_TOGGLES.map(key => [key, s[key] !== false])),
+        propagator: s.propagator || null,
+        selected: selected.has(s.id)
+      })),
+    groundStations: groundStations.map(({ name: stationName, latitude, longitude, altitude, minElevation }) => ({
+      name: stationName, latitude, longitude, altitude, minElevation
+    }))
+  };
+}
+
+// Settings merged over the defaults; unknown or malformed values fall back to the default
+function normalizeSettings(settings = {}) {
+  const propagators = listPropagators().map(p => p.id);
+  const trackWindow = settings.groundTrackWindow || {};
+  const orbits = (value, fallback) => (isFinite(value) && value >= 0 ? Number(value) : fallback);
+  const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+  const d = DEFAULT_SCENARIO_SETTINGS;
+  return {
+    minElevationAngle: isFinite(settings.minElevationAngle)
+      ? Math.max(0, Math.min(90, Number(settings.minElevationAngle)))
+      : d.minElevationAngle,
+    showEarth: flag(settings.showEarth, d.showEarth),
+    showEarthGrid: flag(settings.showEarthGrid, d.showEarthGrid),
+    showHeatmap: flag(settings.showHeatmap, d.showHeatmap),
+    heatmapMetric: HEATMAP_METRICS[settings.heatmapMetric] ? settings.heatmapMetric : d.heatmapMetric,
+    propagatorId: propagators.includes(settings.propagatorId) ? settings.propagatorId : d.propagatorId,
+    groundTrackWindow: {
+      orbitsBefore: orbits(trackWindow.orbitsBefore, d.groundTrackWindow.orbitsBefore),
+      orbitsAfter: orbits(trackWindow.orbitsAfter, d.groundTrackWindow.orbitsAfter)
+    },
+    renderMode: RENDER_MODES[settings.renderMode] ? settings.renderMode : d.renderMode
+  };
+}
+
+/**
+ * Parse and validate a scenario, upgrading older versions
+ * @param {string|object} input - Scenario JSON text or object
+ * @returns {object} { name, time (Date), speed, playing, settings, satellites: [{ tleData, lines,
+ *   color, showOrbit, showTrail, showCoverage, showGroundTrack, propagator, selected }],
+ *   groundStations, errors: [{ message }] } — entries that fail validation are skipped and reported
+ */
+export function parseScenario(input) {
+  let scenario = input;
+  if (typeof input === 'string') {
+    try {
+      scenario = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Scenario is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!scenario || typeof scenario !== 'object' || scenario.format !== SCENARIO_FORMAT) {
+    throw new Error('Not a SpaceCore scenario file');
+  }
+  if (!Number.isInteger(scenario.version) || scenario.version < 1) {
+    throw new Error('Scenario has no valid version');
+  }
+  if (scenario.version > SCENARIO_VERSION) {
+    throw new Error(`Scenario version ${scenario.version} is newer than this application supports (${SCENARIO_VERSION})`);
+  }
+  for (let version = scenario.version; version < SCENARIO_VERSION; version++) {
+    scenario = MIGRATIONS[version](scenario);
+  }
+
+  const errors = [];
+  const clock = scenario.clock || {};
+  let time = new Date(clock.time);
+  if (isNaN(time.getTime())) {
+    errors.push({ message: 'Simulation time is missing or invalid; using the current time' });
+    time = new Date();
+  }
+  const propagators = listPropagators().map(p => p.id);
+
+  const satellites = [];
+  (Array.isArray(scenario.satellites) ? scenario.satellites : []).forEach((item, index) => {
+    const entry = item || {};
+    const label = entry.name || `Satellite ${index + 1}`;
+    try {
+      satellites.push({
+        tleData: parseTLE(entry.line1, entry.line2, entry.name),
+        lines: { line1: entry.line1, line2: entry.line2 },
+        color: typeof entry.color === 'string' && entry.color ? entry.color : null,
+        ...Object.fromEntries(SATELLITE_TOGGLES.map(key => [key, entry[key] !== false])),
+        propagator: propagators.includes(entry.propagator) ? entry.propagator : null,
+        selected: entry.selected === true
+      });
+    } catch (error) {
+      const problems = error.errors ? error.errors.map(formatTLEError).join('; ') : error.message;
+      errors.push({ message: `${label}: ${problems}` });
+    }
+  });
+
+  const groundStations = [];
+  (Array.isArray(scenario.groundStations) ? scenario.groundStations : []).forEach((entry, index) => {
+    try {
+      groundStations.push(createGroundStation(entry || {}));
+    } catch (error) {
+      errors.push({ message: `Ground station ${(entry && entry.name) || index + 1}: ${error.message}` });
+    }
+  });
+
+  return {
+    name: typeof scenario.name === 'string' ? scenario.name : '',
+    time,
+    speed: isFinite(clock.speed) ? Number(clock.speed) : 1,
+    playing: clock.playing !== false,
+    settings: normalizeSettings(scenario.settings),
+    satellites,
+    groundStations,
+    errors
+  };
+}
+
+/**
+ * File name for exporting a scenario
+ * @param {object} scenario - From createScenario()
+ * @returns {string} e.g. "morning-study-2024-03-01.json"
+ */
+export function scenarioFileName(scenario) {
+  const slug = (scenario.name || 'scenario').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'scenario'}-${scenario.clock.time.slice(0, 10)}.json`;
+}
+
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Access to localStorage throws when storage is disabled for the page
+    return null;
+  }
+}
+
+function readSlots(storage) {
+  if (!storage) return {};
+  try {
+    const slots = JSON.parse(storage.getItem(STORAGE_KEY));
+    return slots && typeof slots === 'object' ? slots : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeSlots(slots, storage) {
+  if (!storage) throw new Error('Local storage is not available');
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(slots));
+  } catch (error) {
+    throw new Error(`Could not write to local storage: ${error.message}`);
+  }
+}
+
+/**
+ * Saved scenario slots
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array<object>} [{ name, savedAt, satelliteCount }], the autosave slot first, then by name
+ */
+export function listScenarioSlots(storage = defaultStorage()) {
+  return Object.entries(readSlots(storage))
+    .map(([name, scenario]) => ({
+      name,
+      savedAt: scenario.savedAt,
+      satelliteCount: Array.isArray(scenario.satellites) ? scenario.satellites.length : 0
+    }))
+    .sort((a, b) => (b.name === AUTOSAVE_SLOT) - (a.name === AUTOSAVE_SLOT) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a scenario to a named slot, replacing any scenario already in it
+ * @param {string} name - Slot name
+ * @param {object} scenario - From createScenario()
+ * @param {Storage} storage - Defaults to window.localStorage
+ */
+export function saveScenarioSlot(name, scenario, storage = defaultStorage()) {
+  const slot = (name || '').trim();
+  if (!slot) throw new Error('Slot name is required');
+  writeSlots({ ...readSlots(storage), [slot]: { ...scenario, name: scenario.name || slot } }, storage);
+}
+
+/**
+ * Scenario stored in a slot
+ * @param {string} name - Slot name
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {object|null} Stored scenario (unparsed), null when the slot is empty
+ */
+export function loadScenarioSlot(name, storage = defaultStorage()) {
+  return readSlots(storage)[name] || null;
+}
+
+/**
+ * Remove a slot
+ * @param {string} name - Slot name
+ * @param {Storage} storage - Defaults to window.localStorage
+ */
+export function deleteScenarioSlot(name, storage = defaultStorage()) {
+  const slots = readSlots(storage);
+  if (!(name in slots)) return;
+  delete slots[name];
+  writeSlots(slots, storage);
+}
+
+// What the user has set up, leaving out the clock and the save time, which change on their own
+const studyKey = ({ settings, satellites, groundStations }) => JSON.stringify({ settings, satellites, groundStations });
+
+/**
+ * Autosave to the autosave slot that can be held back. A study opened from a link is held:
+ * it is not saved over the user's own autosave until the user changes something in it.
+ * @param {Function} getScenario - () => scenario to save, from createScenario()
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {object} { save() => true when written, false while held; hold() to hold the study
+ *   as it is now; held }
+ */
+export function createAutosave(getScenario, storage = defaultStorage()) {
+  let heldKey = null;
+  return {
+    get held() {
+      return heldKey !== null;
+    },
+
+    hold() {
+      heldKey = studyKey(getScenario());
+    },
+
+    save() {
+      const scenario = getScenario();
+      if (heldKey !== null) {
+        if (studyKey(scenario) === heldKey) return false;
+        heldKey = null;
+      }
+      saveScenarioSlot(AUTOSAVE_SLOT, scenario, storage);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Tests for scenario serialization and storage slots
+ */
+
+import {
+  createScenario,
+  parseScenario,
+  scenarioFileName,
+  listScenarioSlots,
+  saveScenarioSlot,
+  loadScenarioSlot,
+  deleteScenarioSlot,
+  createAutosave,
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  AUTOSAVE_SLOT
+} from './scenario.js';
+import { parseTLE, SAMPLE_TLES } from './tleParser.js';
+
+const time = new Date(Date.UTC(2024, 0, 1, 6, 30, 0));
+const { ISS, HUBBLE } = SAMPLE_TLES;
+
+const satellites = [
+  {
+    id: 'a',
+    tleData: parseTLE(ISS.line1, ISS.line2, ISS.name),
+    color: 'hsl(120, 70%, 50%)',
+    showOrbit: true,
+    showTrail: false,
+    showCoverage: true,
+    showGroundTrack: false,
+    propagator: 'j2',
+    rawName: ISS.name,
+    rawLine1: ISS.line1,
+    rawLine2: ISS.line2
+  },
+  {
+    id: 'b',
+    tleData: parseTLE(HUBBLE.line1, HUBBLE.line2, HUBBLE.name),
+    color: 'hsl(240, 70%, 50%)',
+    showOrbit: false,
+    showTrail: true,
+    showCoverage: false,
+    showGroundTrack: true,
+    propagator: null,
+    rawName: HUBBLE.name,
+    rawLine1: HUBBLE.line1,
+    rawLine2: HUBBLE.line2
+  },
+  // Elements outside the TLE format: no lines, cannot be stored
+  { id: 'c', tleData: { name: 'NO LINES' }, rawLine1: null, rawLine2: null }
+];
+
+const scenario = createScenario({
+  name: 'Morning study',
+  time,
+  speed: -60,
+  playing: false,
+  settings: { minElevationAngle: 10, showEarthGrid: false, heatmapMetric: 'maxGap', renderMode: 'points' },
+  satellites,
+  groundStations: [{ id: 'gs', name: 'Svalbard', latitude: 78.23, longitude: 15.41, altitude: 0.5, minElevation: 5 }],
+  selectedSatelliteIds: ['b']
+});
+
+// In-memory stand-in for window.localStorage
+function memoryStorage({ quota = Infinity } = {}) {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+describe('scenarios', () => {
+  test('round trip through JSON', () => {
+    expect(scenario.format).toBe(SCENARIO_FORMAT);
+    expect(scenario.version).toBe(SCENARIO_VERSION);
+    expect(scenario.satellites).toHaveLength(2);
+
+    const parsed = parseScenario(JSON.stringify(scenario));
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.name).toBe('Morning study');
+    expect(parsed.time.getTime()).toBe(time.getTime());
+    expect(parsed.speed).toBe(-60);
+    expect(parsed.playing).toBe(false);
+    expect(parsed.settings).toMatchObject({
+      minElevationAngle: 10,
+      showEarth: true,
+      showEarthGrid: false,
+      heatmapMetric: 'maxGap',
+      renderMode: 'points',
+      groundTrackWindow: { orbitsBefore: 3, orbitsAfter: 3 }
+    });
+
+    const [iss, hubble] = parsed.satellites;
+    expect(iss.tleData.catalogNumber).toBe(25544);
+    expect(iss.lines).toEqual({ line1: ISS.line1, line2: ISS.line2 });
+    expect(iss).toMatchObject({ color: 'hsl(120, 70%, 50%)', showTrail: false, showGroundTrack: false, propagator: 'j2', selected: false });
+    expect(hubble).toMatchObject({ showOrbit: false, showCoverage: false, propagator: null, selected: true });
+    expect(parsed.groundStations).toEqual([{ name: 'Svalbard', latitude: 78.23, longitude: 15.41, altitude: 0.5, minElevation: 5 }]);
+  });
+
+  test('rejects other files and newer versions', () => {
+    expect(() => parseScenario('{ not json')).toThrow(/not valid JSON/);
+    expect(() => parseScenario({ format: 'something-else', version: 1 })).toThrow(/Not a SpaceCore scenario/);
+    expect(() => parseScenario({ ...scenario, version: undefined })).toThrow(/version/);
+    expect(() => parseScenario({ ...scenario, version: SCENARIO_VERSION + 1 })).toThrow(/newer/);
+  });
+
+  test('skips and reports invalid entries', () => {
+    const parsed = parseScenario({
+      ...scenario,
+      clock: { time: 'yesterday' },
+      settings: { propagatorId: 'nope', heatmapMetric: 'nope', minElevationAngle: 120 },
+      satellites: [{ ...scenario.satellites[0], line2: `${ISS.line2.slice(0, 68)}0` }, scenario.satellites[1]],
+      groundStations: [{ name: 'Bad', latitude: 100, longitude: 0 }]
+    });
+    expect(parsed.satellites).toHaveLength(1);
+    expect(parsed.groundStations).toHaveLength(0);
+    expect(parsed.errors).toHaveLength(3);
+    expect(parsed.errors[1].message).toMatch(/ISS/);
+    expect(parsed.speed).toBe(1);
+    expect(parsed.settings).toMatchObject({ propagatorId: 'sgp4', heatmapMetric: 'folds', minElevationAngle: 90 });
+  });
+
+  test('export file name', () => {
+    expect(scenarioFileName(scenario)).toBe('morning-study-2024-01-01.json');
+    expect(scenarioFileName({ ...scenario, name: '' })).toBe('scenario-2024-01-01.json');
+  });
+
+  test('named slots in storage', () => {
+    const storage = memoryStorage();
+    expect(listScenarioSlots(storage)).toEqual([]);
+    saveScenarioSlot('Study B', scenario, storage);
+    saveScenarioSlot('Study A', scenario, storage);
+    saveScenarioSlot(AUTOSAVE_SLOT, scenario, storage);
+    expect(listScenarioSlots(storage).map(s => s.name)).toEqual([AUTOSAVE_SLOT, 'Study A', 'Study B']);
+    expect(listScenarioSlots(storage)[1].satelliteCount).toBe(2);
+
+    expect(parseScenario(loadScenarioSlot('Study A', storage)).satellites).toHaveLength(2);
+    expect(loadScenarioSlot('Missing', storage)).toBeNull();
+
+    deleteScenarioSlot('Study B', storage);
+    expect(listScenarioSlots(storage).map(s => s.name)).toEqual([AUTOSAVE_SLOT, 'Study A']);
+    expect(() => saveScenarioSlot('  ', scenario, storage)).toThrow(/name/);
+  });
+
+  test('storage failures', () => {
+    expect(() => saveScenarioSlot('Big', scenario, memoryStorage({ quota: 100 }))).toThrow(/local storage/);
+    expect(() => saveScenarioSlot('Any', scenario, null)).toThrow(/not available/);
+    expect(listScenarioSlots(null)).toEqual([]);
+
+    const corrupt = memoryStorage();
+    corrupt.setItem('spacecore.scenarios', '{ broken');
+    expect(listScenarioSlots(corrupt)).toEqual([]);
+  });
+
+  test('autosave is held for a study opened from a link until it changes', () => {
+    const storage = memoryStorage();
+    let current = scenario;
+    const autosave = createAutosave(() => current, storage);
+    expect(autosave.save()).toBe(true);
+    const own = loadScenarioSlot(AUTOSAVE_SLOT, storage);
+
+    // A link opens another study; the clock moving on is not a change
+    current = createScenario({ time, satellites: satellites.slice(1) });
+    autosave.hold();
+    current = createScenario({ time: new Date(time.getTime() + 60000), satellites: satellites.slice(1) });
+    expect(autosave.save()).toBe(false);
+    expect(autosave.held).toBe(true);
+    expect(loadScenarioSlot(AUTOSAVE_SLOT, storage)).toEqual(own);
+
+    current = createScenario({ time, satellites: satellites.slice(1), settings: { showEarth: false } });
+    expect(autosave.save()).toBe(true);
+    expect(autosave.held).toBe(false);
+    expect(loadScenarioSlot(AUTOSAVE_SLOT, storage).settings.showEarth).toBe(false);
+  });
+});
@@ -0,0 +1,946 @@
+/**
+ * SGP4 Orbit Propagator
+ * Port of the reference implementation from Vallado, Crawford, Hujsak & Kelso,
+ * "Revisiting Spacetrack Report #3" (AIAA 2006-6753), "improved" operation mode.
+ * Orbits with periods of 225 minutes or more use the SDP4 deep-space branch
+ * (lunar-solar perturbations plus 12h and 24h geopotential resonance).
+ * Input elements are the parsed TLE fields produced by tleParser.js and all
+ * output positions (km) and velocities (km/s) are in the TEME frame.
+ */
+
+const TWO_PI = 2 * Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+const X2O3 = 2 / 3;
+const MINUTES_PER_DAY = 1440;
+
+// Period (minutes) at or above which an element set is treated as deep space
+export const DEEP_SPACE_PERIOD_MINUTES = 225;
+
+// Lunar-solar and resonance constants of the deep-space theory
+const ZES = 0.01675;
+const ZEL = 0.05490;
+const ZNS = 1.19459e-5;
+const ZNL = 1.5835218e-4;
+const RPTIM = 4.37526908801129966e-3; // Earth rotation rate, rad/min
+
+// WGS-72 constants, which every published element set is generated against
+export const WGS72 = (() => {
+  const mu = 398600.8; // km³/s²
+  const radiusearthkm = 6378.135; // km
+  const xke = 60 / Math.sqrt((radiusearthkm * radiusearthkm * radiusearthkm) / mu);
+  const j2 = 0.001082616;
+  const j3 = -0.00000253881;
+  const j4 = -0.00000165597;
+  return {
+    mu,
+    radiusearthkm,
+    xke,
+    tumin: 1 / xke,
+    j2,
+    j3,
+    j4,
+    j3oj2: j3 / j2
+  };
+})();
+
+/**
+ * Error codes reported by sgp4()
+ */
+export const SGP4_ERRORS = {
+  0: 'No error',
+  1: 'Mean elements out of range (eccentricity >= 1 or < -0.001)',
+  2: 'Mean motion less than zero',
+  3: 'Perturbed elements out of range (eccentricity < 0 or > 1)',
+  4: 'Semi-latus rectum less than zero',
+  6: 'Satellite has decayed'
+};
+
+/**
+ * Greenwich mean sidereal time (IAU-82) used by the SGP4 theory
+ * @param {number} jdut1 - Julian date (UT1)
+ * @returns {number} GMST in radians, 0..2π
+ */
+export function gstime(jdut1) {
+  const tut1 = (jdut1 - 2451545.0) / 36525.0;
+  let temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1 +
+    (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841; // seconds
+  temp = ((temp * DEG_TO_RAD) / 240.0) % TWO_PI;
+  if (temp < 0) temp += TWO_PI;
+  return temp;
+}
+
+/**
+ * Initialize the satellite record for SGP4 from parsed TLE elements
+ * @param {object} tle - Parsed TLE data (see parseTLE)
+ * @returns {object} Satellite record consumed by sgp4()
+ */
+export function sgp4init(tle) {
+  const { radiusearthkm, xke, j2, j4, j3oj2 } = WGS72;
+
+  const satrec = {
+    error: 0,
+    method: 'n',
+    isimp: 0,
+    jdsatepoch: tle.epochJulianDate,
+    bstar: tle.bstar,
+    ecco: tle.eccentricity,
+    inclo: tle.inclination * DEG_TO_RAD,
+    nodeo: tle.raan * DEG_TO_RAD,
+    argpo: tle.argumentOfPerigee * DEG_TO_RAD,
+    mo: tle.meanAnomaly * DEG_TO_RAD,
+    no_kozai: (tle.meanMotion * TWO_PI) / MINUTES_PER_DAY // rad/min
+  };
+
+  const epoch = satrec.jdsatepoch - 2433281.5; // days since 1950 Jan 0.0
+  const ss = 78.0 / radiusearthkm + 1.0;
+  const qzms2t = Math.pow((120.0 - 78.0) / radiusearthkm, 4);
+  const temp4 = 1.5e-12;
+
+  // --- initl: recover original mean motion and semi-major axis ---
+  const eccsq = satrec.ecco * satrec.ecco;
+  const omeosq = 1.0 - eccsq;
+  const rteosq = Math.sqrt(omeosq);
+  const cosio = Math.cos(satrec.inclo);
+  const cosio2 = cosio * cosio;
+
+  const ak = Math.pow(xke / satrec.no_kozai, X2O3);
+  const d1 = (0.75 * j2 * (3.0 * cosio2 - 1.0)) / (rteosq * omeosq);
+  let delPrime = d1 / (ak * ak);
+  const adel = ak * (1.0 - delPrime * delPrime - delPrime * (1.0 / 3.0 + (134.0 * delPrime * delPrime) / 81.0));
+  delPrime = d1 / (adel * adel);
+  satrec.no_unkozai = satrec.no_kozai / (1.0 + delPrime);
+
+  const ao = Math.pow(xke / satrec.no_unkozai, X2O3);
+  const sinio = Math.sin(satrec.inclo);
+  const po = ao * omeosq;
+  const con42 = 1.0 - 5.0 * cosio2;
+  satrec.con41 = -con42 - cosio2 - cosio2;
+  const posq = po * po;
+  const rp = ao * (1.0 - satrec.ecco);
+  satrec.gsto = gstime(epoch + 2433281.5);
+  satrec.a = ao;
+  satrec.alta = ao * (1.0 + satrec.ecco) - 1.0;
+  satrec.altp = rp - 1.0;
+
+  if (omeosq >= 0.0 || satrec.no_unkozai >= 0.0) {
+    if (rp < 220.0 / radiusearthkm + 1.0) {
+      satrec.isimp = 1;
+    }
+
+    // Atmospheric density parameters for low perigees
+    let sfour = ss;
+    let qzms24 = qzms2t;
+    const perige = (rp - 1.0) * radiusearthkm;
+    if (perige < 156.0) {
+      sfour = perige - 78.0;
+      if (perige < 98.0) sfour = 20.0;
+      qzms24 = Math.pow((120.0 - sfour) / radiusearthkm, 4);
+      sfour = sfour / radiusearthkm + 1.0;
+    }
+
+    const pinvsq = 1.0 / posq;
+    const tsi = 1.0 / (ao - sfour);
+    satrec.eta = ao * satrec.ecco * tsi;
+    const etasq = satrec.eta * satrec.eta;
+    const eeta = satrec.ecco * satrec.eta;
+    const psisq = Math.abs(1.0 - etasq);
+    const coef = qzms24 * Math.pow(tsi, 4);
+    const coef1 = coef / Math.pow(psisq, 3.5);
+    const cc2 = coef1 * satrec.no_unkozai * (
+      ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq)) +
+      ((0.375 * j2 * tsi) / psisq) * satrec.con41 * (8.0 + 3.0 * etasq * (8.0 + etasq))
+    );
+    satrec.cc1 = satrec.bstar * cc2;
+    let cc3 = 0.0;
+    if (satrec.ecco > 1.0e-4) {
+      cc3 = (-2.0 * coef * tsi * j3oj2 * satrec.no_unkozai * sinio) / satrec.ecco;
+    }
+    satrec.x1mth2 = 1.0 - cosio2;
+    satrec.cc4 = 2.0 * satrec.no_unkozai * coef1 * ao * omeosq * (
+      satrec.eta * (2.0 + 0.5 * etasq) + satrec.ecco * (0.5 + 2.0 * etasq) -
+      ((j2 * tsi) / (ao * psisq)) * (
+        -3.0 * satrec.con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+        0.75 * satrec.x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * satrec.argpo)
+      )
+    );
+    satrec.cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+    // Secular rates of the mean elements
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * j2 * pinvsq * satrec.no_unkozai;
+    const temp2 = 0.5 * temp1 * j2 * pinvsq;
+    const temp3 = -0.46875 * j4 * pinvsq * pinvsq * satrec.no_unkozai;
+    satrec.mdot = satrec.no_unkozai + 0.5 * temp1 * rteosq * satrec.con41 +
+      0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+    satrec.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+      temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    satrec.nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+    satrec.omgcof = satrec.bstar * cc3 * Math.cos(satrec.argpo);
+    satrec.xmcof = 0.0;
+    if (satrec.ecco > 1.0e-4) {
+      satrec.xmcof = (-X2O3 * coef * satrec.bstar) / eeta;
+    }
+    satrec.nodecf = 3.5 * omeosq * xhdot1 * satrec.cc1;
+    satrec.t2cof = 1.5 * satrec.cc1;
+
+    // Guard against division by zero for inclination = 180 deg
+    if (Math.abs(cosio + 1.0) > 1.5e-12) {
+      satrec.xlcof = (-0.25 * j3oj2 * sinio * (3.0 + 5.0 * cosio)) / (1.0 + cosio);
+    } else {
+      satrec.xlcof = (-0.25 * j3oj2 * sinio * (3.0 + 5.0 * cosio)) / temp4;
+    }
+    satrec.aycof = -0.5 * j3oj2 * sinio;
+    satrec.delmo = Math.pow(1.0 + satrec.eta * Math.cos(satrec.mo), 3);
+    satrec.sinmao = Math.sin(satrec.mo);
+    satrec.x7thm1 = 7.0 * cosio2 - 1.0;
+
+    // Deep-space initialization
+    if (TWO_PI / satrec.no_unkozai >= DEEP_SPACE_PERIOD_MINUTES) {
+      satrec.method = 'd';
+      satrec.isimp = 1;
+      const xpidot = satrec.argpdot + satrec.nodedot;
+      const ds = dscom(epoch, satrec.ecco, satrec.argpo, 0.0, satrec.inclo, satrec.nodeo, satrec.no_unkozai);
+      Object.assign(satrec, pickLunarSolarCoefficients(ds));
+      // dpper() at initialization leaves the elements untouched, so it is not called here
+      Object.assign(satrec, dsinit(satrec, ds, { tc: 0.0, xpidot, eccsq }));
+    }
+
+    // Higher-order drag terms are dropped for very low perigees
+    if (satrec.isimp !== 1) {
+      const cc1sq = satrec.cc1 * satrec.cc1;
+      satrec.d2 = 4.0 * ao * tsi * cc1sq;
+      const temp = (satrec.d2 * tsi * satrec.cc1) / 3.0;
+      satrec.d3 = (17.0 * ao + sfour) * temp;
+      satrec.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * satrec.cc1;
+      satrec.t3cof = satrec.d2 + 2.0 * cc1sq;
+      satrec.t4cof = 0.25 * (3.0 * satrec.d3 + satrec.cc1 * (12.0 * satrec.d2 + 10.0 * cc1sq));
+      satrec.t5cof = 0.2 * (
+        3.0 * satrec.d4 + 12.0 * satrec.cc1 * satrec.d3 + 6.0 * satrec.d2 * satrec.d2 +
+        15.0 * cc1sq * (2.0 * satrec.d2 + cc1sq)
+      );
+    }
+  }
+
+  // Propagate to epoch once to flag bad element sets early
+  sgp4(satrec, 0.0);
+  return satrec;
+}
+
+/**
+ * Propagate a satellite record
+ * @param {object} satrec - Record returned by sgp4init()
+ * @param {number} tsince - Minutes since the TLE epoch
+ * @returns {object} TEME position (km), velocity (km/s) and SGP4 error code
+ */
+export function sgp4(satrec, tsince) {
+  const { radiusearthkm, xke, j2, j3oj2 } = WGS72;
+  const vkmpersec = (radiusearthkm * xke) / 60.0;
+
+  satrec.t = tsince;
+  satrec.error = 0;
+
+  // --- Secular gravity and atmospheric drag ---
+  const t = tsince;
+  const xmdf = satrec.mo + satrec.mdot * t;
+  const argpdf = satrec.argpo + satrec.argpdot * t;
+  const nodedf = satrec.nodeo + satrec.nodedot * t;
+  let argpm = argpdf;
+  let mm = xmdf;
+  const t2 = t * t;
+  let nodem = nodedf + satrec.nodecf * t2;
+  let tempa = 1.0 - satrec.cc1 * t;
+  let tempe = satrec.bstar * satrec.cc4 * t;
+  let templ = satrec.t2cof * t2;
+
+  if (satrec.isimp !== 1) {
+    const delomg = satrec.omgcof * t;
+    const delmtemp = 1.0 + satrec.eta * Math.cos(xmdf);
+    const delm = satrec.xmcof * (delmtemp * delmtemp * delmtemp - satrec.delmo);
+    const temp = delomg + delm;
+    mm = xmdf + temp;
+    argpm = argpdf - temp;
+    const t3 = t2 * t;
+    const t4 = t3 * t;
+    tempa = tempa - satrec.d2 * t2 - satrec.d3 * t3 - satrec.d4 * t4;
+    tempe += satrec.bstar * satrec.cc5 * (Math.sin(mm) - satrec.sinmao);
+    templ = templ + satrec.t3cof * t3 + t4 * (satrec.t4cof + t * satrec.t5cof);
+  }
+
+  let nm = satrec.no_unkozai;
+  let em = satrec.ecco;
+  let inclm = satrec.inclo;
+
+  if (satrec.method === 'd') {
+    const ds = dspace(satrec, t, { em, argpm, inclm, mm, nodem });
+    ({ em, argpm, inclm, mm, nodem, nm } = ds);
+  }
+
+  if (nm <= 0.0) {
+    return failure(satrec, 2);
+  }
+
+  const am = Math.pow(xke / nm, X2O3) * tempa * tempa;
+  nm = xke / Math.pow(am, 1.5);
+  em -= tempe;
+
+  if (em >= 1.0 || em < -0.001) {
+    return failure(satrec, 1);
+  }
+  if (em < 1.0e-6) em = 1.0e-6;
+
+  mm += satrec.no_unkozai * templ;
+  let xlm = mm + argpm + nodem;
+
+  nodem %= TWO_PI;
+  argpm %= TWO_PI;
+  xlm %= TWO_PI;
+  mm = (xlm - argpm - nodem) % TWO_PI;
+
+  let ep = em;
+  let xincp = inclm;
+  let argpp = argpm;
+  let nodep = nodem;
+  let mp = mm;
+  let { aycof, xlcof, con41, x1mth2, x7thm1 } = satrec;
+
+  // --- Lunar-solar periodics ---
+  if (satrec.method === 'd') {
+    ({ ep, inclp: xincp, nodep, argpp, mp } = dpper(satrec, t, false, { ep, inclp: xincp, nodep, argpp, mp }));
+    if (xincp < 0.0) {
+      xincp = -xincp;
+      nodep += Math.PI;
+      argpp -= Math.PI;
+    }
+    if (ep < 0.0 || ep > 1.0) {
+      return failure(satrec, 3);
+    }
+  }
+
+  const sinip = Math.sin(xincp);
+  const cosip = Math.cos(xincp);
+  if (satrec.method === 'd') {
+    aycof = -0.5 * j3oj2 * sinip;
+    const denominator = Math.abs(cosip + 1.0) > 1.5e-12 ? 1.0 + cosip : 1.5e-12;
+    xlcof = (-0.25 * j3oj2 * sinip * (3.0 + 5.0 * cosip)) / denominator;
+    const cosisq = cosip * cosip;
+    con41 = 3.0 * cosisq - 1.0;
+    x1mth2 = 1.0 - cosisq;
+    x7thm1 = 7.0 * cosisq - 1.0;
+  }
+
+  // --- Long period periodics ---
+  const axnl = ep * Math.cos(argpp);
+  let temp = 1.0 / (am * (1.0 - ep * ep));
+  const aynl = ep * Math.sin(argpp) + temp * aycof;
+  const xl = mp + argpp + nodep + temp * xlcof * axnl;
+
+  // --- Solve Kepler's equation ---
+  const u = (xl - nodep) % TWO_PI;
+  let eo1 = u;
+  let tem5 = 9999.9;
+  let ktr = 1;
+  let sineo1 = 0;
+  let coseo1 = 0;
+  while (Math.abs(tem5) >= 1.0e-12 && ktr <= 10) {
+    sineo1 = Math.sin(eo1);
+    coseo1 = Math.cos(eo1);
+    tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+    tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+    if (Math.abs(tem5) >= 0.95) {
+      tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+    }
+    eo1 += tem5;
+    ktr += 1;
+  }
+
+  // --- Short period preliminary quantities ---
+  const ecose = axnl * coseo1 + aynl * sineo1;
+  const esine = axnl * sineo1 - aynl * coseo1;
+  const el2 = axnl * axnl + aynl * aynl;
+  const pl = am * (1.0 - el2);
+  if (pl < 0.0) {
+    return failure(satrec, 4);
+  }
+
+  const rl = am * (1.0 - ecose);
+  const rdotl = (Math.sqrt(am) * esine) / rl;
+  const rvdotl = Math.sqrt(pl) / rl;
+  const betal = Math.sqrt(1.0 - el2);
+  temp = esine / (1.0 + betal);
+  const sinu = (am / rl) * (sineo1 - aynl - axnl * temp);
+  const cosu = (am / rl) * (coseo1 - axnl + aynl * temp);
+  let su = Math.atan2(sinu, cosu);
+  const sin2u = (cosu + cosu) * sinu;
+  const cos2u = 1.0 - 2.0 * sinu * sinu;
+  temp = 1.0 / pl;
+  const temp1 = 0.5 * j2 * temp;
+  const temp2 = temp1 * temp;
+
+  // --- Update for short period periodics ---
+  const mrt = rl * (1.0 - 1.5 * temp2 * betal * con41) + 0.5 * temp1 * x1mth2 * cos2u;
+  su -= 0.25 * temp2 * x7thm1 * sin2u;
+  const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+  const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+  const mvt = rdotl - (nm * temp1 * x1mth2 * sin2u) / xke;
+  const rvdot = rvdotl + (nm * temp1 * (x1mth2 * cos2u + 1.5 * con41)) / xke;
+
+  // --- Orientation vectors ---
+  const sinsu = Math.sin(su);
+  const cossu = Math.cos(su);
+  const snod = Math.sin(xnode);
+  const cnod = Math.cos(xnode);
+  const sini = Math.sin(xinc);
+  const cosi = Math.cos(xinc);
+  const xmx = -snod * cosi;
+  const xmy = cnod * cosi;
+  const ux = xmx * sinsu + cnod * cossu;
+  const uy = xmy * sinsu + snod * cossu;
+  const uz = sini * sinsu;
+  const vx = xmx * cossu - cnod * sinsu;
+  const vy = xmy * cossu - snod * sinsu;
+  const vz = sini * cossu;
+
+  const position = {
+    x: mrt * ux * radiusearthkm,
+    y: mrt * uy * radiusearthkm,
+    z: mrt * uz * radiusearthkm
+  };
+  const velocity = {
+    x: (mvt * ux + rvdot * vx) * vkmpersec,
+    y: (mvt * uy + rvdot * vy) * vkmpersec,
+    z: (mvt * uz + rvdot * vz) * vkmpersec
+  };
+
+  // Sub-surface radius means the satellite has decayed; values are still returned
+  if (mrt < 1.0) {
+    satrec.error = 6;
+  }
+
+  return { position, velocity, error: satrec.error };
+}
+
+function failure(satrec, code) {
+  satrec.error = code;
+  return {
+    position: { x: NaN, y: NaN, z: NaN },
+    velocity: { x: NaN, y: NaN, z: NaN },
+    error: code
+  };
+}
+
+/**
+ * Deep-space common terms: lunar and solar perturbation coefficients
+ * (dscom in the reference implementation)
+ */
+function dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+  const c1ss = 2.9864797e-6;
+  const c1l = 4.7968065e-7;
+  const zsinis = 0.39785416;
+  const zcosis = 0.91744867;
+  const zcosgs = 0.1945905;
+  const zsings = -0.98088458;
+
+  const nm = np;
+  const em = ep;
+  const snodm = Math.sin(nodep);
+  const cnodm = Math.cos(nodep);
+  const sinomm = Math.sin(argpp);
+  const cosomm = Math.cos(argpp);
+  const sinim = Math.sin(inclp);
+  const cosim = Math.cos(inclp);
+  const emsq = em * em;
+  const betasq = 1.0 - emsq;
+  const rtemsq = Math.sqrt(betasq);
+
+  // Lunar orbit orientation at the epoch
+  const day = epoch + 18261.5 + tc / MINUTES_PER_DAY;
+  const xnodce = (4.5236020 - 9.2422029e-4 * day) % TWO_PI;
+  const stem = Math.sin(xnodce);
+  const ctem = Math.cos(xnodce);
+  const zcosil = 0.91375164 - 0.03568096 * ctem;
+  const zsinil = Math.sqrt(1.0 - zcosil * zcosil);
+  const zsinhl = (0.089683511 * stem) / zsinil;
+  const zcoshl = Math.sqrt(1.0 - zsinhl * zsinhl);
+  const gam = 5.8351514 + 0.0019443680 * day;
+  let zx = (0.39785416 * stem) / zsinil;
+  const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+  zx = Math.atan2(zx, zy);
+  zx = gam + zx - xnodce;
+  const zcosgl = Math.cos(zx);
+  const zsingl = Math.sin(zx);
+
+  // First pass computes the solar terms, second pass the lunar terms
+  let zcosg = zcosgs;
+  let zsing = zsings;
+  let zcosi = zcosis;
+  let zsini = zsinis;
+  let zcosh = cnodm;
+  let zsinh = snodm;
+  let cc = c1ss;
+  const xnoi = 1.0 / nm;
+  const passes = [];
+
+  for (let lsflg = 1; lsflg <= 2; lsflg++) {
+    const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+    const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+    const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+    const a8 = zsing * zsini;
+    const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+    const a10 = zcosg * zsini;
+    const a2 = cosim * a7 + sinim * a8;
+    const a4 = cosim * a9 + sinim * a10;
+    const a5 = -sinim * a7 + cosim * a8;
+    const a6 = -sinim * a9 + cosim * a10;
+
+    const x1 = a1 * cosomm + a2 * sinomm;
+    const x2 = a3 * cosomm + a4 * sinomm;
+    const x3 = -a1 * sinomm + a2 * cosomm;
+    const x4 = -a3 * sinomm + a4 * cosomm;
+    const x5 = a5 * sinomm;
+    const x6 = a6 * sinomm;
+    const x7 = a5 * cosomm;
+    const x8 = a6 * cosomm;
+
+    const z31 = 12.0 * x1 * x1 - 3.0 * x3 * x3;
+    const z32 = 24.0 * x1 * x2 - 6.0 * x3 * x4;
+    const z33 = 12.0 * x2 * x2 - 3.0 * x4 * x4;
+    let z1 = 3.0 * (a1 * a1 + a2 * a2) + z31 * emsq;
+    let z2 = 6.0 * (a1 * a3 + a2 * a4) + z32 * emsq;
+    let z3 = 3.0 * (a3 * a3 + a4 * a4) + z33 * emsq;
+    const z11 = -6.0 * a1 * a5 + emsq * (-24.0 * x1 * x7 - 6.0 * x3 * x5);
+    const z12 = -6.0 * (a1 * a6 + a3 * a5) +
+      emsq * (-24.0 * (x2 * x7 + x1 * x8) - 6.0 * (x3 * x6 + x4 * x5));
+    const z13 = -6.0 * a3 * a6 + emsq * (-24.0 * x2 * x8 - 6.0 * x4 * x6);
+    const z21 = 6.0 * a2 * a5 + emsq * (24.0 * x1 * x5 - 6.0 * x3 * x7);
+    const z22 = 6.0 * (a4 * a5 + a2 * a6) +
+      emsq * (24.0 * (x2 * x5 + x1 * x6) - 6.0 * (x4 * x7 + x3 * x8));
+    const z23 = 6.0 * a4 * a6 + emsq * (24.0 * x2 * x6 - 6.0 * x4 * x8);
+    z1 = z1 + z1 + betasq * z31;
+    z2 = z2 + z2 + betasq * z32;
+    z3 = z3 + z3 + betasq * z33;
+
+    const s3 = cc * xnoi;
+    const s2 = (-0.5 * s3) / rtemsq;
+    const s4 = s3 * rtemsq;
+    const s1 = -15.0 * em * s4;
+    const s5 = x1 * x3 + x2 * x4;
+    const s6 = x2 * x3 + x1 * x4;
+    const s7 = x2 * x4 - x1 * x3;
+
+    passes.push({ s1, s2, s3, s4, s5, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 });
+
+    // Switch to the lunar terms for the second pass
+    zcosg = zcosgl;
+    zsing = zsingl;
+    zcosi = zcosil;
+    zsini = zsinil;
+    zcosh = zcoshl * cnodm + zsinhl * snodm;
+    zsinh = snodm * zcoshl - cnodm * zsinhl;
+    cc = c1l;
+  }
+
+  const [sun, moon] = passes;
+  const zmol = (4.7199672 + 0.22997150 * day - gam) % TWO_PI;
+  const zmos = (6.2565837 + 0.017201977 * day) % TWO_PI;
+
+  return {
+    sun,
+    moon,
+    sinim,
+    cosim,
+    emsq,
+    zmol,
+    zmos,
+    // Solar periodic coefficients
+    se2: 2.0 * sun.s1 * sun.s6,
+    se3: 2.0 * sun.s1 * sun.s7,
+    si2: 2.0 * sun.s2 * sun.z12,
+    si3: 2.0 * sun.s2 * (sun.z13 - sun.z11),
+    sl2: -2.0 * sun.s3 * sun.z2,
+    sl3: -2.0 * sun.s3 * (sun.z3 - sun.z1),
+    sl4: -2.0 * sun.s3 * (-21.0 - 9.0 * emsq) * ZES,
+    sgh2: 2.0 * sun.s4 * sun.z32,
+    sgh3: 2.0 * sun.s4 * (sun.z33 - sun.z31),
+    sgh4: -18.0 * sun.s4 * ZES,
+    sh2: -2.0 * sun.s2 * sun.z22,
+    sh3: -2.0 * sun.s2 * (sun.z23 - sun.z21),
+    // Lunar periodic coefficients
+    ee2: 2.0 * moon.s1 * moon.s6,
+    e3: 2.0 * moon.s1 * moon.s7,
+    xi2: 2.0 * moon.s2 * moon.z12,
+    xi3: 2.0 * moon.s2 * (moon.z13 - moon.z11),
+    xl2: -2.0 * moon.s3 * moon.z2,
+    xl3: -2.0 * moon.s3 * (moon.z3 - moon.z1),
+    xl4: -2.0 * moon.s3 * (-21.0 - 9.0 * emsq) * ZEL,
+    xgh2: 2.0 * moon.s4 * moon.z32,
+    xgh3: 2.0 * moon.s4 * (moon.z33 - moon.z31),
+    xgh4: -18.0 * moon.s4 * ZEL,
+    xh2: -2.0 * moon.s2 * moon.z22,
+    xh3: -2.0 * moon.s2 * (moon.z23 - moon.z21)
+  };
+}
+
+// Subset of dscom() output that dpper() needs on every propagation
+function pickLunarSolarCoefficients(ds) {
+  const keys = [
+    'se2', 'se3', 'si2', 'si3', 'sl2', 'sl3', 'sl4', 'sgh2', 'sgh3', 'sgh4', 'sh2', 'sh3',
+    'ee2', 'e3', 'xi2', 'xi3', 'xl2', 'xl3', 'xl4', 'xgh2', 'xgh3', 'xgh4', 'xh2', 'xh3',
+    'zmol', 'zmos'
+  ];
+  const coefficients = { peo: 0.0, pinco: 0.0, plo: 0.0, pgho: 0.0, pho: 0.0 };
+  keys.forEach(key => {
+    coefficients[key] = ds[key];
+  });
+  return coefficients;
+}
+
+/**
+ * Lunar-solar long-period periodic contributions (dpper)
+ * @param {object} satrec - Deep-space satellite record
+ * @param {number} t - Minutes since epoch
+ * @param {boolean} init - True during initialization (periodics are not applied)
+ * @param {object} elements - { ep, inclp, nodep, argpp, mp }
+ * @returns {object} Updated elements
+ */
+function dpper(satrec, t, init, elements) {
+  let { ep, inclp, nodep, argpp, mp } = elements;
+
+  // Solar terms
+  let zm = init ? satrec.zmos : satrec.zmos + ZNS * t;
+  let zf = zm + 2.0 * ZES * Math.sin(zm);
+  let sinzf = Math.sin(zf);
+  let f2 = 0.5 * sinzf * sinzf - 0.25;
+  let f3 = -0.5 * sinzf * Math.cos(zf);
+  const ses = satrec.se2 * f2 + satrec.se3 * f3;
+  const sis = satrec.si2 * f2 + satrec.si3 * f3;
+  const sls = satrec.sl2 * f2 + satrec.sl3 * f3 + satrec.sl4 * sinzf;
+  const sghs = satrec.sgh2 * f2 + satrec.sgh3 * f3 + satrec.sgh4 * sinzf;
+  const shs = satrec.sh2 * f2 + satrec.sh3 * f3;
+
+  // Lunar terms
+  zm = init ? satrec.zmol : satrec.zmol + ZNL * t;
+  zf = zm + 2.0 * ZEL * Math.sin(zm);
+  sinzf = Math.sin(zf);
+  f2 = 0.5 * sinzf * sinzf - 0.25;
+  f3 = -0.5 * sinzf * Math.cos(zf);
+  const sel = satrec.ee2 * f2 + satrec.e3 * f3;
+  const sil = satrec.xi2 * f2 + satrec.xi3 * f3;
+  const sll = satrec.xl2 * f2 + satrec.xl3 * f3 + satrec.xl4 * sinzf;
+  const sghl = satrec.xgh2 * f2 + satrec.xgh3 * f3 + satrec.xgh4 * sinzf;
+  const shll = satrec.xh2 * f2 + satrec.xh3 * f3;
+
+  if (init) {
+    return { ep, inclp, nodep, argpp, mp };
+  }
+
+  const pe = ses + sel - satrec.peo;
+  const pinc = sis + sil - satrec.pinco;
+  const pl = sls + sll - satrec.plo;
+  let pgh = sghs + sghl - satrec.pgho;
+  let ph = shs + shll - satrec.pho;
+
+  inclp += pinc;
+  ep += pe;
+  const sinip = Math.sin(inclp);
+  const cosip = Math.cos(inclp);
+
+  if (inclp >= 0.2) {
+    // Apply periodics directly
+    ph /= sinip;
+    pgh -= cosip * ph;
+    argpp += pgh;
+    nodep += ph;
+    mp += pl;
+  } else {
+    // Apply periodics with the Lyddane modification for low inclinations
+    const sinop = Math.sin(nodep);
+    const cosop = Math.cos(nodep);
+    let alfdp = sinip * sinop;
+    let betdp = sinip * cosop;
+    const dalf = ph * cosop + pinc * cosip * sinop;
+    const dbet = -ph * sinop + pinc * cosip * cosop;
+    alfdp += dalf;
+    betdp += dbet;
+    nodep %= TWO_PI;
+    let xls = mp + argpp + cosip * nodep;
+    const dls = pl + pgh - pinc * nodep * sinip;
+    xls += dls;
+    const xnoh = nodep;
+    nodep = Math.atan2(alfdp, betdp);
+    if (Math.abs(xnoh - nodep) > Math.PI) {
+      nodep = nodep < xnoh ? nodep + TWO_PI : nodep - TWO_PI;
+    }
+    mp += pl;
+    argpp = xls - mp - cosip * nodep;
+  }
+
+  return { ep, inclp, nodep, argpp, mp };
+}
+
+/**
+ * Deep-space secular rates and geopotential resonance setup (dsinit)
+ * @param {object} satrec - Satellite record with near-Earth terms initialized
+ * @param {object} ds - Output of dscom()
+ * @param {object} options - { tc, xpidot, eccsq }
+ * @returns {object} Deep-space fields to merge into the satellite record
+ */
+function dsinit(satrec, ds, { tc, xpidot, eccsq }) {
+  const { xke } = WGS72;
+  const q22 = 1.7891679e-6;
+  const q31 = 2.1460748e-6;
+  const q33 = 2.2123015e-7;
+  const root22 = 1.7891679e-6;
+  const root44 = 7.3636953e-9;
+  const root54 = 2.1765803e-9;
+  const root32 = 3.7393792e-7;
+  const root52 = 1.1428639e-7;
+
+  const { sun, moon, sinim, cosim, emsq } = ds;
+  const nm = satrec.no_unkozai;
+  const em = satrec.ecco;
+  const inclm = satrec.inclo;
+
+  // Resonance flags: 1 = synchronous (24h), 2 = half-day (12h) eccentric
+  let irez = 0;
+  if (nm < 0.0052359877 && nm > 0.0034906585) irez = 1;
+  if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) irez = 2;
+
+  const lowInclination = inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2;
+
+  // Solar secular terms
+  const ses = sun.s1 * ZNS * sun.s5;
+  const sis = sun.s2 * ZNS * (sun.z11 + sun.z13);
+  const sls = -ZNS * sun.s3 * (sun.z1 + sun.z3 - 14.0 - 6.0 * emsq);
+  const sghs = sun.s4 * ZNS * (sun.z31 + sun.z33 - 6.0);
+  let shs = -ZNS * sun.s2 * (sun.z21 + sun.z23);
+  if (lowInclination) shs = 0.0;
+  if (sinim !== 0.0) shs /= sinim;
+  const sgs = sghs - cosim * shs;
+
+  // Lunar secular terms
+  const result = {
+    irez,
+    dedt: ses + moon.s1 * ZNL * moon.s5,
+    didt: sis + moon.s2 * ZNL * (moon.z11 + moon.z13),
+    dmdt: sls - ZNL * moon.s3 * (moon.z1 + moon.z3 - 14.0 - 6.0 * emsq),
+    dndt: 0.0,
+    atime: 0.0,
+    xli: 0.0,
+    xni: 0.0,
+    xlamo: 0.0,
+    xfact: 0.0
+  };
+  const sghl = moon.s4 * ZNL * (moon.z31 + moon.z33 - 6.0);
+  let shll = -ZNL * moon.s2 * (moon.z21 + moon.z23);
+  if (lowInclination) shll = 0.0;
+  result.domdt = sgs + sghl;
+  result.dnodt = shs;
+  if (sinim !== 0.0) {
+    result.domdt -= (cosim / sinim) * shll;
+    result.dnodt += shll / sinim;
+  }
+
+  if (irez === 0) {
+    return result;
+  }
+
+  const theta = (satrec.gsto + tc * RPTIM) % TWO_PI;
+  const aonv = Math.pow(nm / xke, X2O3);
+
+  if (irez === 2) {
+    // Geopotential resonance for 12 hour orbits (uses the epoch eccentricity)
+    const cosisq = cosim * cosim;
+    const e = satrec.ecco;
+    const esq = eccsq;
+    const eoc = e * esq;
+    const g201 = -0.306 - (e - 0.64) * 0.440;
+    let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+
+    if (e <= 0.65) {
+      g211 = 3.616 - 13.2470 * e + 16.2900 * esq;
+      g310 = -19.302 + 117.3900 * e - 228.4190 * esq + 156.5910 * eoc;
+      g322 = -18.9068 + 109.7927 * e - 214.6334 * esq + 146.5816 * eoc;
+      g410 = -41.122 + 242.6940 * e - 471.0940 * esq + 313.9530 * eoc;
+      g422 = -146.407 + 841.8800 * e - 1629.014 * esq + 1083.4350 * eoc;
+      g520 = -532.114 + 3017.977 * e - 5740.032 * esq + 3708.2760 * eoc;
+    } else {
+      g211 = -72.099 + 331.819 * e - 508.738 * esq + 266.724 * eoc;
+      g310 = -346.844 + 1582.851 * e - 2415.925 * esq + 1246.113 * eoc;
+      g322 = -342.585 + 1554.908 * e - 2366.899 * esq + 1215.972 * eoc;
+      g410 = -1052.797 + 4758.686 * e - 7193.992 * esq + 3651.957 * eoc;
+      g422 = -3581.690 + 16178.110 * e - 24462.770 * esq + 12422.520 * eoc;
+      if (e > 0.715) {
+        g520 = -5149.66 + 29936.92 * e - 54087.36 * esq + 31324.56 * eoc;
+      } else {
+        g520 = 1464.74 - 4664.75 * e + 3763.64 * esq;
+      }
+    }
+    if (e < 0.7) {
+      g533 = -919.22770 + 4988.6100 * e - 9064.7700 * esq + 5542.21 * eoc;
+      g521 = -822.71072 + 4568.6173 * e - 8491.4146 * esq + 5337.524 * eoc;
+      g532 = -853.66600 + 4690.2500 * e - 8624.7700 * esq + 5341.4 * eoc;
+    } else {
+      g533 = -37995.780 + 161616.52 * e - 229838.20 * esq + 109377.94 * eoc;
+      g521 = -51752.104 + 218913.95 * e - 309468.16 * esq + 146349.42 * eoc;
+      g532 = -40023.880 + 170470.89 * e - 242699.48 * esq + 115605.82 * eoc;
+    }
+
+    const sini2 = sinim * sinim;
+    const f220 = 0.75 * (1.0 + 2.0 * cosim + cosisq);
+    const f221 = 1.5 * sini2;
+    const f321 = 1.875 * sinim * (1.0 - 2.0 * cosim - 3.0 * cosisq);
+    const f322 = -1.875 * sinim * (1.0 + 2.0 * cosim - 3.0 * cosisq);
+    const f441 = 35.0 * sini2 * f220;
+    const f442 = 39.3750 * sini2 * sini2;
+    const f522 = 9.84375 * sinim * (
+      sini2 * (1.0 - 2.0 * cosim - 5.0 * cosisq) + 0.33333333 * (-2.0 + 4.0 * cosim + 6.0 * cosisq)
+    );
+    const f523 = sinim * (
+      4.92187512 * sini2 * (-2.0 - 4.0 * cosim + 10.0 * cosisq) + 6.56250012 * (1.0 + 2.0 * cosim - 3.0 * cosisq)
+    );
+    const f542 = 29.53125 * sinim * (2.0 - 8.0 * cosim + cosisq * (-12.0 + 8.0 * cosim + 10.0 * cosisq));
+    const f543 = 29.53125 * sinim * (-2.0 - 8.0 * cosim + cosisq * (12.0 + 8.0 * cosim - 10.0 * cosisq));
+
+    const xno2 = nm * nm;
+    const ainv2 = aonv * aonv;
+    let temp1 = 3.0 * xno2 * ainv2;
+    let temp = temp1 * root22;
+    result.d2201 = temp * f220 * g201;
+    result.d2211 = temp * f221 * g211;
+    temp1 *= aonv;
+    temp = temp1 * root32;
+    result.d3210 = temp * f321 * g310;
+    result.d3222 = temp * f322 * g322;
+    temp1 *= aonv;
+    temp = 2.0 * temp1 * root44;
+    result.d4410 = temp * f441 * g410;
+    result.d4422 = temp * f442 * g422;
+    temp1 *= aonv;
+    temp = temp1 * root52;
+    result.d5220 = temp * f522 * g520;
+    result.d5232 = temp * f523 * g532;
+    temp = 2.0 * temp1 * root54;
+    result.d5421 = temp * f542 * g521;
+    result.d5433 = temp * f543 * g533;
+
+    result.xlamo = (satrec.mo + satrec.nodeo + satrec.nodeo - theta - theta) % TWO_PI;
+    result.xfact = satrec.mdot + result.dmdt + 2.0 * (satrec.nodedot + result.dnodt - RPTIM) - satrec.no_unkozai;
+  } else {
+    // Synchronous resonance terms
+    const g200 = 1.0 + emsq * (-2.5 + 0.8125 * emsq);
+    const g310 = 1.0 + 2.0 * emsq;
+    const g300 = 1.0 + emsq * (-6.0 + 6.60937 * emsq);
+    const f220 = 0.75 * (1.0 + cosim) * (1.0 + cosim);
+    const f311 = 0.9375 * sinim * sinim * (1.0 + 3.0 * cosim) - 0.75 * (1.0 + cosim);
+    let f330 = 1.0 + cosim;
+    f330 = 1.875 * f330 * f330 * f330;
+    const del1 = 3.0 * nm * nm * aonv * aonv;
+    result.del2 = 2.0 * del1 * f220 * g200 * q22;
+    result.del3 = 3.0 * del1 * f330 * g300 * q33 * aonv;
+    result.del1 = del1 * f311 * g310 * q31 * aonv;
+    result.xlamo = (satrec.mo + satrec.nodeo + satrec.argpo - theta) % TWO_PI;
+    result.xfact = satrec.mdot + xpidot - RPTIM + result.dmdt + result.domdt + result.dnodt - satrec.no_unkozai;
+  }
+
+  // Initialize the resonance integrator
+  result.xli = result.xlamo;
+  result.xni = satrec.no_unkozai;
+  return result;
+}
+
+/**
+ * Deep-space secular effects and resonance integration (dspace).
+ * The resonance integrator state (atime, xli, xni) is kept on the record.
+ * @param {object} satrec - Deep-space satellite record
+ * @param {number} t - Minutes since epoch
+ * @param {object} elements - { em, argpm, inclm, mm, nodem } after near-Earth secular terms
+ * @returns {object} Updated elements and mean motion nm
+ */
+function dspace(satrec, t, elements) {
+  const fasx2 = 0.13130908;
+  const fasx4 = 2.8843198;
+  const fasx6 = 0.37448087;
+  const g22 = 5.7686396;
+  const g32 = 0.95240898;
+  const g44 = 1.8014998;
+  const g52 = 1.0508330;
+  const g54 = 4.4108898;
+  const stepp = 720.0;
+  const stepn = -720.0;
+  const step2 = 259200.0;
+
+  const theta = (satrec.gsto + t * RPTIM) % TWO_PI;
+  const em = elements.em + satrec.dedt * t;
+  const inclm = elements.inclm + satrec.didt * t;
+  const argpm = elements.argpm + satrec.domdt * t;
+  const nodem = elements.nodem + satrec.dnodt * t;
+  let mm = elements.mm + satrec.dmdt * t;
+  let nm = satrec.no_unkozai;
+
+  if (satrec.irez !== 0) {
+    // Restart the integrator from epoch when changing direction or stepping back
+    if (satrec.atime === 0.0 || t * satrec.atime <= 0.0 || Math.abs(t) < Math.abs(satrec.atime)) {
+      satrec.atime = 0.0;
+      satrec.xni = satrec.no_unkozai;
+      satrec.xli = satrec.xlamo;
+    }
+    const delt = t > 0.0 ? stepp : stepn;
+
+    let xndt = 0;
+    let xldot = 0;
+    let xnddt = 0;
+    let ft = 0;
+    for (;;) {
+      const { xli, xni, atime } = satrec;
+      if (satrec.irez !== 2) {
+        // Near-synchronous resonance terms
+        xndt = satrec.del1 * Math.sin(xli - fasx2) + satrec.del2 * Math.sin(2.0 * (xli - fasx4)) +
+          satrec.del3 * Math.sin(3.0 * (xli - fasx6));
+        xldot = xni + satrec.xfact;
+        xnddt = satrec.del1 * Math.cos(xli - fasx2) + 2.0 * satrec.del2 * Math.cos(2.0 * (xli - fasx4)) +
+          3.0 * satrec.del3 * Math.cos(3.0 * (xli - fasx6));
+        xnddt *= xldot;
+      } else {
+        // Near half-day resonance terms
+        const xomi = satrec.argpo + satrec.argpdot * atime;
+        const x2omi = xomi + xomi;
+        const x2li = xli + xli;
+        xndt = satrec.d2201 * Math.sin(x2omi + xli - g22) + satrec.d2211 * Math.sin(xli - g22) +
+          satrec.d3210 * Math.sin(xomi + xli - g32) + satrec.d3222 * Math.sin(-xomi + xli - g32) +
+          satrec.d4410 * Math.sin(x2omi + x2li - g44) + satrec.d4422 * Math.sin(x2li - g44) +
+          satrec.d5220 * Math.sin(xomi + xli - g52) + satrec.d5232 * Math.sin(-xomi + xli - g52) +
+          satrec.d5421 * Math.sin(xomi + x2li - g54) + satrec.d5433 * Math.sin(-xomi + x2li - g54);
+        xldot = xni + satrec.xfact;
+        xnddt = satrec.d2201 * Math.cos(x2omi + xli - g22) + satrec.d2211 * Math.cos(xli - g22) +
+          satrec.d3210 * Math.cos(xomi + xli - g32) + satrec.d3222 * Math.cos(-xomi + xli - g32) +
+          satrec.d5220 * Math.cos(xomi + xli - g52) + satrec.d5232 * Math.cos(-xomi + xli - g52) +
+          2.0 * (
+            satrec.d4410 * Math.cos(x2omi + x2li - g44) + satrec.d4422 * Math.cos(x2li - g44) +
+            satrec.d5421 * Math.cos(xomi + x2li - g54) + satrec.d5433 * Math.cos(-xomi + x2li - g54)
+          );
+        xnddt *= xldot;
+      }
+
+      if (Math.abs(t - atime) < stepp) {
+        ft = t - atime;
+        break;
+      }
+
+      // Euler-Maclaurin step of 720 minutes
+      satrec.xli = xli + xldot * delt + xndt * step2;
+      satrec.xni = xni + xndt * delt + xnddt * step2;
+      satrec.atime = atime + delt;
+    }
+
+    nm = satrec.xni + xndt * ft + xnddt * ft * ft * 0.5;
+    const xl = satrec.xli + xldot * ft + xndt * ft * ft * 0.5;
+    if (satrec.irez !== 1) {
+      mm = xl - 2.0 * nodem + 2.0 * theta;
+    } else {
+      mm = xl - nodem - argpm + theta;
+    }
+  }
+
+  return { em, argpm, inclm, mm, nodem, nm };
+}
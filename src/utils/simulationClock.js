@@ -0,0 +1,103 @@
+/**
+ * Simulation Clock
+ * Single authoritative simulated time shared by the scene, the control panel and
+ * analysis code. Simulated time is anchored to a wall-clock instant and advances at
+ * `speed` simulated seconds per real second (negative runs backwards). Every change
+ * of speed or play state re-anchors, so the current simulated time never jumps.
+ */
+
+/**
+ * Create a simulation clock
+ * @param {object} options - { time: Date, speed: number, playing: boolean, now: () => ms }
+ * @returns {object} Clock API
+ */
+export function createSimulationClock({ time = new Date(), speed = 1, playing = true, now = () => Date.now() } = {}) {
+  let anchorRealMs = now();
+  let anchorSimMs = time.getTime();
+  let currentSpeed = speed;
+  let isPlaying = playing;
+  const listeners = new Set();
+
+  const simMsAt = (realMs) => anchorSimMs + (isPlaying ? (realMs - anchorRealMs) * currentSpeed : 0);
+
+  // Move the anchor to "now" before changing how time advances
+  const reanchor = () => {
+    const realMs = now();
+    anchorSimMs = simMsAt(realMs);
+    anchorRealMs = realMs;
+  };
+
+  const notify = () => {
+    const state = { speed: currentSpeed, playing: isPlaying };
+    listeners.forEach(listener => listener(state));
+  };
+
+  return {
+    /** Current simulated time as a Date */
+    getTime: () => new Date(simMsAt(now())),
+
+    /** Current simulated time in Unix milliseconds */
+    getTimeMs: () => simMsAt(now()),
+
+    getSpeed: () => currentSpeed,
+
+    isPlaying: () => isPlaying,
+
+    /**
+     * Set the time rate (simulated seconds per real second, negative for reverse)
+     * @param {number} nextSpeed - New speed
+     */
+    setSpeed(nextSpeed) {
+      if (!isFinite(nextSpeed) || nextSpeed === currentSpeed) return;
+      reanchor();
+      currentSpeed = nextSpeed;
+      notify();
+    },
+
+    play() {
+      if (isPlaying) return;
+      reanchor();
+      isPlaying = true;
+      notify();
+    },
+
+    pause() {
+      if (!isPlaying) return;
+      reanchor();
+      isPlaying = false;
+      notify();
+    },
+
+    /**
+     * Jump to a specific instant
+     * @param {Date} date - New simulated time (UTC)
+     */
+    setTime(date) {
+      const ms = date.getTime();
+      if (!isFinite(ms)) return;
+      anchorRealMs = now();
+      anchorSimMs = ms;
+      notify();
+    },
+
+    /**
+     * Move the simulated time by a number of seconds (negative steps backwards)
+     * @param {number} seconds - Step size
+     */
+    step(seconds) {
+      reanchor();
+      anchorSimMs += seconds * 1000;
+      notify();
+    },
+
+    /**
+     * Subscribe to speed, play state and time jumps (not to regular ticking)
+     * @param {Function} listener - Called with { speed, playing }
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for the simulation clock
+ */
+
+import { createSimulationClock } from './simulationClock.js';
+
+const start = new Date(Date.UTC(2024, 0, 1, 12, 0, 0));
+
+// Clock driven by a fake wall clock advanced manually
+function createTestClock(options = {}) {
+  let realMs = 1000000;
+  const clock = createSimulationClock({ time: start, now: () => realMs, ...options });
+  const advance = (seconds) => { realMs += seconds * 1000; };
+  return { clock, advance };
+}
+
+describe('simulation clock', () => {
+  test('advances at the configured speed', () => {
+    const { clock, advance } = createTestClock({ speed: 60 });
+    advance(10);
+    expect(clock.getTimeMs() - start.getTime()).toBe(600000);
+  });
+
+  test('changing speed does not make the simulated time jump', () => {
+    const { clock, advance } = createTestClock({ speed: 10 });
+    advance(5);
+    const before = clock.getTimeMs();
+    clock.setSpeed(1000);
+    expect(clock.getTimeMs()).toBe(before);
+    advance(1);
+    expect(clock.getTimeMs()).toBe(before + 1000000);
+  });
+
+  test('runs backwards with negative speed', () => {
+    const { clock, advance } = createTestClock({ speed: -100 });
+    advance(3);
+    expect(clock.getTime()).toEqual(new Date(start.getTime() - 300000));
+  });
+
+  test('pause freezes time and play resumes from the same instant', () => {
+    const { clock, advance } = createTestClock({ speed: 2 });
+    advance(1);
+    clock.pause();
+    const frozen = clock.getTimeMs();
+    advance(100);
+    expect(clock.getTimeMs()).toBe(frozen);
+    clock.play();
+    advance(1);
+    expect(clock.getTimeMs()).toBe(frozen + 2000);
+  });
+
+  test('steps and jumps to a specific instant', () => {
+    const { clock, advance } = createTestClock({ playing: false });
+    clock.step(90);
+    expect(clock.getTimeMs()).toBe(start.getTime() + 90000);
+    clock.step(-30);
+    expect(clock.getTimeMs()).toBe(start.getTime() + 60000);
+    const target = new Date(Date.UTC(2030, 5, 15));
+    clock.setTime(target);
+    advance(50);
+    expect(clock.getTime()).toEqual(target);
+  });
+
+  test('notifies subscribers of state changes until unsubscribed', () => {
+    const { clock } = createTestClock();
+    const states = [];
+    const unsubscribe = clock.subscribe(state => states.push(state));
+    clock.setSpeed(5);
+    clock.pause();
+    unsubscribe();
+    clock.play();
+    expect(states).toEqual([{ speed: 5, playing: true }, { speed: 5, playing: false }]);
+  });
+});
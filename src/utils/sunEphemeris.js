@@ -0,0 +1,93 @@
+/**
+ * Sun Ephemeris and Earth Shadow
+ * Low-precision solar position (Astronomical Almanac, ~0.01°) in the inertial
+ * frame of date and a conical Earth shadow model: umbra, penumbra and the
+ * illuminated fraction of the solar disk seen from a satellite.
+ */
+
+import { dateToJulian } from './tleParser';
+
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_RADIUS = 6378.137; // km
+export const SUN_RADIUS = 696000; // km
+export const AU = 149597870.7; // km
+
+/**
+ * Geocentric Sun position at a Julian date (mean equator and equinox of date)
+ * @param {number} jd - Julian date (UT1 ≈ UTC is sufficient at this precision)
+ * @returns {number[]} Sun position [x, y, z] in km
+ */
+export function sunPositionAtJulianDate(jd) {
+  const T = (jd - 2451545.0) / 36525;
+  const meanLongitude = (280.460 + 36000.771 * T) * DEG_TO_RAD;
+  const M = (357.5291092 + 35999.05034 * T) * DEG_TO_RAD;
+  const lambda = meanLongitude + (1.914666471 * Math.sin(M) + 0.019994643 * Math.sin(2 * M)) * DEG_TO_RAD;
+  const distance = (1.000140612 - 0.016708617 * Math.cos(M) - 0.000139589 * Math.cos(2 * M)) * AU;
+  const epsilon = (23.439291 - 0.0130042 * T) * DEG_TO_RAD;
+  return [
+    distance * Math.cos(lambda),
+    distance * Math.cos(epsilon) * Math.sin(lambda),
+    distance * Math.sin(epsilon) * Math.sin(lambda)
+  ];
+}
+
+/**
+ * Geocentric Sun position at a date
+ * @param {Date} date - UTC date
+ * @returns {object} Sun position {x, y, z} in km
+ */
+export function sunPosition(date) {
+  const [x, y, z] = sunPositionAtJulianDate(dateToJulian(date));
+  return { x, y, z };
+}
+
+/**
+ * Apparent radii of Sun and Earth and their separation as seen from the satellite
+ * @param {number[]} r - Satellite position [x, y, z] (km)
+ * @param {number[]} sun - Sun position [x, y, z] (km)
+ * @returns {object} { a: Sun radius, b: Earth radius, c: separation } in radians
+ */
+export function shadowGeometry(r, sun) {
+  const dx = sun[0] - r[0];
+  const dy = sun[1] - r[1];
+  const dz = sun[2] - r[2];
+  const toSun = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const rNorm = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+  const a = Math.asin(Math.min(1, SUN_RADIUS / toSun));
+  const b = Math.asin(Math.min(1, EARTH_RADIUS / rNorm));
+  const cosC = -(r[0] * dx + r[1] * dy + r[2] * dz) / (rNorm * toSun);
+  const c = Math.acos(Math.max(-1, Math.min(1, cosC)));
+  return { a, b, c };
+}
+
+/**
+ * Fraction of the solar disk visible from a position (conical shadow model)
+ * @param {number[]} r - Satellite position [x, y, z] (km)
+ * @param {number[]} sun - Sun position [x, y, z] (km)
+ * @returns {number} 1 in sunlight, 0 in umbra, in between in penumbra
+ */
+export function illuminationFraction(r, sun) {
+  const { a, b, c } = shadowGeometry(r, sun);
+  if (c >= a + b) return 1;
+  if (c < b - a) return 0;
+  if (c < a - b) return 1 - (b * b) / (a * a); // annular: Earth disk inside the Sun disk
+
+  // Partial overlap of the two disks
+  const x = (c * c + a * a - b * b) / (2 * c);
+  const y = Math.sqrt(Math.max(0, a * a - x * x));
+  const area = a * a * Math.acos(x / a) + b * b * Math.acos((c - x) / b) - c * y;
+  return 1 - area / (Math.PI * a * a);
+}
+
+/**
+ * Eclipse state of a satellite
+ * @param {object} position - Satellite position {x, y, z} (km, inertial)
+ * @param {Date} date - UTC date
+ * @returns {object} { state: 'sunlight' | 'penumbra' | 'umbra', illumination: 0..1 }
+ */
+export function eclipseState(position, date) {
+  const sun = sunPositionAtJulianDate(dateToJulian(date));
+  const illumination = illuminationFraction([position.x, position.y, position.z], sun);
+  const state = illumination >= 1 ? 'sunlight' : illumination <= 0 ? 'umbra' : 'penumbra';
+  return { state, illumination };
+}
@@ -0,0 +1,77 @@
+/**
+ * Tests for the Sun ephemeris and the conical shadow model
+ */
+
+import { sunPositionAtJulianDate, sunPosition, illuminationFraction, eclipseState, AU } from './sunEphemeris.js';
+
+const norm = (v) => Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+const angle = (u, v) => Math.acos((u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (norm(u) * norm(v)));
+
+describe('sun position', () => {
+  test('matches Vallado example 5-1 (2006 April 2, 0h UT)', () => {
+    const sun = sunPositionAtJulianDate(2453827.5);
+    const expected = [0.9771945, 0.1924424, 0.0834308].map(c => c * AU);
+    expect(angle(sun, expected) * 180 / Math.PI).toBeLessThan(0.01);
+    expect(Math.abs(norm(sun) - norm(expected)) / norm(expected)).toBeLessThan(1e-4);
+  });
+
+  test('date and Julian-date forms agree', () => {
+    const date = new Date(Date.UTC(2006, 3, 2));
+    const { x, y, z } = sunPosition(date);
+    const sun = sunPositionAtJulianDate(2453827.5);
+    expect(x).toBeCloseTo(sun[0], 0);
+    expect(y).toBeCloseTo(sun[1], 0);
+    expect(z).toBeCloseTo(sun[2], 0);
+  });
+
+  test('is near the vernal equinox direction in late March', () => {
+    const sun = sunPositionAtJulianDate(2460390.5); // 2024-03-20
+    expect(angle(sun, [1, 0, 0]) * 180 / Math.PI).toBeLessThan(1);
+  });
+});
+
+describe('conical shadow', () => {
+  const sun = [AU, 0, 0];
+
+  test('sunlit on the day side and fully shadowed behind the Earth', () => {
+    expect(illuminationFraction([7000, 0, 0], sun)).toBe(1);
+    expect(illuminationFraction([0, 7000, 0], sun)).toBe(1);
+    expect(illuminationFraction([-7000, 0, 0], sun)).toBe(0);
+  });
+
+  test('illumination rises monotonically across the penumbra', () => {
+    const r = 7000;
+    let previous = 0;
+    let penumbraSamples = 0;
+    // Sweep the satellite out of the shadow in the orbit plane
+    for (let deg = 180; deg >= 90; deg -= 0.01) {
+      const theta = deg * Math.PI / 180;
+      const nu = illuminationFraction([r * Math.cos(theta), r * Math.sin(theta), 0], sun);
+      expect(nu).toBeGreaterThanOrEqual(previous - 1e-12);
+      if (nu > 0 && nu < 1) penumbraSamples++;
+      previous = nu;
+    }
+    expect(previous).toBe(1);
+    // The penumbra of a LEO satellite spans roughly half a degree of orbit
+    expect(penumbraSamples).toBeGreaterThan(10);
+    expect(penumbraSamples).toBeLessThan(200);
+  });
+
+  test('umbra cone ends about 1.4 million km behind the Earth', () => {
+    expect(illuminationFraction([-1.2e6, 0, 0], sun)).toBe(0);
+    // Past the apex the Earth disk sits inside the solar disk (annular)
+    const annular = illuminationFraction([-2e6, 0, 0], sun);
+    expect(annular).toBeGreaterThan(0);
+    expect(annular).toBeLessThan(1);
+  });
+
+  test('reports the state by name', () => {
+    const date = new Date(Date.UTC(2024, 2, 20));
+    const s = sunPosition(date);
+    const unit = [s.x, s.y, s.z].map(c => c / norm([s.x, s.y, s.z]));
+    const day = eclipseState({ x: 7000 * unit[0], y: 7000 * unit[1], z: 7000 * unit[2] }, date);
+    const night = eclipseState({ x: -7000 * unit[0], y: -7000 * unit[1], z: -7000 * unit[2] }, date);
+    expect(day).toEqual({ state: 'sunlight', illumination: 1 });
+    expect(night).toEqual({ state: 'umbra', illumination: 0 });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Satellite Swarm
+ * Compact per-satellite orbit data for drawing thousands of satellites at once.
+ * Each satellite is reduced to its osculating elements at a reference time plus
+ * secular rates (mean motion, J2 drift of node and perigee). The vertex shader of
+ * the swarm advances them to the simulation time, so positions are computed on the
+ * GPU. They are re-seeded from the full propagator whenever the simulation time
+ * moves away from the reference time.
+ */
+
+import { propagate, DEFAULT_PROPAGATOR } from './propagators';
+import { stateToKeplerian, solveKepler } from './orbitalElements';
+
+const EARTH_RADIUS = 6378.137; // km
+const J2 = 1.08262668e-3;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Satellite counts above this are drawn as a swarm when the render mode is 'auto'
+export const MASS_RENDER_THRESHOLD = 100;
+
+export const RENDER_MODES = {
+  auto: { label: 'Auto', description: `Points above ${MASS_RENDER_THRESHOLD} satellites` },
+  detailed: { label: 'Detailed', description: 'Model, orbit, footprint and ground track for every satellite' },
+  points: { label: 'Points', description: 'All satellites as points; full detail only for selected ones' }
+};
+
+// Elements are re-seeded once the simulation time is this far from the reference time
+export const SWARM_RESEED_SECONDS = 300;
+
+// Values per satellite: a (km), e, i, raan, argp, M at the reference time, n, raan rate,
+// argp rate (angles in rad, rates in rad/s); a = 0 marks a satellite that could not be propagated
+export const SWARM_STRIDE = 9;
+
+/**
+ * Whether satellites are drawn as a swarm
+ * @param {string} renderMode - Key of RENDER_MODES
+ * @param {number} count - Number of satellites
+ * @returns {boolean} True for the swarm, false for one detailed object per satellite
+ */
+export function massRenderingActive(renderMode, count) {
+  if (renderMode === 'points') return true;
+  if (renderMode === 'detailed') return false;
+  return count > MASS_RENDER_THRESHOLD;
+}
+
+/**
+ * Swarm elements of satellites at a reference time
+ * @param {Array<object>} satellites - [{ tle, propagatorId }]
+ * @param {Date} date - Reference time
+ * @param {object} options - { propagatorId }
+ * @returns {object} { time (ms), elements (Float32Array, SWARM_STRIDE per satellite) }
+ */
+export function swarmElements(satellites, date, options = {}) {
+  const defaultPropagator = options.propagatorId || DEFAULT_PROPAGATOR;
+  const elements = new Float32Array(satellites.length * SWARM_STRIDE);
+
+  satellites.forEach(({ tle, propagatorId }, s) => {
+    const state = propagate(tle, date, propagatorId || defaultPropagator);
+    if (!isFinite(state.distance)) return;
+    const osculating = stateToKeplerian(state.position, state.velocity);
+    if (!(osculating.eccentricity < 1)) return;
+
+    // Rates from the mean elements, so the along-track position does not drift with
+    // the short-period difference between osculating and mean semi-major axis
+    const n = (2 * Math.PI) / (tle.period * 60);
+    const p = tle.semiMajorAxis * (1 - tle.eccentricity * tle.eccentricity);
+    const cosI = Math.cos(tle.inclination * DEG_TO_RAD);
+    const k = 1.5 * n * J2 * (EARTH_RADIUS / p) * (EARTH_RADIUS / p);
+
+    elements.set([
+      osculating.semiMajorAxis,
+      osculating.eccentricity,
+      osculating.inclination * DEG_TO_RAD,
+      osculating.raan * DEG_TO_RAD,
+      osculating.argumentOfPerigee * DEG_TO_RAD,
+      osculating.meanAnomaly * DEG_TO_RAD,
+      n + 0.5 * k * Math.sqrt(1 - tle.eccentricity * tle.eccentricity) * (3 * cosI * cosI - 1),
+      -k * cosI,
+      0.5 * k * (5 * cosI * cosI - 1)
+    ], s * SWARM_STRIDE);
+  });
+
+  return { time: date.getTime(), elements };
+}
+
+// Perifocal coordinates (xp, yp) of one satellite rotated into the inertial frame
+function perifocalToInertial(xp, yp, inclination, raan, argp) {
+  const cO = Math.cos(raan);
+  const sO = Math.sin(raan);
+  const cw = Math.cos(argp);
+  const sw = Math.sin(argp);
+  const ci = Math.cos(inclination);
+  const si = Math.sin(inclination);
+  return {
+    x: (cO * cw - sO * sw * ci) * xp + (-cO * sw - sO * cw * ci) * yp,
+    y: (sO * cw + cO * sw * ci) * xp + (-sO * sw + cO * cw * ci) * yp,
+    z: sw * si * xp + cw * si * yp
+  };
+}
+
+/**
+ * Position of one swarm satellite; the same model as the swarm vertex shader
+ * @param {Float32Array} elements - From swarmElements()
+ * @param {number} index - Satellite index
+ * @param {number} dt - Seconds since the reference time
+ * @returns {object|null} TEME position {x, y, z} (km), null when the satellite has no elements
+ */
+export function swarmPosition(elements, index, dt) {
+  const o = index * SWARM_STRIDE;
+  const a = elements[o];
+  if (!(a > 0)) return null;
+  const e = elements[o + 1];
+  const E = solveKepler(elements[o + 5] + elements[o + 6] * dt, e);
+  return perifocalToInertial(
+    a * (Math.cos(E) - e),
+    a * Math.sqrt(1 - e * e) * Math.sin(E),
+    elements[o + 2],
+    elements[o + 3] + elements[o + 7] * dt,
+    elements[o + 4] + elements[o + 8] * dt
+  );
+}
+
+/**
+ * Orbit ellipses of swarm satellites as line segment pairs in scene coordinates
+ * @param {Float32Array} elements - From swarmElements()
+ * @param {number[]} indices - Satellites to draw
+ * @param {number} segments - Segments per orbit
+ * @param {number} earthRadius - Earth radius in scene units
+ * @returns {object} { positions (Float32Array, 2 points per segment), owners (Uint32Array,
+ *   satellite index of every point) }
+ */
+export function swarmOrbitLines(elements, indices, segments = 64, earthRadius = 2) {
+  const scale = earthRadius / EARTH_RADIUS;
+  const drawn = indices.filter(i => elements[i * SWARM_STRIDE] > 0);
+  const positions = new Float32Array(drawn.length * segments * 6);
+  const owners = new Uint32Array(drawn.length * segments * 2);
+  let p = 0;
+  drawn.forEach(i => {
+    const o = i * SWARM_STRIDE;
+    const a = elements[o];
+    const e = elements[o + 1];
+    const b = a * Math.sqrt(1 - e * e);
+    const points = [];
+    for (let k = 0; k <= segments; k++) {
+      const E = (k / segments) * 2 * Math.PI;
+      const r = perifocalToInertial(a * (Math.cos(E) - e), b * Math.sin(E), elements[o + 2], elements[o + 3], elements[o + 4]);
+      // TEME to scene axes, as in eciToSceneCoordinates()
+      points.push([r.x * scale, r.z * scale, -r.y * scale]);
+    }
+    for (let k = 0; k < segments; k++) {
+      positions.set(points[k], p * 3);
+      positions.set(points[k + 1], p * 3 + 3);
+      owners[p] = i;
+      owners[p + 1] = i;
+      p += 2;
+    }
+  });
+  return { positions, owners };
+}
@@ -0,0 +1,76 @@
+/**
+ * Tests for the swarm orbit model used by mass rendering
+ */
+
+import {
+  massRenderingActive,
+  swarmElements,
+  swarmPosition,
+  swarmOrbitLines,
+  MASS_RENDER_THRESHOLD,
+  SWARM_RESEED_SECONDS,
+  SWARM_STRIDE
+} from './swarm.js';
+import { walkerTLEData } from './walker.js';
+import { propagate } from './propagators.js';
+
+const DATE = new Date('2026-10-19T06:00:00Z');
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+const satellite = (altitude, inclination) => walkerTLEData(
+  { pattern: 'delta', totalSatellites: 1, planes: 1, phasing: 0, altitude, inclination },
+  { epochDate: DATE }
+)[0];
+
+describe('render mode', () => {
+  test('auto switches to points above the threshold', () => {
+    expect(massRenderingActive('auto', MASS_RENDER_THRESHOLD)).toBe(false);
+    expect(massRenderingActive('auto', MASS_RENDER_THRESHOLD + 1)).toBe(true);
+    expect(massRenderingActive('points', 1)).toBe(true);
+    expect(massRenderingActive('detailed', 10000)).toBe(false);
+  });
+});
+
+describe('swarm orbit model', () => {
+  test.each([
+    ['LEO', 550, 53],
+    ['sun-synchronous', 700, 98],
+    ['equatorial', 800, 0],
+    ['retrograde equatorial', 1000, 180],
+    ['GEO', 35786, 0]
+  ])('%s: matches the propagator at the reference time and stays close until re-seeded', (_, altitude, inclination) => {
+    const tle = satellite(altitude, inclination);
+    const { time, elements } = swarmElements([{ tle }], DATE);
+    expect(time).toBe(DATE.getTime());
+    expect(elements).toHaveLength(SWARM_STRIDE);
+    // Float32 storage limits the agreement to metres
+    expect(distance(swarmPosition(elements, 0, 0), propagate(tle, DATE).position)).toBeLessThan(0.05);
+    const later = new Date(DATE.getTime() + SWARM_RESEED_SECONDS * 1000);
+    expect(distance(swarmPosition(elements, 0, SWARM_RESEED_SECONDS), propagate(tle, later).position)).toBeLessThan(15);
+  });
+
+  test('satellites that cannot be propagated have no position', () => {
+    const broken = { ...satellite(550, 53), eccentricity: 1.5 };
+    const { elements } = swarmElements([{ tle: broken }, { tle: satellite(550, 53) }], DATE);
+    expect(swarmPosition(elements, 0, 0)).toBeNull();
+    expect(swarmPosition(elements, 1, 0)).not.toBeNull();
+  });
+
+  test('orbit lines trace each ellipse in scene units', () => {
+    const tles = [satellite(550, 53), { ...satellite(550, 53), eccentricity: 1.5 }, satellite(20000, 55)];
+    const { elements } = swarmElements(tles.map(tle => ({ tle })), DATE);
+    const { positions, owners } = swarmOrbitLines(elements, [0, 1, 2], 32);
+    // The broken satellite is skipped: 2 orbits × 32 segments × 2 points
+    expect(owners).toHaveLength(2 * 32 * 2);
+    expect(positions).toHaveLength(owners.length * 3);
+    expect(new Set(owners)).toEqual(new Set([0, 2]));
+    const radius = (v) => Math.hypot(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]) * 6378.137 / 2;
+    expect(radius(0)).toBeGreaterThan(6378.137 + 500);
+    expect(radius(0)).toBeLessThan(6378.137 + 600);
+    expect(radius(owners.length - 1)).toBeGreaterThan(6378.137 + 19900);
+    // Segments join up: each segment starts where the previous one ended
+    for (let k = 1; k < 32; k++) {
+      expect(positions[(2 * k) * 3]).toBeCloseTo(positions[(2 * k - 1) * 3], 6);
+    }
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Time Formatting
+ * Compact labels for durations shown in tables and schedules.
+ */
+
+/**
+ * Duration as minutes and zero-padded seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "2m00s" for 119.6 s
+ */
+export function formatDuration(seconds) {
+  // Rounded before splitting, so 119.6 s reads 2m00s rather than 1m60s
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}m${String(total % 60).padStart(2, '0')}s`;
+}
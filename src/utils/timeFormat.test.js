@@ -0,0 +1,19 @@
+/**
+ * Tests for time formatting
+ */
+
+import { formatDuration } from './timeFormat.js';
+
+describe('formatDuration', () => {
+  test('minutes and padded seconds', () => {
+    expect(formatDuration(0)).toBe('0m00s');
+    expect(formatDuration(65)).toBe('1m05s');
+    expect(formatDuration(754.2)).toBe('12m34s');
+  });
+
+  test('rounds before carrying into minutes', () => {
+    expect(formatDuration(119.6)).toBe('2m00s');
+    expect(formatDuration(59.5)).toBe('1m00s');
+    expect(formatDuration(119.4)).toBe('1m59s');
+  });
+});
@@ -1,14 +1,129 @@
 /**
  * TLE (Two-Line Element) Parser and SGP4 Orbital Mechanics Calculator
- * Implements basic SGP4 algorithm for satellite position calculation
+ * Positions are propagated with the full SGP4 model implemented in sgp4.js
  */
 
+import { sgp4init, sgp4 } from './sgp4';
+
 // Constants
 const RAD_TO_DEG = 180 / Math.PI;
-const DEG_TO_RAD = Math.PI / 180;
 const EARTH_RADIUS = 6378.137; // km
 const MU = 398600.4418; // Earth's gravitational parameter (km³/s²)
 const J2 = 1.0826e-3; // Second zonal harmonic of Earth's gravitational field
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const JD_UNIX_EPOCH = 2440587.5; // Julian date of 1970-01-01T00:00:00Z
+
+/**
+ * Parse a TLE exponent field such as " 16538-3" (implied leading decimal point)
+ * @param {string} field - Raw 8-character field
+ * @returns {number} Parsed value
+ */
+function parseExponentField(field) {
+  const text = field.trim();
+  if (!text) return 0;
+  const sign = text[0] === '-' ? -1 : 1;
+  const body = text.replace(/^[+-]/, '');
+  const mantissa = parseFloat('0.' + body.slice(0, -2));
+  const exponent = parseInt(body.slice(-2));
+  return sign * mantissa * Math.pow(10, exponent);
+}
+
+// Alpha-5 leading letters (I and O are skipped to avoid confusion with 1 and 0)
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Parse a 5-character catalog number field, including Alpha-5 (e.g. "A0001" = 100001)
+ * @param {string} field - Raw field from columns 3-7
+ * @returns {number} Catalog number, NaN if the field is not a valid designator
+ */
+export function parseCatalogNumber(field) {
+  const text = field.trim();
+  if (/^\d{1,5}$/.test(text)) return parseInt(text, 10);
+  const match = /^([A-Z])(\d{4})$/.exec(text);
+  if (!match || !ALPHA5_LETTERS.includes(match[1])) return NaN;
+  return (ALPHA5_LETTERS.indexOf(match[1]) + 10) * 10000 + parseInt(match[2], 10);
+}
+
+/**
+ * Format a catalog number as a 5-character field, using Alpha-5 above 99999
+ * @param {number} catalogNumber - Catalog number, 0 to 339999
+ * @returns {string} Five-character designator
+ */
+export function formatCatalogNumber(catalogNumber) {
+  if (!Number.isInteger(catalogNumber) || catalogNumber < 0 || catalogNumber > 339999) {
+    throw new Error(`Catalog number ${catalogNumber} cannot be written in 5 characters`);
+  }
+  if (catalogNumber < 100000) return String(catalogNumber).padStart(5, '0');
+  const letter = ALPHA5_LETTERS[Math.floor(catalogNumber / 10000) - 10];
+  return letter + String(catalogNumber % 10000).padStart(4, '0');
+}
+
+/**
+ * Build the parsed element set used throughout the app from SGP4 mean elements.
+ * parseTLE() and the OMM reader both go through here, so every satellite has the same shape.
+ * @param {object} fields - { name, catalogNumber, epochDate, inclination, raan, eccentricity,
+ *   argumentOfPerigee, meanAnomaly (deg), meanMotion (rev/day), meanMotionDerivative, bstar },
+ *   plus the catalog fields formatTLE() writes back: classification, internationalDesignator,
+ *   meanMotionSecondDerivative, ephemerisType, elementSetNumber, revolutionNumber
+ * @returns {object} Parsed TLE data
+ */
+export function createTLEData({
+  name = 'Unknown',
+  catalogNumber,
+  epochDate,
+  inclination,
+  raan,
+  eccentricity,
+  argumentOfPerigee,
+  meanAnomaly,
+  meanMotion,
+  meanMotionDerivative = 0,
+  bstar = 0,
+  classification = 'U',
+  internationalDesignator = '',
+  meanMotionSecondDerivative = 0,
+  ephemerisType = 0,
+  elementSetNumber = 999,
+  revolutionNumber = 0
+}) {
+  const epochYear = epochDate.getUTCFullYear();
+  const yearStartMs = Date.UTC(epochYear, 0, 1);
+  // TLE epochs are UTC; day 1.0 is Jan 1 00:00
+  const epochDay = (epochDate.getTime() - yearStartMs) / MS_PER_DAY + 1;
+  const epochJulianDate = epochDate.getTime() / MS_PER_DAY + JD_UNIX_EPOCH;
+
+  // Calculate semi-major axis from mean motion
+  const n = meanMotion * 2 * Math.PI / (24 * 60 * 60); // radians per second
+  const a = Math.pow(MU / (n * n), 1/3); // km
+
+  return {
+    name,
+    catalogNumber,
+    epochDate,
+    epochJulianDate,
+    epochYear,
+    epochDay,
+    inclination,
+    raan,
+    eccentricity,
+    argumentOfPerigee,
+    meanAnomaly,
+    meanMotion,
+    meanMotionDerivative,
+    bstar,
+    classification,
+    internationalDesignator,
+    meanMotionSecondDerivative,
+    ephemerisType,
+    elementSetNumber,
+    revolutionNumber,
+    semiMajorAxis: a,
+    // Calculated values for easier use
+    perigeeAltitude: a * (1 - eccentricity) - EARTH_RADIUS,
+    apogeeAltitude: a * (1 + eccentricity) - EARTH_RADIUS,
+    period: 2 * Math.PI / n / 60 // minutes
+  };
+}
 
 /**
  * Parse a TLE string and extract orbital elements
@@ -16,24 +131,26 @@ const J2 = 1.0826e-3; // Second zonal harmonic of Earth's gravitational field
  * @param {string} tleLine2 - Second line of TLE
  * @param {string} name - Optional satellite name
  * @returns {object} Parsed TLE data
+ * @throws {Error} Listing every problem found by validateTLE(); the structured
+ *   problems are on its `errors` property, so callers need not validate first
  */
 export function parseTLE(tleLine1, tleLine2, name = 'Unknown') {
-  // Validate TLE format
-  if (!tleLine1 || !tleLine2 || tleLine1.length < 69 || tleLine2.length < 69) {
-    throw new Error('Invalid TLE format: Lines must be at least 69 characters long');
-  }
-
-  if (tleLine1[0] !== '1' || tleLine2[0] !== '2') {
-    throw new Error('Invalid TLE format: Lines must start with "1" and "2"');
+  // Reject anything that is not a well-formed element set rather than misreading shifted columns
+  const { valid, errors } = validateTLE(tleLine1, tleLine2);
+  if (!valid) {
+    const error = new Error(`Invalid TLE: ${errors.map(formatTLEError).join('; ')}`);
+    error.errors = errors;
+    throw error;
   }
+  const catalogNumber = parseCatalogNumber(tleLine1.substring(2, 7));
 
   try {
     // Parse Line 1
-    const catalogNumber = parseInt(tleLine1.substring(2, 7).trim());
     const epochYear = parseInt(tleLine1.substring(18, 20));
     const epochDay = parseFloat(tleLine1.substring(20, 32));
     const meanMotionDerivative = parseFloat(tleLine1.substring(33, 43));
-    const bstar = parseFloat(tleLine1.substring(53, 61)) * Math.pow(10, parseInt(tleLine1.substring(59, 61)));
+    const meanMotionSecondDerivative = parseExponentField(tleLine1.substring(44, 52));
+    const bstar = parseExponentField(tleLine1.substring(53, 61));
 
     // Parse Line 2
     const inclination = parseFloat(tleLine2.substring(8, 16)); // degrees
@@ -42,24 +159,16 @@ export function parseTLE(tleLine1, tleLine2, name = 'Unknown') {
     const argumentOfPerigee = parseFloat(tleLine2.substring(34, 42)); // degrees
     const meanAnomaly = parseFloat(tleLine2.substring(43, 51)); // degrees
     const meanMotion = parseFloat(tleLine2.substring(52, 63)); // revolutions per day
+    const revolutionNumber = parseInt(tleLine2.substring(63, 68)) || 0;
 
     // Convert epoch to full year
     const fullEpochYear = epochYear + (epochYear < 57 ? 2000 : 1900);
+    const epochDate = new Date(Date.UTC(fullEpochYear, 0, 1) + (epochDay - 1) * MS_PER_DAY);
 
-    // Calculate epoch date
-    const epochDate = new Date(fullEpochYear, 0, 1);
-    epochDate.setTime(epochDate.getTime() + (epochDay - 1) * 24 * 60 * 60 * 1000);
-
-    // Calculate semi-major axis from mean motion
-    const n = meanMotion * 2 * Math.PI / (24 * 60 * 60); // radians per second
-    const a = Math.pow(MU / (n * n), 1/3); // km
-
-    return {
+    const tle = createTLEData({
       name,
       catalogNumber,
       epochDate,
-      epochYear: fullEpochYear,
-      epochDay,
       inclination,
       raan,
       eccentricity,
@@ -68,100 +177,64 @@ export function parseTLE(tleLine1, tleLine2, name = 'Unknown') {
       meanMotion,
       meanMotionDerivative,
       bstar,
-      semiMajorAxis: a,
-      // Calculated values for easier use
-      perigeeAltitude: a * (1 - eccentricity) - EARTH_RADIUS,
-      apogeeAltitude: a * (1 + eccentricity) - EARTH_RADIUS,
-      period: 2 * Math.PI / n / 60 // minutes
-    };
+      classification: tleLine1[7].trim() || 'U',
+      internationalDesignator: tleLine1.substring(9, 17).trim(),
+      meanMotionSecondDerivative,
+      ephemerisType: parseInt(tleLine1[62]) || 0,
+      elementSetNumber: parseInt(tleLine1.substring(64, 68)) || 0,
+      revolutionNumber
+    });
+    // Keep the exact epoch from the line rather than the millisecond-rounded Date
+    tle.epochDay = epochDay;
+    tle.epochJulianDate = Date.UTC(fullEpochYear, 0, 1) / MS_PER_DAY + JD_UNIX_EPOCH + (epochDay - 1);
+    return tle;
   } catch (error) {
     throw new Error(`Error parsing TLE: ${error.message}`);
   }
 }
 
 /**
- * Calculate satellite position using simplified SGP4 algorithm
+ * Convert a JavaScript Date to a Julian date (UTC)
+ * @param {Date} date - Date to convert
+ * @returns {number} Julian date
+ */
+export function dateToJulian(date) {
+  return date.getTime() / MS_PER_DAY + JD_UNIX_EPOCH;
+}
+
+// SGP4 records are derived once per parsed TLE and reused every frame
+const satrecCache = new WeakMap();
+
+function getSatrec(tle) {
+  let satrec = satrecCache.get(tle);
+  if (!satrec) {
+    satrec = sgp4init(tle);
+    satrecCache.set(tle, satrec);
+  }
+  return satrec;
+}
+
+/**
+ * Calculate satellite position using the SGP4 propagator
  * @param {object} tle - Parsed TLE data
  * @param {Date} date - Date for position calculation
- * @returns {object} Position in ECI coordinates (km) and velocity (km/s)
+ * @returns {object} Position in ECI (TEME) coordinates (km) and velocity (km/s).
+ *   `error` carries the SGP4 error code (0 = ok); for codes 1-4 the vectors are NaN.
  */
 export function calculateSatellitePosition(tle, date = new Date()) {
   // Time since epoch in minutes
-  const timeSinceEpoch = (date.getTime() - tle.epochDate.getTime()) / (1000 * 60);
-
-  // Convert to radians
-  const inc = tle.inclination * DEG_TO_RAD;
-  const raan = tle.raan * DEG_TO_RAD;
-  const argp = tle.argumentOfPerigee * DEG_TO_RAD;
-  const M0 = tle.meanAnomaly * DEG_TO_RAD;
-
-  // Mean motion (radians per minute)
-  const n = tle.meanMotion * 2 * Math.PI / (24 * 60);
-
-  // Account for secular perturbations (simplified)
-  const dragEffect = tle.meanMotionDerivative * timeSinceEpoch / (24 * 60);
-  const currentN = n + dragEffect;
-
-  // Current mean anomaly
-  const M = M0 + currentN * timeSinceEpoch;
-
-  // Solve Kepler's equation for eccentric anomaly (Newton-Raphson)
-  let E = M;
-  for (let i = 0; i < 10; i++) {
-    const dE = (E - tle.eccentricity * Math.sin(E) - M) / (1 - tle.eccentricity * Math.cos(E));
-    E -= dE;
-    if (Math.abs(dE) < 1e-12) break;
-  }
-
-  // True anomaly
-  const nu = 2 * Math.atan2(
-    Math.sqrt(1 + tle.eccentricity) * Math.sin(E / 2),
-    Math.sqrt(1 - tle.eccentricity) * Math.cos(E / 2)
-  );
-
-  // Distance from Earth center
-  const r = tle.semiMajorAxis * (1 - tle.eccentricity * Math.cos(E));
-
-  // Position in orbital plane
-  const x_orb = r * Math.cos(nu);
-  const y_orb = r * Math.sin(nu);
-
-  // Velocity in orbital plane
-  const p = tle.semiMajorAxis * (1 - tle.eccentricity * tle.eccentricity);
-  const vx_orb = -Math.sqrt(MU / p) * Math.sin(nu);
-  const vy_orb = Math.sqrt(MU / p) * (tle.eccentricity + Math.cos(nu));
-
-  // Rotation matrices for orbital plane to ECI
-  const cosRaan = Math.cos(raan);
-  const sinRaan = Math.sin(raan);
-  const cosArgp = Math.cos(argp);
-  const sinArgp = Math.sin(argp);
-  const cosInc = Math.cos(inc);
-  const sinInc = Math.sin(inc);
-
-  // Transform to ECI coordinates
-  const x = (cosRaan * cosArgp - sinRaan * sinArgp * cosInc) * x_orb +
-            (-cosRaan * sinArgp - sinRaan * cosArgp * cosInc) * y_orb;
-  
-  const y = (sinRaan * cosArgp + cosRaan * sinArgp * cosInc) * x_orb +
-            (-sinRaan * sinArgp + cosRaan * cosArgp * cosInc) * y_orb;
-  
-  const z = (sinArgp * sinInc) * x_orb + (cosArgp * sinInc) * y_orb;
+  const timeSinceEpoch = (dateToJulian(date) - tle.epochJulianDate) * 24 * 60;
 
-  // Transform velocity to ECI coordinates
-  const vx = (cosRaan * cosArgp - sinRaan * sinArgp * cosInc) * vx_orb +
-             (-cosRaan * sinArgp - sinRaan * cosArgp * cosInc) * vy_orb;
-  
-  const vy = (sinRaan * cosArgp + cosRaan * sinArgp * cosInc) * vx_orb +
-             (-sinRaan * sinArgp + cosRaan * cosArgp * cosInc) * vy_orb;
-  
-  const vz = (sinArgp * sinInc) * vx_orb + (cosArgp * sinInc) * vy_orb;
+  const { position, velocity, error } = sgp4(getSatrec(tle), timeSinceEpoch);
+  const { x, y, z } = position;
+  const distance = Math.sqrt(x*x + y*y + z*z);
 
   return {
-    position: { x, y, z }, // km
-    velocity: { x: vx, y: vy, z: vz }, // km/s
-    altitude: Math.sqrt(x*x + y*y + z*z) - EARTH_RADIUS,
-    distance: Math.sqrt(x*x + y*y + z*z)
+    position, // km
+    velocity, // km/s
+    altitude: distance - EARTH_RADIUS,
+    distance,
+    error
   };
 }
 
@@ -182,15 +255,13 @@ export function eciToSceneCoordinates(eciPosition, earthRadius = 2) {
 }
 
 /**
- * Validate TLE checksum
- * @param {string} tleLine - TLE line to validate
- * @returns {boolean} True if checksum is valid
+ * Compute the modulo-10 checksum of a TLE line (digits count their value, '-' counts 1)
+ * @param {string} tleLine - TLE line; only the first 68 characters are used
+ * @returns {number} Checksum digit 0-9
  */
-export function validateTLEChecksum(tleLine) {
-  if (tleLine.length < 69) return false;
-  
+export function computeTLEChecksum(tleLine) {
   let sum = 0;
-  for (let i = 0; i < 68; i++) {
+  for (let i = 0; i < Math.min(68, tleLine.length); i++) {
     const char = tleLine[i];
     if (char >= '0' && char <= '9') {
       sum += parseInt(char);
@@ -198,9 +269,223 @@ export function validateTLEChecksum(tleLine) {
       sum += 1;
     }
   }
-  
-  const checksum = parseInt(tleLine[68]);
-  return (sum % 10) === checksum;
+  return sum % 10;
+}
+
+/**
+ * Validate TLE checksum
+ * @param {string} tleLine - TLE line to validate
+ * @returns {boolean} True if checksum is valid
+ */
+export function validateTLEChecksum(tleLine) {
+  if (tleLine.length < 69) return false;
+  return computeTLEChecksum(tleLine) === parseInt(tleLine[68]);
+}
+
+// Fixed-width layout: 1-based inclusive columns, the pattern the raw field must match,
+// and an optional [min, max) range on the parsed value (closed or open ends where noted)
+const TLE_LAYOUT = {
+  1: [
+    { field: 'lineNumber', columns: [1, 1], pattern: /^1$/, message: 'must be "1"' },
+    { field: 'catalogNumber', columns: [3, 7], pattern: /^(\d{5}|[A-HJ-NP-Z]\d{4}| {0,4}\d{1,5})$/, message: 'must be 5 digits or Alpha-5 (letter other than I or O, then 4 digits)' },
+    { field: 'classification', columns: [8, 8], pattern: /^[UCS ]$/, message: 'must be U, C or S' },
+    { field: 'internationalDesignator', columns: [10, 17], pattern: /^(\d{2}[\d ]{3}[A-Z ]{3}| {8})$/, message: 'must be launch year, launch number and piece (e.g. "98067A  ")' },
+    { field: 'epochYear', columns: [19, 20], pattern: /^\d{2}$/, message: 'must be a two-digit year' },
+    { field: 'epochDay', columns: [21, 32], pattern: /^[ \d]{2}\d\.\d{8}$/, message: 'must be day of year as DDD.DDDDDDDD', range: [1, 367] },
+    { field: 'meanMotionDerivative', columns: [34, 43], pattern: /^[ +-]\.\d{8}$/, message: 'must be a signed decimal as " .NNNNNNNN"' },
+    { field: 'meanMotionSecondDerivative', columns: [45, 52], pattern: /^[ +-]\d{5}[+-]\d$/, message: 'must be an exponent field as " NNNNN-N"' },
+    { field: 'bstar', columns: [54, 61], pattern: /^[ +-]\d{5}[+-]\d$/, message: 'must be an exponent field as " NNNNN-N"' },
+    { field: 'ephemerisType', columns: [63, 63], pattern: /^[\d ]$/, message: 'must be a digit' },
+    { field: 'elementSetNumber', columns: [65, 68], pattern: /^ {0,3}\d{1,4}$/, message: 'must be a number of up to 4 digits' }
+  ],
+  2: [
+    { field: 'lineNumber', columns: [1, 1], pattern: /^2$/, message: 'must be "2"' },
+    { field: 'catalogNumber', columns: [3, 7], pattern: /^(\d{5}|[A-HJ-NP-Z]\d{4}| {0,4}\d{1,5})$/, message: 'must be 5 digits or Alpha-5 (letter other than I or O, then 4 digits)' },
+    { field: 'inclination', columns: [9, 16], pattern: /^[ \d]{2}\d\.\d{4}$/, message: 'must be degrees as NNN.NNNN', range: [0, 180], maxInclusive: true },
+    { field: 'raan', columns: [18, 25], pattern: /^[ \d]{2}\d\.\d{4}$/, message: 'must be degrees as NNN.NNNN', range: [0, 360] },
+    { field: 'eccentricity', columns: [27, 33], pattern: /^\d{7}$/, message: 'must be 7 digits with an implied leading decimal point' },
+    { field: 'argumentOfPerigee', columns: [35, 42], pattern: /^[ \d]{2}\d\.\d{4}$/, message: 'must be degrees as NNN.NNNN', range: [0, 360] },
+    { field: 'meanAnomaly', columns: [44, 51], pattern: /^[ \d]{2}\d\.\d{4}$/, message: 'must be degrees as NNN.NNNN', range: [0, 360] },
+    { field: 'meanMotion', columns: [53, 63], pattern: /^[ \d]\d\.\d{8}$/, message: 'must be revolutions per day as NN.NNNNNNNN', range: [0, 20], minExclusive: true },
+    { field: 'revolutionNumber', columns: [64, 68], pattern: /^ {0,4}\d{1,5}$/, message: 'must be a number of up to 5 digits' }
+  ]
+};
+
+// Columns that must be blank between fields
+const TLE_SEPARATORS = { 1: [2, 9, 18, 33, 44, 53, 62, 64], 2: [2, 8, 17, 26, 34, 43, 52] };
+
+/**
+ * Validate a TLE against the fixed-width format: length, line numbers, separators,
+ * every field's layout and range, checksums and a shared catalog number
+ * @param {string} tleLine1 - First line of TLE
+ * @param {string} tleLine2 - Second line of TLE
+ * @returns {object} { valid, errors: [{ line, columns: [start, end] (1-based), field, message }] }
+ */
+export function validateTLE(tleLine1, tleLine2) {
+  const errors = [];
+  const lines = { 1: tleLine1 || '', 2: tleLine2 || '' };
+
+  [1, 2].forEach(line => {
+    const text = lines[line];
+    if (text.length !== 69) {
+      errors.push({
+        line,
+        columns: [Math.min(text.length, 69) + 1, Math.max(text.length, 69)],
+        field: 'length',
+        message: `Line ${line} has ${text.length} characters; a TLE line has exactly 69`
+      });
+      // Columns are meaningless once the line is shifted
+      if (text.length < 69) return;
+    }
+
+    TLE_SEPARATORS[line].forEach(column => {
+      if (text[column - 1] !== ' ') {
+        errors.push({ line, columns: [column, column], field: 'separator', message: `Column ${column} of line ${line} must be blank` });
+      }
+    });
+
+    TLE_LAYOUT[line].forEach(({ field, columns, pattern, message, range, minExclusive, maxInclusive }) => {
+      const raw = text.substring(columns[0] - 1, columns[1]);
+      if (!pattern.test(raw)) {
+        errors.push({ line, columns, field, message: `${field} "${raw}" ${message}` });
+        return;
+      }
+      if (range) {
+        const value = parseFloat(raw);
+        const belowMin = minExclusive ? value <= range[0] : value < range[0];
+        const aboveMax = maxInclusive ? value > range[1] : value >= range[1];
+        if (belowMin || aboveMax) {
+          const interval = `${minExclusive ? '(' : '['}${range[0]}, ${range[1]}${maxInclusive ? ']' : ')'}`;
+          errors.push({ line, columns, field, message: `${field} ${value} is outside ${interval}` });
+        }
+      }
+    });
+
+    const expected = computeTLEChecksum(text);
+    if (text[68] !== String(expected)) {
+      errors.push({ line, columns: [69, 69], field: 'checksum', message: `Checksum of line ${line} is "${text[68]}" but should be ${expected}` });
+    }
+  });
+
+  const catalog1 = parseCatalogNumber(lines[1].substring(2, 7));
+  const catalog2 = parseCatalogNumber(lines[2].substring(2, 7));
+  if (!isNaN(catalog1) && !isNaN(catalog2) && catalog1 !== catalog2) {
+    errors.push({ line: 2, columns: [3, 7], field: 'catalogNumber', message: `Catalog number ${catalog2} on line 2 does not match ${catalog1} on line 1` });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Describe a validation error for display, e.g. "L1 col 54-61: bstar ..."
+ * @param {object} error - Error from validateTLE()
+ * @returns {string} One-line description
+ */
+export function formatTLEError({ line, columns, message }) {
+  const span = columns[0] === columns[1] ? `${columns[0]}` : `${columns[0]}-${columns[1]}`;
+  return `L${line} col ${span}: ${message}`;
+}
+
+/**
+ * Format a value as a TLE exponent field with an implied leading decimal point, e.g. " 16538-3"
+ * @param {number} value - Value to format
+ * @returns {string} 8-character field
+ */
+function formatExponentField(value) {
+  if (!isFinite(value)) throw new Error(`Cannot write ${value} as a TLE exponent field`);
+  if (value === 0) return ' 00000-0';
+  const magnitude = Math.abs(value);
+  let exponent = Math.floor(Math.log10(magnitude)) + 1;
+  let mantissa = Math.round((magnitude / Math.pow(10, exponent)) * 100000);
+  if (mantissa >= 100000) {
+    mantissa = 10000;
+    exponent += 1;
+  }
+  if (Math.abs(exponent) > 9) throw new Error(`${value} is out of range for a TLE exponent field`);
+  return `${value < 0 ? '-' : ' '}${String(mantissa).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+/**
+ * Format an angle in degrees as NNN.NNNN, wrapped to [0, 360)
+ */
+function formatAngle(degrees) {
+  let text = (((degrees % 360) + 360) % 360).toFixed(4);
+  if (text === '360.0000') text = '0.0000';
+  return text.padStart(8, ' ');
+}
+
+/**
+ * Write parsed TLE data back as two fixed-width lines with valid checksums.
+ * Inverse of parseTLE(): covers exponent fields, the epoch, Alpha-5 catalog numbers
+ * and the bookkeeping fields, so edited element sets export as real TLEs.
+ * @param {object} tle - Parsed TLE data (see createTLEData)
+ * @returns {object} { line1, line2 }
+ * @throws {Error} If a value cannot be represented in its fixed-width field
+ */
+export function formatTLE(tle) {
+  const catalog = formatCatalogNumber(tle.catalogNumber || 0);
+
+  if (!(tle.eccentricity >= 0 && tle.eccentricity < 1)) {
+    throw new Error(`Eccentricity ${tle.eccentricity} cannot be written to a TLE`);
+  }
+  if (!(tle.inclination >= 0 && tle.inclination <= 180)) {
+    throw new Error(`Inclination ${tle.inclination} is outside [0, 180]`);
+  }
+  if (!(tle.meanMotion > 0 && tle.meanMotion < 100)) {
+    throw new Error(`Mean motion ${tle.meanMotion} rev/day cannot be written to a TLE`);
+  }
+  const ndot = tle.meanMotionDerivative || 0;
+  if (Math.abs(ndot) >= 1) {
+    throw new Error(`Mean motion derivative ${ndot} cannot be written to a TLE`);
+  }
+
+  // Epoch as two-digit year and day of year with 8 decimals
+  const epochDay = tle.epochDay.toFixed(8).padStart(12, '0');
+  const epochYear = String(tle.epochYear % 100).padStart(2, '0');
+
+  const line1 = [
+    '1 ',
+    catalog,
+    (tle.classification || 'U').slice(0, 1),
+    ' ',
+    (tle.internationalDesignator || '').slice(0, 8).padEnd(8, ' '),
+    ' ',
+    epochYear,
+    epochDay,
+    ' ',
+    `${ndot < 0 ? '-' : ' '}${Math.abs(ndot).toFixed(8).slice(1)}`,
+    ' ',
+    formatExponentField(tle.meanMotionSecondDerivative || 0),
+    ' ',
+    formatExponentField(tle.bstar || 0),
+    ' ',
+    String(tle.ephemerisType || 0).slice(0, 1),
+    ' ',
+    String((tle.elementSetNumber || 0) % 10000).padStart(4, ' ')
+  ].join('');
+
+  const line2 = [
+    '2 ',
+    catalog,
+    ' ',
+    tle.inclination.toFixed(4).padStart(8, ' '),
+    ' ',
+    formatAngle(tle.raan),
+    ' ',
+    String(Math.min(9999999, Math.round(tle.eccentricity * 1e7))).padStart(7, '0'),
+    ' ',
+    formatAngle(tle.argumentOfPerigee),
+    ' ',
+    formatAngle(tle.meanAnomaly),
+    ' ',
+    tle.meanMotion.toFixed(8).padStart(11, ' '),
+    String((tle.revolutionNumber || 0) % 100000).padStart(5, ' ')
+  ].join('');
+
+  return {
+    line1: line1 + computeTLEChecksum(line1),
+    line2: line2 + computeTLEChecksum(line2)
+  };
 }
 
 /**
@@ -209,8 +494,8 @@ export function validateTLEChecksum(tleLine) {
 export const SAMPLE_TLES = {
   ISS: {
     name: "🚀 ISS (ZARYA)",
-    line1: "1 25544U 98067A   24001.00000000  .00020137  00000-0  16538-3 0  9993",
-    line2: "2 25544  51.6461 339.2377 0001078  88.2548 271.9142 15.48919103123456"
+    line1: "1 25544U 98067A   24001.00000000  .00020137  00000-0  16538-3 0  9996",
+    line2: "2 25544  51.6461 339.2377 0001078  88.2548 271.9142 15.48919103123452"
   },
   HUBBLE: {
     name: "🔭 Hubble Space Telescope",
@@ -219,32 +504,32 @@ export const SAMPLE_TLES = {
   },
   STARLINK: {
     name: "📡 Starlink-1007",
-    line1: "1 44713U 19074A   24001.00000000  .00002182  00000-0  16717-3 0  9990",
-    line2: "2 44713  53.0531 123.4567 0001234  98.7654 261.3456 15.06417112234567"
+    line1: "1 44713U 19074A   24001.00000000  .00002182  00000-0  16717-3 0  9995",
+    line2: "2 44713  53.0531 123.4567 0001234  98.7654 261.3456 15.06417112234560"
   },
   NOAA19: {
     name: "🌍 NOAA-19 Weather Sat",
-    line1: "1 33591U 09005A   24001.00000000  .00000100  00000-0  62552-4 0  9990",
+    line1: "1 33591U 09005A   24001.00000000  .00000100  00000-0  62552-4 0  9997",
     line2: "2 33591  99.1890 123.4567 0014567  45.1234 315.0123 14.11826543456789"
   },
   GPS: {
     name: "🗺️ GPS BIIR-2",
-    line1: "1 24876U 97035A   24001.00000000 -.00000020  00000-0  00000-0 0  9994",
-    line2: "2 24876  55.4567 234.5678 0123456  78.9012 281.1234  2.00561234567890"
+    line1: "1 24876U 97035A   24001.00000000 -.00000020  00000-0  00000-0 0  9991",
+    line2: "2 24876  55.4567 234.5678 0123456  78.9012 281.1234  2.00561234567893"
   },
   GEOSAT: {
     name: "🌐 GOES-16 Weather Sat",
-    line1: "1 41866U 16071A   24001.00000000 -.00000280  00000-0  00000-0 0  9991",
-    line2: "2 41866   0.0123 264.5678 0002345  12.3456  45.6789  1.00270123456789"
+    line1: "1 41866U 16071A   24001.00000000 -.00000280  00000-0  00000-0 0  9998",
+    line2: "2 41866   0.0123 264.5678 0002345  12.3456  45.6789  1.00270123456781"
   },
   TERRA: {
     name: "🌱 Terra Earth Observing",
     line1: "1 25994U 99068A   24001.00000000  .00000200  00000-0  89123-4 0  9997",
-    line2: "2 25994  98.2123 156.7890 0001234  89.0123 271.1234 14.57123456789012"
+    line2: "2 25994  98.2123 156.7890 0001234  89.0123 271.1234 14.57123456789018"
   },
   MOLNIYA: {
     name: "🛰️ MOLNIYA 1-91",
-    line1: "1 25485U 98054A   25220.25238000  -.00000045  00000+0  00000+0 0  9999",
-    line2: "2 25485  64.5387 331.0544 6772907 286.8560 13.3661  2.36441399 206179"
+    line1: "1 25485U 98054A   25220.25238000 -.00000045  00000+0  00000+0 0  9999",
+    line2: "2 25485  64.5387 331.0544 6772907 286.8560  13.3661  2.36441399206179"
   }
 };
@@ -1,9 +1,11 @@
 /**
  * Test file for TLE Parser functionality
- * Can be run manually in the browser console for validation
+ * Can be run manually in the browser console for validation;
+ * the Jest suites at the bottom run with `npm test`
  */
 
-import { parseTLE, calculateSatellitePosition, SAMPLE_TLES, validateTLEChecksum } from './tleParser.js';
+import { parseTLE, calculateSatellitePosition, SAMPLE_TLES, validateTLEChecksum, parseCatalogNumber, formatCatalogNumber, computeTLEChecksum, validateTLE, formatTLEError, formatTLE } from './tleParser.js';
+import { sgp4init, sgp4 } from './sgp4.js';
 
 // Test TLE parsing with ISS data
 export function testTLEParsing() {
@@ -107,3 +109,251 @@ if (typeof window !== 'undefined') {
   };
 }
 
+
+// Verification vectors from the SGP4 reference (Vallado et al., AIAA 2006-6753, SGP4-VER.TLE)
+const VALLADO_CASES = [
+  {
+    name: '00005 (eccentric near-Earth)',
+    line1: '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+    line2: '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667',
+    vectors: [
+      [0, 7022.46529266, -1400.08296755, 0.03995155, 1.893841015, 6.405893759, 4.534807250],
+      [360, -7154.03120202, -3783.17682504, -3536.19412294, 4.741887409, -4.151817765, -2.093935425]
+    ]
+  },
+  {
+    name: '06251 (low perigee with drag)',
+    line1: '1 06251U 62025E   06176.82412014  .00008885  00000-0  12808-3 0  3985',
+    line2: '2 06251  58.0579  54.0425 0030035 139.1568 221.1854 15.56387291  6774',
+    vectors: [
+      [0, 3988.31022699, 5498.96657235, 0.90055879, -3.290032738, 2.357652820, 6.496623475],
+      [360, 4993.62642836, 2890.54969900, -3600.40145627, 0.347333429, 5.707031557, 5.070699638]
+    ]
+  },
+  {
+    name: '11801 (deep space, no resonance)',
+    line1: '1 11801U          80230.29629788  .01431103  00000-0  14311-1 0    13',
+    line2: '2 11801  46.7916 230.4354 7318036  47.4722  10.4117  2.28537848    13',
+    vectors: [
+      [0, 7473.37102491, 428.94748312, 5828.74846783, 5.107155391, 6.444680305, -0.186133297]
+    ]
+  },
+  {
+    name: '08195 (deep space, 12h Molniya resonance)',
+    line1: '1 08195U 75081A   06176.33215444  .00000099  00000-0  11873-3 0   813',
+    line2: '2 08195  64.1586 279.0717 6877146 264.7651  20.2257  2.00491383225656',
+    vectors: [
+      [0, 2349.89483350, -14785.93811562, 0.02119378, 2.721488096, -3.256811655, 4.498416672],
+      [720, 2622.13222207, -15125.15464924, 474.51048398, 2.688287199, -3.078426664, 4.494979530]
+    ]
+  },
+  {
+    name: '28626 (deep space, 24h geosynchronous resonance)',
+    line1: '1 28626U 05008A   06176.46683397 -.00000205  00000-0  10000-3 0  2190',
+    line2: '2 28626   0.0019 286.9433 0000335  13.7918  55.6504  1.00270176  4891',
+    vectors: [
+      [0, 42080.71852213, -2646.86387436, 0.81851294, 0.193105177, 3.068688251, 0.000438449],
+      [720, -42103.20138132, 2291.06228893, -0.13274964, -0.166974816, -3.070104560, -0.000311007]
+    ]
+  }
+];
+
+describe('SGP4 propagation', () => {
+  VALLADO_CASES.forEach(({ name, line1, line2, vectors }) => {
+    test(`matches verification vectors for ${name}`, () => {
+      const satrec = sgp4init(parseTLE(line1, line2));
+      vectors.forEach(([tsince, x, y, z, vx, vy, vz]) => {
+        const { position, velocity, error } = sgp4(satrec, tsince);
+        expect(error).toBe(0);
+        expect(position.x).toBeCloseTo(x, 6);
+        expect(position.y).toBeCloseTo(y, 6);
+        expect(position.z).toBeCloseTo(z, 6);
+        expect(velocity.x).toBeCloseTo(vx, 8);
+        expect(velocity.y).toBeCloseTo(vy, 8);
+        expect(velocity.z).toBeCloseTo(vz, 8);
+      });
+    });
+  });
+
+  test('selects the deep-space branch from the mean motion', () => {
+    const methodFor = ({ line1, line2 }) => sgp4init(parseTLE(line1, line2)).method;
+    expect(methodFor(SAMPLE_TLES.ISS)).toBe('n');
+    expect(methodFor(SAMPLE_TLES.GPS)).toBe('d');
+    expect(methodFor(SAMPLE_TLES.GEOSAT)).toBe('d');
+    expect(methodFor(SAMPLE_TLES.MOLNIYA)).toBe('d');
+  });
+
+  test('resonance integrator gives the same state going backwards and forwards', () => {
+    const { line1, line2 } = VALLADO_CASES[3];
+    const satrec = sgp4init(parseTLE(line1, line2));
+    const forward = sgp4(satrec, 2880).position;
+    sgp4(satrec, -1440);
+    const again = sgp4(satrec, 2880).position;
+    expect(again.x).toBeCloseTo(forward.x, 8);
+    expect(again.y).toBeCloseTo(forward.y, 8);
+    expect(again.z).toBeCloseTo(forward.z, 8);
+  });
+
+  test('calculateSatellitePosition propagates from the UTC epoch', () => {
+    const { line1, line2, vectors } = VALLADO_CASES[0];
+    const tle = parseTLE(line1, line2);
+    const [tsince, x, y, z] = vectors[1];
+    const date = new Date((tle.epochJulianDate - 2440587.5) * 86400000 + tsince * 60000);
+    const result = calculateSatellitePosition(tle, date);
+    expect(result.error).toBe(0);
+    // Date only carries milliseconds, so allow a few metres of along-track error
+    expect(Math.hypot(result.position.x - x, result.position.y - y, result.position.z - z)).toBeLessThan(0.01);
+    expect(result.distance).toBeCloseTo(Math.hypot(x, y, z), 1);
+  });
+
+  test('parses B* exponent fields', () => {
+    const { line1, line2 } = VALLADO_CASES[1];
+    expect(parseTLE(line1, line2).bstar).toBeCloseTo(0.12808e-3, 12);
+  });
+});
+
+describe('Alpha-5 catalog numbers', () => {
+  test('decodes numeric and Alpha-5 designators', () => {
+    expect(parseCatalogNumber('25544')).toBe(25544);
+    expect(parseCatalogNumber('00005')).toBe(5);
+    expect(parseCatalogNumber('A0000')).toBe(100000);
+    expect(parseCatalogNumber('A0001')).toBe(100001);
+    expect(parseCatalogNumber('H9999')).toBe(179999);
+    expect(parseCatalogNumber('J0000')).toBe(180000); // I is skipped
+    expect(parseCatalogNumber('P1234')).toBe(231234); // O is skipped
+    expect(parseCatalogNumber('Z9999')).toBe(339999);
+  });
+
+  test('rejects I, O, lower case and malformed fields', () => {
+    ['I0001', 'O0001', 'a0001', 'AB001', '2554A'].forEach(field => {
+      expect(parseCatalogNumber(field)).toBeNaN();
+    });
+  });
+
+  test('formats back to five characters', () => {
+    [5, 25544, 99999, 100000, 100001, 179999, 180000, 231234, 339999].forEach(n => {
+      const field = formatCatalogNumber(n);
+      expect(field).toHaveLength(5);
+      expect(parseCatalogNumber(field)).toBe(n);
+    });
+    expect(formatCatalogNumber(100001)).toBe('A0001');
+    expect(() => formatCatalogNumber(340000)).toThrow();
+  });
+
+  test('parseTLE reads Alpha-5 lines', () => {
+    const { line1, line2 } = SAMPLE_TLES.ISS;
+    const withChecksum = (line) => line.slice(0, 68) + computeTLEChecksum(line);
+    const tle = parseTLE(withChecksum(line1.replace('25544', 'A0001')), withChecksum(line2.replace('25544', 'A0001')));
+    expect(tle.catalogNumber).toBe(100001);
+    expect(tle.inclination).toBeCloseTo(51.6461, 4);
+    expect(() => parseTLE(line1.replace('25544', 'I0001'), line2)).toThrow(/Alpha-5/);
+  });
+});
+
+describe('TLE validation', () => {
+  const { line1, line2 } = SAMPLE_TLES.ISS;
+  const withChecksum = (line) => line.slice(0, 68) + computeTLEChecksum(line);
+  const splice = (line, column, text) => withChecksum(line.slice(0, column - 1) + text + line.slice(column - 1 + text.length));
+  const fields = (result) => result.errors.map(e => `${e.line}:${e.field}:${e.columns.join('-')}`);
+
+  test('accepts every sample element set', () => {
+    Object.values(SAMPLE_TLES).forEach(sample => {
+      expect(validateTLE(sample.line1, sample.line2)).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  test('points at a wrong checksum', () => {
+    const bad = line1.slice(0, 68) + ((computeTLEChecksum(line1) + 1) % 10);
+    const result = validateTLE(bad, line2);
+    expect(result.valid).toBe(false);
+    expect(fields(result)).toEqual(['1:checksum:69-69']);
+    expect(formatTLEError(result.errors[0])).toMatch(/^L1 col 69: /);
+  });
+
+  test('points at malformed exponent fields', () => {
+    // B* with the exponent sign missing, as in "16538 3"
+    const result = validateTLE(splice(line1, 54, ' 16538 3'), line2);
+    expect(fields(result)).toEqual(['1:bstar:54-61']);
+    expect(formatTLEError(result.errors[0])).toBe('L1 col 54-61: bstar " 16538 3" must be an exponent field as " NNNNN-N"');
+  });
+
+  test('detects shifted columns and wrong lengths', () => {
+    const shifted = withChecksum(line1.replace('  .00020137  ', '   .00020137 '));
+    expect(fields(validateTLE(shifted, line2))).toEqual(['1:separator:44-44', '1:meanMotionDerivative:34-43']);
+    const long = validateTLE(`${line1} `, line2);
+    expect(fields(long)).toContain('1:length:70-70');
+    const short = validateTLE(line1.slice(0, 60), line2);
+    expect(fields(short)).toEqual(['1:length:61-69']);
+  });
+
+  test('checks field ranges', () => {
+    expect(fields(validateTLE(line1, splice(line2, 9, '181.0000')))).toEqual(['2:inclination:9-16']);
+    expect(fields(validateTLE(line1, splice(line2, 9, '180.0000')))).toEqual([]);
+    expect(fields(validateTLE(line1, splice(line2, 18, '360.0000')))).toEqual(['2:raan:18-25']);
+    expect(fields(validateTLE(line1, splice(line2, 53, ' 0.00000000')))).toEqual(['2:meanMotion:53-63']);
+    expect(fields(validateTLE(splice(line1, 21, '400.00000000'), line2))).toEqual(['1:epochDay:21-32']);
+  });
+
+  test('requires the same catalog number on both lines', () => {
+    const result = validateTLE(line1, splice(line2, 3, '25545'));
+    expect(fields(result)).toEqual(['2:catalogNumber:3-7']);
+    expect(result.errors[0].message).toMatch(/25545.*25544/);
+  });
+
+  test('parseTLE refuses invalid lines with the diagnostics', () => {
+    expect(() => parseTLE(line1, splice(line2, 3, '25545'))).toThrow(/L2 col 3-7/);
+    try {
+      parseTLE(line1, splice(line2, 3, '25545'));
+    } catch (error) {
+      expect(error.errors).toEqual(validateTLE(line1, splice(line2, 3, '25545')).errors);
+    }
+    expect.assertions(2);
+  });
+});
+
+describe('TLE writer', () => {
+  test('reproduces sample and verification lines exactly', () => {
+    const sets = [
+      ...Object.values(SAMPLE_TLES).filter(t => !t.line1.includes('+0')),
+      ...VALLADO_CASES
+    ];
+    sets.forEach(({ line1, line2 }) => {
+      expect(formatTLE(parseTLE(line1, line2))).toEqual({ line1, line2 });
+    });
+  });
+
+  test('writes zero exponent fields in the usual "-0" form', () => {
+    const { line1, line2 } = SAMPLE_TLES.MOLNIYA;
+    const written = formatTLE(parseTLE(line1, line2));
+    expect(written.line1).toBe(line1.slice(0, 44) + ' 00000-0  00000-0 0  999' + written.line1[68]);
+    expect(written.line2).toBe(line2);
+  });
+
+  test('regenerates valid lines and checksums from edited elements', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2);
+    const edited = { ...iss, inclination: 97.25, raan: 359.99996, meanAnomaly: -10, bstar: -0.000999996 };
+    const { line1, line2 } = formatTLE(edited);
+    expect(validateTLE(line1, line2)).toEqual({ valid: true, errors: [] });
+    const reparsed = parseTLE(line1, line2);
+    expect(reparsed.inclination).toBe(97.25);
+    expect(reparsed.raan).toBe(0); // rounds up to 360.0000 and wraps
+    expect(reparsed.meanAnomaly).toBe(350);
+    expect(line1.substring(53, 61)).toBe('-10000-2');
+    expect(reparsed.bstar).toBeCloseTo(-0.001, 12);
+  });
+
+  test('writes Alpha-5 catalog numbers', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2);
+    const { line1, line2 } = formatTLE({ ...iss, catalogNumber: 123456 });
+    expect(line1.substring(2, 7)).toBe('C3456');
+    expect(line2.substring(2, 7)).toBe('C3456');
+    expect(parseTLE(line1, line2).catalogNumber).toBe(123456);
+  });
+
+  test('refuses values that do not fit their fields', () => {
+    const iss = parseTLE(SAMPLE_TLES.ISS.line1, SAMPLE_TLES.ISS.line2);
+    expect(() => formatTLE({ ...iss, eccentricity: 1.2 })).toThrow(/Eccentricity/);
+    expect(() => formatTLE({ ...iss, catalogNumber: 400000 })).toThrow(/Catalog number/);
+    expect(() => formatTLE({ ...iss, bstar: 1e12 })).toThrow(/exponent/);
+  });
+});
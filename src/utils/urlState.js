@@ -0,0 +1,139 @@
+/**
+ * URL State
+ * Encodes a scenario plus the camera pose into the URL fragment, so a link opens the
+ * exact view. Satellites from the bundled sample catalog are stored as a catalog
+ * reference, all others as TLE lines. The payload is deflated with CompressionStream
+ * where the browser supports it. The fragment never reaches the server, so links
+ * work from any static deployment; their length is still bounded by the browser.
+ */
+
+import { SAMPLE_TLES } from './tleParser';
+
+// Fragment parameter holding the state: #s=<encoding><base64url payload>
+export const URL_STATE_PARAM = 's';
+
+// Longest fragment kept in the address bar (characters). Chromium accepts URLs up to 2 MB,
+// but rewriting one that long every few seconds is wasteful and other browsers keep less;
+// larger views are shared with an explicit link instead.
+export const MAX_URL_STATE_LENGTH = 32 * 1024;
+
+// Encodings: deflate-raw compressed JSON, or plain JSON where compression is unavailable
+const COMPRESSED = 'z';
+const PLAIN = 'j';
+
+// Catalog number field of a TLE line 1
+const catalogField = (line1) => line1.slice(2, 7).trim();
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transform(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  const read = async () => {
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      chunks.push(chunk.value);
+    }
+  };
+  await Promise.all([writer.write(bytes).then(() => writer.close()), read()]);
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    result.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return result;
+}
+
+// Camera vector rounded to 1e-3 scene units (about 3 km)
+const roundVector = (v) => v.map(x => Math.round(x * 1000) / 1000);
+
+const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(x => typeof x === 'number' && isFinite(x));
+
+/**
+ * Fragment for a scenario and camera pose
+ * @param {object} scenario - From createScenario()
+ * @param {object} view - { camera: { position: [x, y, z], target: [x, y, z] } or null }
+ * @returns {Promise<string>} Fragment without the leading '#'
+ */
+export async function encodeUrlState(scenario, { camera = null } = {}) {
+  const samples = Object.values(SAMPLE_TLES);
+  const { savedAt, ...rest } = scenario;
+  const payload = {
+    ...rest,
+    satellites: scenario.satellites.map(({ name, line1, line2, ...options }) => {
+      const sample = samples.find(s => s.name === name && s.line1 === line1 && s.line2 === line2);
+      return sample ? { catalog: catalogField(line1), ...options } : { name, line1, line2, ...options };
+    }),
+    view: camera ? { camera: { position: roundVector(camera.position), target: roundVector(camera.target) } } : {}
+  };
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  let encoded = PLAIN + toBase64Url(json);
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      const compressed = COMPRESSED + toBase64Url(await transform(json, new CompressionStream('deflate-raw')));
+      if (compressed.length < encoded.length) encoded = compressed;
+    } catch (error) {
+      // deflate-raw is not supported everywhere CompressionStream is; keep plain JSON
+    }
+  }
+  return `${URL_STATE_PARAM}=${encoded}`;
+}
+
+/**
+ * Scenario and camera pose from a fragment
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Promise<object|null>} { scenario (for parseScenario(), catalog references resolved),
+ *   camera (or null) }, null when the fragment carries no state
+ */
+export async function decodeUrlState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const value = params.get(URL_STATE_PARAM);
+  if (!value) return null;
+
+  let payload;
+  try {
+    let bytes = fromBase64Url(value.slice(1));
+    if (value[0] === COMPRESSED) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot decompress links');
+      }
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } else if (value[0] !== PLAIN) {
+      throw new Error(`unknown encoding "${value[0]}"`);
+    }
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+    if (!payload || typeof payload !== 'object') throw new Error('no state found');
+  } catch (error) {
+    throw new Error(`Link is damaged or incomplete: ${error.message}`);
+  }
+
+  const samples = Object.values(SAMPLE_TLES);
+  const { view, ...scenario } = payload;
+  if (Array.isArray(scenario.satellites)) {
+    scenario.satellites = scenario.satellites.map(({ catalog, ...entry }) => {
+      if (catalog === undefined) return entry;
+      const sample = samples.find(s => catalogField(s.line1) === String(catalog));
+      // An unknown reference is left without lines and reported by parseScenario()
+      return sample
+        ? { ...entry, name: sample.name, line1: sample.line1, line2: sample.line2 }
+        : { ...entry, name: `Catalog ${catalog}` };
+    });
+  }
+  const camera = view && view.camera && isVector(view.camera.position) && isVector(view.camera.target)
+    ? { position: view.camera.position, target: view.camera.target }
+    : null;
+  return { scenario, camera };
+}
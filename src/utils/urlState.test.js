@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for scenario links in the URL fragment
+ */
+
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { inflateRawSync } from 'zlib';
+import { encodeUrlState, decodeUrlState, URL_STATE_PARAM } from './urlState.js';
+import { createScenario, parseScenario } from './scenario.js';
+import { parseTLE, SAMPLE_TLES } from './tleParser.js';
+
+const time = new Date(Date.UTC(2024, 0, 1, 6, 30, 0));
+const { ISS } = SAMPLE_TLES;
+const CUSTOM = {
+  name: 'CUSTOM ISS COPY',
+  line1: ISS.line1,
+  line2: ISS.line2
+};
+
+const satellite = (id, { name, line1, line2 }) => ({
+  id,
+  tleData: parseTLE(line1, line2, name),
+  color: 'hsl(10, 70%, 50%)',
+  showOrbit: true,
+  showTrail: true,
+  showCoverage: false,
+  showGroundTrack: true,
+  propagator: null,
+  rawName: name,
+  rawLine1: line1,
+  rawLine2: line2
+});
+
+const scenario = createScenario({
+  time,
+  speed: 30,
+  settings: { showEarth: false },
+  satellites: [satellite('a', ISS), satellite('b', CUSTOM)],
+  selectedSatelliteIds: ['b']
+});
+
+const camera = { position: [1.23456, -2, 7.5], target: [0, 0.0004, 0] };
+
+// Payload of a fragment as stored, without resolving catalog references
+function storedPayload(fragment) {
+  const value = new URLSearchParams(fragment).get(URL_STATE_PARAM);
+  const bytes = Buffer.from(value.slice(1), 'base64url');
+  return JSON.parse((value[0] === 'z' ? inflateRawSync(bytes) : bytes).toString('utf8'));
+}
+
+describe('URL state', () => {
+  // Browsers provide these; the jest environment does not
+  beforeAll(() => {
+    global.CompressionStream = CompressionStream;
+    global.DecompressionStream = DecompressionStream;
+  });
+
+  afterAll(() => {
+    delete global.CompressionStream;
+    delete global.DecompressionStream;
+  });
+
+  test('round trip with compression', async () => {
+    const fragment = await encodeUrlState(scenario, { camera });
+    expect(fragment.startsWith(`${URL_STATE_PARAM}=z`)).toBe(true);
+    expect(fragment).toMatch(/^[\w=-]+$/);
+
+    const { scenario: decoded, camera: pose } = await decodeUrlState(`#${fragment}`);
+    expect(pose).toEqual({ position: [1.235, -2, 7.5], target: [0, 0, 0] });
+
+    const parsed = parseScenario(decoded);
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.time.getTime()).toBe(time.getTime());
+    expect(parsed.speed).toBe(30);
+    expect(parsed.settings.showEarth).toBe(false);
+    expect(parsed.satellites.map(s => s.tleData.name)).toEqual([ISS.name, CUSTOM.name]);
+    expect(parsed.satellites[0].lines).toEqual({ line1: ISS.line1, line2: ISS.line2 });
+    expect(parsed.satellites[0]).toMatchObject({ showCoverage: false, selected: false });
+    expect(parsed.satellites[1].selected).toBe(true);
+  });
+
+  test('sample catalog satellites are stored by reference', async () => {
+    const payload = storedPayload(await encodeUrlState(scenario));
+    expect(payload.satellites[0]).toMatchObject({ catalog: '25544' });
+    expect(payload.satellites[0].line1).toBeUndefined();
+    // Same elements under another name: kept as TLE lines
+    expect(payload.satellites[1]).toMatchObject({ name: CUSTOM.name, line1: CUSTOM.line1 });
+    expect(payload.savedAt).toBeUndefined();
+  });
+
+  test('compression keeps links short', async () => {
+    const many = createScenario({
+      time,
+      satellites: Array.from({ length: 40 }, (_, i) => satellite(`s${i}`, { ...CUSTOM, name: `SAT ${i}` }))
+    });
+    const fragment = await encodeUrlState(many);
+    expect(fragment.length).toBeLessThan(JSON.stringify(many).length / 3);
+  });
+
+  test('plain JSON without CompressionStream', async () => {
+    delete global.CompressionStream;
+    try {
+      const fragment = await encodeUrlState(scenario, { camera });
+      expect(fragment.startsWith(`${URL_STATE_PARAM}=j`)).toBe(true);
+      const { scenario: decoded } = await decodeUrlState(fragment);
+      expect(parseScenario(decoded).satellites).toHaveLength(2);
+    } finally {
+      global.CompressionStream = CompressionStream;
+    }
+  });
+
+  test('fragments without state or with damaged state', async () => {
+    expect(await decodeUrlState('')).toBeNull();
+    expect(await decodeUrlState('#other=1')).toBeNull();
+
+    const fragment = await encodeUrlState(scenario);
+    await expect(decodeUrlState(fragment.slice(0, fragment.length / 2))).rejects.toThrow(/damaged/);
+    await expect(decodeUrlState(`${URL_STATE_PARAM}=x${fragment.slice(3)}`)).rejects.toThrow(/encoding/);
+
+    const unknown = await decodeUrlState(`${URL_STATE_PARAM}=j${Buffer.from(JSON.stringify({
+      ...scenario,
+      satellites: [{ catalog: '99999' }],
+      view: { camera: { position: [1, 2], target: [0, 0, 0] } }
+    })).toString('base64url')}`);
+    expect(unknown.camera).toBeNull();
+    expect(parseScenario(unknown.scenario).errors[0].message).toMatch(/Catalog 99999/);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Walker Constellations
+ * Walker patterns i: T/P/F place T satellites in P equally spaced circular orbit
+ * planes of inclination i, T/P satellites per plane. Delta patterns spread the
+ * ascending nodes over 360° (Galileo is 56°: 24/3/1); Star patterns spread them
+ * over 180° so near-polar planes are co-rotating on one side of the Earth
+ * (Iridium is 86.4°: 66/6/2). The phasing factor F shifts each plane's satellites
+ * by F · 360° / T in argument of latitude relative to the previous plane.
+ */
+
+import { createTLEData } from './tleParser';
+import { wrapDegrees } from './orbitalElements';
+
+const EARTH_RADIUS = 6378.137; // km
+const MU = 398600.4418; // km³/s², as used by createTLEData()
+const SECONDS_PER_DAY = 86400;
+
+// Spread of the ascending nodes per pattern (degrees)
+export const WALKER_PATTERNS = {
+  delta: { label: 'Walker Delta', raanSpread: 360 },
+  star: { label: 'Walker Star', raanSpread: 180 }
+};
+
+export const DEFAULT_WALKER = {
+  pattern: 'delta',
+  totalSatellites: 24,
+  planes: 3,
+  phasing: 1,
+  altitude: 550, // km
+  inclination: 53 // degrees
+};
+
+/**
+ * Check Walker parameters
+ * @param {object} params - { pattern, totalSatellites, planes, phasing, altitude, inclination }
+ * @returns {Array<string>} Problems found, empty when the pattern can be built
+ */
+export function validateWalker({ pattern, totalSatellites, planes, phasing, altitude, inclination }) {
+  const errors = [];
+  if (!WALKER_PATTERNS[pattern]) errors.push(`Unknown pattern "${pattern}"`);
+  if (!Number.isInteger(totalSatellites) || totalSatellites < 1) errors.push('T must be a positive integer');
+  if (!Number.isInteger(planes) || planes < 1) errors.push('P must be a positive integer');
+  if (errors.length === 0 && totalSatellites % planes !== 0) errors.push(`T = ${totalSatellites} is not a multiple of P = ${planes}`);
+  if (!Number.isInteger(phasing) || phasing < 0 || (Number.isInteger(planes) && phasing >= planes)) {
+    errors.push('F must be an integer from 0 to P - 1');
+  }
+  if (!(altitude > 0)) errors.push('Altitude must be positive');
+  if (!(inclination >= 0 && inclination <= 180)) errors.push('Inclination must be between 0° and 180°');
+  return errors;
+}
+
+/**
+ * Walker notation, e.g. "56°: 24/3/1"
+ * @param {object} params - Walker parameters
+ * @returns {string} Notation
+ */
+export function walkerNotation({ inclination, totalSatellites, planes, phasing }) {
+  return `${+inclination.toFixed(2)}°: ${totalSatellites}/${planes}/${phasing}`;
+}
+
+/**
+ * Node and phase of every slot of a Walker pattern
+ * @param {object} params - { pattern, totalSatellites, planes, phasing, raan (deg, first plane),
+ *   argumentOfLatitude (deg, first satellite) }
+ * @returns {Array<object>} [{ plane, slot, raan, argumentOfLatitude }] plane by plane, in degrees
+ * @throws {Error} When the parameters are invalid (see validateWalker)
+ */
+export function walkerSlots({ pattern, totalSatellites, planes, phasing, raan = 0, argumentOfLatitude = 0 }) {
+  const errors = validateWalker({ pattern, totalSatellites, planes, phasing, altitude: 1, inclination: 0 });
+  if (errors.length > 0) throw new Error(`Invalid Walker pattern: ${errors.join('; ')}`);
+
+  const perPlane = totalSatellites / planes;
+  const nodeSpacing = WALKER_PATTERNS[pattern].raanSpread / planes;
+  const slotSpacing = 360 / perPlane;
+  const planePhase = (phasing * 360) / totalSatellites;
+
+  const slots = [];
+  for (let p = 0; p < planes; p++) {
+    for (let k = 0; k < perPlane; k++) {
+      slots.push({
+        plane: p,
+        slot: k,
+        raan: wrapDegrees(raan + p * nodeSpacing),
+        argumentOfLatitude: wrapDegrees(argumentOfLatitude + k * slotSpacing + p * planePhase)
+      });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Walker parameters matching an existing satellite, which becomes slot 1 of plane 1
+ * @param {object} tle - Parsed TLE data
+ * @returns {object} { altitude, inclination, raan, argumentOfLatitude, eccentricity, argumentOfPerigee }
+ */
+export function walkerSeedFromTLE(tle) {
+  return {
+    altitude: tle.semiMajorAxis - EARTH_RADIUS,
+    inclination: tle.inclination,
+    raan: tle.raan,
+    argumentOfLatitude: wrapDegrees(tle.argumentOfPerigee + tle.meanAnomaly),
+    eccentricity: tle.eccentricity,
+    argumentOfPerigee: tle.argumentOfPerigee
+  };
+}
+
+/**
+ * Element sets for every satellite of a Walker pattern
+ * @param {object} params - Walker parameters plus optional raan, argumentOfLatitude,
+ *   eccentricity and argumentOfPerigee (e.g. from walkerSeedFromTLE)
+ * @param {object} template - createTLEData() fields shared by all satellites: { name, epochDate,
+ *   bstar, ... }. When it carries a meanMotion (a seed satellite's) that is kept as is.
+ * @returns {Array<object>} Parsed TLE data, named "<name> P<plane>-S<slot>"
+ */
+export function walkerTLEData(params, template) {
+  const errors = validateWalker(params);
+  if (errors.length > 0) throw new Error(`Invalid Walker pattern: ${errors.join('; ')}`);
+  const { altitude, inclination, eccentricity = 0, argumentOfPerigee = 0 } = params;
+  const semiMajorAxis = EARTH_RADIUS + altitude;
+  const meanMotion = template.meanMotion !== undefined
+    ? template.meanMotion
+    : Math.sqrt(MU / (semiMajorAxis * semiMajorAxis * semiMajorAxis)) * SECONDS_PER_DAY / (2 * Math.PI);
+  const baseName = template.name || 'WALKER';
+
+  return walkerSlots(params).map(({ plane, slot, raan, argumentOfLatitude }) => createTLEData({
+    catalogNumber: 0,
+    ...template,
+    name: `${baseName} P${plane + 1}-S${slot + 1}`,
+    inclination,
+    raan,
+    eccentricity,
+    argumentOfPerigee,
+    meanAnomaly: wrapDegrees(argumentOfLatitude - argumentOfPerigee),
+    meanMotion
+  }));
+}
@@ -0,0 +1,58 @@
+/**
+ * Tests for Walker constellation generation
+ */
+
+import { validateWalker, walkerNotation, walkerSlots, walkerSeedFromTLE, walkerTLEData, DEFAULT_WALKER } from './walker.js';
+import { parseTLE, formatTLE, SAMPLE_TLES } from './tleParser.js';
+
+const EPOCH = new Date('2026-10-19T00:00:00Z');
+
+describe('Walker constellations', () => {
+  test('Galileo 56°: 24/3/1 delta layout', () => {
+    const slots = walkerSlots({ pattern: 'delta', totalSatellites: 24, planes: 3, phasing: 1 });
+    expect(slots).toHaveLength(24);
+    expect([...new Set(slots.map(s => s.raan))]).toEqual([0, 120, 240]);
+    // 8 per plane, 45° apart; each plane is shifted by 360 / 24 = 15°
+    expect(slots.filter(s => s.plane === 0).map(s => s.argumentOfLatitude)).toEqual([0, 45, 90, 135, 180, 225, 270, 315]);
+    expect(slots.find(s => s.plane === 1 && s.slot === 0).argumentOfLatitude).toBeCloseTo(15, 10);
+    expect(slots.find(s => s.plane === 2 && s.slot === 1).argumentOfLatitude).toBeCloseTo(75, 10);
+  });
+
+  test('star patterns spread the nodes over 180°', () => {
+    const slots = walkerSlots({ pattern: 'star', totalSatellites: 66, planes: 6, phasing: 2, raan: 10 });
+    expect([...new Set(slots.map(s => s.raan))]).toEqual([10, 40, 70, 100, 130, 160]);
+    expect(walkerNotation({ inclination: 86.4, totalSatellites: 66, planes: 6, phasing: 2 })).toBe('86.4°: 66/6/2');
+  });
+
+  test('validation reports every problem', () => {
+    expect(validateWalker(DEFAULT_WALKER)).toEqual([]);
+    expect(validateWalker({ ...DEFAULT_WALKER, totalSatellites: 25 })).toEqual(['T = 25 is not a multiple of P = 3']);
+    expect(validateWalker({ ...DEFAULT_WALKER, phasing: 3, altitude: -5 })).toHaveLength(2);
+    expect(validateWalker({ ...DEFAULT_WALKER, pattern: 'rosette', planes: 0 })).toHaveLength(3);
+    expect(() => walkerSlots({ ...DEFAULT_WALKER, planes: 5 })).toThrow(/not a multiple/);
+  });
+
+  test('element sets share altitude and inclination and write valid TLEs', () => {
+    const sats = walkerTLEData(DEFAULT_WALKER, { name: 'SHELL', epochDate: EPOCH });
+    expect(sats).toHaveLength(24);
+    expect(sats[9].name).toBe('SHELL P2-S2');
+    sats.forEach(tle => {
+      expect(tle.inclination).toBe(53);
+      expect(tle.perigeeAltitude).toBeCloseTo(550, 6);
+      const { line1, line2 } = formatTLE(tle);
+      expect(() => parseTLE(line1, line2)).not.toThrow();
+    });
+  });
+
+  test('a seed satellite is reproduced as the first slot', () => {
+    const iss = SAMPLE_TLES.ISS;
+    const seed = parseTLE(iss.line1, iss.line2, iss.name);
+    const params = { ...DEFAULT_WALKER, totalSatellites: 12, planes: 4, phasing: 1, ...walkerSeedFromTLE(seed) };
+    const sats = walkerTLEData(params, { name: 'ISS-W', epochDate: seed.epochDate, meanMotion: seed.meanMotion });
+    expect(sats[0].meanMotion).toBe(seed.meanMotion);
+    expect(sats[0].raan).toBeCloseTo(seed.raan, 9);
+    expect(sats[0].meanAnomaly).toBeCloseTo(seed.meanAnomaly, 9);
+    expect(sats[0].eccentricity).toBe(seed.eccentricity);
+    expect(sats[3].raan).toBeCloseTo((seed.raan + 90) % 360, 9);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Worker Pool
+ * Runs named tasks on a small pool of Web Workers. The buffers of typed arrays in
+ * task results are transferred to the caller instead of copied. Where workers are
+ * unavailable (tests, very old browsers) or fail to load, tasks run on the calling
+ * thread instead, with the same promise-based interface. State that many tasks share
+ * (element sets, say) is broadcast to every worker once instead of sent with each task.
+ */
+
+/**
+ * Default pool size: leave one core to the page, at most 4 workers
+ * @returns {number} Number of workers
+ */
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+/**
+ * Buffers of the typed arrays found in a value (plain objects and arrays are searched)
+ * @param {*} value - Message payload or task result
+ * @returns {ArrayBuffer[]} Distinct buffers, suitable as a postMessage transfer list
+ */
+export function transferables(value) {
+  const found = new Set();
+  const visit = (v, depth) => {
+    if (!v || typeof v !== 'object' || depth > 4) return;
+    if (ArrayBuffer.isView(v)) {
+      found.add(v.buffer);
+    } else if (Array.isArray(v)) {
+      v.forEach(item => visit(item, depth + 1));
+    } else if (Object.getPrototypeOf(v) === Object.prototype) {
+      Object.values(v).forEach(item => visit(item, depth + 1));
+    }
+  };
+  visit(value, 0);
+  return [...found];
+}
+
+/**
+ * Answer task messages inside a worker
+ * @param {object} scope - The worker global scope
+ * @param {object} tasks - { [type]: (payload) => result or promise }
+ */
+export function serveTasks(scope, tasks) {
+  scope.onmessage = async ({ data: { id, type, payload } }) => {
+    try {
+      if (!tasks[type]) throw new Error(`Unknown worker task "${type}"`);
+      const result = await tasks[type](payload);
+      scope.postMessage({ id, result }, transferables(result));
+    } catch (error) {
+      scope.postMessage({ id, error: error.message });
+    }
+  };
+}
+
+/**
+ * Create a pool of workers serving the same tasks
+ * @param {object} tasks - { [type]: (payload) => result }, run directly when workers are unavailable
+ * @param {Function} createWorker - () => Worker, e.g. () => new Worker(new URL('./x.worker.js', import.meta.url))
+ * @param {object} options - { size }
+ * @returns {object} { run(type, payload) => Promise<result>, broadcast(type, payload), inline (true when
+ *   running on the calling thread), terminate() }
+ */
+export function createWorkerPool(tasks, createWorker, { size = defaultPoolSize() } = {}) {
+  let workers = null;
+  let inline = typeof Worker === 'undefined' || !createWorker;
+  const queue = [];
+  const pending = new Map();
+  // Latest broadcast payload by task type, replayed to workers started later
+  const broadcasts = new Map();
+  let nextId = 1;
+
+  const runInline = ({ type, payload, resolve, reject }) => {
+    Promise.resolve()
+      .then(() => {
+        if (!tasks[type]) throw new Error(`Unknown worker task "${type}"`);
+        return tasks[type](payload);
+      })
+      .then(resolve, reject);
+  };
+
+  // Workers that fail to load hand their jobs, and every later one, to the calling thread
+  const fallBack = () => {
+    inline = true;
+    broadcasts.forEach((payload, type) => runInline({ type, payload, resolve: () => {}, reject: () => {} }));
+    (workers || []).forEach(slot => {
+      slot.worker.terminate();
+      if (slot.job) runInline(slot.job);
+    });
+    workers = [];
+    pending.clear();
+    queue.splice(0).forEach(runInline);
+  };
+
+  const dispatch = () => {
+    workers.forEach(slot => {
+      if (slot.job || queue.length === 0) return;
+      slot.job = queue.shift();
+      const { id, type, payload } = slot.job;
+      slot.worker.postMessage({ id, type, payload });
+    });
+  };
+
+  const start = () => {
+    try {
+      workers = Array.from({ length: size }, () => {
+        const slot = { worker: createWorker(), job: null };
+        slot.worker.onmessage = ({ data }) => {
+          // Replies to broadcasts carry no job
+          if (!slot.job || slot.job.id !== data.id) return;
+          const job = pending.get(data.id);
+          pending.delete(data.id);
+          slot.job = null;
+          if (job) {
+            if (data.error) job.reject(new Error(data.error));
+            else job.resolve(data.result);
+          }
+          dispatch();
+        };
+        slot.worker.onerror = (event) => {
+          if (event.preventDefault) event.preventDefault();
+          fallBack();
+        };
+        broadcasts.forEach((payload, type) => slot.worker.postMessage({ id: nextId++, type, payload }));
+        return slot;
+      });
+    } catch (error) {
+      fallBack();
+    }
+  };
+
+  return {
+    get inline() {
+      return inline;
+    },
+
+    run(type, payload) {
+      return new Promise((resolve, reject) => {
+        const job = { id: nextId++, type, payload, resolve, reject };
+        if (!inline && !workers) start();
+        if (inline) {
+          runInline(job);
+          return;
+        }
+        pending.set(job.id, job);
+        queue.push(job);
+        dispatch();
+      });
+    },
+
+    // Run a task on every worker, ahead of the tasks run after it; the result is discarded.
+    // Workers started later receive the latest payload of each broadcast task type.
+    broadcast(type, payload) {
+      broadcasts.set(type, payload);
+      if (inline) {
+        runInline({ type, payload, resolve: () => {}, reject: () => {} });
+        return;
+      }
+      (workers || []).forEach(slot => slot.worker.postMessage({ id: nextId++, type, payload }));
+    },
+
+    terminate() {
+      (workers || []).forEach(slot => slot.worker.terminate());
+      workers = null;
+      pending.forEach(job => job.reject(new Error('Worker pool terminated')));
+      pending.clear();
+      queue.length = 0;
+    }
+  };
+}
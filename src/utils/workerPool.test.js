@@ -0,0 +1,109 @@
+/**
+ * Tests for the worker pool and its calling-thread fallback
+ */
+
+import { createWorkerPool, serveTasks, transferables } from './workerPool.js';
+
+const TASKS = {
+  double: ({ values }) => ({ values: values.map(v => v * 2), total: values.reduce((a, b) => a + b, 0) }),
+  fail: () => {
+    throw new Error('no luck');
+  }
+};
+
+// Worker stand-in that runs serveTasks() on a fake global scope, asynchronously like a real worker
+function createFakeWorker(log, tasks = TASKS) {
+  const worker = { terminate: () => log.push('terminate') };
+  const scope = {
+    postMessage: (data, transfer) => {
+      log.push({ transfer });
+      setTimeout(() => worker.onmessage({ data }), 0);
+    }
+  };
+  serveTasks(scope, tasks);
+  worker.postMessage = (data) => setTimeout(() => scope.onmessage({ data }), 0);
+  return worker;
+}
+
+describe('worker pool', () => {
+  test('typed array buffers are collected for transfer once each', () => {
+    const a = new Float64Array(4);
+    const b = new Uint16Array(2);
+    const found = transferables({ a, nested: { list: [b, a.subarray(1)] }, n: 1, date: new Date() });
+    expect(found).toHaveLength(2);
+    expect(found).toContain(a.buffer);
+    expect(found).toContain(b.buffer);
+  });
+
+  test('runs tasks on the calling thread when workers are unavailable', async () => {
+    const pool = createWorkerPool(TASKS, () => {
+      throw new Error('should not be created');
+    });
+    expect(pool.inline).toBe(true);
+    const result = await pool.run('double', { values: new Float64Array([1, 2]) });
+    expect(Array.from(result.values)).toEqual([2, 4]);
+    await expect(pool.run('fail')).rejects.toThrow('no luck');
+    await expect(pool.run('missing')).rejects.toThrow(/Unknown worker task/);
+  });
+
+  describe('with workers', () => {
+    beforeEach(() => {
+      global.Worker = function Worker() {};
+    });
+    afterEach(() => {
+      delete global.Worker;
+    });
+
+    test('spreads tasks over the workers and transfers results', async () => {
+      const log = [];
+      let created = 0;
+      const pool = createWorkerPool(TASKS, () => {
+        created++;
+        return createFakeWorker(log);
+      }, { size: 2 });
+      expect(pool.inline).toBe(false);
+      expect(created).toBe(0);
+
+      const results = await Promise.all([1, 2, 3].map(n => pool.run('double', { values: new Float64Array([n]) })));
+      expect(results.map(r => r.values[0])).toEqual([2, 4, 6]);
+      expect(created).toBe(2);
+      expect(log.filter(entry => entry.transfer)[0].transfer).toEqual([results[0].values.buffer]);
+
+      await expect(pool.run('fail')).rejects.toThrow('no luck');
+      pool.terminate();
+      expect(log.filter(entry => entry === 'terminate')).toHaveLength(2);
+    });
+
+    test('broadcasts reach every worker, including those started later, before later tasks', async () => {
+      // Each worker keeps its own copy of the shared state, like a real worker's module scope
+      const tasksWithState = () => {
+        let offset = 0;
+        return { ...TASKS, share: ({ value }) => { offset = value; }, shifted: ({ value }) => value + offset };
+      };
+      const pool = createWorkerPool(TASKS, () => createFakeWorker([], tasksWithState()), { size: 2 });
+      pool.broadcast('share', { value: 10 });
+      expect(await Promise.all([1, 2].map(value => pool.run('shifted', { value })))).toEqual([11, 12]);
+
+      pool.broadcast('share', { value: 100 });
+      expect(await Promise.all([1, 2, 3].map(value => pool.run('shifted', { value })))).toEqual([101, 102, 103]);
+      pool.terminate();
+    });
+
+    test('falls back to the calling thread when a worker fails to load', async () => {
+      const worker = { postMessage: () => setTimeout(() => worker.onerror({}), 0), terminate: () => {} };
+      const pool = createWorkerPool(TASKS, () => worker, { size: 1 });
+      const result = await pool.run('double', { values: [5] });
+      expect(result.values).toEqual([10]);
+      expect(pool.inline).toBe(true);
+    });
+
+    test('replays broadcasts on the calling thread after falling back', async () => {
+      let offset = 0;
+      const tasks = { share: ({ value }) => { offset = value; }, shifted: ({ value }) => value + offset };
+      const worker = { postMessage: () => setTimeout(() => worker.onerror({}), 0), terminate: () => {} };
+      const pool = createWorkerPool(tasks, () => worker, { size: 1 });
+      pool.broadcast('share', { value: 7 });
+      expect(await pool.run('shifted', { value: 1 })).toBe(8);
+    });
+  });
+});
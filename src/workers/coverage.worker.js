@@ -0,0 +1,5 @@
+/* global globalThis */
+import { serveTasks } from '../utils/workerPool';
+import { COVERAGE_TASKS } from './coverageTasks';
+
+serveTasks(globalThis, COVERAGE_TASKS);
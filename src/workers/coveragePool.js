@@ -0,0 +1,46 @@
+import { createWorkerPool } from '../utils/workerPool';
+import { COVERAGE_TASKS } from './coverageTasks';
+
+// Shared by everything that analyses coverage; workers start on the first task
+export const coveragePool = createWorkerPool(
+  COVERAGE_TASKS,
+  () => new Worker(new URL('./coverage.worker.js', import.meta.url))
+);
+
+// Element sets shared with the workers, by satellite id: { revision, tle }
+const shared = new Map();
+// A satellite whose tleData object is replaced gets a new revision
+const revisions = new WeakMap();
+let nextRevision = 1;
+// Ids named since the last broadcast; the others are left out of the next one
+const named = new Set();
+
+/**
+ * Share the element sets of satellites with the coverage workers, so tasks can name the
+ * satellites by id. The shared sets are broadcast again only when a satellite is new or
+ * its elements changed.
+ * @param {Array<object>} satellites - Satellites as held by the application ({ id, tleData, propagator })
+ * @returns {Array<object>} [{ id, propagatorId }] for task payloads
+ */
+export function shareElementSets(satellites) {
+  let changed = false;
+  satellites.forEach(({ id, tleData }) => {
+    if (!revisions.has(tleData)) revisions.set(tleData, nextRevision++);
+    const revision = revisions.get(tleData);
+    const entry = shared.get(id);
+    if (!entry || entry.revision !== revision) {
+      shared.set(id, { revision, tle: tleData });
+      changed = true;
+    }
+    named.add(id);
+  });
+  if (changed) {
+    shared.forEach((_, id) => {
+      if (!named.has(id)) shared.delete(id);
+    });
+    named.clear();
+    satellites.forEach(({ id }) => named.add(id));
+    coveragePool.broadcast('elements', [...shared].map(([id, { revision, tle }]) => ({ id, revision, tle })));
+  }
+  return satellites.map(({ id, propagator }) => ({ id, propagatorId: propagator }));
+}
@@ -0,0 +1,91 @@
+/**
+ * Coverage and swarm tasks served by the coverage worker pool. Payloads and results only hold
+ * plain data (element sets, numbers, dates, typed arrays) so they survive structured cloning.
+ * Tasks run every frame or so name satellites by id; their element sets are shared beforehand
+ * with the `elements` broadcast (see shareElementSets() in coveragePool).
+ */
+
+import { coverageSnapshot } from '../utils/coverageSnapshot';
+import { createCoverageGrid, evaluateCoverage, coverageByLatitude, foldCounts, evaluateWalkerCandidate } from '../utils/coverageAnalysis';
+import { swarmElements, swarmOrbitLines } from '../utils/swarm';
+import { stationLookAngles } from '../utils/groundStations';
+import { screenConjunctions } from '../utils/conjunctions';
+import { predictPasses } from '../utils/passPredictor';
+
+// Element sets by satellite id: { revision, tle }, replaced by the `elements` broadcast.
+// Keeping the same object while its revision holds keeps the propagator caches keyed on it
+// (SGP4 records, integrator checkpoints) warm.
+let elementSets = new Map();
+
+function withElements(satellites) {
+  return satellites.map(({ id, propagatorId }) => {
+    const entry = elementSets.get(id);
+    if (!entry) throw new Error(`No element set shared for satellite ${id}`);
+    return { id, tle: entry.tle, propagatorId };
+  });
+}
+
+const grids = new Map();
+
+function cachedGrid(resolution) {
+  if (!grids.has(resolution)) {
+    grids.set(resolution, createCoverageGrid({ latitudeMin: -90, latitudeMax: 90, resolution }));
+  }
+  return grids.get(resolution);
+}
+
+export const COVERAGE_TASKS = {
+  // Broadcast: [{ id, revision, tle }] -> replaces the shared element sets
+  elements: (entries) => {
+    const next = new Map();
+    entries.forEach(({ id, revision, tle }) => {
+      const kept = elementSets.get(id);
+      next.set(id, kept && kept.revision === revision ? kept : { revision, tle });
+    });
+    elementSets = next;
+  },
+
+  // { satellites: [{ id, propagatorId }], time (ms), minElevation, propagatorId } -> coverageSnapshot()
+  snapshot: ({ satellites, time, minElevation, propagatorId }) =>
+    coverageSnapshot(withElements(satellites), new Date(time), { minElevation, propagatorId }),
+
+  // { satellites, time, resolution, minElevation, propagatorId } -> fold count per cell of a global grid
+  folds: ({ satellites, time, resolution, minElevation, propagatorId }) =>
+    foldCounts(withElements(satellites), cachedGrid(resolution), new Date(time), { minElevation, propagatorId }),
+
+  // { satellites, band: { latitudeMin, latitudeMax, resolution }, start, end, stepSeconds, minElevation,
+  //   propagatorId, bandSize } -> { grid, result, bands }
+  statistics: ({ satellites, band, bandSize, ...options }) => {
+    const grid = createCoverageGrid(band);
+    const result = evaluateCoverage(satellites, grid, options);
+    return { grid, result, bands: coverageByLatitude(grid, result, bandSize) };
+  },
+
+  // { satellites: [{ id, propagatorId }], time, propagatorId, orbitIndices (optional), segments }
+  //   -> swarmElements(), plus swarmOrbitLines() of orbitIndices when given
+  swarm: ({ satellites, time, propagatorId, orbitIndices, segments }) => {
+    const seed = swarmElements(withElements(satellites), new Date(time), { propagatorId });
+    return orbitIndices ? { ...seed, orbits: swarmOrbitLines(seed.elements, orbitIndices, segments) } : seed;
+  },
+
+  // { stations, satellites: [{ id, propagatorId }], time (ms), propagatorId } -> stationLookAngles()
+  lookAngles: ({ stations, satellites, time, propagatorId }) =>
+    stationLookAngles(stations, withElements(satellites), new Date(time), { propagatorId }),
+
+  // { satellites: [{ id, propagatorId }], start, end (ms), threshold, propagatorId } -> screenConjunctions()
+  conjunctions: ({ satellites, start, end, ...options }) =>
+    screenConjunctions(withElements(satellites), new Date(start), new Date(end), options),
+
+  // { satellites: [{ id, propagatorId }], site, start, end (ms), propagatorId } -> [{ id, passes }]
+  //   with the predictPasses() of each satellite
+  passes: ({ satellites, site, start, end, propagatorId }) =>
+    withElements(satellites).map(({ id, tle, propagatorId: own }) => ({
+      id,
+      passes: predictPasses(tle, site, new Date(start), new Date(end), { propagatorId: own || propagatorId })
+    })),
+
+  // { params (Walker), target, start (ms), windowHours, stepSeconds, resolution, propagatorId }
+  //   -> evaluateWalkerCandidate()
+  walkerCandidate: ({ params, target, start, ...options }) =>
+    evaluateWalkerCandidate(params, target, { ...options, start: new Date(start) })
+};